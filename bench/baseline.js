@@ -0,0 +1,93 @@
+/**
+ * 📏 对照实现
+ * 引入提案索引之前的全量扫描写法，基准测试用它们衡量索引带来的提升；
+ * 计票的对照不在这里，用 config.incrementalTally = false 切换到重新计票
+ */
+
+const { AlignmentModel } = require('../lib/forecast');
+
+const STATUS_GROUPS = {
+    open: ['draft', 'discussion', 'waiting', 'voting', 'revealing'],
+    closed: ['accepted', 'rejected', 'expired', 'cancelled', 'withdrawn']
+};
+
+// 统计字段 -> 状态
+const STAT_STATUSES = {
+    accepted: 'accepted',
+    rejected: 'rejected',
+    drafts: 'draft',
+    discussion: 'discussion',
+    waiting: 'waiting',
+    voting: 'voting',
+    revealing: 'revealing',
+    cancelled: 'cancelled',
+    withdrawn: 'withdrawn'
+};
+
+/**
+ * 扫描并格式化全部提案后再筛选
+ */
+function listProposals(system, { status = null, creator = null } = {}) {
+    const statuses = status ? STATUS_GROUPS[status] || [].concat(status) : null;
+    const proposals = [];
+    for (const proposal of system.proposals.values()) {
+        if (creator && proposal.creator !== creator) continue;
+        if (!statuses || statuses.includes(proposal.status)) {
+            proposals.push(system.formatProposal(proposal));
+        }
+    }
+    return proposals;
+}
+
+/**
+ * 每个状态过滤一遍全部提案
+ */
+function consensusStats(system) {
+    const scoped = Array.from(system.proposals.values());
+    const counts = {};
+    for (const [key, status] of Object.entries(STAT_STATUSES)) {
+        counts[key] = scoped.filter(proposal => proposal.status === status).length;
+    }
+    return { totalProposals: scoped.length, ...counts, totalDecisions: system.decisions.size };
+}
+
+/**
+ * 遍历全部提案找最近的提醒或截止时间
+ */
+function nextDue(system) {
+    let next = null;
+    for (const proposal of system.proposals.values()) {
+        if (proposal.status === 'revealing') {
+            if (next === null || proposal.revealDeadline + 1 < next) {
+                next = proposal.revealDeadline + 1;
+            }
+            continue;
+        }
+        if (proposal.status !== 'voting') continue;
+
+        const times = [proposal.deadline + 1];
+        for (const reminder of proposal.reminders) {
+            if (reminder.sentAt === null) {
+                times.push(proposal.deadline - reminder.before);
+            }
+        }
+        for (const time of times) {
+            if (next === null || time < next) {
+                next = time;
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * 每个策略引擎实例从全部决策历史重新构建一致度模型
+ */
+function alignmentModel(system) {
+    return new AlignmentModel(system.consensusHistory.map(decision => ({
+        type: system.proposals.get(decision.proposalId)?.type,
+        ballots: (decision.results?.breakdown || []).filter(entry => entry.agentId)
+    })));
+}
+
+module.exports = { listProposals, consensusStats, nextDue, alignmentModel };
@@ -0,0 +1,87 @@
+/**
+ * 🏗️ 基准测试数据
+ * 大量Agent和提案（是/否、单选、多选、二次方投票轮换），每个提案有少量选票，
+ * 另有一个已有大量选票的热点提案；1% 的Agent设置了全局委托，每10个提案有1个按多数同意规则且很快截止（截止后产生决策）
+ * 相同参数总是生成相同的数据
+ */
+
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { createRng } = require('../lib/random');
+
+const TYPES = ['yesno', 'single', 'multi', 'quadratic'];
+const OPTIONS = ['A', 'B', 'C'];
+
+function randomVote(type, rng) {
+    const option = Math.floor(rng() * OPTIONS.length);
+    switch (type) {
+        case 'yesno':
+            return rng() < 0.5 ? 'yes' : 'no';
+        case 'multi':
+            return [option];
+        case 'quadratic':
+            return OPTIONS.map((name, index) => (index === option ? (rng() < 0.8 ? 1 : -1) : 0));
+        default:
+            return option;
+    }
+}
+
+/**
+ * options: { agents, proposals, ballots（每个提案的选票数）, hotBallots（热点提案的选票数）, seed }
+ * 返回 { system, clock, hot（热点提案ID）, nextAgent()（取一个还没给热点提案投票的Agent）, rng }
+ */
+function buildFixture({ agents = 10000, proposals = 10000, ballots = 5, hotBallots = 2000, seed = 1 } = {}) {
+    const rng = createRng(seed);
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    const agentId = index => `agent_${index}`;
+
+    system.registerAgent('admin', 'Admin', 'admin');
+    for (let i = 0; i < agents; i++) {
+        system.registerAgent(agentId(i), `Agent ${i}`, 'member', 1 + (i % 3) * 0.5);
+    }
+    for (let i = 0; i < agents; i += 100) {
+        system.delegateVote(agentId(i), agentId((i + 1) % agents));
+    }
+
+    const closing = [];
+    for (let p = 0; p < proposals; p++) {
+        const type = TYPES[p % TYPES.length];
+        const created = system.createProposal(agentId(p % agents), `提案 ${p}`, '', OPTIONS, type, {
+            duration: p % 10 === 0 ? 1000 : 3600000 + p * 1000,
+            reminders: [60000],
+            tags: [`tag_${p % 20}`],
+            ...(p % 10 === 0 ? { consensusRule: 'majority' } : {})
+        });
+        if (!created.success) {
+            throw new Error(created.error);
+        }
+        for (let b = 0; b < ballots; b++) {
+            system.vote(agentId(Math.floor(rng() * agents)), created.proposal.id, randomVote(type, rng));
+        }
+        if (p % 10 === 0) {
+            closing.push(system.proposals.get(created.proposal.id));
+        }
+    }
+
+    clock.advance(1001);
+    for (const proposal of closing) {
+        system.checkConsensus(proposal);
+    }
+
+    // 热点提案：按绝对多数规则，赞成和反对交替，不会提前结束
+    const hot = system.createProposal('admin', '热点提案', '', [], 'yesno', { duration: 7 * 24 * 3600000 }).proposal.id;
+    let voters = 0;
+    const nextAgent = () => {
+        if (voters >= agents) {
+            throw new Error('Agent 不够给热点提案投票，请增大 --agents 或减小 --hot');
+        }
+        return agentId(voters++);
+    };
+    for (let i = 0; i < hotBallots; i++) {
+        system.vote(nextAgent(), hot, i % 2 === 0 ? 'yes' : 'no');
+    }
+
+    return { system, clock, hot, nextAgent, rng };
+}
+
+module.exports = { buildFixture, randomVote };
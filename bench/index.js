@@ -0,0 +1,215 @@
+/**
+ * ⏱️ 性能基准
+ * 在大规模数据上对比增量计票 / 提案索引与全量扫描（重新计票、引入索引前的写法，见 baseline.js）
+ *
+ * 用法: node bench/index.js [--agents 10000] [--proposals 10000] [--ballots 5] [--hot 2000]
+ *                           [--iterations 200] [--seed 1] [--json]
+ */
+
+const assert = require('assert');
+const { buildFixture, randomVote } = require('./fixture');
+const baseline = require('./baseline');
+
+const DEFAULTS = { agents: 10000, proposals: 10000, ballots: 5, hot: 2000, iterations: 200, seed: 1 };
+
+// 每个场景每种实现最多运行的时间，避免全量扫描在大数据上跑太久
+const BUDGET_MS = 3000;
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (name === 'json') {
+            options.json = true;
+        } else if (name in DEFAULTS) {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`--${name} 必须是非负整数`);
+            }
+            options[name] = value;
+        } else {
+            throw new Error(`未知参数: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * 运行 fn 直到达到次数或时间预算，返回每次的平均毫秒数（先预热一次）
+ */
+function measure(fn, iterations) {
+    fn();
+    let runs = 0;
+    const start = process.hrtime.bigint();
+    let elapsed = 0;
+    while (runs < iterations && elapsed < BUDGET_MS) {
+        fn();
+        runs++;
+        elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    }
+    return elapsed / runs;
+}
+
+function elapsedSince(start) {
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * 场景: { name, before, after }，before 为对照实现（可为 null），after 为当前实现
+ */
+function scenarios(fixture) {
+    const { system, hot, rng } = fixture;
+    const hotProposal = system.proposals.get(hot);
+    const withMode = (incremental, fn) => () => {
+        system.config.incrementalTally = incremental;
+        try {
+            return fn();
+        } finally {
+            system.config.incrementalTally = true;
+        }
+    };
+    const castHotVote = () => system.vote(fixture.nextAgent(), hot, rng() < 0.5 ? 'yes' : 'no');
+    const creator = system.proposals.get('prop_1').creator;
+    const voting = () => system.queryProposals({ status: 'voting', limit: 50 });
+
+    return [
+        {
+            name: `投票（热点提案，${hotProposal.votes.size} 张选票起）`,
+            before: withMode(false, castHotVote),
+            after: withMode(true, castHotVote)
+        },
+        {
+            name: '评估热点提案共识',
+            before: withMode(false, () => system.evaluateConsensus(hotProposal)),
+            after: withMode(true, () => system.evaluateConsensus(hotProposal))
+        },
+        {
+            name: '投票中的提案（第一页50条）',
+            before: () => baseline.listProposals(system, { status: 'voting' }).slice(0, 50),
+            after: voting
+        },
+        {
+            name: '按创建者查询提案',
+            before: () => baseline.listProposals(system, { creator }),
+            after: () => system.queryProposals({ creator, limit: 50 })
+        },
+        {
+            name: '共识统计',
+            before: () => baseline.consensusStats(system),
+            after: () => system.getConsensusStats()
+        },
+        {
+            name: '下一个到期时间（调度器）',
+            before: () => baseline.nextDue(system),
+            after: () => system.proposalIndex.nextDue()
+        },
+        {
+            name: '一致度模型（策略引擎、群体分析）',
+            before: () => baseline.alignmentModel(system),
+            after: () => system.alignmentModel()
+        },
+        {
+            name: '决策历史（已通过，第一页20条）',
+            before: null,
+            after: () => system.queryDecisions({ result: 'accepted', limit: 20 })
+        },
+        {
+            name: '混合投票（随机提案）',
+            before: null,
+            after: () => {
+                const proposal = system.proposals.get(`prop_${1 + Math.floor(rng() * (system.proposalIdCounter - 1))}`);
+                system.vote(`agent_${Math.floor(rng() * fixture.agents)}`, proposal.id, randomVote(proposal.type, rng));
+            }
+        }
+    ];
+}
+
+/**
+ * 对照实现与当前实现的结果一致性检查
+ */
+function verify({ system, hot }) {
+    const hotProposal = system.proposals.get(hot);
+    system.config.incrementalTally = false;
+    const recounted = system.evaluateConsensus(hotProposal);
+    system.config.incrementalTally = true;
+    assert.deepStrictEqual(system.evaluateConsensus(hotProposal), recounted, '增量计票与重新计票结果不一致');
+
+    assert.strictEqual(system.proposalIndex.nextDue(), baseline.nextDue(system), '到期时间不一致');
+
+    const stats = system.getConsensusStats();
+    for (const [key, value] of Object.entries(baseline.consensusStats(system))) {
+        assert.strictEqual(stats[key], value, `统计 ${key} 不一致`);
+    }
+
+    assert.deepStrictEqual(system.alignmentModel().pairs, baseline.alignmentModel(system).pairs, '一致度模型不一致');
+
+    const page = system.queryProposals({ status: 'voting', limit: 50 }).proposals.map(proposal => proposal.id);
+    assert.deepStrictEqual(page, baseline.listProposals(system, { status: 'voting' }).slice(0, 50).map(proposal => proposal.id), '提案列表不一致');
+}
+
+function formatMs(ms) {
+    if (ms === null) return '-';
+    return ms >= 1 ? `${ms.toFixed(2)} ms` : `${(ms * 1000).toFixed(1)} µs`;
+}
+
+function run(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    const setupStart = process.hrtime.bigint();
+    const fixture = buildFixture({
+        agents: options.agents,
+        proposals: options.proposals,
+        ballots: options.ballots,
+        hotBallots: options.hot,
+        seed: options.seed
+    });
+    fixture.agents = options.agents;
+    const setupMs = elapsedSince(setupStart);
+
+    verify(fixture);
+
+    const results = scenarios(fixture).map(({ name, before, after }) => {
+        const beforeMs = before ? measure(before, options.iterations) : null;
+        const afterMs = measure(after, options.iterations);
+        return { name, beforeMs, afterMs, speedup: beforeMs === null ? null : beforeMs / afterMs };
+    });
+
+    verify(fixture);
+
+    const { system } = fixture;
+    const summary = {
+        agents: options.agents,
+        proposals: system.proposals.size,
+        votes: system.votes.size,
+        decisions: system.decisions.size,
+        setupMs: Math.round(setupMs),
+        heapMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+        results
+    };
+
+    if (options.json) {
+        console.log(JSON.stringify(summary, null, 2));
+        return summary;
+    }
+
+    console.log(`${summary.agents} 个Agent × ${summary.proposals} 个提案，${summary.votes} 张选票，${summary.decisions} 个决策`);
+    console.log(`准备数据 ${(setupMs / 1000).toFixed(1)} s，堆内存 ${summary.heapMB} MB\n`);
+    console.log('| 场景 | 全量扫描 | 增量/索引 | 提升 |');
+    console.log('| --- | --- | --- | --- |');
+    for (const result of results) {
+        const speedup = result.speedup === null ? '-' : `${result.speedup.toFixed(1)}×`;
+        console.log(`| ${result.name} | ${formatMs(result.beforeMs)} | ${formatMs(result.afterMs)} | ${speedup} |`);
+    }
+    console.log('\n结果一致性检查通过');
+    return summary;
+}
+
+if (require.main === module) {
+    try {
+        run();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { run, measure };
@@ -0,0 +1,1148 @@
+#!/usr/bin/env node
+/**
+ * 🖥️ 共识决策系统命令行工具
+ * 基于磁盘上的工作区状态文件操作 ConsensusDecisionSystem
+ *
+ * 用法: node cli.js <命令> [参数] [--workspace 文件] [--as agentId] [--json]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ConsensusDecisionSystem, AIConsensusStrategy } = require('./index.js');
+const { createSalt, createCommitment } = require('./lib/ballot');
+const { signAction, voteFields, commitFields } = require('./lib/signing');
+const { runSimulation, toCSV } = require('./simulation.js');
+const { analyticsToCSV, ANALYTICS_SECTIONS } = require('./lib/analytics');
+
+const DEFAULT_WORKSPACE = 'consensus-workspace.json';
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1, // 操作失败
+    USAGE: 2, // 命令或参数错误
+    NOT_FOUND: 3, // Agent、提案或委员会不存在
+    PERMISSION_DENIED: 4, // 权限不足
+    CONFLICT: 5, // 提案不在投票中或已截止
+    INVALID_INPUT: 6, // 投票或参数无效
+    WORKSPACE: 7 // 工作区文件读写失败
+};
+
+// 系统错误码 -> 退出码
+const EXIT_BY_CODE = {
+    AGENT_NOT_REGISTERED: EXIT_CODES.NOT_FOUND,
+    PROPOSAL_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+    PERMISSION_DENIED: EXIT_CODES.PERMISSION_DENIED,
+    PROPOSAL_NOT_OPEN: EXIT_CODES.CONFLICT,
+    DEADLINE_PASSED: EXIT_CODES.CONFLICT,
+    INVALID_VOTE: EXIT_CODES.INVALID_INPUT,
+    INVALID_ARGUMENT: EXIT_CODES.INVALID_INPUT,
+    HOOK_REJECTED: EXIT_CODES.INVALID_INPUT,
+    COMMITMENT_MISMATCH: EXIT_CODES.INVALID_INPUT,
+    INVALID_SIGNATURE: EXIT_CODES.PERMISSION_DENIED,
+    DELEGATION_CYCLE: EXIT_CODES.CONFLICT,
+    DISCUSSION_NOT_OVER: EXIT_CODES.CONFLICT,
+    INSUFFICIENT_COSPONSORS: EXIT_CODES.CONFLICT,
+    COMMITTEE_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+    DEPENDENCY_PENDING: EXIT_CODES.CONFLICT,
+    INSUFFICIENT_CREDITS: EXIT_CODES.INVALID_INPUT
+};
+
+const BOOLEAN_FLAGS = new Set(['json', 'help', 'anonymous', 'draft']);
+
+const USAGE = `用法: node cli.js <命令> [参数] [选项]
+
+命令:
+  agent register <agentId> <名称> [--role member|admin|observer] [--weight 1]
+                 [--public-key <Ed25519公钥PEM文件>]
+  proposal create --as <agentId> --title <标题> [--description <描述>]
+                  [--option <选项>]... [--type single|multi|ranked|yesno|quadratic|budget]
+                  [--budget <总预算>] [--aggregation mean|median]
+                  [--rule <共识规则>] [--threshold 0.6] [--duration <毫秒>]
+                  [--method irv|borda|schulze] [--ballot open|secret] [--anonymous]
+                  [--tag <标签>]... [--draft] [--discussion <最短讨论毫秒>]
+                  [--delphi <最多轮数>] [--drop-below 0.1] [--margin 0.1]
+                  [--committee <委员会ID>] [--depends-on <proposalId>[:<选项索引>]]...
+  proposal submit|cosponsor|open --as <agentId> <proposalId>
+                                                   提交草稿 / 联署 / 结束讨论开始投票
+  proposal amend --as <agentId> <proposalId> [--title] [--description] [--option]... [--reason]
+  proposal withdraw|cancel --as <agentId> <proposalId> [--reason <原因>]
+                                                   创建者撤回 / 管理员取消
+  escalate --as <agentId> <proposalId> [--reason <原因>]
+                                                   把委员会决策上报到上级委员会（或全体）重新表决
+  committee create|update --as <管理员> <委员会ID> [--name] [--description] [--parent <委员会ID>]
+                   [--threshold 0.6] [--quorum <人数或0~1比例>] [--rule <共识规则>]
+                   [--member <agentId>[:<权重>]]...
+  committee add --as <管理员> <委员会ID> <agentId> [--weight 1]   添加成员或修改成员权重
+  committee remove --as <管理员> <委员会ID> <agentId>
+  committee list | committee show <委员会ID>
+  vote --as <agentId> <proposalId> <投票> [--comment <评论>]
+                                                   二次方投票和预算分配的投票为数组，如 [3,0,-1]、[60,40,0]
+  credits [agentId]                                剩余的投票点数（二次方投票）
+  credits grant --as <管理员> <agentId> <点数>      发放投票点数，负数为收回
+  commit --as <agentId> <proposalId> <投票> [--salt <盐值>]   秘密投票提交承诺，输出盐值
+  reveal --as <agentId> <proposalId> <投票> --salt <盐值>     秘密投票揭示选票
+  comment --as <agentId> <proposalId> <内容> [--reply-to <commentId>] [--stance pro|con|neutral]
+          [--option <选项>]
+  react --as <agentId> <proposalId> <commentId> endorse|rebut|none
+                                                   认可 / 反驳论点，none 取消
+  thread <proposalId>                              讨论串
+  arguments <proposalId> [--limit 3]               各选项最强的支持和反对论点
+  delegate --as <agentId> <受托agentId> [--proposal <proposalId> | --tag <标签>]
+                                                   委托投票（默认全局）
+  undelegate --as <agentId> [--proposal <proposalId> | --tag <标签>]
+  delegations --as <agentId> [proposalId]          查看委托及对提案生效的委托链
+  trend <proposalId>                               各轮共识比例趋势（多轮审议）
+  actions <proposalId>                             决策动作的执行状态
+  status [proposalId] [--status open|closed|draft|discussion|waiting|voting|accepted|...] [--committee <委员会ID>]
+         [--creator <agentId>] [--tag <标签>] [--type <类型>] [--sort created|deadline] [--order asc|desc]
+         [--limit <条数>] [--offset 0]             提案列表，不指定 --limit 时列出全部
+  history [--limit 10] [--offset 0] [--result accepted|rejected|expired] [--committee <委员会ID>]
+          [--proposal <proposalId>] [--since <时间戳>] [--until <时间戳>] [--order desc|asc]
+  leaderboard [--sort reputation|participation|agreement] [--committee <委员会ID>]
+  stats [--committee <委员会ID>]
+  advise --as <agentId> [proposalId]               下一步行动、所需支持、预测结果和推荐选项
+  ledger verify                                    校验决策账本哈希链
+  analytics [--section agreement|blocs|polarization|influence|weighting] [--since <时间戳>]
+            [--until <时间戳>] [--threshold 0.7] [--window 5] [--committee <委员会ID>]
+            [--format json|csv] [--out <文件>]
+                                                   一致度矩阵、投票集团、极化、关键票和权重效应
+  simulate [--config <模拟配置JSON>] [--proposals 1000] [--seed 1] [--agents 7]
+           [--sweep <参数>=<值1>,<值2>]... [--out <文件>] [--format json|csv]
+                                                   用合成Agent评估阈值和权重，不修改工作区
+
+选项:
+  --key <文件>        用Ed25519私钥（PEM）为 proposal/vote/commit/comment/escalate 签名
+  --workspace <文件>  工作区状态文件（默认 $CONSENSUS_WORKSPACE 或 ./${DEFAULT_WORKSPACE}）
+  --json              以JSON输出
+  --help              显示帮助
+
+退出码: 0 成功, 1 操作失败, 2 用法错误, 3 不存在, 4 权限不足, 5 提案状态冲突, 6 输入无效, 7 工作区错误`;
+
+class UsageError extends Error {}
+
+/**
+ * 解析命令行参数，重复的 --key 收集为数组
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        let key = arg.slice(2);
+        let value;
+        const eq = key.indexOf('=');
+        if (eq !== -1) {
+            value = key.slice(eq + 1);
+            key = key.slice(0, eq);
+        } else if (BOOLEAN_FLAGS.has(key)) {
+            value = true;
+        } else {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+                throw new UsageError(`--${key} 缺少参数值`);
+            }
+            value = argv[++i];
+        }
+
+        flags[key] = key in flags ? [].concat(flags[key], value) : value;
+    }
+
+    return { positional, flags };
+}
+
+/**
+ * 投票参数: 能解析为JSON的按JSON（0、[0,2]、true），否则当作字符串（yes、选项文本）
+ */
+function parseVote(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return raw;
+    }
+}
+
+function delegationScope(flags) {
+    return {
+        proposalId: flags.proposal ? requireFlag(flags, 'proposal') : undefined,
+        tag: flags.tag ? requireFlag(flags, 'tag') : undefined
+    };
+}
+
+function requireFlag(flags, name) {
+    const value = flags[name];
+    if (value === undefined || value === true) {
+        throw new UsageError(`缺少 --${name}`);
+    }
+    return Array.isArray(value) ? value[value.length - 1] : value;
+}
+
+function toNumber(value, name) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new UsageError(`--${name} 必须是数字`);
+    }
+    return number;
+}
+
+/**
+ * 终端显示宽度（中日韩字符和表情按2列计算）
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        width += (code >= 0x1100 && (code <= 0x115f || (code >= 0x2e80 && code <= 0xa4cf)
+            || (code >= 0xac00 && code <= 0xd7a3) || (code >= 0xf900 && code <= 0xfaff)
+            || (code >= 0xfe30 && code <= 0xfe4f) || (code >= 0xff00 && code <= 0xff60)
+            || (code >= 0xffe0 && code <= 0xffe6) || code >= 0x1f300)) ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * 渲染表格: columns = [[标题, 取值函数]]
+ */
+function renderTable(rows, columns) {
+    if (rows.length === 0) {
+        return '(空)';
+    }
+
+    const cells = rows.map(row => columns.map(([, get]) => {
+        const value = get(row);
+        return value === undefined || value === null ? '-' : String(value);
+    }));
+    const headers = columns.map(([title]) => title);
+    const widths = headers.map((header, i) => Math.max(displayWidth(header), ...cells.map(line => displayWidth(line[i]))));
+    const pad = (text, i) => text + ' '.repeat(widths[i] - displayWidth(text));
+    const line = values => values.map(pad).join('  ').trimEnd();
+
+    return [line(headers), widths.map(width => '-'.repeat(width)).join('  '), ...cells.map(line)].join('\n');
+}
+
+/**
+ * 分页结果的页脚：有下一页或不是第一页时显示范围和下一页的 --offset
+ */
+function pageFooter({ total, offset, nextOffset, proposals, decisions }) {
+    const shown = (proposals || decisions).length;
+    if (nextOffset === null && offset === 0) {
+        return '';
+    }
+    const range = shown > 0 ? `第 ${offset + 1}-${offset + shown} 条，` : '';
+    return `\n\n${range}共 ${total} 条${nextOffset !== null ? `（下一页 --offset ${nextOffset}）` : ''}`;
+}
+
+function renderKeyValues(data) {
+    return Object.entries(data)
+        .map(([key, value]) => `${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+        .join('\n');
+}
+
+/**
+ * 渲染 AIConsensusStrategy.getVoteSuggestion 的结果
+ */
+function renderVoteSuggestion(suggestion) {
+    const lines = [`投票建议《${suggestion.proposal}》:`];
+    const { recommendation } = suggestion;
+    lines.push(`  推荐: ${recommendation.vote === null ? '-' : JSON.stringify(recommendation.vote)}（${recommendation.explanation}）`);
+
+    if (!suggestion.targets) {
+        return lines.join('\n');
+    }
+
+    lines.push(`  预测: ${suggestion.prediction.explanation}`);
+    lines.push('  各选项:');
+    for (const target of suggestion.targets) {
+        lines.push(`    ${target.explanation}`);
+    }
+    if (suggestion.undecided.length > 0) {
+        lines.push('  未投票:');
+        for (const agent of suggestion.undecided) {
+            lines.push(`    ${agent.name}（有效权重 ${agent.weight}）: ${agent.explanation}`);
+        }
+    }
+    for (const agent of suggestion.persuade) {
+        lines.push(`  可以争取: ${agent.name}（${agent.explanation}）`);
+    }
+    return lines.join('\n');
+}
+
+const proposalColumns = [
+    ['ID', p => p.id],
+    ['标题', p => p.title],
+    ['类型', p => p.type],
+    ['状态', p => p.status],
+    ['版本', p => p.version],
+    ['票数', p => p.voteCount],
+    ['规则', p => p.consensusRule],
+    ['截止', p => p.deadline]
+];
+
+/**
+ * 读取工作区，文件不存在时返回空系统
+ */
+function loadWorkspace(file) {
+    const system = new ConsensusDecisionSystem();
+    if (!fs.existsSync(file)) {
+        return system;
+    }
+
+    const result = system.restore(JSON.parse(fs.readFileSync(file, 'utf8')));
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return system;
+}
+
+/**
+ * 原子写入工作区
+ */
+function saveWorkspace(file, system) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(system.snapshot(), null, 2));
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * 执行命令，返回 { result, text, mutates }
+ */
+function execute(system, positional, flags) {
+    const [command, ...args] = positional;
+    const as = () => requireFlag(flags, 'as');
+    const sign = (action, agentId, fields) => {
+        if (!flags.key) return null;
+        let privateKey;
+        try {
+            privateKey = fs.readFileSync(requireFlag(flags, 'key'), 'utf8');
+        } catch (error) {
+            throw new UsageError(`无法读取私钥: ${error.message}`);
+        }
+        return signAction(privateKey, action, agentId, fields);
+    };
+
+    switch (command) {
+        case 'agent': {
+            if (args[0] !== 'register' || args.length < 3) {
+                throw new UsageError('用法: agent register <agentId> <名称> [--role] [--weight] [--public-key]');
+            }
+            let publicKey = null;
+            if (flags['public-key']) {
+                try {
+                    publicKey = fs.readFileSync(requireFlag(flags, 'public-key'), 'utf8');
+                } catch (error) {
+                    throw new UsageError(`无法读取公钥: ${error.message}`);
+                }
+            }
+            const result = system.registerAgent(
+                args[1], args[2], flags.role || 'member', toNumber(flags.weight, 'weight') || 1.0, publicKey
+            );
+            return { result, mutates: true, text: () => result.message };
+        }
+
+        case 'proposal': {
+            if (args[0] !== 'create') {
+                return executeLifecycle(system, args, flags, as);
+            }
+            const settings = {};
+            if (flags.rule) settings.consensusRule = flags.rule;
+            if (flags.threshold) settings.threshold = toNumber(flags.threshold, 'threshold');
+            if (flags.duration) settings.duration = toNumber(flags.duration, 'duration');
+            if (flags.method) settings.rankedMethod = flags.method;
+            if (flags.budget) settings.budget = toNumber(flags.budget, 'budget');
+            if (flags.aggregation) settings.aggregation = flags.aggregation;
+            if (flags.ballot) settings.ballot = flags.ballot;
+            if (flags.anonymous) settings.anonymous = true;
+            if (flags.tag) settings.tags = [].concat(flags.tag);
+            if (flags.draft) settings.draft = true;
+            if (flags.delphi) {
+                settings.delphi = {
+                    maxRounds: toNumber(flags.delphi, 'delphi'),
+                    dropBelow: toNumber(flags['drop-below'], 'drop-below'),
+                    margin: toNumber(flags.margin, 'margin')
+                };
+            }
+            if (flags.discussion) {
+                settings.discussion = true;
+                settings.minDiscussion = toNumber(flags.discussion, 'discussion');
+            }
+            if (flags.committee) settings.committee = requireFlag(flags, 'committee');
+            if (flags['depends-on']) {
+                settings.dependsOn = [].concat(flags['depends-on']).map(entry => {
+                    const [proposalId, option] = String(entry).split(':');
+                    return option === undefined ? proposalId : { proposalId, option: toNumber(option, 'depends-on') };
+                });
+            }
+
+            // 签名时附带随机数，同样内容的提案每次签名都不同，签名不能被重放
+            if (flags.key) settings.nonce = crypto.randomUUID();
+
+            const agentId = as();
+            const fields = {
+                title: requireFlag(flags, 'title'),
+                description: flags.description || '',
+                options: [].concat(flags.option || []),
+                type: flags.type || 'single',
+                settings
+            };
+            const result = system.createProposal(
+                agentId,
+                fields.title,
+                fields.description,
+                fields.options,
+                fields.type,
+                settings,
+                sign('proposal.create', agentId, fields)
+            );
+            return {
+                result,
+                mutates: true,
+                text: () => `${result.message}\n${renderTable([result.proposal], proposalColumns)}`
+            };
+        }
+
+        case 'escalate': {
+            if (args.length < 1) {
+                throw new UsageError('用法: escalate --as <agentId> <proposalId> [--reason <原因>]');
+            }
+            const agentId = as();
+            const reason = flags.reason || '';
+            const result = system.escalateDecision(
+                agentId, args[0], reason, sign('proposal.escalate', agentId, { proposalId: args[0], reason })
+            );
+            return {
+                result,
+                mutates: true,
+                text: () => `${result.message}\n${renderTable([result.proposal], proposalColumns)}`
+            };
+        }
+
+        case 'committee':
+            return executeCommittee(system, args, flags, as);
+
+        case 'vote': {
+            if (args.length < 2) {
+                throw new UsageError('用法: vote --as <agentId> <proposalId> <投票>');
+            }
+            const agentId = as();
+            const vote = parseVote(args[1]);
+            const comment = flags.comment || '';
+            const proposal = system.proposals.get(args[0]) || { id: args[0] };
+            const result = system.vote(agentId, args[0], vote, comment, sign('vote', agentId, voteFields(proposal, vote, comment)));
+            return {
+                result,
+                mutates: true,
+                text: () => `${result.message}\n${renderKeyValues({
+                    状态: result.proposal.status,
+                    达成共识: result.consensusStatus.reached,
+                    规则: result.consensusStatus.rule,
+                    原因: result.consensusStatus.reason
+                })}`
+            };
+        }
+
+        case 'commit': {
+            if (args.length < 2) {
+                throw new UsageError('用法: commit --as <agentId> <proposalId> <投票> [--salt <盐值>]');
+            }
+            // 盐值只输出给投票人，工作区里只保存承诺
+            const agentId = as();
+            const vote = parseVote(args[1]);
+            const salt = flags.salt || createSalt();
+            const commitment = createCommitment(args[0], agentId, vote, salt);
+            const proposal = system.proposals.get(args[0]) || { id: args[0] };
+            const result = system.commitVote(
+                agentId, args[0], commitment, sign('vote.commit', agentId, commitFields(proposal, commitment))
+            );
+            return {
+                result: result.success ? { ...result, salt } : result,
+                mutates: true,
+                text: () => `${result.message}\n盐值: ${salt}\n揭示阶段运行: node cli.js reveal --as ${agentId} ${args[0]} '${args[1]}' --salt ${salt}`
+            };
+        }
+
+        case 'reveal': {
+            if (args.length < 2) {
+                throw new UsageError('用法: reveal --as <agentId> <proposalId> <投票> --salt <盐值>');
+            }
+            const result = system.revealVote(as(), args[0], parseVote(args[1]), requireFlag(flags, 'salt'));
+            return {
+                result,
+                mutates: true,
+                text: () => `${result.message}\n${renderKeyValues({
+                    状态: result.proposal.status,
+                    达成共识: result.consensusStatus.reached,
+                    原因: result.consensusStatus.reason
+                })}`
+            };
+        }
+
+        case 'comment': {
+            if (args.length < 2) {
+                throw new UsageError('用法: comment --as <agentId> <proposalId> <内容>');
+            }
+            const agentId = as();
+            const comment = args.slice(1).join(' ');
+            const thread = {
+                parentId: flags['reply-to'] ? requireFlag(flags, 'reply-to') : undefined,
+                stance: flags.stance ? requireFlag(flags, 'stance') : undefined,
+                option: flags.option !== undefined ? parseVote(requireFlag(flags, 'option')) : undefined,
+                nonce: flags.key ? crypto.randomUUID() : undefined
+            };
+            const result = system.addComment(
+                agentId, args[0], comment, sign('comment', agentId, { proposalId: args[0], comment, ...thread }), thread
+            );
+            return { result, mutates: true, text: () => `评论已添加 (${result.commentId}): ${result.comment}` };
+        }
+
+        case 'react': {
+            if (args.length < 3) {
+                throw new UsageError('用法: react --as <agentId> <proposalId> <commentId> endorse|rebut|none');
+            }
+            const result = system.reactToComment(as(), args[0], args[1], args[2] === 'none' ? null : args[2]);
+            return { result, mutates: true, text: () => `${result.message}（强度 ${result.strength}）` };
+        }
+
+        case 'thread': {
+            if (args.length < 1) {
+                throw new UsageError('用法: thread <proposalId>');
+            }
+            const result = system.getCommentThread(args[0]);
+            const stanceIcons = { pro: '👍', con: '👎', neutral: '💬' };
+            const lines = [];
+            const walk = (nodes, depth) => {
+                for (const node of nodes) {
+                    const reactions = `+${node.reactions.endorse.length}/-${node.reactions.rebut.length}`;
+                    lines.push(`${'  '.repeat(depth)}${stanceIcons[node.stance]} [${node.id}] ${node.agentName}: ${node.comment} (${reactions}${node.source === 'vote' ? '，投票理由' : ''})`);
+                    walk(node.replies, depth + 1);
+                }
+            };
+            if (result.success) walk(result.thread, 0);
+            return { result, mutates: false, text: () => lines.join('\n') || '(空)' };
+        }
+
+        case 'arguments': {
+            if (args.length < 1) {
+                throw new UsageError('用法: arguments <proposalId> [--limit 3]');
+            }
+            const result = system.getArgumentSummary(args[0], toNumber(flags.limit, 'limit') || 3);
+            const describe = list => list.map(item => `${item.comment}（${item.agentName}，强度 ${item.strength}）`).join('；') || '-';
+            return {
+                result,
+                mutates: false,
+                text: () => result.arguments
+                    .map(target => `${target.label}\n  支持: ${describe(target.pro)}\n  反对: ${describe(target.con)}`)
+                    .join('\n')
+            };
+        }
+
+        case 'delegate': {
+            if (args.length < 1) {
+                throw new UsageError('用法: delegate --as <agentId> <受托agentId> [--proposal <proposalId> | --tag <标签>]');
+            }
+            const result = system.delegateVote(as(), args[0], delegationScope(flags));
+            return {
+                result,
+                mutates: true,
+                text: () => `${result.message}\n委托链: ${result.chain.join(' → ')}`
+            };
+        }
+
+        case 'undelegate': {
+            const result = system.revokeDelegation(as(), delegationScope(flags));
+            return { result, mutates: true, text: () => result.message };
+        }
+
+        case 'delegations': {
+            const view = system.getDelegations(as(), args[0] || null);
+            return {
+                result: { success: true, ...view },
+                mutates: false,
+                text: () => {
+                    const table = renderTable(view.delegations, [
+                        ['范围', d => d.scope],
+                        ['目标', d => d.target],
+                        ['受托人', d => d.delegate]
+                    ]);
+                    if (!view.effective) return table;
+                    const { chain, votedBy, cycle } = view.effective;
+                    const outcome = cycle ? '循环，不计入' : votedBy ? `由 ${votedBy} 投出` : '链上无人投票';
+                    return `${table}\n\n${args[0]}: ${chain.join(' → ')}（${outcome}）`;
+                }
+            };
+        }
+
+        case 'trend': {
+            if (args.length < 1) {
+                throw new UsageError('用法: trend <proposalId>');
+            }
+            const result = system.getConsensusTrend(args[0]);
+            const percent = value => `${(value * 100).toFixed(1)}%`;
+            return {
+                result,
+                mutates: false,
+                text: () => `阈值 ${percent(result.threshold)}，最多 ${result.maxRounds} 轮\n${renderTable(result.trend, [
+                    ['轮次', t => (t.inProgress ? `${t.round}（进行中）` : t.round)],
+                    ['票数', t => t.votes],
+                    ['支持率', t => percent(t.supportRatio)],
+                    ['变化', t => (t.change === null ? null : `${t.change > 0 ? '+' : ''}${percent(t.change)}`)],
+                    ['共识', t => (t.reached ? '✅' : '-')],
+                    ['淘汰选项', t => t.droppedOptions.join(',') || null]
+                ])}`
+            };
+        }
+
+        case 'actions': {
+            if (args.length < 1) {
+                throw new UsageError('用法: actions <proposalId>');
+            }
+            const result = system.getActionExecutions(args[0]);
+            return {
+                result,
+                mutates: false,
+                text: () => renderTable(result.executions, [
+                    ['ID', e => e.id],
+                    ['决策', e => e.decisionId],
+                    ['动作', e => e.action],
+                    ['状态', e => e.status],
+                    ['尝试', e => e.attempts],
+                    ['错误', e => e.error || (e.rollback && e.rollback.error)],
+                    ['完成', e => (e.finishedAt ? new Date(e.finishedAt).toISOString() : null)]
+                ])
+            };
+        }
+
+        case 'status': {
+            if (args.length === 0) {
+                const committeeId = flags.committee ? requireFlag(flags, 'committee') : null;
+                if (committeeId && !system.committees.has(committeeId)) {
+                    return { result: committeeNotFound(committeeId), mutates: false };
+                }
+                // 不指定 --limit 时列出全部
+                const page = system.queryProposals({
+                    status: flags.status || null,
+                    committee: committeeId,
+                    creator: flags.creator ? requireFlag(flags, 'creator') : null,
+                    tag: flags.tag ? requireFlag(flags, 'tag') : null,
+                    type: flags.type ? requireFlag(flags, 'type') : null,
+                    sort: flags.sort ? requireFlag(flags, 'sort') : undefined,
+                    order: flags.order ? requireFlag(flags, 'order') : undefined,
+                    limit: toNumber(flags.limit, 'limit') ?? null,
+                    offset: toNumber(flags.offset, 'offset')
+                });
+                if (!page.success) {
+                    return { result: page, mutates: false };
+                }
+                return {
+                    result: page,
+                    mutates: false,
+                    text: () => renderTable(page.proposals, proposalColumns) + pageFooter(page)
+                };
+            }
+
+            const proposal = system.proposals.get(args[0]);
+            if (!proposal) {
+                return { result: { success: false, error: '提案不存在', code: 'PROPOSAL_NOT_FOUND' }, mutates: false };
+            }
+            // 检查共识可能让已截止的提案结束，因此需要保存
+            const consensusStatus = system.checkConsensus(proposal);
+            const formatted = system.formatProposal(proposal);
+            return {
+                result: { success: true, proposal: formatted, consensusStatus },
+                mutates: true,
+                text: () => `${renderKeyValues(formatted)}\n\n${renderKeyValues(consensusStatus)}`
+            };
+        }
+
+        case 'history': {
+            const committeeId = flags.committee ? requireFlag(flags, 'committee') : null;
+            if (committeeId && !system.committees.has(committeeId)) {
+                return { result: committeeNotFound(committeeId), mutates: false };
+            }
+            const page = system.queryDecisions({
+                result: flags.result ? requireFlag(flags, 'result') : null,
+                committee: committeeId,
+                proposalId: flags.proposal ? requireFlag(flags, 'proposal') : null,
+                since: toNumber(flags.since, 'since'),
+                until: toNumber(flags.until, 'until'),
+                order: flags.order ? requireFlag(flags, 'order') : undefined,
+                limit: toNumber(flags.limit, 'limit') || 10,
+                offset: toNumber(flags.offset, 'offset')
+            });
+            if (!page.success) {
+                return { result: page, mutates: false };
+            }
+            return {
+                result: page,
+                mutates: false,
+                text: () => renderTable(page.decisions, [
+                    ['决策', d => d.id],
+                    ['提案', d => d.proposalId],
+                    ['标题', d => d.title],
+                    ['结果', d => d.result],
+                    ['获胜选项', d => (d.winningOptions || []).join(', ')],
+                    ['时间', d => new Date(d.decidedAt).toISOString()]
+                ]) + pageFooter(page)
+            };
+        }
+
+        case 'leaderboard': {
+            const committeeId = flags.committee ? requireFlag(flags, 'committee') : null;
+            if (committeeId && !system.committees.has(committeeId)) {
+                return { result: committeeNotFound(committeeId), mutates: false };
+            }
+            const leaderboard = system.getLeaderboard(flags.sort || 'reputation', committeeId);
+            return {
+                result: { success: true, leaderboard },
+                mutates: false,
+                text: () => renderTable(leaderboard, [
+                    ['#', a => a.rank],
+                    ['ID', a => a.id],
+                    ['名称', a => a.name],
+                    ['角色', a => a.role],
+                    ['权重', a => a.weight],
+                    ['声誉', a => a.reputation.toFixed(1)],
+                    ['参与', a => a.participatedDecisions],
+                    ['一致率', a => a.agreementRate]
+                ])
+            };
+        }
+
+        case 'credits': {
+            if (args[0] === 'grant') {
+                if (args.length < 3) {
+                    throw new UsageError('用法: credits grant --as <管理员> <agentId> <点数>');
+                }
+                const amount = Number(args[2]);
+                if (!Number.isFinite(amount)) {
+                    throw new UsageError('投票点数必须是数字');
+                }
+                const result = system.grantCredits(as(), args[1], amount);
+                return { result, mutates: true, text: () => result.message };
+            }
+            if (args[0] && !system.agents.has(args[0])) {
+                return { result: { success: false, error: 'Agent未注册', code: 'AGENT_NOT_REGISTERED' }, mutates: false };
+            }
+            const credits = (args[0] ? [system.agents.get(args[0])] : Array.from(system.agents.values()))
+                .map(agent => ({ id: agent.id, name: agent.name, credits: system.getCredits(agent.id) }));
+            return {
+                result: { success: true, credits },
+                mutates: false,
+                text: () => renderTable(credits, [
+                    ['ID', a => a.id],
+                    ['名称', a => a.name],
+                    ['投票点数', a => a.credits]
+                ])
+            };
+        }
+
+        case 'ledger': {
+            if (args[0] !== 'verify') {
+                throw new UsageError('用法: ledger verify');
+            }
+            const ledger = system.verifyLedger();
+            return {
+                result: ledger.valid
+                    ? { success: true, ledger }
+                    : { success: false, error: `账本第 ${ledger.firstInvalid.index} 条记录校验失败: ${ledger.firstInvalid.reason}`, ledger },
+                mutates: false,
+                text: () => `✅ 决策账本完整，共 ${ledger.length} 条记录`
+            };
+        }
+
+        case 'stats': {
+            const committeeId = flags.committee ? requireFlag(flags, 'committee') : null;
+            if (committeeId && !system.committees.has(committeeId)) {
+                return { result: committeeNotFound(committeeId), mutates: false };
+            }
+            const stats = system.getConsensusStats(committeeId);
+            return { result: { success: true, stats }, mutates: false, text: () => renderKeyValues(stats) };
+        }
+
+        case 'advise': {
+            const agentId = as();
+            if (!system.agents.has(agentId)) {
+                return { result: { success: false, error: 'Agent未注册', code: 'AGENT_NOT_REGISTERED' }, mutates: false };
+            }
+            const strategy = new AIConsensusStrategy(system, agentId);
+            const nextAction = strategy.getNextAction();
+            const proposalId = args[0] || nextAction.proposalId;
+            const voteSuggestion = proposalId ? strategy.getVoteSuggestion(proposalId) : null;
+            return {
+                result: { success: !(voteSuggestion && voteSuggestion.error), nextAction, voteSuggestion, error: voteSuggestion && voteSuggestion.error },
+                mutates: true,
+                text: () => [
+                    `下一步行动: ${nextAction.action}${nextAction.proposalId ? ` ${nextAction.proposalId}《${nextAction.title}》` : ''}${nextAction.urgency ? `（${nextAction.urgency}）` : ''}`,
+                    `  ${nextAction.explanation}`,
+                    ...(voteSuggestion ? ['', renderVoteSuggestion(voteSuggestion)] : [])
+                ].join('\n')
+            };
+        }
+
+        case 'analytics':
+            return executeAnalytics(system, flags);
+
+        case 'simulate':
+            return executeSimulation(flags);
+
+        default:
+            throw new UsageError(command ? `未知命令: ${command}` : '缺少命令');
+    }
+}
+
+/**
+ * 运行CLI，返回退出码
+ */
+/**
+ * proposal submit / cosponsor / amend / open / withdraw / cancel
+ */
+function executeLifecycle(system, args, flags, as) {
+    const [action, proposalId] = args;
+    if (!proposalId) {
+        throw new UsageError('用法: proposal submit|cosponsor|amend|open|withdraw|cancel --as <agentId> <proposalId>');
+    }
+    const agentId = as();
+
+    let result;
+    switch (action) {
+        case 'submit':
+            result = system.submitProposal(agentId, proposalId);
+            break;
+        case 'cosponsor':
+            result = system.cosponsorProposal(agentId, proposalId);
+            break;
+        case 'amend': {
+            const changes = {};
+            if (flags.title) changes.title = requireFlag(flags, 'title');
+            if (flags.description) changes.description = requireFlag(flags, 'description');
+            if (flags.option) changes.options = [].concat(flags.option);
+            result = system.amendProposal(agentId, proposalId, changes, flags.reason || '');
+            break;
+        }
+        case 'open':
+            result = system.openVoting(agentId, proposalId);
+            break;
+        case 'withdraw':
+            result = system.withdrawProposal(agentId, proposalId, flags.reason || '');
+            break;
+        case 'cancel':
+            result = system.cancelProposal(agentId, proposalId, flags.reason || '');
+            break;
+        default:
+            throw new UsageError(`未知的提案操作: ${action}`);
+    }
+
+    return {
+        result,
+        mutates: true,
+        text: () => `${result.message}\n${renderTable([result.proposal], proposalColumns)}`
+    };
+}
+
+const committeeNotFound = committeeId => ({ success: false, error: `委员会不存在: ${committeeId}`, code: 'COMMITTEE_NOT_FOUND' });
+
+const committeeColumns = [
+    ['ID', c => c.id],
+    ['名称', c => c.name],
+    ['上级', c => c.parentId],
+    ['阈值', c => c.threshold],
+    ['法定人数', c => c.quorum],
+    ['规则', c => c.consensusRule],
+    ['成员', c => c.members.length],
+    ['提案', c => c.proposals]
+];
+
+/**
+ * 委员会详情：设置 + 成员表
+ */
+function renderCommittee(committee) {
+    const { members, ...settings } = committee;
+    return `${renderKeyValues(settings)}\n\n${renderTable(members, [
+        ['Agent', m => m.agentId],
+        ['名称', m => m.name],
+        ['委员会权重', m => m.weight],
+        ['有效权重', m => m.effectiveWeight],
+        ['加入时间', m => new Date(m.joinedAt).toISOString()]
+    ])}`;
+}
+
+/**
+ * committee create / update / add / remove / list / show
+ */
+function executeCommittee(system, args, flags, as) {
+    const [action, committeeId, agentId] = args;
+
+    if (action === 'list') {
+        const committees = system.listCommittees();
+        return {
+            result: { success: true, committees },
+            mutates: false,
+            text: () => renderTable(committees, committeeColumns)
+        };
+    }
+
+    if (!committeeId) {
+        throw new UsageError('用法: committee create|update|add|remove|show <委员会ID>');
+    }
+
+    let result;
+    switch (action) {
+        case 'show':
+            result = system.getCommittee(committeeId);
+            return { result, mutates: false, text: () => renderCommittee(result.committee) };
+        case 'create':
+        case 'update': {
+            const settings = {};
+            if (flags.name) settings.name = requireFlag(flags, 'name');
+            if (flags.description) settings.description = requireFlag(flags, 'description');
+            if (flags.parent) settings.parentId = requireFlag(flags, 'parent');
+            if (flags.threshold) settings.threshold = toNumber(flags.threshold, 'threshold');
+            if (flags.quorum) settings.quorum = toNumber(flags.quorum, 'quorum');
+            if (flags.rule) settings.consensusRule = requireFlag(flags, 'rule');
+            if (action === 'update') {
+                if (flags.member) {
+                    throw new UsageError('修改成员请用 committee add / remove');
+                }
+                result = system.updateCommittee(as(), committeeId, settings);
+                break;
+            }
+            settings.members = [].concat(flags.member || []).map(entry => {
+                const [memberId, weight] = String(entry).split(':');
+                return { agentId: memberId, weight: weight === undefined ? 1 : toNumber(weight, 'member') };
+            });
+            result = system.createCommittee(as(), committeeId, settings);
+            break;
+        }
+        case 'add':
+        case 'remove':
+            if (!agentId) {
+                throw new UsageError(`用法: committee ${action} --as <管理员> <委员会ID> <agentId>`);
+            }
+            result = action === 'add'
+                ? system.setCommitteeMember(as(), committeeId, agentId, toNumber(flags.weight, 'weight') || 1)
+                : system.removeCommitteeMember(as(), committeeId, agentId);
+            break;
+        default:
+            throw new UsageError(`未知的委员会操作: ${action}`);
+    }
+
+    return {
+        result,
+        mutates: true,
+        text: () => `${result.message}\n${renderCommittee(result.committee)}`
+    };
+}
+
+/**
+ * analytics：群体分析摘要，--section 与 --format csv 导出单个部分
+ */
+function executeAnalytics(system, flags) {
+    const section = flags.section ? requireFlag(flags, 'section') : null;
+    if (section && !ANALYTICS_SECTIONS.includes(section)) {
+        throw new UsageError(`--section 必须是 ${ANALYTICS_SECTIONS.join('|')}`);
+    }
+    const format = flags.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+        throw new UsageError('--format 必须是 json 或 csv');
+    }
+    if (format === 'csv' && !section) {
+        throw new UsageError('导出 CSV 需要指定 --section');
+    }
+
+    const committee = flags.committee ? requireFlag(flags, 'committee') : null;
+    if (committee && !system.committees.has(committee)) {
+        return { result: committeeNotFound(committee), mutates: false };
+    }
+
+    const analytics = system.getAnalytics({
+        committee,
+        since: toNumber(flags.since, 'since'),
+        until: toNumber(flags.until, 'until'),
+        blocThreshold: toNumber(flags.threshold, 'threshold'),
+        window: toNumber(flags.window, 'window')
+    });
+    const exported = section
+        ? (format === 'csv' ? analyticsToCSV(analytics, section) : `${JSON.stringify(analytics[section], null, 2)}\n`)
+        : `${JSON.stringify(analytics, null, 2)}\n`;
+    if (flags.out) {
+        fs.writeFileSync(requireFlag(flags, 'out'), exported);
+    }
+
+    const summary = () => {
+        const { blocs, polarization, influence, weighting } = analytics;
+        return [
+            `分析 ${analytics.decisions} 个决策`,
+            `投票集团（一致度 ≥ ${blocs.threshold}）:`,
+            ...(blocs.blocs.length > 0
+                ? blocs.blocs.map(bloc => `  ${bloc.id}: ${bloc.members.join(', ')}（内部一致度 ${bloc.cohesion}）`)
+                : ['  (无)']),
+            ...(blocs.independents.length > 0 ? [`  独立: ${blocs.independents.join(', ')}`] : []),
+            `极化指数: 平均 ${polarization.average ?? '-'}，最近 ${polarization.window} 个决策 ${polarization.recent ?? '-'}`,
+            '影响力:',
+            renderTable(influence, [
+                ['Agent', item => item.agentId],
+                ['参与', item => item.participated],
+                ['关键票', item => item.pivotal],
+                ['关键票比例', item => `${(item.pivotalRate * 100).toFixed(1)}%`]
+            ]),
+            `权重改变结果: ${weighting.changed.length}/${weighting.checked}`,
+            ...weighting.changed.map(item => `  ${item.proposalId}《${item.title}》${item.explanation}`)
+        ].join('\n');
+    };
+
+    return {
+        result: { success: true, analytics },
+        mutates: false,
+        text: () => {
+            if (flags.out) {
+                return `${section ? `${section} ` : ''}分析结果已写入 ${flags.out}`;
+            }
+            return section ? exported.trimEnd() : summary();
+        }
+    };
+}
+
+/**
+ * simulate：不读写工作区中的提案，按配置文件和选项运行模拟
+ */
+function executeSimulation(flags) {
+    let spec = {};
+    if (flags.config) {
+        const file = requireFlag(flags, 'config');
+        try {
+            spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new UsageError(`无法读取模拟配置 ${file}: ${error.message}`);
+        }
+    }
+    if (flags.proposals !== undefined) spec.proposals = toNumber(requireFlag(flags, 'proposals'), 'proposals');
+    if (flags.seed !== undefined) spec.seed = toNumber(requireFlag(flags, 'seed'), 'seed');
+    if (flags.agents !== undefined) spec.agents = toNumber(requireFlag(flags, 'agents'), 'agents');
+
+    for (const entry of [].concat(flags.sweep || [])) {
+        const [parameter, values] = String(entry).split('=');
+        if (!parameter || !values) {
+            throw new UsageError('--sweep 格式: <参数>=<值1>,<值2>,...');
+        }
+        spec.sweep = {
+            ...spec.sweep,
+            [parameter]: values.split(',').map(value => (value !== '' && Number.isFinite(Number(value)) ? Number(value) : value))
+        };
+    }
+
+    const format = flags.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+        throw new UsageError('--format 必须是 json 或 csv');
+    }
+
+    let report;
+    try {
+        report = runSimulation(spec);
+    } catch (error) {
+        return { result: { success: false, error: error.message, code: 'INVALID_ARGUMENT' }, mutates: false };
+    }
+
+    if (flags.out) {
+        fs.writeFileSync(requireFlag(flags, 'out'), format === 'csv' ? toCSV(report) : `${JSON.stringify(report, null, 2)}\n`);
+    }
+
+    const row = (parameter, value, metrics) => ({ parameter, value, ...metrics });
+    const rows = [
+        row('baseline', '', report.baseline),
+        ...Object.entries(report.sensitivity).flatMap(([parameter, { rows: values }]) => values.map(item => row(parameter, item.value, item)))
+    ];
+    const asPercent = value => (value === null ? null : `${(value * 100).toFixed(1)}%`);
+
+    return {
+        result: { success: true, report },
+        mutates: false,
+        text: () => [
+            `模拟 ${report.proposals} 个提案（种子 ${report.seed}，${report.agents.reduce((sum, group) => sum + group.count, 0)} 个Agent）`,
+            renderTable(rows, [
+                ['参数', item => item.parameter],
+                ['取值', item => item.value],
+                ['通过率', item => asPercent(item.acceptanceRate)],
+                ['过期率', item => asPercent(item.expiryRate)],
+                ['共识用时中位数', item => item.timeToConsensus.median],
+                ['P90', item => item.timeToConsensus.p90],
+                ['参与率', item => asPercent(item.turnout)],
+                ['少数被否决', item => asPercent(item.overruledRate)],
+                ['被否决权重', item => asPercent(item.overruledShare)],
+                ['偏离真实多数', item => asPercent(item.sincereWinnerLost)]
+            ]),
+            ...(flags.out ? [`报告已写入 ${flags.out}`] : [])
+        ].join('\n')
+    };
+}
+
+function run(argv, io ={ stdout: process.stdout, stderr: process.stderr, env: process.env }) {
+    const env = io.env || {};
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const { positional, flags } = parsed;
+    if (flags.help || positional.length === 0) {
+        io.stdout.write(`${USAGE}\n`);
+        return flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const workspace = path.resolve(flags.workspace || env.CONSENSUS_WORKSPACE || DEFAULT_WORKSPACE);
+
+    let system;
+    try {
+        system = loadWorkspace(workspace);
+    } catch (error) {
+        io.stderr.write(`无法读取工作区 ${workspace}: ${error.message}\n`);
+        return EXIT_CODES.WORKSPACE;
+    }
+
+    let outcome;
+    try {
+        outcome = execute(system, positional, flags);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return EXIT_CODES.USAGE;
+        }
+        throw error;
+    }
+
+    const { result } = outcome;
+    if (result.success && outcome.mutates) {
+        try {
+            saveWorkspace(workspace, system);
+        } catch (error) {
+            io.stderr.write(`无法写入工作区 ${workspace}: ${error.message}\n`);
+            return EXIT_CODES.WORKSPACE;
+        }
+    }
+
+    if (flags.json) {
+        io.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (result.success) {
+        io.stdout.write(`${outcome.text()}\n`);
+    } else {
+        io.stderr.write(`❌ ${result.error}${result.code ? ` (${result.code})` : ''}\n`);
+    }
+
+    if (result.success) {
+        return EXIT_CODES.OK;
+    }
+    return EXIT_BY_CODE[result.code] || EXIT_CODES.FAILED;
+}
+
+module.exports = { run, parseArgs, EXIT_CODES };
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
@@ -5,9 +5,76 @@
  * 帮助多个AI Agent就某个问题达成共识和做出集体决策
  */
 
+const { RANKED_METHODS, tallyRanked } = require('./lib/ranked');
+const { BUILTIN_RULES, SUPPORT_NEEDED, SETTLED, normalizeRuleResult } = require('./lib/consensus-rules');
+const { createRng, shuffle } = require('./lib/random');
+const { ReputationEngine } = require('./lib/reputation');
+const { ERROR_CODES, ROLES, ACTIONS, buildPermissionTable } = require('./lib/permissions');
+const {
+    EventStore,
+    MemoryBackend,
+    JsonLinesFileBackend,
+    serializeProposal,
+    deserializeProposal,
+    idNumber
+} = require('./lib/storage');
+const { systemClock, ManualClock } = require('./lib/clock');
+const { DeadlineScheduler } = require('./lib/scheduler');
+const { EventBus } = require('./lib/events');
+const { BALLOT_MODES, createSalt, createCommitment, verifyCommitment } = require('./lib/ballot');
+const { canonicalize, voteFields, commitFields, normalizePublicKey, signAction, verifyAction } = require('./lib/signing');
+const { DecisionLedger } = require('./lib/ledger');
+const { DelegationRegistry, scopeOf } = require('./lib/delegation');
+const { CommitteeRegistry, validateCommitteeSettings } = require('./lib/committees');
+const { STANCES, REACTIONS, buildThread, setReaction, argumentStrength, summarizeArguments } = require('./lib/argumentation');
+const { AlignmentModel, percentile, median } = require('./lib/forecast');
+const { DriverManager, createProviderDriver, MockProvider } = require('./lib/drivers');
+const { agreementMatrix, detectBlocs, polarizationIndex, polarizationTrend } = require('./lib/analytics');
+const { ActionRunner, ACTION_TRIGGERS } = require('./lib/actions');
+const { quadraticCost, validateQuadraticBallot, tallyQuadratic } = require('./lib/quadratic');
+const { BUDGET_AGGREGATIONS, validateAllocation, aggregateBudget } = require('./lib/budget');
+const { IncrementalTally, INCREMENTAL_TYPES, roundWeight } = require('./lib/tally');
+const { ProposalIndex } = require('./lib/proposal-index');
+
+// 支持前置钩子的操作
+const HOOK_ACTIONS = ['agent.register', 'proposal.create', 'vote', 'comment'];
+
+const TIE_BREAK_POLICIES = ['creator', 'random', 'runoff'];
+
+// 选票是各选项数量数组的提案类型：二次方投票的票数、预算分配的金额
+const ALLOCATION_TYPES = ['quadratic', 'budget'];
+
+// 提案状态分组，listProposals 可以按分组筛选
+const PROPOSAL_STATUS_GROUPS = {
+    open: ['draft', 'discussion', 'waiting', 'voting', 'revealing'],
+    closed: ['accepted', 'rejected', 'expired', 'cancelled', 'withdrawn']
+};
+
+// 分页查询的默认每页条数和排序方式
+const DEFAULT_PAGE_SIZE = 50;
+const PROPOSAL_SORTS = ['created', 'deadline'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+// 改变投票资格或投票权重的事件，之后有资格Agent缓存和增量计票按新名册重建
+const ROSTER_EVENTS = ['agent.registered', 'agent.updated', 'agent.removed', 'committee.created', 'committee.updated', 'committee.memberRemoved'];
+
+// 系统自身发起的操作（如决选提案）不需要Agent签名
+const SYSTEM_SIGNATURE = Symbol('system');
+
+// 加权票数比较时容忍浮点误差
+const sameWeight = (a, b) => Math.abs(a - b) < 1e-9;
+
+// 策略建议中的权重和比例保留两位小数
+const twoDecimals = value => Number(value.toFixed(2));
+const percent = ratio => (ratio * 100).toFixed(1) + '%';
+
 class ConsensusDecisionSystem {
     constructor(config = {}) {
         this.name = config.name || '🎯 共识决策系统';
+        this.clock = config.clock || systemClock; // 可注入时钟，测试时使用 ManualClock
+        this.scheduler = null; // 截止时间调度器，startScheduler() 后启用
+        this.eventBus = new EventBus({ now: () => this.now() }); // 生命周期事件
+        this.hooks = new Map(); // 操作 -> 前置钩子列表
         this.agents = new Map(); // Agent注册表
         this.proposals = new Map(); // 提案存储
         this.decisions = new Map(); // 决策记录
@@ -18,30 +85,101 @@ class ConsensusDecisionSystem {
         this.config = {
             minAgents: config.minAgents || 2,
             voteDeadline: config.voteDeadline || 300000, // 5分钟默认
+            reminders: config.reminders || [], // 默认在截止前多少毫秒提醒
             consensusThreshold: config.consensusThreshold || 0.6, // 60%同意
             requireVeto: config.requireVeto || false,
+            rankedMethod: config.rankedMethod || 'irv', // 排序投票默认计票方法
+            // 默认共识规则：开启否决权时为 veto，否则为 supermajority
+            consensusRule: config.consensusRule || (config.requireVeto ? 'veto' : 'supermajority'),
+            tieBreak: config.tieBreak || 'creator', // 平票处理：creator/random/runoff
+            tieBreakSeed: config.tieBreakSeed, // random 平票抽签种子，默认为提案ID
+            revealWindow: config.revealWindow || 60000, // 秘密投票揭示阶段时长
+            requireSignatures: config.requireSignatures || false, // 所有Agent都必须注册公钥并签名
+            minDiscussion: config.minDiscussion || 0, // 讨论阶段最短时长，大于0时新提案先进入讨论
+            minCosponsors: config.minCosponsors || 0, // 开始投票前需要的联署人数
+            voiceCredits: config.voiceCredits ?? 100, // 二次方投票的初始投票点数
+            incrementalTally: config.incrementalTally ?? true // 增量计票和有资格Agent缓存，false 时每次重新扫描
         };
         
+        this.consensusRules = new Map(Object.entries(BUILTIN_RULES)); // 共识规则注册表
+        this.reputationEngine = new ReputationEngine(config.reputation); // 声誉引擎
+        this.permissions = buildPermissionTable(config.permissions); // 角色 -> 允许的操作
+        this.auditLog = []; // 管理操作审计记录
+        this.ledger = new DecisionLedger(); // 决策哈希链账本
+        this.delegations = new DelegationRegistry(); // 投票委托
+        this.committees = new CommitteeRegistry(); // 委员会
+        this.drivers = new DriverManager(this, config.drivers); // 自动投票驱动，不随快照保存
+        this.actions = new ActionRunner(this, config.actions); // 决策动作处理器，不随快照保存
+        this.executions = new Map(); // 动作执行记录
+        this.proposalIndex = new ProposalIndex(); // 按状态/创建者/委员会/到期时间的提案索引
+        this.tallies = new WeakMap(); // 选票 Map -> IncrementalTally，提案换了新的选票 Map 时自然失效
+        this.eligibilityCache = new Map(); // 委员会ID（全体为 ''）-> { version, agents, ids, weight }
+        this.rosterVersion = 0; // 名册版本，ROSTER_EVENTS 发生时递增
+        this.usedSignatures = new Set(); // 已用过的提案和评论签名，防止重放
+        this.alignment = null; // { history, count, model }：决策历史上的一致度模型，见 alignmentModel()
+        
         this.proposalIdCounter = 1;
         this.decisionIdCounter = 1;
+        this.executionIdCounter = 1;
+        
+        // 事件日志：config.storage 为存储后端（MemoryBackend / JsonLinesFileBackend）
+        this.eventStore = config.storage ? new EventStore(config.storage) : null;
+        this.replaying = false;
+        if (this.eventStore) {
+            this.replay(this.eventStore.readAll());
+        }
     }
 
     /**
      * 注册Agent
+     * publicKey: Ed25519 公钥（PEM 或 KeyObject），注册后该Agent的投票、提案和评论都需要签名
      */
-    registerAgent(agentId, agentName, role = 'member', weight = 1.0) {
+    registerAgent(agentId, agentName, role = 'member', weight = 1.0, publicKey = null) {
+        const ctx = { action: 'agent.register', agentId, agentName, role, weight, publicKey };
+        const rejected = this.runHooks(ctx);
+        if (rejected) {
+            return rejected;
+        }
+        ({ agentId, agentName, role, weight, publicKey } = ctx);
+        
+        if (!ROLES.includes(role)) {
+            return { success: false, error: `未知的角色: ${role}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (typeof weight !== 'number' || !(weight > 0) || !Number.isFinite(weight)) {
+            return { success: false, error: '权重必须为正数', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (!publicKey && this.config.requireSignatures) {
+            return { success: false, error: '需要注册 Ed25519 公钥', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        let publicKeyPem = null;
+        if (publicKey) {
+            try {
+                publicKeyPem = normalizePublicKey(publicKey);
+            } catch (error) {
+                return { success: false, error: `公钥无效: ${error.message}`, code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+        }
+        
         this.agents.set(agentId, {
             id: agentId,
             name: agentName,
             role, // member/admin/observer
             weight, // 投票权重
-            reputation: 100,
+            publicKey: publicKeyPem, // Ed25519 公钥（SPKI PEM）
+            reputation: this.reputationEngine.options.baseline,
             participatedDecisions: 0,
             agreedDecisions: 0,
             disagreedDecisions: 0,
-            joinedAt: Date.now()
+            credits: this.config.voiceCredits, // 二次方投票剩余的投票点数
+            joinedAt: this.now()
         });
         
+        this.recordEvent('agent.registered', { agent: this.agents.get(agentId) });
+        this.emit('agent.registered', { agent: this.agents.get(agentId) });
+        
         return {
             success: true,
             message: `Agent ${agentName} (${agentId}) 注册成功`,
@@ -51,10 +189,145 @@ class ConsensusDecisionSystem {
 
     /**
      * 创建提案
+     * settings.rankedMethod: 排序提案的计票方法 irv/borda/schulze
+     * settings.consensusRule: 共识规则 majority/supermajority/unanimity/veto 或自定义规则名
+     * settings.threshold: 共识阈值，默认 config.consensusThreshold
+     * settings.seats: 多选提案的获胜选项数，默认1
+     * settings.budget / settings.aggregation: 预算分配提案的总预算和聚合方式 mean/median（默认 mean）
+     * settings.tieBreak / settings.tieBreakSeed: 平票处理策略及随机种子
+     * settings.deadline / settings.duration: 截止时间戳或投票时长，默认 config.voteDeadline
+     * settings.reminders: 截止前多少毫秒发送提醒，默认 config.reminders
+     * settings.ballot: open 公开投票 / secret 提交-揭示秘密投票
+     * settings.revealWindow: 秘密投票揭示阶段时长，默认 config.revealWindow
+     * settings.anonymous: 公布的计票明细和事件中不包含投票人
+     * settings.tags: 提案标签，用于按标签委托投票
+     * settings.delphi: 多轮审议 true 或 { maxRounds, dropBelow, margin, roundDuration }，未达成共识时自动开启下一轮
+     * settings.draft: 创建为草稿，submitProposal 后进入讨论
+     * settings.discussion / settings.minDiscussion: 先进入讨论阶段及其最短时长，默认 config.minDiscussion
+     *   （两者都未设置且 config.minDiscussion 为0时直接进入投票）
+     * settings.committee: 所属委员会，只有成员可以创建和投票，阈值、共识规则和法定人数默认取委员会设置
+     * settings.nonce: 客户端随机数，参与签名，使同样内容的提案得到不同签名
+     * signature: 注册了公钥的Agent对 { title, description, options, type, settings } 的签名，同一签名只能使用一次
      */
-    createProposal(agentId, title, description, options = [], type = 'single') {
-        if (!this.agents.has(agentId)) {
-            return { success: false, error: 'Agent未注册' };
+    createProposal(agentId, title, description, options = [], type = 'single', settings = {}, signature = null) {
+        const denied = this.authorize(agentId, 'proposal.create');
+        if (denied) {
+            return denied;
+        }
+        
+        const unsigned = this.checkSignature(agentId, 'proposal.create', { title, description, options, type, settings }, signature, true);
+        if (unsigned) {
+            return unsigned;
+        }
+        
+        const ctx = { action: 'proposal.create', agentId, title, description, options, type, settings };
+        const rejected = this.runSignedHooks(ctx, signature, ['title', 'description', 'options', 'type', 'settings']);
+        if (rejected) {
+            return rejected;
+        }
+        ({ title, description, options, type, settings } = ctx);
+        
+        const committeeId = settings.committee ?? null;
+        const committee = committeeId === null ? null : this.committees.get(committeeId);
+        if (committeeId !== null && !committee) {
+            return { success: false, error: `委员会不存在: ${committeeId}`, code: ERROR_CODES.COMMITTEE_NOT_FOUND };
+        }
+        if (committee && signature !== SYSTEM_SIGNATURE
+            && !this.committees.isMember(committee.id, agentId) && !this.can(agentId, 'committee.manage')) {
+            return { success: false, error: `不是委员会 ${committee.name} 的成员`, code: ERROR_CODES.PERMISSION_DENIED };
+        }
+        
+        const rankedMethod = settings.rankedMethod || this.config.rankedMethod;
+        if (type === 'ranked' && !RANKED_METHODS.includes(rankedMethod)) {
+            return { success: false, error: `未知的排序计票方法: ${rankedMethod}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const consensusRule = settings.consensusRule || committee?.consensusRule || this.config.consensusRule;
+        if (!this.consensusRules.has(consensusRule)) {
+            return { success: false, error: `未知的共识规则: ${consensusRule}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const tieBreak = settings.tieBreak || this.config.tieBreak;
+        if (!TIE_BREAK_POLICIES.includes(tieBreak)) {
+            return { success: false, error: `未知的平票处理策略: ${tieBreak}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const tags = settings.tags || [];
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag === '')) {
+            return { success: false, error: '标签必须是非空字符串数组', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const ballot = settings.ballot || 'open';
+        if (!BALLOT_MODES.includes(ballot)) {
+            return { success: false, error: `未知的投票方式: ${ballot}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const seats = settings.seats || 1;
+        const invalidOptions = this.validateOptions(type, options, seats);
+        if (invalidOptions) {
+            return invalidOptions;
+        }
+        
+        if (ALLOCATION_TYPES.includes(type) && (ballot === 'secret' || settings.delphi)) {
+            return { success: false, error: '二次方投票和预算分配不支持秘密投票和多轮审议', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const aggregation = settings.aggregation || 'mean';
+        if (type === 'budget') {
+            if (typeof settings.budget !== 'number' || !Number.isFinite(settings.budget) || !(settings.budget > 0)) {
+                return { success: false, error: '预算必须为正数', code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+            if (!BUDGET_AGGREGATIONS.includes(aggregation)) {
+                return { success: false, error: `未知的预算聚合方式: ${aggregation}`, code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+        }
+        
+        let delphi = null;
+        if (settings.delphi) {
+            const { maxRounds = 3, dropBelow = 0, margin = null, roundDuration = null } = settings.delphi === true ? {} : settings.delphi;
+            if (!Number.isInteger(maxRounds) || maxRounds < 2 || !(dropBelow >= 0 && dropBelow < 1)
+                || (margin !== null && !(margin >= 0)) || (roundDuration !== null && !(roundDuration > 0))) {
+                return { success: false, error: '多轮审议设置无效', code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+            delphi = { maxRounds, dropBelow, margin, roundDuration };
+        }
+        
+        const minDiscussion = settings.minDiscussion ?? this.config.minDiscussion;
+        if (!(minDiscussion >= 0)) {
+            return { success: false, error: '讨论阶段时长无效', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const invalidActions = this.validateActionBindings(settings.actions || [], options, type);
+        if (invalidActions) {
+            return invalidActions;
+        }
+        const actions = (settings.actions || []).map(({ action, on = 'accepted', option = null, params = {} }) => ({ action, on, option, params }));
+        
+        if (settings.dependsOn !== undefined && !Array.isArray(settings.dependsOn)) {
+            return { success: false, error: '前置提案必须是数组', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        const dependsOn = (settings.dependsOn || []).map(dependency => (typeof dependency === 'string'
+            ? { proposalId: dependency, option: null }
+            : { proposalId: dependency?.proposalId, option: dependency?.option ?? null }));
+        const invalidDependencies = this.validateDependencies(dependsOn);
+        if (invalidDependencies) {
+            return invalidDependencies;
+        }
+        
+        const now = this.now();
+        const votingDuration = settings.duration || this.config.voteDeadline;
+        const deadline = settings.deadline || now + votingDuration;
+        if (deadline <= now) {
+            return { success: false, error: '截止时间必须晚于当前时间', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        let status = 'voting';
+        if (settings.draft) {
+            status = 'draft';
+        } else if (settings.discussion || minDiscussion > 0) {
+            status = 'discussion';
+        } else if (dependsOn.some(dependency => this.dependencyState(dependency) !== 'satisfied')) {
+            status = 'waiting';
         }
         
         const proposalId = `prop_${this.proposalIdCounter++}`;
@@ -63,17 +336,60 @@ class ConsensusDecisionSystem {
             title,
             description,
             options, // ['选项A', '选项B', ...] 或 []
-            type, // single/multi/ranked
+            type, // single/multi/ranked/yesno/quadratic/budget
+            tags,
+            rankedMethod: type === 'ranked' ? rankedMethod : null,
+            seats: type === 'multi' ? seats : 1,
+            ...(type === 'budget' ? { budget: settings.budget, aggregation } : {}),
+            tieBreak,
+            tieBreakSeed: settings.tieBreakSeed ?? this.config.tieBreakSeed ?? proposalId,
+            tieResolution: null, // 创建者裁决的平票选项
             creator: agentId,
-            status: 'voting', // voting/accepted/rejected/expired
-            createdAt: Date.now(),
-            deadline: Date.now() + this.config.voteDeadline,
+            committeeId,
+            signature: typeof signature === 'string' ? signature : null,
+            status, // draft/discussion/waiting/voting/revealing/accepted/rejected/expired/cancelled/withdrawn
+            createdAt: now,
+            version: 1,
+            versions: [{ version: 1, title, description, options, amendedBy: agentId, amendedAt: now, reason: '' }],
+            cosponsors: [],
+            minDiscussion,
+            discussionStartedAt: status === 'discussion' ? now : null,
+            votingStartedAt: null,
+            votingDuration,
+            deadline: settings.deadline || null, // 进入投票时确定；秘密投票时为提交阶段截止时间
+            reminders: (settings.reminders || this.config.reminders).map(before => ({ before, sentAt: null })),
             votes: new Map(), // agentId -> vote
+            ballot,
+            anonymous: Boolean(settings.anonymous),
+            ...(ballot === 'secret' ? {
+                commitments: new Map(), // agentId -> { commitment, committedAt }
+                revealWindow: settings.revealWindow || this.config.revealWindow,
+                revealDeadline: null // 进入揭示阶段时确定
+            } : {}),
+            ...(delphi ? {
+                delphi,
+                round: 1,
+                roundStartedAt: null, // 第2轮起每轮的开始时间
+                rounds: [], // 已结束轮次的匿名结果
+                droppedOptions: [] // 被淘汰的选项索引
+            } : {}),
             comments: [],
-            requiredConsensus: this.config.consensusThreshold
+            abstentions: [], // 驱动作答失败记为弃权 [{ agentId, reason, attempts, at }]
+            consensusRule,
+            requiredConsensus: settings.threshold || committee?.threshold || this.config.consensusThreshold,
+            quorum: committee?.quorum ?? null, // 法定投票人数，null 时为 config.minAgents
+            actions, // 决策后执行的动作 [{ action, on, option, params }]
+            dependsOn // 前置提案 [{ proposalId, option }]，全部通过后才能开始投票
         };
         
+        if (status === 'voting') {
+            this.startVoting(proposal);
+        }
+        
         this.proposals.set(proposalId, proposal);
+        this.recordEvent('proposal.created', { proposal: serializeProposal(proposal) });
+        this.scheduler?.schedule();
+        this.emit('proposal.created', { proposal: this.formatProposal(proposal) });
         
         return {
             success: true,
@@ -83,386 +399,4040 @@ class ConsensusDecisionSystem {
     }
 
     /**
-     * 投票
+     * 进入投票阶段：确定截止时间，丢弃已经来不及发送的提醒
      */
-    vote(agentId, proposalId, vote, comment = '') {
-        if (!this.agents.has(agentId)) {
-            return { success: false, error: 'Agent未注册' };
+    startVoting(proposal) {
+        const now = this.now();
+        proposal.status = 'voting';
+        proposal.votingStartedAt = now;
+        proposal.deadline = proposal.deadline || now + proposal.votingDuration;
+        proposal.reminders = proposal.reminders.filter(reminder => reminder.before < proposal.deadline - now);
+    }
+
+    /**
+     * 是否为提案的创建者或联署人
+     */
+    isSponsor(proposal, agentId) {
+        return proposal.creator === agentId || proposal.cosponsors.includes(agentId);
+    }
+
+    /**
+     * 提交草稿，进入讨论阶段（仅创建者）
+     */
+    submitProposal(agentId, proposalId) {
+        const denied = this.authorize(agentId, 'proposal.create');
+        if (denied) {
+            return denied;
         }
         
-        if (!this.proposals.has(proposalId)) {
-            return { success: false, error: '提案不存在' };
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
         }
         
-        const proposal = this.proposals.get(proposalId);
+        if (proposal.creator !== agentId) {
+            return { success: false, error: '只有创建者可以提交草稿', code: ERROR_CODES.PERMISSION_DENIED };
+        }
         
-        if (proposal.status !== 'voting') {
-            return { success: false, error: '提案不在投票中' };
+        if (proposal.status !== 'draft') {
+            return { success: false, error: '提案不是草稿', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
         }
         
-        if (Date.now() > proposal.deadline) {
-            proposal.status = 'expired';
-            return { success: false, error: '投票已截止' };
+        proposal.status = 'discussion';
+        proposal.discussionStartedAt = this.now();
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.emit('proposal.discussion', { proposal: this.formatProposal(proposal) });
+        
+        return {
+            success: true,
+            message: `提案进入讨论阶段: ${proposal.title}`,
+            proposal: this.formatProposal(proposal)
+        };
+    }
+
+    /**
+     * 联署提案（草稿或讨论阶段）
+     */
+    cosponsorProposal(agentId, proposalId) {
+        const denied = this.authorize(agentId, 'proposal.sponsor');
+        if (denied) {
+            return denied;
         }
         
-        // 验证投票有效性
-        const validation = this.validateVote(proposal, vote);
-        if (!validation.valid) {
-            return { success: false, error: validation.error };
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
         }
         
-        // 记录投票
-        proposal.votes.set(agentId, {
-            vote,
-            comment,
-            timestamp: Date.now()
-        });
+        if (proposal.status !== 'draft' && proposal.status !== 'discussion') {
+            return { success: false, error: '提案已进入投票，不能再联署', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
         
-        // 更新投票记录
-        const voteKey = `${proposalId}_${agentId}`;
-        this.votes.set(voteKey, { vote, comment, timestamp: Date.now() });
+        if (this.isSponsor(proposal, agentId)) {
+            return { success: false, error: '已经是提案的发起人或联署人', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
         
-        // 检查是否达成共识
-        const result = this.checkConsensus(proposal);
+        proposal.cosponsors.push(agentId);
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.emit('proposal.cosponsored', { proposal: this.formatProposal(proposal), agentId });
         
         return {
             success: true,
-            message: `投票成功: ${this.getAgentName(agentId)}`,
-            proposal: this.formatProposal(proposal),
-            consensusStatus: result
+            message: `${this.getAgentName(agentId)} 联署了提案: ${proposal.title}`,
+            proposal: this.formatProposal(proposal)
         };
     }
 
     /**
-     * 验证投票有效性
+     * 修订提案（草稿或讨论阶段，创建者或联署人）
+     * changes: { title, description, options } 中的任意字段；每次修订产生新版本，选票记录投票时的版本
      */
-    validateVote(proposal, vote) {
-        switch (proposal.type) {
-            case 'single':
-                // 单选：vote应该是单个选项索引或字符串
-                if (typeof vote === 'number') {
-                    if (vote < 0 || vote >= proposal.options.length) {
-                        return { valid: false, error: '无效的选项索引' };
-                    }
-                }
-                break;
-                
-            case 'multi':
-                // 多选：vote应该是数组
-                if (!Array.isArray(vote)) {
-                    return { valid: false, error: '多选投票需要数组' };
-                }
-                break;
-                
-            case 'ranked':
-                // 排序投票：vote应该是排好序的数组
-                if (!Array.isArray(vote)) {
-                    return { valid: false, error: '排序投票需要数组' };
-                }
-                break;
-                
-            case 'yesno':
-                // 是/否投票
-                if (vote !== 'yes' && vote !== 'no' && vote !== true && vote !== false) {
-                    return { valid: false, error: '是/否投票需要 yes/no 或 true/false' };
-                }
-                break;
+    amendProposal(agentId, proposalId, changes = {}, reason = '') {
+        const denied = this.authorize(agentId, 'proposal.create');
+        if (denied) {
+            return denied;
         }
         
-        return { valid: true };
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        if (!this.isSponsor(proposal, agentId)) {
+            return { success: false, error: '只有创建者或联署人可以修订提案', code: ERROR_CODES.PERMISSION_DENIED };
+        }
+        
+        if (proposal.status !== 'draft' && proposal.status !== 'discussion') {
+            return { success: false, error: '提案已进入投票，不能再修订', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        const { title = proposal.title, description = proposal.description, options = proposal.options } = changes;
+        if (typeof title !== 'string' || title === '' || typeof description !== 'string' || !Array.isArray(options)) {
+            return { success: false, error: '修订内容无效', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        // 修订后的选项要满足创建时的同样要求，已绑定的动作也不能指向被删掉的选项
+        const invalid = this.validateOptions(proposal.type, options, proposal.seats)
+            || this.validateActionBindings(proposal.actions, options, proposal.type);
+        if (invalid) {
+            return invalid;
+        }
+        
+        if (title === proposal.title && description === proposal.description
+            && JSON.stringify(options) === JSON.stringify(proposal.options)) {
+            return { success: false, error: '修订内容与当前版本相同', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        Object.assign(proposal, { title, description, options });
+        proposal.version++;
+        proposal.versions.push({
+            version: proposal.version,
+            title,
+            description,
+            options,
+            amendedBy: agentId,
+            amendedAt: this.now(),
+            reason
+        });
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.emit('proposal.amended', { proposal: this.formatProposal(proposal), amendedBy: agentId, reason });
+        
+        return {
+            success: true,
+            message: `提案已修订为第 ${proposal.version} 版`,
+            proposal: this.formatProposal(proposal)
+        };
     }
 
     /**
-     * 检查共识状态
+     * 结束讨论、开始投票（创建者或管理员）
+     * 需要讨论满 minDiscussion 并达到 config.minCosponsors 个联署人
      */
-    checkConsensus(proposal) {
-        const totalVotes = proposal.votes.size;
-        const totalAgents = this.agents.size;
+    openVoting(agentId, proposalId) {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
         
-        if (totalVotes < this.config.minAgents) {
-            return { reached: false, reason: '投票人数不足' };
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
         }
         
-        let yesVotes = 0;
-        let noVotes = 0;
-        let abstainVotes = 0;
+        if (proposal.creator !== agentId && !this.can(agentId, 'proposal.close')) {
+            return { success: false, error: '只有创建者或管理员可以开始投票', code: ERROR_CODES.PERMISSION_DENIED };
+        }
         
-        // 计算加权投票
-        let yesWeight = 0;
-        let noWeight = 0;
-        let abstainWeight = 0;
+        if (proposal.status !== 'discussion') {
+            return { success: false, error: '提案不在讨论阶段', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
         
-        for (const [agentId, voteData] of proposal.votes) {
-            const agent = this.agents.get(agentId);
-            const weight = agent?.weight || 1.0;
-            const vote = voteData.vote;
-            
-            if (proposal.type === 'yesno' || proposal.type === 'single') {
-                // 处理yes/no或单选
-                if (vote === 'yes' || vote === true || vote === 0) {
-                    yesVotes++;
-                    yesWeight += weight;
-                } else if (vote === 'no' || vote === false || vote === 1) {
-                    noVotes++;
-                    noWeight += weight;
-                } else {
-                    abstainVotes++;
-                    abstainWeight += weight;
-                }
-            } else if (proposal.type === 'multi') {
-                // 多选：统计投了yes的选项
-                if (Array.isArray(vote) && vote.includes(0)) {
-                    yesVotes++;
-                    yesWeight += weight;
-                } else {
-                    noVotes++;
-                    noWeight += weight;
-                }
-            }
+        const discussionEndsAt = proposal.discussionStartedAt + proposal.minDiscussion;
+        if (this.now() < discussionEndsAt) {
+            return {
+                success: false,
+                error: `讨论阶段尚未结束，最早 ${new Date(discussionEndsAt).toISOString()} 开始投票`,
+                code: ERROR_CODES.DISCUSSION_NOT_OVER
+            };
         }
         
-        // 计算共识比例（使用加权）
-        const totalWeight = yesWeight + noWeight + abstainWeight;
-        const yesRatio = totalWeight > 0 ? yesWeight / (totalAgents * 1.0) : 0;
+        if (proposal.cosponsors.length < this.config.minCosponsors) {
+            return {
+                success: false,
+                error: `联署人不足: ${proposal.cosponsors.length}/${this.config.minCosponsors}`,
+                code: ERROR_CODES.INSUFFICIENT_COSPONSORS
+            };
+        }
         
-        const status = {
-            totalVotes,
-            totalAgents,
-            yesVotes,
-            noVotes,
-            abstainVotes,
-            yesWeight,
-            noWeight,
-            yesRatio: (yesRatio * 100).toFixed(1) + '%',
-            reached: yesRatio >= proposal.requiredConsensus,
-            threshold: (proposal.requiredConsensus * 100) + '%'
-        };
+        const blocking = proposal.dependsOn.find(dependency => this.dependencyState(dependency) !== 'satisfied');
+        if (blocking) {
+            return { success: false, error: `前置提案 ${blocking.proposalId} 尚未通过`, code: ERROR_CODES.DEPENDENCY_PENDING };
+        }
         
-        // 更新提案状态
-        if (status.reached) {
-            proposal.status = 'accepted';
-            this.finalizeDecision(proposal);
-        } else if (Date.now() > proposal.deadline) {
-            proposal.status = 'rejected';
-            this.finalizeDecision(proposal);
+        if (proposal.deadline && proposal.deadline <= this.now()) {
+            return { success: false, error: '截止时间已过，无法开始投票', code: ERROR_CODES.DEADLINE_PASSED };
         }
         
-        return status;
+        this.startVoting(proposal);
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.scheduler?.schedule();
+        this.emit('proposal.voting', { proposal: this.formatProposal(proposal) });
+        
+        return {
+            success: true,
+            message: `提案开始投票: ${proposal.title}（第 ${proposal.version} 版）`,
+            proposal: this.formatProposal(proposal)
+        };
     }
 
     /**
-     * 达成共识后的决策固化
+     * 创建者撤回提案：草稿和讨论阶段随时可以撤回，投票阶段只能在有人投票前撤回
+     * 管理员使用 cancelProposal
      */
-    finalizeDecision(proposal) {
-        const decisionId = `decision_${this.decisionIdCounter++}`;
+    withdrawProposal(agentId, proposalId, reason = '') {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
         
-        // 统计结果
-        const results = this.countVotes(proposal);
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
         
-        const decision = {
-            id: decisionId,
-            proposalId: proposal.id,
-            title: proposal.title,
-            description: proposal.description,
-            result: proposal.status,
-            results,
-            participants: Array.from(proposal.votes.keys()),
-            decidedAt: Date.now(),
-            consensusRatio: this.calculateConsensusRatio(proposal)
-        };
+        if (proposal.creator !== agentId) {
+            return { success: false, error: '只有创建者可以撤回提案', code: ERROR_CODES.PERMISSION_DENIED };
+        }
         
-        this.decisions.set(decisionId, decision);
+        if (!['draft', 'discussion', 'waiting', 'voting'].includes(proposal.status)) {
+            return { success: false, error: '提案已结束或正在揭示', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
         
-        // 更新Agent统计
-        for (const [agentId, voteData] of proposal.votes) {
-            const agent = this.agents.get(agentId);
-            if (agent) {
-                agent.participatedDecisions++;
-                const vote = voteData.vote;
-                
-                if (proposal.type === 'yesno' || proposal.type === 'single') {
-                    if (vote === 'yes' || vote === true || vote === 0) {
-                        agent.agreedDecisions++;
-                    } else {
-                        agent.disagreedDecisions++;
-                    }
-                }
-            }
+        if (proposal.status === 'voting' && (proposal.votes.size > 0 || proposal.commitments?.size > 0)) {
+            return { success: false, error: '已有Agent投票，只能由管理员取消', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
         }
         
-        // 记录到历史
-        this.consensusHistory.push(decision);
+        proposal.status = 'withdrawn';
+        proposal.withdrawnAt = this.now();
+        proposal.withdrawReason = reason;
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.scheduler?.schedule();
+        this.emit('proposal.withdrawn', { proposal: this.formatProposal(proposal), reason });
+        this.resolveDependents(proposal.id);
         
-        return decision;
+        return {
+            success: true,
+            message: `提案已撤回: ${proposal.title}`,
+            proposal: this.formatProposal(proposal)
+        };
     }
 
     /**
-     * 统计投票
+     * 校验前置提案 [{ proposalId, option }]：必须存在、不重复，且没有已经未通过的
+     * option 要求前置提案通过且该选项胜出
      */
-    countVotes(proposal) {
-        const results = {
-            counts: {},
-            weightedCounts: {},
-            breakdown: []
-        };
+    validateDependencies(dependsOn) {
+        const ids = dependsOn.map(dependency => dependency.proposalId);
+        if (new Set(ids).size !== ids.length) {
+            return { success: false, error: '前置提案重复', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
         
-        if (proposal.type === 'yesno') {
-            results.counts = { yes: 0, no: 0, abstain: 0 };
-            results.weightedCounts = { yes: 0, no: 0, abstain: 0 };
-        } else if (proposal.options.length > 0) {
-            for (let i = 0; i < proposal.options.length; i++) {
-                results.counts[i] = 0;
-                results.weightedCounts[i] = 0;
+        for (const { proposalId, option } of dependsOn) {
+            const dependency = this.proposals.get(proposalId);
+            if (!dependency) {
+                return { success: false, error: `前置提案不存在: ${proposalId}`, code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+            }
+            if (option !== null && (dependency.type === 'yesno' || !Number.isInteger(option)
+                || option < 0 || option >= dependency.options.length)) {
+                return { success: false, error: `前置提案 ${proposalId} 的选项无效`, code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+            if (this.dependencyState({ proposalId, option }) === 'failed') {
+                return { success: false, error: `前置提案 ${proposalId} 未通过`, code: ERROR_CODES.INVALID_ARGUMENT };
             }
         }
         
-        for (const [agentId, voteData] of proposal.votes) {
-            const agent = this.agents.get(agentId);
-            const weight = agent?.weight || 1.0;
-            const vote = voteData.vote;
-            
-            const breakdownEntry = {
-                agentId,
-                agentName: agent?.name || 'Unknown',
-                vote: vote,
+        return null;
+    }
+    
+    /**
+     * 前置提案的状态: satisfied（通过且动作全部成功）/ pending / failed
+     */
+    dependencyState({ proposalId, option }) {
+        const dependency = this.proposals.get(proposalId);
+        if (!dependency || ['rejected', 'expired', 'cancelled', 'withdrawn'].includes(dependency.status)) {
+            return 'failed';
+        }
+        if (dependency.status !== 'accepted') {
+            return 'pending';
+        }
+        
+        const decision = [...this.consensusHistory].reverse().find(item => item.proposalId === proposalId);
+        if (option !== null && !(decision?.winners || []).includes(option)) {
+            return 'failed';
+        }
+        
+        const executions = decision ? this.executionsOf(decision.id) : [];
+        if (executions.some(execution => !['pending', 'running', 'succeeded'].includes(execution.status))) {
+            return 'failed';
+        }
+        return executions.every(execution => execution.status === 'succeeded') ? 'satisfied' : 'pending';
+    }
+    
+    /**
+     * 前置提案有了结果（或它的动作执行完毕）后处理依赖它的提案：
+     * 任一前置未通过时，尚未开始投票的提案自动取消；全部满足时，等待中的提案开始投票
+     */
+    resolveDependents(proposalId) {
+        for (const proposal of this.proposals.values()) {
+            if (!['draft', 'discussion', 'waiting'].includes(proposal.status)) continue;
+            if (!proposal.dependsOn.some(dependency => dependency.proposalId === proposalId)) continue;
+            
+            const failed = proposal.dependsOn.find(dependency => this.dependencyState(dependency) === 'failed');
+            if (failed) {
+                proposal.status = 'cancelled';
+                proposal.cancelledBy = null;
+                proposal.cancelReason = `前置提案 ${failed.proposalId} 未通过`;
+                this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+                this.emit('proposal.cancelled', { proposal: this.formatProposal(proposal), reason: proposal.cancelReason });
+                this.resolveDependents(proposal.id);
+            } else if (proposal.status === 'waiting'
+                && proposal.dependsOn.every(dependency => this.dependencyState(dependency) === 'satisfied')) {
+                this.startVoting(proposal);
+                this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+                this.scheduler?.schedule();
+                this.emit('proposal.voting', { proposal: this.formatProposal(proposal) });
+            }
+        }
+    }
+
+    /**
+     * 投票
+     * signature: 注册了公钥的Agent对 { proposalId, vote, comment, round, version } 的签名（见 lib/signing.js voteFields）
+     */
+    vote(agentId, proposalId, vote, comment = '', signature = null) {
+        const denied = this.authorize(agentId, 'vote');
+        if (denied) {
+            return denied;
+        }
+        
+        if (!this.proposals.has(proposalId)) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        
+        const outsider = this.checkMembership(proposal, agentId);
+        if (outsider) {
+            return outsider;
+        }
+        
+        if (proposal.ballot === 'secret') {
+            return { success: false, error: '秘密投票提案请使用 commitVote / revealVote', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (proposal.status !== 'voting') {
+            return { success: false, error: '提案不在投票中', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        if (this.now() > proposal.deadline) {
+            this.closeExpiredProposal(proposal);
+            return { success: false, error: '投票已截止', code: ERROR_CODES.DEADLINE_PASSED };
+        }
+        
+        const unsigned = this.checkSignature(agentId, 'vote', voteFields(proposal, vote, comment), signature);
+        if (unsigned) {
+            return unsigned;
+        }
+        
+        const ctx = { action: 'vote', agentId, proposalId, vote, comment, proposal: this.formatProposal(proposal) };
+        const rejected = this.runSignedHooks(ctx, signature, ['vote', 'comment']);
+        if (rejected) {
+            return rejected;
+        }
+        ({ vote, comment } = ctx);
+        
+        // 验证投票有效性
+        const validation = this.validateVote(proposal, vote);
+        if (!validation.valid) {
+            return { success: false, error: validation.error, code: ERROR_CODES.INVALID_VOTE };
+        }
+        
+        // 二次方投票：花费各选项票数的平方和，改票时先退还原选票的花费
+        let cost = null;
+        let refund = 0;
+        if (proposal.type === 'quadratic') {
+            cost = quadraticCost(vote);
+            refund = proposal.votes.get(agentId)?.cost || 0;
+            const available = this.getCredits(agentId) + refund;
+            if (cost > available) {
+                return {
+                    success: false,
+                    error: `投票点数不足: 需要 ${cost}，可用 ${available}`,
+                    code: ERROR_CODES.INSUFFICIENT_CREDITS
+                };
+            }
+        }
+        
+        // 记录投票
+        const voteData = { vote, comment, version: proposal.version, timestamp: this.now() };
+        if (cost !== null) {
+            voteData.cost = cost;
+            this.adjustCredits(agentId, refund - cost);
+        }
+        if (signature) {
+            voteData.signature = signature;
+        }
+        
+        // 投票理由作为论点加入讨论串，改票时改写上一张选票的理由而不是再追加一条；匿名提案不关联，避免暴露投票人
+        if (comment && !proposal.anonymous) {
+            const thread = { parentId: null, ...this.voteStance(proposal, vote), source: 'vote' };
+            const previousId = proposal.votes.get(agentId)?.commentId;
+            const entry = (previousId && this.rewriteComment(proposal, previousId, comment, thread))
+                || this.appendComment(proposal, agentId, comment, thread);
+            voteData.commentId = entry.id;
+        }
+        this.setBallot(proposal, agentId, voteData);
+        
+        // 更新投票记录
+        const voteKey = `${proposalId}_${agentId}`;
+        this.votes.set(voteKey, { ...voteData });
+        this.recordEvent('vote.cast', { proposalId, agentId, ...proposal.votes.get(agentId) });
+        this.emit('vote.cast', this.publicVote(proposal, agentId));
+        
+        // 检查是否达成共识
+        const result = this.checkConsensus(proposal);
+        
+        return {
+            success: true,
+            message: `投票成功: ${this.getAgentName(agentId)}`,
+            proposal: this.formatProposal(proposal),
+            consensusStatus: result
+        };
+    }
+
+    /**
+     * 秘密投票提交阶段：提交选票承诺（见 lib/ballot.js createCommitment），截止前可重新提交
+     * 所有有资格的Agent都提交后提前进入揭示阶段
+     * signature: 注册了公钥的Agent对 { proposalId, commitment } 的签名
+     */
+    commitVote(agentId, proposalId, commitment, signature = null) {
+        const denied = this.authorize(agentId, 'vote');
+        if (denied) {
+            return denied;
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const outsider = this.checkMembership(proposal, agentId);
+        if (outsider) {
+            return outsider;
+        }
+        
+        if (proposal.ballot !== 'secret') {
+            return { success: false, error: '该提案不是秘密投票', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (proposal.status !== 'voting') {
+            return { success: false, error: '提案不在提交阶段', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        if (this.now() > proposal.deadline) {
+            this.closeExpiredProposal(proposal);
+            return { success: false, error: '提交阶段已截止', code: ERROR_CODES.DEADLINE_PASSED };
+        }
+        
+        if (typeof commitment !== 'string' || !/^[0-9a-f]{64}$/.test(commitment)) {
+            return { success: false, error: '承诺必须是64位十六进制 sha256 哈希', code: ERROR_CODES.INVALID_VOTE };
+        }
+        
+        const unsigned = this.checkSignature(agentId, 'vote.commit', commitFields(proposal, commitment), signature);
+        if (unsigned) {
+            return unsigned;
+        }
+        
+        const entry = { commitment, committedAt: this.now() };
+        if (signature) {
+            entry.signature = signature;
+        }
+        proposal.commitments.set(agentId, entry);
+        this.recordEvent('vote.committed', { proposalId, agentId, ...entry });
+        this.emit('vote.committed', { proposalId, agentId, committed: proposal.commitments.size });
+        
+        if (this.eligibility(proposal).agents.every(agent => proposal.commitments.has(agent.id))) {
+            this.startRevealPhase(proposal);
+        }
+        
+        return {
+            success: true,
+            message: `选票承诺已提交: ${this.getAgentName(agentId)}`,
+            proposal: this.formatProposal(proposal)
+        };
+    }
+
+    /**
+     * 秘密投票揭示阶段：公开选票和盐值，与承诺一致才计入
+     * 所有承诺都揭示后立即固化决策
+     */
+    revealVote(agentId, proposalId, vote, salt) {
+        const denied = this.authorize(agentId, 'vote');
+        if (denied) {
+            return denied;
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        if (proposal.ballot !== 'secret') {
+            return { success: false, error: '该提案不是秘密投票', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (proposal.status !== 'revealing') {
+            return { success: false, error: '提案不在揭示阶段', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        if (this.now() > proposal.revealDeadline) {
+            this.closeRevealPhase(proposal);
+            return { success: false, error: '揭示阶段已截止', code: ERROR_CODES.DEADLINE_PASSED };
+        }
+        
+        const committed = proposal.commitments.get(agentId);
+        if (!committed) {
+            return { success: false, error: '没有提交过选票承诺', code: ERROR_CODES.INVALID_VOTE };
+        }
+        
+        if (proposal.votes.has(agentId)) {
+            return { success: false, error: '选票已揭示', code: ERROR_CODES.INVALID_VOTE };
+        }
+        
+        if (!verifyCommitment(committed.commitment, proposalId, agentId, vote, salt)) {
+            return { success: false, error: '选票与承诺不一致', code: ERROR_CODES.COMMITMENT_MISMATCH };
+        }
+        
+        // 选票已由承诺固定，钩子修改选票时拒绝揭示，而不是忽略修改
+        const ctx = { action: 'vote', agentId, proposalId, vote, comment: '', proposal: this.formatProposal(proposal) };
+        const rejected = this.runSignedHooks(ctx, committed.commitment, ['vote']);
+        if (rejected) {
+            return rejected;
+        }
+        
+        const validation = this.validateVote(proposal, vote);
+        if (!validation.valid) {
+            return { success: false, error: validation.error, code: ERROR_CODES.INVALID_VOTE };
+        }
+        
+        // 投票时间按提交时间计算（用于声誉的及时投票奖励）
+        const voteData = {
+            vote,
+            comment: '',
+            version: proposal.version,
+            timestamp: committed.committedAt,
+            revealedAt: this.now()
+        };
+        this.setBallot(proposal, agentId, voteData);
+        this.votes.set(`${proposalId}_${agentId}`, { ...voteData });
+        this.recordEvent('vote.revealed', { proposalId, agentId, ...voteData });
+        this.emit('vote.revealed', this.publicVote(proposal, agentId));
+        
+        const result = this.checkConsensus(proposal);
+        
+        return {
+            success: true,
+            message: `选票已揭示: ${this.getAgentName(agentId)}`,
+            proposal: this.formatProposal(proposal),
+            consensusStatus: result
+        };
+    }
+
+    /**
+     * 结束提交阶段，进入揭示阶段
+     */
+    startRevealPhase(proposal) {
+        proposal.status = 'revealing';
+        proposal.revealDeadline = this.now() + proposal.revealWindow;
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.scheduler?.schedule();
+        this.emit('proposal.revealing', { proposal: this.formatProposal(proposal) });
+    }
+
+    /**
+     * 结束揭示阶段：未揭示的承诺作废，按已揭示的选票固化决策
+     */
+    closeRevealPhase(proposal, details = {}) {
+        if (proposal.status !== 'revealing') {
+            return null;
+        }
+        
+        const status = this.evaluateConsensus(proposal);
+        const unrevealed = Array.from(proposal.commitments.keys()).filter(agentId => !proposal.votes.has(agentId));
+        
+        if (proposal.votes.size < this.quorumFor(proposal)) {
+            proposal.status = 'expired';
+        } else if (this.startNextRound(proposal, status)) {
+            return null;
+        } else {
+            proposal.status = status.reached ? 'accepted' : 'rejected';
+        }
+        
+        return this.finalizeDecision(proposal, status, { ...details, unrevealed });
+    }
+
+    /**
+     * 对外公布的投票事件：匿名提案不包含投票人和选票
+     */
+    publicVote(proposal, agentId) {
+        const { vote, comment, timestamp } = proposal.votes.get(agentId);
+        if (proposal.anonymous) {
+            return { proposalId: proposal.id, totalVotes: proposal.votes.size, timestamp };
+        }
+        return { proposalId: proposal.id, agentId, vote, comment, timestamp };
+    }
+
+    /**
+     * 验证投票有效性
+     */
+    validateVote(proposal, vote) {
+        if (proposal.droppedOptions?.length > 0 && proposal.type !== 'yesno'
+            && this.selectedOptions(proposal, vote).some(index => proposal.droppedOptions.includes(index))) {
+            return { valid: false, error: '该选项已在上一轮被淘汰' };
+        }
+        
+        switch (proposal.type) {
+            case 'single':
+                // 单选：vote应该是单个选项索引或选项文本
+                if (Array.isArray(vote) || this.selectedOptions(proposal, vote).length !== 1) {
+                    return { valid: false, error: '无效的选项索引' };
+                }
+                break;
+                
+            case 'multi':
+                // 多选：vote应该是数组
+                if (!Array.isArray(vote)) {
+                    return { valid: false, error: '多选投票需要数组' };
+                }
+                if (this.selectedOptions(proposal, vote).length !== vote.length) {
+                    return { valid: false, error: '无效的选项索引' };
+                }
+                if (new Set(this.selectedOptions(proposal, vote)).size !== vote.length) {
+                    return { valid: false, error: '多选投票不能重复选项' };
+                }
+                break;
+                
+            case 'ranked':
+                // 排序投票：vote应该是排好序的数组，可以只排前几位
+                if (!Array.isArray(vote) || vote.length === 0) {
+                    return { valid: false, error: '排序投票需要数组' };
+                }
+                if (vote.some(i => !Number.isInteger(i) || i < 0 || i >= proposal.options.length)) {
+                    return { valid: false, error: '无效的选项索引' };
+                }
+                if (new Set(vote).size !== vote.length) {
+                    return { valid: false, error: '排序投票不能重复选项' };
+                }
+                break;
+                
+            case 'yesno':
+                // 是/否投票
+                if (vote !== 'yes' && vote !== 'no' && vote !== true && vote !== false) {
+                    return { valid: false, error: '是/否投票需要 yes/no 或 true/false' };
+                }
+                break;
+                
+            case 'quadratic': {
+                // 二次方投票：各选项的票数数组，负数表示反对
+                const error = validateQuadraticBallot(vote, proposal.options.length);
+                if (error) {
+                    return { valid: false, error };
+                }
+                break;
+            }
+                
+            case 'budget': {
+                // 预算分配：各选项的金额数组，总额等于预算
+                const error = validateAllocation(vote, proposal.options.length, proposal.budget);
+                if (error) {
+                    return { valid: false, error };
+                }
+                break;
+            }
+        }
+        
+        return { valid: true };
+    }
+
+    /**
+     * 检查共识状态
+     */
+    checkConsensus(proposal) {
+        const status = this.evaluateConsensus(proposal);
+        
+        // 揭示阶段：全部揭示或到期后固化决策
+        if (proposal.status === 'revealing') {
+            const allRevealed = Array.from(proposal.commitments.keys()).every(agentId => proposal.votes.has(agentId));
+            if (allRevealed || this.now() > proposal.revealDeadline) {
+                this.closeRevealPhase(proposal);
+            }
+            return status;
+        }
+        
+        // 已结束的提案只返回状态，不重复固化决策
+        if (proposal.status !== 'voting') {
+            return status;
+        }
+        
+        // 更新提案状态：结果不会再被推翻时提前通过
+        if (status.reached && !status.provisional) {
+            proposal.status = 'accepted';
+            this.finalizeDecision(proposal, status);
+        } else if (this.now() > proposal.deadline) {
+            this.closeExpiredProposal(proposal, status);
+        }
+        
+        return status;
+    }
+
+    /**
+     * 截止后结束投票：投票人数不足为过期，否则按共识规则判定通过或否决，并固化决策
+     * 秘密投票提案截止时进入揭示阶段，多轮审议提案开启下一轮，都返回 null
+     */
+    closeExpiredProposal(proposal, status = this.evaluateConsensus(proposal)) {
+        if (proposal.status !== 'voting') {
+            return null;
+        }
+        
+        if (proposal.ballot === 'secret') {
+            this.startRevealPhase(proposal);
+            return null;
+        }
+        
+        if (proposal.votes.size < this.quorumFor(proposal)) {
+            proposal.status = 'expired';
+        } else if (this.startNextRound(proposal, status)) {
+            return null;
+        } else {
+            proposal.status = status.reached ? 'accepted' : 'rejected';
+        }
+        
+        return this.finalizeDecision(proposal, status);
+    }
+
+    /**
+     * 多轮审议：本轮未达成共识且未到轮数上限时开启下一轮，返回是否开启
+     * 本轮的匿名结果归档到 proposal.rounds，低支持率的选项被淘汰，评论保留，选票清空
+     * 设置了 margin 时只有支持率与阈值相差不超过 margin 才继续
+     */
+    startNextRound(proposal, status) {
+        const { delphi } = proposal;
+        if (!delphi || status.reached || proposal.round >= delphi.maxRounds) {
+            return false;
+        }
+        
+        if (delphi.margin !== null && status.supportRatio < proposal.requiredConsensus - delphi.margin) {
+            return false;
+        }
+        
+        const summary = this.summarizeRound(proposal, status);
+        summary.droppedOptions = this.lowSupportOptions(proposal, summary);
+        proposal.rounds.push(summary);
+        proposal.droppedOptions.push(...summary.droppedOptions);
+        
+        const now = this.now();
+        proposal.round++;
+        proposal.roundStartedAt = now;
+        proposal.status = 'voting';
+        proposal.deadline = now + (delphi.roundDuration || proposal.votingDuration);
+        proposal.votes = new Map();
+        proposal.abstentions = [];
+        if (proposal.commitments) {
+            proposal.commitments = new Map();
+            proposal.revealDeadline = null;
+        }
+        for (const reminder of proposal.reminders) {
+            reminder.sentAt = null;
+        }
+        
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.scheduler?.schedule();
+        this.emit('proposal.round', { proposal: this.formatProposal(proposal), round: proposal.round, previous: summary });
+        
+        return true;
+    }
+
+    /**
+     * 一轮的匿名结果：只有各选项票数和比例，不含投票人
+     */
+    summarizeRound(proposal, status) {
+        const { counts, weightedCounts } = this.countVotes(proposal);
+        return {
+            round: proposal.round || 1,
+            version: proposal.version,
+            startedAt: proposal.roundStartedAt || proposal.votingStartedAt,
+            endedAt: this.now(),
+            votes: proposal.votes.size,
+            counts,
+            weightedCounts,
+            consensusRatio: this.calculateConsensusRatio(proposal),
+            supportRatio: status.supportRatio ?? 0,
+            reached: status.reached,
+            reason: status.reason
+        };
+    }
+
+    /**
+     * 下一轮要淘汰的选项：加权支持占比低于 dropBelow 的选项，从最弱的开始，至少保留 max(2, seats) 个
+     */
+    lowSupportOptions(proposal, { weightedCounts }) {
+        const { dropBelow } = proposal.delphi;
+        if (!dropBelow || proposal.type === 'yesno') {
+            return [];
+        }
+        
+        const active = proposal.options.map((option, index) => index).filter(index => !proposal.droppedOptions.includes(index));
+        const total = active.reduce((sum, index) => sum + weightedCounts[index], 0);
+        if (total === 0) {
+            return [];
+        }
+        
+        const droppable = Math.max(0, active.length - Math.max(2, proposal.seats));
+        return active
+            .filter(index => weightedCounts[index] / total < dropBelow)
+            .sort((a, b) => weightedCounts[a] - weightedCounts[b])
+            .slice(0, droppable)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * 各轮共识比例的变化趋势；进行中的提案包含当前轮的实时数据
+     */
+    getConsensusTrend(proposalId) {
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const decision = this.consensusHistory.find(item => item.proposalId === proposalId);
+        let rounds;
+        if (decision) {
+            rounds = decision.rounds || [{ ...this.summarizeRound(proposal, this.evaluateConsensus(proposal)), reached: decision.rule.passed }];
+        } else {
+            rounds = [...(proposal.rounds || [])];
+            if (proposal.status === 'voting' || proposal.status === 'revealing') {
+                rounds.push({ ...this.summarizeRound(proposal, this.evaluateConsensus(proposal)), inProgress: true });
+            }
+        }
+        
+        const trend = rounds.map((round, index) => ({
+            round: round.round,
+            votes: round.votes,
+            consensusRatio: round.consensusRatio,
+            supportRatio: round.supportRatio,
+            change: index > 0 ? Number((round.supportRatio - rounds[index - 1].supportRatio).toFixed(4)) : null,
+            reached: round.reached,
+            droppedOptions: round.droppedOptions || [],
+            ...(round.inProgress ? { inProgress: true } : {})
+        }));
+        
+        return {
+            success: true,
+            proposalId,
+            threshold: proposal.requiredConsensus,
+            maxRounds: proposal.delphi ? proposal.delphi.maxRounds : 1,
+            trend
+        };
+    }
+
+    /**
+     * 标记提醒已发送
+     */
+    markReminderSent(proposal, reminder) {
+        reminder.sentAt = this.now();
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        this.emit('proposal.reminder', {
+            proposal: this.formatProposal(proposal),
+            msLeft: proposal.deadline - this.now()
+        });
+    }
+
+    /**
+     * 启动截止时间调度器
+     * options.onReminder(proposal, msLeft) / options.onClose(proposal, decision)
+     * options.retryDelay: 处理出错后重试前等待的毫秒数，默认 1000；错误转发给 'error' 订阅者
+     */
+    startScheduler(options = {}) {
+        this.stopScheduler();
+        this.scheduler = new DeadlineScheduler(this, options).start();
+        return this.scheduler;
+    }
+
+    /**
+     * 停止截止时间调度器
+     */
+    stopScheduler() {
+        if (this.scheduler) {
+            this.scheduler.stop();
+            this.scheduler = null;
+        }
+    }
+
+    /**
+     * 当前时间（来自注入的时钟）
+     */
+    now() {
+        return this.clock.now();
+    }
+
+    /**
+     * 按提案的共识规则评估当前投票，不改变提案状态
+     */
+    evaluateConsensus(proposal) {
+        const rule = proposal.consensusRule;
+        const totalVotes = proposal.votes.size;
+        const delegation = this.resolveDelegations(proposal);
+        
+        // 委托出去的Agent也算参与
+        if (totalVotes + delegation.flows.length < this.quorumFor(proposal)) {
+            return { reached: false, rule, reason: '投票人数不足' };
+        }
+        
+        const tally = this.tallyProposal(proposal);
+        const eligibleAgents = this.eligibility(proposal).agents;
+        const eligibleWeight = this.eligibleWeight(proposal);
+        
+        const ctx = {
+            proposal,
+            threshold: proposal.requiredConsensus,
+            supportWeight: tally.supportWeight,
+            opposeWeight: tally.opposeWeight,
+            castWeight: tally.castWeight,
+            eligibleWeight,
+            supporters: tally.supporters,
+            opponents: tally.opponents,
+            abstainers: tally.abstainers,
+            eligibleAgents
+        };
+        const outcome = tally.winner === null
+            ? { passed: false, reason: '没有唯一的获胜选项' }
+            : this.applyConsensusRule(rule, ctx);
+        
+        // 共识比例：支持权重占全体有资格权重
+        const yesRatio = eligibleWeight > 0 ? tally.supportWeight / eligibleWeight : 0;
+        
+        const status = {
+            totalVotes,
+            totalAgents: eligibleAgents.length,
+            yesVotes: tally.supportCount,
+            noVotes: tally.opposeCount,
+            abstainVotes: tally.abstainCount,
+            yesWeight: tally.supportWeight,
+            noWeight: tally.opposeWeight,
+            yesRatio: (yesRatio * 100).toFixed(1) + '%',
+            supportRatio: yesRatio,
+            reached: outcome.passed,
+            threshold: (proposal.requiredConsensus * 100) + '%',
+            rule,
+            reason: outcome.reason
+        };
+        
+        if (outcome.vetoedBy) {
+            status.vetoedBy = outcome.vetoedBy;
+        }
+        
+        // 当前通过，但未投票的Agent仍可能推翻：截止或全部投票前不结束
+        if (outcome.passed && SETTLED[rule] && this.consensusRules.get(rule) === BUILTIN_RULES[rule] && !SETTLED[rule](ctx)) {
+            status.provisional = true;
+        }
+        
+        if (tally.winners) {
+            status.winners = tally.winners;
+        }
+        
+        if (tally.tie) {
+            status.tie = tally.tie;
+        }
+        
+        if (tally.ranked) {
+            status.method = tally.ranked.method;
+            status.winner = tally.ranked.winner;
+        }
+        
+        if (tally.allocation) {
+            status.allocation = tally.allocation;
+        }
+        
+        if (delegation.flows.length > 0 || delegation.cycles.length > 0) {
+            status.delegation = this.delegationReport(proposal, delegation);
+        }
+        
+        return status;
+    }
+
+    /**
+     * 执行共识规则，自定义规则出错时视为未通过
+     */
+    applyConsensusRule(rule, ctx) {
+        try {
+            return normalizeRuleResult(this.consensusRules.get(rule)(ctx));
+        } catch (error) {
+            return { passed: false, reason: `共识规则 ${rule} 执行失败: ${error.message}` };
+        }
+    }
+
+    /**
+     * 计票：把每张选票归为支持/反对/弃权当前结果
+     * 是/否、单选、多选和二次方投票使用增量计票，其余类型（以及按声誉计算权重时）重新计票
+     */
+    tallyProposal(proposal) {
+        const incremental = this.incrementalTally(proposal);
+        return incremental ? this.summarizeTally(proposal, incremental) : this.recountProposal(proposal);
+    }
+
+    /**
+     * 重新扫描全部选票计票
+     */
+    recountProposal(proposal) {
+        const ballots = this.collectBallots(proposal);
+        const tally = {
+            winner: null,
+            supporters: [],
+            opponents: [],
+            abstainers: [],
+            supportWeight: 0,
+            opposeWeight: 0,
+            abstainWeight: 0,
+            castWeight: 0
+        };
+        
+        let stanceOf;
+        switch (proposal.type) {
+            case 'yesno':
+                // 是/否：yes算同意，no算反对
+                tally.winner = 'yes';
+                stanceOf = this.stanceOf(proposal, tally.winner);
+                break;
+                
+            case 'single':
+            case 'multi': {
+                // 单选按相对多数、多选按认可票计票；多个获胜选项时以票数最少的一个衡量共识
+                const options = this.tallyOptions(proposal, ballots);
+                tally.options = options;
+                tally.winners = options.winners;
+                tally.tie = options.tie;
+                tally.winner = this.optionWinner(options, options.winners.length - 1);
+                stanceOf = this.stanceOf(proposal, tally.winner);
+                break;
+            }
+                
+            case 'quadratic': {
+                // 二次方投票：按加权净票数排名，给获胜选项投了正票的算同意，其余算反对
+                const quadratic = this.tallyQuadratic(proposal, ballots);
+                tally.quadratic = quadratic;
+                tally.winners = quadratic.winners;
+                tally.tie = quadratic.tie;
+                tally.winner = this.optionWinner(quadratic, 0);
+                stanceOf = this.stanceOf(proposal, tally.winner);
+                break;
+            }
+                
+            case 'budget': {
+                // 预算分配：每张选票都参与最终分配，算作同意；获得预算的选项按金额从多到少作为获胜选项
+                tally.allocation = aggregateBudget(ballots, proposal.options.length, proposal.budget, proposal.aggregation);
+                tally.winners = tally.allocation.amounts ? this.selectedOptions(proposal, tally.allocation.amounts) : [];
+                tally.winner = tally.winners.length > 0 ? tally.winners[0] : null;
+                stanceOf = () => 'support';
+                break;
+            }
+                
+            case 'ranked': {
+                // 排序：支持获胜选项的算同意，其余算反对
+                tally.ranked = this.tallyRanked(proposal);
+                tally.winner = tally.ranked.winner;
+                tally.winners = tally.ranked.winner === null ? [] : [tally.ranked.winner];
+                const supporters = new Set(tally.ranked.supporters);
+                stanceOf = (vote, agentId) => (supporters.has(agentId) ? 'support' : 'oppose');
+                break;
+            }
+                
+            default:
+                stanceOf = () => 'abstain';
+        }
+        
+        for (const ballot of ballots) {
+            const stance = stanceOf(ballot.vote, ballot.agentId);
+            tally.castWeight += ballot.weight;
+            
+            if (stance === 'support') {
+                tally.supporters.push(ballot.agentId);
+                tally.supportWeight += ballot.weight;
+            } else if (stance === 'oppose') {
+                tally.opponents.push(ballot.agentId);
+                tally.opposeWeight += ballot.weight;
+            } else {
+                tally.abstainers.push(ballot.agentId);
+                tally.abstainWeight += ballot.weight;
+            }
+        }
+        
+        for (const field of ['supportWeight', 'opposeWeight', 'abstainWeight', 'castWeight']) {
+            tally[field] = roundWeight(tally[field]);
+        }
+        tally.supportCount = tally.supporters.length;
+        tally.opposeCount = tally.opponents.length;
+        tally.abstainCount = tally.abstainers.length;
+        
+        return tally;
+    }
+
+    /**
+     * 提案的增量计票，不支持增量计票时为 null
+     * 名册变化（权重、资格）、选项被替换或选票 Map 被直接修改过时按当前选票重建
+     */
+    incrementalTally(proposal) {
+        if (!this.config.incrementalTally || !INCREMENTAL_TYPES.includes(proposal.type)
+            || this.reputationEngine.options.weightFromReputation) {
+            return null;
+        }
+        
+        let tally = this.tallies.get(proposal.votes);
+        if (!tally || tally.version !== this.rosterVersion || tally.options !== proposal.options
+            || tally.size !== proposal.votes.size) {
+            tally = new IncrementalTally(this.tallyKeyCount(proposal));
+            tally.version = this.rosterVersion;
+            tally.options = proposal.options;
+            for (const [agentId, voteData] of proposal.votes) {
+                tally.set(agentId, this.ballotContributions(proposal, voteData.vote), this.getVoteWeight(agentId, proposal));
+            }
+            this.tallies.set(proposal.votes, tally);
+        }
+        
+        return tally;
+    }
+
+    /**
+     * 记入选票并更新增量计票
+     */
+    setBallot(proposal, agentId, voteData) {
+        if (!proposal) {
+            return;
+        }
+        proposal.votes.set(agentId, voteData);
+        this.tallies.get(proposal.votes)?.set(agentId, this.ballotContributions(proposal, voteData.vote), this.getVoteWeight(agentId, proposal));
+    }
+
+    /**
+     * 撤销选票并更新增量计票，返回是否存在
+     */
+    deleteBallot(proposal, agentId) {
+        if (!proposal || !proposal.votes.delete(agentId)) {
+            return false;
+        }
+        this.tallies.get(proposal.votes)?.delete(agentId);
+        return true;
+    }
+
+    /**
+     * 增量计票的结果键数量，键的含义见 lib/tally.js
+     */
+    tallyKeyCount(proposal) {
+        const count = proposal.options.length;
+        switch (proposal.type) {
+            case 'yesno':
+                return 3;
+            case 'quadratic':
+                return count * 3;
+            default:
+                return count + 1;
+        }
+    }
+
+    /**
+     * 选票对各结果键的贡献 [[键, 数量]]
+     */
+    ballotContributions(proposal, vote) {
+        const count = proposal.options.length;
+        switch (proposal.type) {
+            case 'yesno':
+                if (vote === 'yes' || vote === true) return [[0, 1]];
+                if (vote === 'no' || vote === false) return [[1, 1]];
+                return [[2, 1]];
+                
+            case 'quadratic':
+                if (!Array.isArray(vote)) return [];
+                return vote.flatMap((votes, index) => [
+                    [index, votes],
+                    [count + index, votes > 0 ? 1 : 0],
+                    [count * 2 + index, votes * votes]
+                ]);
+                
+            default: {
+                const selected = this.selectedOptions(proposal, vote);
+                if (selected.length === 0 && proposal.type === 'single') return [[count, 1]];
+                return selected.map(index => [index, 1]);
+            }
+        }
+    }
+
+    /**
+     * 增量计票汇总成与 recountProposal 相同的结构
+     * 支持/反对/弃权的Agent列表在第一次读取时才按选票生成
+     */
+    summarizeTally(proposal, incremental) {
+        const { received } = this.resolveDelegations(proposal);
+        const delegated = Array.from(received, ([agentId, weight]) => ({
+            contributions: this.ballotContributions(proposal, proposal.votes.get(agentId).vote),
+            weight
+        }));
+        const { counts, weights, castWeight, voters } = incremental.totals(delegated);
+        const count = proposal.options.length;
+        const tally = { winner: null, castWeight };
+        let support = null; // 支持键
+        let abstain = null; // 弃权键
+        
+        switch (proposal.type) {
+            case 'yesno':
+                tally.winner = 'yes';
+                support = 0;
+                abstain = 2;
+                break;
+                
+            case 'single':
+            case 'multi': {
+                const options = {
+                    counts: counts.slice(0, count),
+                    weights: weights.slice(0, count),
+                    ...this.rankOptions(proposal, weights.slice(0, count))
+                };
+                tally.options = options;
+                tally.winners = options.winners;
+                tally.tie = options.tie;
+                tally.winner = this.optionWinner(options, options.winners.length - 1);
+                support = tally.winner;
+                abstain = proposal.type === 'single' ? count : null;
+                break;
+            }
+                
+            case 'quadratic': {
+                const quadratic = {
+                    votes: counts.slice(0, count),
+                    weights: weights.slice(0, count),
+                    credits: counts.slice(count * 2),
+                    voters: counts.slice(count, count * 2),
+                    ...this.rankOptions(proposal, weights.slice(0, count))
+                };
+                tally.quadratic = quadratic;
+                tally.winners = quadratic.winners;
+                tally.tie = quadratic.tie;
+                tally.winner = this.optionWinner(quadratic, 0);
+                support = tally.winner === null ? null : count + tally.winner;
+                break;
+            }
+        }
+        
+        tally.supportWeight = support === null ? 0 : weights[support];
+        tally.supportCount = support === null ? 0 : counts[support];
+        tally.abstainWeight = abstain === null ? 0 : weights[abstain];
+        tally.abstainCount = abstain === null ? 0 : counts[abstain];
+        tally.opposeWeight = roundWeight(castWeight - tally.supportWeight - tally.abstainWeight);
+        tally.opposeCount = voters - tally.supportCount - tally.abstainCount;
+        
+        let groups = null;
+        const group = () => {
+            if (!groups) {
+                groups = { support: [], oppose: [], abstain: [] };
+                const stanceOf = this.stanceOf(proposal, tally.winner);
+                for (const [agentId, voteData] of proposal.votes) {
+                    groups[stanceOf(voteData.vote)].push(agentId);
+                }
+            }
+            return groups;
+        };
+        Object.defineProperties(tally, {
+            supporters: { enumerable: true, get: () => group().support },
+            opponents: { enumerable: true, get: () => group().oppose },
+            abstainers: { enumerable: true, get: () => group().abstain }
+        });
+        
+        return tally;
+    }
+
+    /**
+     * 是/否、单选、多选和二次方投票的选票对获胜选项的立场 support/oppose/abstain
+     */
+    stanceOf(proposal, winner) {
+        switch (proposal.type) {
+            case 'yesno':
+                return vote => {
+                    if (vote === 'yes' || vote === true) return 'support';
+                    if (vote === 'no' || vote === false) return 'oppose';
+                    return 'abstain';
+                };
+            case 'quadratic':
+                return vote => (winner !== null && vote[winner] > 0 ? 'support' : 'oppose');
+            default:
+                return vote => {
+                    const selected = this.selectedOptions(proposal, vote);
+                    if (selected.length === 0 && proposal.type === 'single') return 'abstain';
+                    return selected.includes(winner) ? 'support' : 'oppose';
+                };
+        }
+    }
+
+    /**
+     * 排名结果中衡量共识的获胜选项：平票未决或没有获胜选项时为 null
+     */
+    optionWinner(ranking, position) {
+        return (ranking.tie && !ranking.tie.resolved) || ranking.winners.length === 0
+            ? null
+            : ranking.winners[position];
+    }
+
+    /**
+     * 单选/多选计票：相对多数或认可票，按 seats 取前几名并处理平票
+     */
+    tallyOptions(proposal, ballots) {
+        const counts = proposal.options.map(() => 0);
+        const weights = proposal.options.map(() => 0);
+        
+        for (const ballot of ballots) {
+            for (const index of this.selectedOptions(proposal, ballot.vote)) {
+                counts[index]++;
+                weights[index] += ballot.weight;
+            }
+        }
+        
+        return { counts, weights: weights.map(roundWeight), ...this.rankOptions(proposal, weights.map(roundWeight)) };
+    }
+
+    /**
+     * 二次方投票计票：按加权净票数取第一名并处理平票
+     */
+    tallyQuadratic(proposal, ballots) {
+        const { votes, weightedVotes, credits, voters } = tallyQuadratic(ballots, proposal.options.length);
+        const weights = weightedVotes.map(roundWeight);
+        return { votes, weights, credits, voters, ...this.rankOptions(proposal, weights) };
+    }
+
+    /**
+     * 按得分从高到低取前 seats 名，只有得分为正的选项可以胜出；第 seats 名与后面的选项同分时按平票策略处理
+     */
+    rankOptions(proposal, weights) {
+        const seats = proposal.seats;
+        const ranking = weights
+            .map((weight, index) => index)
+            .filter(index => weights[index] > 0)
+            .sort((a, b) => weights[b] - weights[a] || a - b);
+        const result = { seats, winners: ranking.slice(0, seats), tie: null };
+        
+        if (ranking.length <= seats) {
+            return result;
+        }
+        
+        // 第 seats 名与后面的选项同票时出现平票
+        const cutoff = weights[ranking[seats - 1]];
+        const safe = ranking.filter(index => weights[index] > cutoff && !sameWeight(weights[index], cutoff));
+        const tied = ranking.filter(index => sameWeight(weights[index], cutoff));
+        
+        if (safe.length + tied.length === seats) {
+            return result;
+        }
+        
+        const open = seats - safe.length;
+        const resolution = this.breakTie(proposal, tied, open);
+        
+        result.tie = {
+            tied,
+            seats: open,
+            policy: proposal.tieBreak,
+            resolved: resolution.picked !== null,
+            ...resolution
+        };
+        result.winners = resolution.picked ? [...safe, ...resolution.picked] : safe;
+        
+        return result;
+    }
+
+    /**
+     * 按提案的平票策略从 tied 中选出 count 个选项，无法决定时 picked 为 null
+     */
+    breakTie(proposal, tied, count) {
+        switch (proposal.tieBreak) {
+            case 'creator': {
+                // 创建者通过 resolveTie 指定，或以创建者自己的选票为准
+                const creatorVote = proposal.votes.get(proposal.creator);
+                const preferred = proposal.tieResolution
+                    || (creatorVote ? this.selectedOptions(proposal, creatorVote.vote) : []);
+                const picked = tied.filter(index => preferred.includes(index));
+                
+                if (picked.length === count) {
+                    return { resolvedBy: 'creator', picked };
+                }
+                return { resolvedBy: null, picked: null, pending: '等待创建者裁决平票' };
+            }
+                
+            case 'random': {
+                const picked = shuffle(tied, createRng(proposal.tieBreakSeed))
+                    .slice(0, count)
+                    .sort((a, b) => a - b);
+                return { resolvedBy: 'random', seed: proposal.tieBreakSeed, picked };
+            }
+                
+            default:
+                return { resolvedBy: null, picked: null, pending: '截止后在平票选项间决选' };
+        }
+    }
+
+    /**
+     * 把选票换算成选项索引列表（支持索引或选项文本）
+     * 二次方投票和预算分配的选票是数量数组，换算为数量为正的选项，按数量从多到少排列
+     */
+    selectedOptions(proposal, vote) {
+        if (ALLOCATION_TYPES.includes(proposal.type)) {
+            return Array.isArray(vote)
+                ? vote.map((amount, index) => index).filter(index => vote[index] > 0).sort((a, b) => vote[b] - vote[a] || a - b)
+                : [];
+        }
+        return this.optionIndexes(proposal, vote);
+    }
+
+    /**
+     * 把选项索引或选项文本（或其数组）换算成选项索引列表
+     */
+    optionIndexes(proposal, items) {
+        const selected = Array.isArray(items) ? items : [items];
+        return selected
+            .map(item => (typeof item === 'string' ? proposal.options.indexOf(item) : item))
+            .filter(index => Number.isInteger(index) && index >= 0 && index < proposal.options.length);
+    }
+
+    /**
+     * 创建者裁决平票
+     */
+    resolveTie(agentId, proposalId, option) {
+        if (!this.proposals.has(proposalId)) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        
+        if (proposal.creator !== agentId) {
+            return { success: false, error: '只有提案创建者可以裁决平票', code: ERROR_CODES.PERMISSION_DENIED };
+        }
+        
+        if (proposal.status !== 'voting' && proposal.status !== 'revealing') {
+            return { success: false, error: '提案不在投票中', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        if (proposal.tieBreak !== 'creator') {
+            return { success: false, error: '该提案的平票不由创建者裁决', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const picked = this.optionIndexes(proposal, option);
+        if (picked.length === 0) {
+            return { success: false, error: '无效的选项索引', code: ERROR_CODES.INVALID_VOTE };
+        }
+        
+        proposal.tieResolution = picked;
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        
+        return {
+            success: true,
+            message: `平票裁决已记录: ${picked.map(index => proposal.options[index]).join(', ')}`,
+            consensusStatus: this.checkConsensus(proposal)
+        };
+    }
+
+    /**
+     * 有投票资格的Agent（角色拥有投票权限）
+     */
+    getEligibleAgents(proposal) {
+        return [...this.eligibility(proposal).agents];
+    }
+    
+    /**
+     * 提案范围（全体或某个委员会）的有资格Agent和ID集合 { agents, ids }，按名册版本缓存
+     * 返回的是共享的缓存，调用方不能修改
+     */
+    eligibility(proposal) {
+        const scope = proposal.committeeId || '';
+        const cached = this.config.incrementalTally ? this.eligibilityCache.get(scope) : null;
+        if (cached && cached.version === this.rosterVersion) {
+            return cached;
+        }
+        
+        const agents = Object.freeze(Array.from(this.agents.values()).filter(agent => this.isEligible(proposal, agent.id)));
+        const eligibility = { version: this.rosterVersion, agents, ids: new Set(agents.map(agent => agent.id)), weight: null };
+        if (this.config.incrementalTally) {
+            this.eligibilityCache.set(scope, eligibility);
+        }
+        return eligibility;
+    }
+    
+    /**
+     * 全部有资格Agent的投票权重之和；按声誉计算权重时随时间变化，不缓存
+     */
+    eligibleWeight(proposal) {
+        const eligibility = this.eligibility(proposal);
+        if (eligibility.weight !== null) {
+            return eligibility.weight;
+        }
+        
+        const weight = eligibility.agents.reduce((sum, agent) => sum + this.getVoteWeight(agent.id, proposal), 0);
+        if (!this.reputationEngine.options.weightFromReputation) {
+            eligibility.weight = weight;
+        }
+        return weight;
+    }
+    
+    /**
+     * Agent能否在提案上投票：角色允许投票，委员会提案还必须是成员
+     */
+    isEligible(proposal, agentId) {
+        return this.can(agentId, 'vote')
+            && (!proposal.committeeId || this.committees.isMember(proposal.committeeId, agentId));
+    }
+    
+    /**
+     * 委员会提案的成员检查，不通过时返回错误结果
+     */
+    checkMembership(proposal, agentId) {
+        if (!proposal.committeeId || this.committees.isMember(proposal.committeeId, agentId)) {
+            return null;
+        }
+        const committee = this.committees.get(proposal.committeeId);
+        return { success: false, error: `不是委员会 ${committee?.name || proposal.committeeId} 的成员`, code: ERROR_CODES.PERMISSION_DENIED };
+    }
+    
+    /**
+     * 提案的法定投票人数：委员会的 quorum（人数，或 0~1 之间按成员比例），否则 config.minAgents
+     */
+    quorumFor(proposal) {
+        const quorum = proposal.quorum ?? this.config.minAgents;
+        return quorum < 1 ? Math.ceil(quorum * this.eligibility(proposal).agents.length) : quorum;
+    }
+
+    /**
+     * 注册自定义共识规则
+     * fn(ctx) 返回 { passed, reason } 或布尔值，ctx 字段见 lib/consensus-rules.js
+     */
+    registerConsensusRule(name, fn) {
+        if (typeof fn !== 'function') {
+            return { success: false, error: '共识规则必须是函数', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        this.consensusRules.set(name, fn);
+        
+        return { success: true, message: `共识规则 ${name} 注册成功` };
+    }
+
+    /**
+     * 达成共识后的决策固化
+     */
+    finalizeDecision(proposal, status = this.evaluateConsensus(proposal), details = {}) {
+        const decisionId = `decision_${this.decisionIdCounter++}`;
+        
+        // 统计结果
+        const results = this.countVotes(proposal);
+        const tally = this.tallyProposal(proposal);
+        
+        const decision = {
+            id: decisionId,
+            proposalId: proposal.id,
+            title: proposal.title,
+            description: proposal.description,
+            result: proposal.status,
+            results,
+            winner: tally.winners && tally.winners.length === 1 ? tally.winners[0] : null,
+            winners: tally.winners,
+            winningOptions: tally.winners ? tally.winners.map(index => proposal.options[index]) : undefined,
+            tie: tally.tie || null,
+            ...(tally.allocation ? { allocation: tally.allocation } : {}),
+            rule: {
+                name: proposal.consensusRule,
+                passed: status.reached,
+                reason: status.reason
+            },
+            participants: Array.from(proposal.votes.keys()),
+            ...(this.activeAbstentions(proposal).length > 0 ? { abstentions: this.activeAbstentions(proposal) } : {}),
+            decidedAt: this.now(),
+            consensusRatio: this.calculateConsensusRatio(proposal),
+            ...(proposal.delphi ? { rounds: [...proposal.rounds, this.summarizeRound(proposal, status)] } : {}),
+            ...details
+        };
+        
+        this.decisions.set(decisionId, decision);
+        
+        // 更新声誉
+        const reputationMark = this.reputationEngine.mark();
+        decision.reputationChanges = this.reputationEngine.applyDecision(
+            this.agents, proposal, decision, tally, this.now()
+        );
+        
+        // 更新Agent统计
+        const supporters = new Set(tally.supporters);
+        for (const agentId of proposal.votes.keys()) {
+            const agent = this.agents.get(agentId);
+            if (agent) {
+                agent.participatedDecisions++;
+                
+                if (supporters.has(agentId)) {
+                    agent.agreedDecisions++;
+                } else {
+                    agent.disagreedDecisions++;
+                }
+            }
+        }
+        
+        // 记录到历史
+        this.consensusHistory.push(decision);
+        
+        // 平票未决且策略为决选：在平票选项间发起决选提案
+        if (decision.tie && !decision.tie.resolved && proposal.tieBreak === 'runoff') {
+            decision.tie.runoffProposalId = this.createRunoff(proposal, decision.tie.tied);
+        }
+        
+        // 决策内容确定后写入哈希链账本
+        const ledgerEntry = this.ledger.append(decision, this.now());
+        
+        const touched = new Set([...proposal.votes.keys(), proposal.creator, ...(decision.unrevealed || [])]);
+        this.recordEvent('decision.finalized', {
+            decision,
+            ledgerEntry,
+            proposal: serializeProposal(proposal),
+            agents: Array.from(touched, agentId => this.agents.get(agentId)).filter(Boolean),
+            reputationHistory: this.reputationEngine.entriesSince(reputationMark)
+        });
+        
+        const outcomeEvents = {
+            accepted: 'consensus.reached',
+            rejected: 'proposal.rejected',
+            expired: 'proposal.expired'
+        };
+        if (outcomeEvents[proposal.status]) {
+            this.emit(outcomeEvents[proposal.status], { proposal: this.formatProposal(proposal), decision });
+        }
+        
+        // 绑定的动作在决策固化后异步执行；依赖本提案的提案随之开始投票或取消
+        this.triggerActions(proposal, decision);
+        this.resolveDependents(proposal.id);
+        
+        return decision;
+    }
+
+    /**
+     * 在平票选项间发起决选，决选再平票时随机抽签
+     */
+    createRunoff(proposal, tied) {
+        const created = this.createProposal(
+            proposal.creator,
+            `${proposal.title}（决选）`,
+            proposal.description,
+            tied.map(index => proposal.options[index]),
+            'single',
+            {
+                committee: proposal.committeeId,
+                consensusRule: proposal.consensusRule,
+                threshold: proposal.requiredConsensus,
+                tieBreak: 'random',
+                tieBreakSeed: proposal.tieBreakSeed
+            },
+            SYSTEM_SIGNATURE
+        );
+        
+        if (!created.success) {
+            return null;
+        }
+        
+        const runoff = this.proposals.get(created.proposal.id);
+        runoff.runoffOf = proposal.id;
+        runoff.runoffOptions = tied; // 决选选项对应原提案的选项索引
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(runoff) });
+        
+        return runoff.id;
+    }
+
+    /**
+     * 统计投票
+     */
+    countVotes(proposal) {
+        const results = {
+            counts: {},
+            weightedCounts: {},
+            breakdown: []
+        };
+        
+        if (proposal.type === 'yesno') {
+            results.counts = { yes: 0, no: 0, abstain: 0 };
+            results.weightedCounts = { yes: 0, no: 0, abstain: 0 };
+        } else if (proposal.options.length > 0) {
+            for (let i = 0; i < proposal.options.length; i++) {
+                results.counts[i] = 0;
+                results.weightedCounts[i] = 0;
+            }
+        }
+        
+        const delegation = this.resolveDelegations(proposal);
+        
+        for (const [agentId, voteData] of proposal.votes) {
+            const agent = this.agents.get(agentId);
+            const delegatedWeight = delegation.received.get(agentId) || 0;
+            const weight = this.getVoteWeight(agentId, proposal) + delegatedWeight;
+            const vote = voteData.vote;
+            
+            const breakdownEntry = {
+                agentId,
+                agentName: agent?.name || 'Unknown',
+                vote: vote,
                 weight: weight
             };
+            if (delegatedWeight > 0) {
+                breakdownEntry.delegatedWeight = delegatedWeight;
+            }
+            
+            if (proposal.type === 'yesno') {
+                if (vote === 'yes' || vote === true) {
+                    results.counts.yes++;
+                    results.weightedCounts.yes += weight;
+                } else if (vote === 'no' || vote === false) {
+                    results.counts.no++;
+                    results.weightedCounts.no += weight;
+                } else {
+                    results.counts.abstain++;
+                    results.weightedCounts.abstain += weight;
+                }
+            } else if (proposal.type === 'single' || proposal.type === 'multi') {
+                for (const voteIndex of this.selectedOptions(proposal, vote)) {
+                    results.counts[voteIndex]++;
+                    results.weightedCounts[voteIndex] += weight;
+                }
+            } else if (proposal.type === 'ranked') {
+                // 排序：counts 记录第一偏好
+                results.counts[vote[0]]++;
+                results.weightedCounts[vote[0]] += weight;
+            } else if (ALLOCATION_TYPES.includes(proposal.type)) {
+                // 二次方投票和预算分配：counts 记录各选项的净票数或金额合计
+                vote.forEach((amount, index) => {
+                    results.counts[index] += amount;
+                    results.weightedCounts[index] += amount * weight;
+                });
+                if (voteData.cost !== undefined) {
+                    breakdownEntry.cost = voteData.cost;
+                }
+            }
+            
+            results.breakdown.push(breakdownEntry);
+        }
+        
+        // 排序：保留逐轮淘汰记录或两两对决矩阵
+        if (proposal.type === 'ranked') {
+            results.ranked = this.tallyRanked(proposal);
+        }
+        
+        // 二次方投票：各选项的净票数和花费的投票点数；预算分配：聚合后的最终分配
+        if (proposal.type === 'quadratic') {
+            const { votes, credits } = this.tallyQuadratic(proposal, this.collectBallots(proposal));
+            results.quadratic = { votes, credits };
+        } else if (proposal.type === 'budget') {
+            results.allocation = aggregateBudget(this.collectBallots(proposal), proposal.options.length, proposal.budget, proposal.aggregation);
+        }
+        
+        results.delegation = this.delegationReport(proposal, delegation);
+        
+        // 匿名提案：明细按选票内容合并，只给出合计权重和票数，单张选票的权重也能认出投票人
+        if (proposal.anonymous) {
+            const groups = new Map();
+            for (const { vote, weight } of results.breakdown) {
+                const key = canonicalize(vote);
+                const group = groups.get(key) || { vote, weight: 0, count: 0 };
+                group.weight = roundWeight(group.weight + weight);
+                group.count++;
+                groups.set(key, group);
+            }
+            results.breakdown = [...groups.keys()].sort().map(key => groups.get(key));
+            if (results.ranked) {
+                const { supporters, ...ranked } = results.ranked;
+                results.ranked = ranked;
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * 排序提案计票
+     */
+    tallyRanked(proposal) {
+        const ballots = this.collectBallots(proposal).map(ballot => ({
+            agentId: ballot.agentId,
+            ranking: ballot.vote,
+            weight: ballot.weight
+        }));
+        return tallyRanked(ballots, proposal.options.length, proposal.rankedMethod);
+    }
+
+    /**
+     * 收集加权选票，权重包含沿委托链流入的权重
+     */
+    collectBallots(proposal) {
+        const { received } = this.resolveDelegations(proposal);
+        return Array.from(proposal.votes, ([agentId, voteData]) => ({
+            agentId,
+            vote: voteData.vote,
+            weight: this.getVoteWeight(agentId, proposal) + (received.get(agentId) || 0),
+            delegatedWeight: received.get(agentId) || 0
+        }));
+    }
+
+    /**
+     * 解析提案上的委托：没有亲自投票的有资格Agent沿委托链把权重交给链上第一个亲自投票的Agent
+     * 亲自投票优先于委托；链上出现循环或没有人投票时，权重不计入
+     * 只遍历设置了委托的Agent（按设置委托的先后顺序）
+     * 返回 { flows: [{ from, to, chain, weight }], received: Map(投票人 -> 流入权重), cycles: [chain] }
+     */
+    resolveDelegations(proposal) {
+        const flows = [];
+        const cycles = [];
+        const received = new Map();
+        const eligible = this.eligibility(proposal).ids;
+        
+        for (const agentId of this.delegations.delegators()) {
+            if (proposal.votes.has(agentId) || !eligible.has(agentId)) continue;
+            
+            const { chain, terminal, cycle } = this.delegations.follow(agentId, proposal, id => proposal.votes.has(id));
+            if (cycle) {
+                cycles.push(chain);
+            } else if (terminal) {
+                const weight = this.getVoteWeight(agentId, proposal);
+                flows.push({ from: agentId, to: terminal, chain, weight });
+                received.set(terminal, (received.get(terminal) || 0) + weight);
+            }
+        }
+        
+        return { flows, received, cycles };
+    }
+
+    /**
+     * 委托报告：每个结果（选项 / yes/no/abstain）获得了多少委托权重，经过哪些委托链
+     * 匿名提案只报告各结果的委托权重合计
+     */
+    delegationReport(proposal, { flows, cycles }) {
+        const byOutcome = {};
+        let delegatedWeight = 0;
+        
+        for (const flow of flows) {
+            delegatedWeight += flow.weight;
+            for (const outcome of this.voteOutcomes(proposal, proposal.votes.get(flow.to).vote)) {
+                if (!byOutcome[outcome]) {
+                    byOutcome[outcome] = { weight: 0, chains: [] };
+                }
+                byOutcome[outcome].weight += flow.weight;
+                byOutcome[outcome].chains.push({ chain: flow.chain, weight: flow.weight });
+            }
+        }
+        
+        if (proposal.anonymous) {
+            for (const outcome of Object.values(byOutcome)) {
+                delete outcome.chains;
+            }
+            return { delegatedWeight, byOutcome };
+        }
+        
+        return { delegatedWeight, byOutcome, flows, cycles };
+    }
+
+    /**
+     * 选票计入的结果键，与 countVotes 的 counts 一致
+     */
+    voteOutcomes(proposal, vote) {
+        switch (proposal.type) {
+            case 'yesno':
+                if (vote === 'yes' || vote === true) return ['yes'];
+                if (vote === 'no' || vote === false) return ['no'];
+                return ['abstain'];
+            case 'ranked':
+                return [String(vote[0])];
+            default:
+                return this.selectedOptions(proposal, vote).map(String);
+        }
+    }
+
+    /**
+     * 委托投票
+     * scope: {} 全局 / { proposalId } 按提案 / { tag } 按标签；同一范围的旧委托被替换
+     */
+    delegateVote(agentId, delegateId, scope = {}) {
+        const denied = this.authorize(agentId, 'delegate');
+        if (denied) {
+            return denied;
+        }
+        
+        if (!this.agents.has(delegateId)) {
+            return { success: false, error: '受托Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        if (delegateId === agentId) {
+            return { success: false, error: '不能委托给自己', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (scope.proposalId && !this.proposals.has(scope.proposalId)) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const delegation = { delegate: delegateId, ...scopeOf(scope), createdAt: this.now() };
+        
+        // 在该范围内从受托人出发沿委托链前进，回到自己即形成循环
+        const context = scope.proposalId
+            ? this.proposals.get(scope.proposalId)
+            : { id: null, tags: scope.tag ? [scope.tag] : [] };
+        const followed = this.delegations.follow(delegateId, context, id => id === agentId);
+        const chain = [agentId, ...followed.chain];
+        if (followed.terminal === agentId) {
+            return {
+                success: false,
+                error: `委托形成循环: ${chain.map(id => this.getAgentName(id)).join(' → ')}`,
+                code: ERROR_CODES.DELEGATION_CYCLE
+            };
+        }
+        
+        this.delegations.set(agentId, delegation);
+        this.recordEvent('delegation.set', { agentId, delegation });
+        this.emit('delegation.set', { agentId, delegation });
+        
+        return {
+            success: true,
+            message: `${this.getAgentName(agentId)} 已委托 ${this.getAgentName(delegateId)} 投票`,
+            delegation,
+            chain
+        };
+    }
+
+    /**
+     * 撤销委托，scope 同 delegateVote
+     */
+    revokeDelegation(agentId, scope = {}) {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        const { scope: kind, target } = scopeOf(scope);
+        if (!this.delegations.revoke(agentId, kind, target)) {
+            return { success: false, error: '没有该范围的委托', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        this.recordEvent('delegation.revoked', { agentId, scope: kind, target });
+        this.emit('delegation.revoked', { agentId, scope: kind, target });
+        
+        return { success: true, message: `${this.getAgentName(agentId)} 已撤销委托` };
+    }
+
+    /**
+     * Agent当前的委托；指定 proposalId 时同时给出对该提案生效的委托链
+     */
+    getDelegations(agentId, proposalId = null) {
+        const delegations = this.delegations.list(agentId);
+        const proposal = proposalId ? this.proposals.get(proposalId) : null;
+        if (!proposal) {
+            return { agentId, delegations };
+        }
+        
+        const { chain, terminal, cycle } = this.delegations.follow(agentId, proposal, id => proposal.votes.has(id));
+        return { agentId, delegations, effective: { chain, votedBy: terminal, cycle } };
+    }
+
+    /**
+     * 为Agent挂接自动投票驱动，提案开始投票（包括多轮审议的新一轮）时邀请该Agent
+     * driver: async (context) => { vote, justification }，或带 decide(context) 方法的对象（见 lib/drivers.js）
+     * options.timeout / options.retries / options.retryDelay: 单次作答超时、重试次数和重试间隔（毫秒）
+     * options.privateKey: 注册了公钥的Agent用来签名的私钥
+     */
+    attachDriver(agentId, driver, options = {}) {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        if (typeof driver !== 'function' && typeof driver?.decide !== 'function') {
+            return { success: false, error: '驱动必须是函数或带 decide 方法的对象', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        this.drivers.attach(agentId, driver, options);
+        
+        return { success: true, message: `已为 ${this.getAgentName(agentId)} 挂接自动投票驱动` };
+    }
+
+    detachDriver(agentId) {
+        return this.drivers.detach(agentId)
+            ? { success: true, message: `已移除 ${this.getAgentName(agentId)} 的自动投票驱动` }
+            : { success: false, error: '该Agent没有挂接驱动', code: ERROR_CODES.INVALID_ARGUMENT };
+    }
+
+    /**
+     * 手动邀请已挂接驱动的Agent对提案投票（同一轮已邀请过的不再邀请），返回各Agent的结果
+     */
+    inviteDrivers(proposalId) {
+        return this.drivers.invite(proposalId);
+    }
+
+    /**
+     * 等待所有进行中的驱动作答完成
+     */
+    settleDrivers() {
+        return this.drivers.settle();
+    }
+
+    /**
+     * 交给驱动的上下文：提案、讨论串、论点汇总和当前计票（秘密投票不提供计票）
+     */
+    driverContext(proposal, agentId) {
+        const secret = proposal.ballot === 'secret';
+        return JSON.parse(JSON.stringify({
+            agentId,
+            agentName: this.getAgentName(agentId),
+            credits: proposal.type === 'quadratic' ? this.getCredits(agentId) : undefined,
+            proposal: this.formatProposal(proposal),
+            comments: buildThread(proposal.comments),
+            arguments: this.getArgumentSummary(proposal.id).arguments,
+            tally: secret ? null : this.countVotes(proposal),
+            consensusStatus: secret ? null : this.evaluateConsensus(proposal),
+            now: this.now()
+        }));
+    }
+
+    /**
+     * 按驱动的回答投票；秘密投票由系统生成盐值提交承诺，返回的 sealed 在揭示阶段使用
+     */
+    castDriverVote(proposalId, agentId, answer, options = {}) {
+        if (!answer || typeof answer !== 'object' || answer.vote === undefined) {
+            return { success: false, error: '驱动的回答缺少 vote', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        const justification = typeof answer.justification === 'string' ? answer.justification : '';
+        const sign = (action, fields) => (options.privateKey ? signAction(options.privateKey, action, agentId, fields) : null);
+        
+        if (proposal.ballot === 'secret') {
+            const validation = this.validateVote(proposal, answer.vote);
+            if (!validation.valid) {
+                return { success: false, error: validation.error, code: ERROR_CODES.INVALID_VOTE };
+            }
+            
+            const salt = createSalt();
+            const commitment = createCommitment(proposalId, agentId, answer.vote, salt);
+            const result = this.commitVote(agentId, proposalId, commitment, sign('vote.commit', commitFields(proposal, commitment)));
+            return result.success ? { ...result, sealed: { vote: answer.vote, salt } } : result;
+        }
+        
+        return this.vote(agentId, proposalId, answer.vote, justification, sign('vote', voteFields(proposal, answer.vote, justification)));
+    }
+
+    /**
+     * 记录驱动作答失败导致的弃权；弃权不计入计票
+     */
+    recordAbstention(proposalId, agentId, reason, attempts) {
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) return null;
+        
+        const abstention = { agentId, reason, attempts, at: this.now() };
+        proposal.abstentions = [...proposal.abstentions.filter(item => item.agentId !== agentId), abstention];
+        
+        this.recordEvent('driver.abstained', { proposalId, abstention });
+        this.emit('driver.abstained', { proposalId, ...abstention });
+        
+        return abstention;
+    }
+
+    /**
+     * 仍然有效的弃权记录：之后自行投票或提交承诺的Agent不再算弃权
+     */
+    activeAbstentions(proposal) {
+        return proposal.abstentions.filter(item =>
+            !proposal.votes.has(item.agentId) && !proposal.commitments?.has(item.agentId));
+    }
+
+    /**
+     * 注册决策动作处理器，提案通过 settings.actions 按名称绑定
+     * handler: async (context) => result，或带 run(context) / rollback(context) 方法的对象（见 lib/actions.js）
+     * options.timeout / options.retries / options.retryDelay: 单次执行超时、重试次数和重试间隔（毫秒）
+     */
+    registerAction(name, handler, options = {}) {
+        if (typeof name !== 'string' || name === '') {
+            return { success: false, error: '动作名称不能为空', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (typeof handler !== 'function' && typeof handler?.run !== 'function') {
+            return { success: false, error: '动作处理器必须是函数或带 run 方法的对象', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        this.actions.register(name, handler, options);
+        
+        return { success: true, message: `动作 ${name} 注册成功` };
+    }
+
+    unregisterAction(name) {
+        return this.actions.unregister(name)
+            ? { success: true, message: `已移除动作 ${name}` }
+            : { success: false, error: `未注册的动作: ${name}`, code: ERROR_CODES.INVALID_ARGUMENT };
+    }
+
+    /**
+     * 校验选项数量与提案类型相符（创建和修订提案共用）
+     */
+    validateOptions(type, options, seats) {
+        if (type === 'multi' && (!Number.isInteger(seats) || seats < 1 || seats > options.length)) {
+            return { success: false, error: '获胜选项数无效', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (ALLOCATION_TYPES.includes(type) && options.length < 2) {
+            return { success: false, error: '二次方投票和预算分配至少需要两个选项', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        return null;
+    }
+
+    /**
+     * 校验提案的动作绑定 [{ action, on, option, params }]
+     * on: 触发的决策结果（默认 accepted）；option: 仅在该选项胜出时触发，只能与 accepted 一起使用
+     */
+    validateActionBindings(bindings, options, type) {
+        if (!Array.isArray(bindings)) {
+            return { success: false, error: '动作绑定必须是数组', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        for (const binding of bindings) {
+            const { action, on = 'accepted', option = null, params = {} } = binding || {};
+            if (typeof action !== 'string' || action === '') {
+                return { success: false, error: '动作名称不能为空', code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+            if (!ACTION_TRIGGERS.includes(on)) {
+                return { success: false, error: `动作触发条件必须是 ${ACTION_TRIGGERS.join('/')} 之一`, code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+            if (option !== null && (on !== 'accepted' || type === 'yesno' || !Number.isInteger(option)
+                || option < 0 || option >= options.length)) {
+                return { success: false, error: `动作 ${action} 绑定的选项无效`, code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+            if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+                return { success: false, error: `动作 ${action} 的参数必须是对象`, code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * 为决策创建匹配的动作执行记录并开始执行，返回执行ID
+     */
+    triggerActions(proposal, decision) {
+        const bindings = proposal.actions.filter(binding => binding.on === proposal.status
+            && (binding.option === null || (decision.winners || []).includes(binding.option)));
+        if (bindings.length === 0) {
+            return [];
+        }
+        
+        const now = this.now();
+        const executionIds = bindings.map(({ action, params }) => {
+            const execution = {
+                id: `exec_${this.executionIdCounter++}`,
+                proposalId: proposal.id,
+                decisionId: decision.id,
+                action,
+                params,
+                status: 'pending',
+                attempts: 0,
+                result: null,
+                error: null,
+                createdAt: now,
+                startedAt: null,
+                finishedAt: null,
+                rollback: null // { reason, error, at }
+            };
+            this.executions.set(execution.id, execution);
+            this.recordEvent('action.updated', { execution });
+            return execution.id;
+        });
+        
+        this.emit('action.triggered', {
+            proposalId: proposal.id,
+            decisionId: decision.id,
+            executions: executionIds.map(executionId => ({ ...this.executions.get(executionId) }))
+        });
+        this.actions.start(executionIds);
+        
+        return executionIds;
+    }
+
+    /**
+     * 更新执行记录；eventType 不为空时同时发布事件
+     */
+    updateExecution(executionId, changes, eventType = null) {
+        const execution = this.executions.get(executionId);
+        Object.assign(execution, changes);
+        this.recordEvent('action.updated', { execution });
+        if (eventType) {
+            this.emit(eventType, { proposalId: execution.proposalId, execution: { ...execution } });
+        }
+        return execution;
+    }
+
+    /**
+     * 交给动作处理器的上下文
+     */
+    actionContext(execution) {
+        return JSON.parse(JSON.stringify({
+            executionId: execution.id,
+            action: execution.action,
+            params: execution.params,
+            proposal: this.formatProposal(this.proposals.get(execution.proposalId)),
+            decision: this.decisions.get(execution.decisionId)
+        }));
+    }
+
+    executionsOf(decisionId) {
+        return Array.from(this.executions.values()).filter(execution => execution.decisionId === decisionId);
+    }
+
+    /**
+     * 提案的动作执行记录（按执行顺序）
+     */
+    getActionExecutions(proposalId) {
+        if (!this.proposals.has(proposalId)) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const executions = Array.from(this.executions.values()).filter(execution => execution.proposalId === proposalId);
+        return { success: true, proposalId, executions: executions.map(execution => ({ ...execution })) };
+    }
+
+    /**
+     * 管理员回滚提案最近一次决策已成功的动作（按相反顺序调用回滚钩子）
+     * 回滚异步进行，尚未开始投票的依赖提案随后自动取消
+     */
+    rollbackActions(adminId, proposalId, reason = '') {
+        const denied = this.authorize(adminId, 'action.rollback');
+        if (denied) {
+            return denied;
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const decision = [...this.consensusHistory].reverse().find(item => item.proposalId === proposalId);
+        const executions = decision ? this.executionsOf(decision.id) : [];
+        if (executions.some(execution => execution.status === 'pending' || execution.status === 'running')) {
+            return { success: false, error: '动作仍在执行，无法回滚', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        const executionIds = executions.filter(execution => execution.status === 'succeeded').map(execution => execution.id).reverse();
+        if (executionIds.length === 0) {
+            return { success: false, error: '没有可回滚的动作', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        this.audit(adminId, 'action.rollback', proposalId, { executions: executionIds, reason });
+        this.actions.rollback(executionIds, reason || '管理员回滚');
+        
+        return {
+            success: true,
+            message: `开始回滚 ${executionIds.length} 个动作: ${proposal.title}`,
+            executions: executionIds
+        };
+    }
+
+    /**
+     * 等待所有进行中的动作执行和回滚完成
+     */
+    settleActions() {
+        return this.actions.settle();
+    }
+
+    /**
+     * 获取Agent的投票权重，委员会提案使用成员在委员会中的权重
+     */
+    getVoteWeight(agentId, proposal = null) {
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            return 1.0;
+        }
+        const member = proposal?.committeeId ? this.committees.member(proposal.committeeId, agentId) : null;
+        return this.reputationEngine.effectiveWeight(member ? { ...agent, weight: member.weight } : agent, this.now());
+    }
+
+    /**
+     * 获取Agent剩余的投票点数
+     */
+    getCredits(agentId) {
+        const agent = this.agents.get(agentId);
+        return agent ? agent.credits ?? this.config.voiceCredits : 0;
+    }
+
+    /**
+     * 增减Agent的投票点数
+     */
+    adjustCredits(agentId, delta) {
+        const agent = this.agents.get(agentId);
+        if (!agent || delta === 0) {
+            return;
+        }
+        agent.credits = this.getCredits(agentId) + delta;
+        // 单独的事件类型：点数变化不影响投票资格和权重，不必重建名册缓存
+        this.recordEvent('agent.credited', { agentId, credits: agent.credits });
+    }
+
+    /**
+     * 退还二次方投票选票花费的投票点数（提案取消、成员离开委员会时）
+     */
+    refundCredits(proposal, agentIds = Array.from(proposal.votes.keys())) {
+        for (const agentId of agentIds) {
+            this.adjustCredits(agentId, proposal.votes.get(agentId)?.cost || 0);
+        }
+    }
+
+    /**
+     * 获取Agent当前声誉（计入衰减）
+     */
+    getReputation(agentId) {
+        const agent = this.agents.get(agentId);
+        return agent ? this.reputationEngine.current(agent, this.now()) : null;
+    }
+
+    /**
+     * 获取Agent的声誉变化历史
+     */
+    getReputationHistory(agentId) {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        return {
+            success: true,
+            agentId,
+            reputation: this.getReputation(agentId),
+            history: this.reputationEngine.getHistory(agentId)
+        };
+    }
+
+    /**
+     * 计算共识比例
+     */
+    calculateConsensusRatio(proposal) {
+        const totalVotes = proposal.votes.size;
+        const yesVotes = this.tallyProposal(proposal).supportCount;
+        return totalVotes > 0 ? (yesVotes / totalVotes) : 0;
+    }
+
+    /**
+     * 添加评论
+     * thread.parentId: 回复的评论ID；thread.stance: pro/con/neutral，默认 neutral；thread.option: 立场针对的选项（索引或文本）
+     * thread.nonce: 客户端随机数，参与签名，使同样内容的评论得到不同签名
+     * signature: 注册了公钥的Agent对 { proposalId, comment, parentId, stance, option, nonce } 的签名（未提供的字段不参与签名），
+     *   同一签名只能使用一次
+     */
+    addComment(agentId, proposalId, comment, signature = null, thread = {}) {
+        const denied = this.authorize(agentId, 'comment');
+        if (denied) {
+            return denied;
+        }
+        
+        if (!this.proposals.has(proposalId)) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        let { parentId, stance, option } = thread;
+        const { nonce } = thread;
+        const unsigned = this.checkSignature(agentId, 'comment', { proposalId, comment, parentId, stance, option, nonce }, signature, true);
+        if (unsigned) {
+            return unsigned;
+        }
+        
+        const ctx = { action: 'comment', agentId, proposalId, comment, parentId, stance, option };
+        const rejected = this.runSignedHooks(ctx, signature, ['comment', 'parentId', 'stance', 'option']);
+        if (rejected) {
+            return rejected;
+        }
+        ({ comment, parentId, stance, option } = ctx);
+        
+        const proposal = this.proposals.get(proposalId);
+        const target = this.resolveArgumentTarget(proposal, { parentId, stance, option });
+        if (!target.success) {
+            return target;
+        }
+        
+        const entryThread = {
+            parentId: parentId || null,
+            stance: stance || 'neutral',
+            option: target.option,
+            source: 'comment'
+        };
+        if (nonce !== undefined) {
+            entryThread.nonce = nonce;
+        }
+        const entry = this.appendComment(proposal, agentId, comment, entryThread, signature);
+        
+        return { success: true, comment, commentId: entry.id };
+    }
+
+    /**
+     * 校验回复对象、立场和选项，选项统一为索引（是/否提案和整体论点为 null）
+     */
+    resolveArgumentTarget(proposal, { parentId, stance, option }) {
+        if (parentId && !proposal.comments.some(comment => comment.id === parentId)) {
+            return { success: false, error: '回复的评论不存在', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (stance !== undefined && stance !== null && !STANCES.includes(stance)) {
+            return { success: false, error: `立场应为 ${STANCES.join('/')} 之一`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (option === undefined || option === null) {
+            return { success: true, option: null };
+        }
+        
+        const selected = proposal.type === 'yesno' ? [] : this.optionIndexes(proposal, option);
+        if (Array.isArray(option) || selected.length !== 1) {
+            return { success: false, error: '立场关联的选项无效', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        return { success: true, option: selected[0] };
+    }
+
+    /**
+     * 追加一条评论到提案的讨论串
+     * thread: { parentId, stance, option, source }，source 为 comment 或 vote（投票理由）
+     */
+    appendComment(proposal, agentId, comment, thread, signature = null) {
+        const entry = {
+            id: `comment_${proposal.comments.length + 1}`,
+            agentId,
+            agentName: this.getAgentName(agentId),
+            comment,
+            timestamp: this.now(),
+            ...thread,
+            reactions: { endorse: [], rebut: [] }
+        };
+        if (proposal.delphi) {
+            entry.round = proposal.round;
+        }
+        if (signature) {
+            entry.signature = signature;
+        }
+        proposal.comments.push(entry);
+        this.recordEvent('comment.added', { proposalId: proposal.id, comment: entry });
+        this.emit('comment.added', { proposalId: proposal.id, comment: entry });
+        
+        return entry;
+    }
+
+    /**
+     * 改写讨论串中的一条评论（改票时的投票理由），保留ID和回复，清空针对旧内容的表态
+     * 评论不存在时返回 null
+     */
+    rewriteComment(proposal, commentId, comment, thread) {
+        const index = proposal.comments.findIndex(item => item.id === commentId);
+        if (index === -1) {
+            return null;
+        }
+        
+        const previous = proposal.comments[index];
+        const entry = {
+            ...previous,
+            comment,
+            timestamp: this.now(),
+            ...thread,
+            reactions: { endorse: [], rebut: [] }
+        };
+        if (proposal.delphi) {
+            entry.round = proposal.round;
+        }
+        proposal.comments[index] = entry;
+        this.recordEvent('comment.rewritten', { proposalId: proposal.id, comment: entry });
+        
+        return entry;
+    }
+
+    /**
+     * 选票对应的立场：是/否提案为 pro/con/neutral，其他提案支持首选选项
+     */
+    voteStance(proposal, vote) {
+        if (proposal.type === 'yesno') {
+            const [outcome] = this.voteOutcomes(proposal, vote);
+            return { stance: outcome === 'yes' ? 'pro' : outcome === 'no' ? 'con' : 'neutral', option: null };
+        }
+        
+        const [first] = proposal.type === 'ranked' ? vote : this.selectedOptions(proposal, vote);
+        if (proposal.type === 'quadratic' && first === undefined) {
+            // 只投了反对票：关联反对票数最多的选项
+            return { stance: 'con', option: vote.indexOf(Math.min(...vote)) };
+        }
+        return { stance: 'pro', option: first ?? null };
+    }
+
+    /**
+     * 认可或反驳一条评论，reaction 为 null 时取消；每个Agent对一条评论只保留一种反应
+     */
+    reactToComment(agentId, proposalId, commentId, reaction) {
+        const denied = this.authorize(agentId, 'comment');
+        if (denied) {
+            return denied;
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const comment = proposal.comments.find(item => item.id === commentId);
+        if (!comment) {
+            return { success: false, error: '评论不存在', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (reaction !== null && !REACTIONS.includes(reaction)) {
+            return { success: false, error: `反应应为 ${REACTIONS.join('/')} 之一`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (comment.agentId === agentId) {
+            return { success: false, error: '不能对自己的评论表态', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        setReaction(comment, agentId, reaction);
+        this.recordEvent('comment.reacted', { proposalId, commentId, agentId, reaction });
+        this.emit('comment.reacted', { proposalId, commentId, agentId, reaction });
+        
+        return {
+            success: true,
+            message: reaction ? `${this.getAgentName(agentId)} ${reaction === 'endorse' ? '认可' : '反驳'}了 ${comment.agentName} 的论点` : '已取消表态',
+            reactions: { endorse: comment.reactions.endorse.length, rebut: comment.reactions.rebut.length },
+            strength: argumentStrength(comment, agentId => this.getVoteWeight(agentId, proposal))
+        };
+    }
+
+    /**
+     * 提案的讨论串（嵌套回复）
+     */
+    getCommentThread(proposalId) {
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        return { success: true, proposalId, thread: buildThread(proposal.comments) };
+    }
+
+    /**
+     * 论点摘要：每个选项（是/否提案为提案本身）最强的支持和反对论点，以及不针对具体选项的整体论点
+     */
+    getArgumentSummary(proposalId, limit = 3) {
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const targets = proposal.type === 'yesno'
+            ? [{ option: null, label: proposal.title }]
+            : [...proposal.options.map((label, option) => ({ option, label })), { option: null, label: '整体' }];
+        
+        return {
+            success: true,
+            proposalId,
+            totalArguments: proposal.comments.length,
+            arguments: summarizeArguments(proposal.comments, {
+                targets,
+                weightOf: agentId => this.getVoteWeight(agentId, proposal),
+                limit
+            })
+        };
+    }
+
+    /**
+     * 校验操作签名：注册了公钥的Agent必须签名，未注册公钥的Agent在 requireSignatures 时被拒绝
+     * once: 签名只能使用一次（提案和评论），已用过的签名视为重放
+     * 返回错误结果，通过时返回 null
+     */
+    checkSignature(agentId, action, fields, signature, once = false) {
+        if (signature === SYSTEM_SIGNATURE) {
+            return null;
+        }
+        
+        const agent = this.agents.get(agentId);
+        if (!agent.publicKey) {
+            return this.config.requireSignatures
+                ? { success: false, error: 'Agent未注册公钥', code: ERROR_CODES.INVALID_SIGNATURE }
+                : null;
+        }
+        
+        if (!signature) {
+            return { success: false, error: '缺少签名', code: ERROR_CODES.INVALID_SIGNATURE };
+        }
+        
+        if (!verifyAction(agent.publicKey, signature, action, agentId, fields)) {
+            return { success: false, error: '签名无效', code: ERROR_CODES.INVALID_SIGNATURE };
+        }
+        
+        if (once && this.usedSignatures.has(signature)) {
+            return { success: false, error: '签名已使用过，请换一个 nonce 重新签名', code: ERROR_CODES.INVALID_SIGNATURE };
+        }
+        
+        return null;
+    }
+
+    /**
+     * 事后校验已记录的选票确实由该Agent签名
+     */
+    verifyVoteSignature(proposalId, agentId) {
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        const voteData = proposal.votes.get(agentId);
+        if (!voteData) {
+            return { success: false, error: '该Agent没有投票', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const agent = this.agents.get(agentId);
+        if (!agent || !agent.publicKey) {
+            return { success: true, signed: false, valid: false };
+        }
+        
+        // 秘密投票签的是承诺，选票本身由承诺保证
+        const valid = proposal.ballot === 'secret'
+            ? verifyAction(agent.publicKey, proposal.commitments.get(agentId)?.signature, 'vote.commit', agentId,
+                commitFields(proposal, proposal.commitments.get(agentId)?.commitment))
+            : verifyAction(agent.publicKey, voteData.signature, 'vote', agentId,
+                voteFields({ id: proposalId, round: proposal.round, version: voteData.version }, voteData.vote, voteData.comment));
+        
+        return { success: true, signed: Boolean(voteData.signature || proposal.commitments?.get(agentId)?.signature), valid };
+    }
+
+    /**
+     * 审计决策账本：校验哈希链并与决策历史逐条比对，指出第一条被篡改的记录
+     */
+    verifyLedger() {
+        return this.ledger.verify(this.consensusHistory);
+    }
+
+    /**
+     * Agent的角色是否允许执行某个操作
+     */
+    can(agentId, action) {
+        const agent = this.agents.get(agentId);
+        return Boolean(agent && this.permissions.get(agent.role)?.has(action));
+    }
+
+    /**
+     * 权限检查，不通过时返回错误结果
+     */
+    authorize(agentId, action) {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        if (!this.can(agentId, action)) {
+            const role = this.agents.get(agentId).role;
+            return {
+                success: false,
+                error: `角色 ${role} 无权${ACTIONS[action] || action}`,
+                code: ERROR_CODES.PERMISSION_DENIED,
+                action,
+                role
+            };
+        }
+        
+        return null;
+    }
+
+    /**
+     * 记录管理操作
+     */
+    audit(actorId, action, target, details = {}) {
+        const entry = {
+            id: this.auditLog.length + 1,
+            action,
+            actor: actorId,
+            target,
+            ...details,
+            timestamp: this.now()
+        };
+        this.auditLog.push(entry);
+        this.recordEvent('audit.recorded', { entry });
+        return entry;
+    }
+
+    /**
+     * 管理员提前结束提案，按当前投票判定通过或否决
+     */
+    closeProposal(adminId, proposalId) {
+        const denied = this.authorize(adminId, 'proposal.close');
+        if (denied) {
+            return denied;
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        if (proposal.status !== 'voting' && proposal.status !== 'revealing') {
+            return { success: false, error: '提案不在投票中', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        // 秘密投票：提前结束提交阶段进入揭示阶段，或提前结束揭示阶段
+        if (proposal.status === 'voting' && proposal.ballot === 'secret') {
+            this.startRevealPhase(proposal);
+            this.audit(adminId, 'proposal.close', proposalId, { result: proposal.status });
+            
+            return {
+                success: true,
+                message: '提交阶段已提前结束，进入揭示阶段',
+                proposal: this.formatProposal(proposal)
+            };
+        }
+        
+        let decision;
+        if (proposal.status === 'revealing') {
+            decision = this.closeRevealPhase(proposal, { closedBy: adminId });
+        } else {
+            const status = this.evaluateConsensus(proposal);
+            proposal.status = status.reached ? 'accepted' : 'rejected';
+            decision = this.finalizeDecision(proposal, status, { closedBy: adminId });
+        }
+        
+        this.audit(adminId, 'proposal.close', proposalId, { result: proposal.status });
+        
+        return {
+            success: true,
+            message: `提案已提前结束: ${proposal.status}`,
+            proposal: this.formatProposal(proposal),
+            decision
+        };
+    }
+
+    /**
+     * 管理员延长提案截止时间
+     */
+    extendDeadline(adminId, proposalId, extraMs) {
+        const denied = this.authorize(adminId, 'proposal.extend');
+        if (denied) {
+            return denied;
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        if (proposal.status !== 'voting') {
+            return { success: false, error: '提案不在投票中', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        if (!(extraMs > 0)) {
+            return { success: false, error: '延长时间必须为正数', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const before = proposal.deadline;
+        proposal.deadline += extraMs;
+        
+        // 新截止时间下尚未到点的提醒重新生效
+        for (const reminder of proposal.reminders) {
+            if (this.now() < proposal.deadline - reminder.before) {
+                reminder.sentAt = null;
+            }
+        }
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        
+        this.audit(adminId, 'proposal.extend', proposalId, { before, after: proposal.deadline });
+        this.scheduler?.schedule();
+        
+        return {
+            success: true,
+            message: `截止时间已延长至 ${new Date(proposal.deadline).toISOString()}`,
+            proposal: this.formatProposal(proposal)
+        };
+    }
+
+    /**
+     * 管理员取消提案，不产生决策
+     */
+    cancelProposal(adminId, proposalId, reason = '') {
+        const denied = this.authorize(adminId, 'proposal.cancel');
+        if (denied) {
+            return denied;
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        if (!PROPOSAL_STATUS_GROUPS.open.includes(proposal.status)) {
+            return { success: false, error: '提案已结束', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        proposal.status = 'cancelled';
+        proposal.cancelledBy = adminId;
+        proposal.cancelReason = reason;
+        this.refundCredits(proposal);
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        
+        this.audit(adminId, 'proposal.cancel', proposalId, { reason });
+        this.emit('proposal.cancelled', { proposal: this.formatProposal(proposal), reason });
+        this.resolveDependents(proposalId);
+        
+        return {
+            success: true,
+            message: `提案已取消: ${proposal.title}`,
+            proposal: this.formatProposal(proposal)
+        };
+    }
+
+    /**
+     * 管理员修改Agent投票权重
+     */
+    setAgentWeight(adminId, agentId, weight) {
+        const denied = this.authorize(adminId, 'agent.setWeight');
+        if (denied) {
+            return denied;
+        }
+        
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        if (typeof weight !== 'number' || !(weight > 0) || !Number.isFinite(weight)) {
+            return { success: false, error: '权重必须为正数', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const before = agent.weight;
+        agent.weight = weight;
+        this.recordEvent('agent.updated', { agent });
+        
+        this.audit(adminId, 'agent.setWeight', agentId, { before, after: weight });
+        
+        return { success: true, message: `${agent.name} 的权重已修改为 ${weight}`, agent };
+    }
+
+    /**
+     * 管理员发放（amount 为负时收回）投票点数
+     */
+    grantCredits(adminId, agentId, amount) {
+        const denied = this.authorize(adminId, 'agent.grantCredits');
+        if (denied) {
+            return denied;
+        }
+        
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        if (!Number.isInteger(amount) || amount === 0) {
+            return { success: false, error: '投票点数必须是非零整数', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const before = this.getCredits(agentId);
+        if (before + amount < 0) {
+            return { success: false, error: `投票点数不足: 剩余 ${before}`, code: ERROR_CODES.INSUFFICIENT_CREDITS };
+        }
+        
+        this.adjustCredits(agentId, amount);
+        
+        this.audit(adminId, 'agent.grantCredits', agentId, { before, after: agent.credits });
+        
+        return { success: true, message: `${agent.name} 的投票点数已修改为 ${agent.credits}`, agent };
+    }
+
+    /**
+     * 管理员修改Agent角色
+     */
+    setAgentRole(adminId, agentId, role) {
+        const denied = this.authorize(adminId, 'agent.setRole');
+        if (denied) {
+            return denied;
+        }
+        
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        if (!ROLES.includes(role)) {
+            return { success: false, error: `未知的角色: ${role}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const before = agent.role;
+        agent.role = role;
+        this.recordEvent('agent.updated', { agent });
+        
+        this.audit(adminId, 'agent.setRole', agentId, { before, after: role });
+        
+        return { success: true, message: `${agent.name} 的角色已修改为 ${role}`, agent };
+    }
+
+    /**
+     * 管理员移除Agent，其在投票中提案上的选票一并撤销
+     */
+    removeAgent(adminId, agentId) {
+        const denied = this.authorize(adminId, 'agent.remove');
+        if (denied) {
+            return denied;
+        }
+        
+        const agent = this.agents.get(agentId);
+        if (!agent) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        if (agentId === adminId) {
+            return { success: false, error: '不能移除自己', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const withdrawnVotes = [];
+        for (const proposal of this.proposals.values()) {
+            if (proposal.status !== 'voting' && proposal.status !== 'revealing') continue;
+            
+            const hadCommitment = proposal.commitments?.delete(agentId);
+            if (this.deleteBallot(proposal, agentId) || hadCommitment) {
+                this.votes.delete(`${proposal.id}_${agentId}`);
+                withdrawnVotes.push(proposal.id);
+            }
+        }
+        
+        this.agents.delete(agentId);
+        this.delegations.removeAgent(agentId);
+        this.committees.removeAgent(agentId);
+        this.drivers.detach(agentId);
+        this.recordEvent('agent.removed', { agentId, withdrawnVotes });
+        
+        this.audit(adminId, 'agent.remove', agentId, { role: agent.role, withdrawnVotes });
+        
+        return { success: true, message: `Agent ${agent.name} 已移除`, withdrawnVotes };
+    }
+
+    /**
+     * 创建委员会
+     * settings: { name, description, parentId, threshold, quorum, consensusRule, members: [{ agentId, weight }] }
+     * threshold / consensusRule 是委员会提案的默认值，quorum 代替 config.minAgents（人数，或 0~1 之间按成员比例）
+     */
+    createCommittee(adminId, committeeId, settings = {}) {
+        const denied = this.authorize(adminId, 'committee.manage');
+        if (denied) {
+            return denied;
+        }
+        
+        if (typeof committeeId !== 'string' || committeeId === '') {
+            return { success: false, error: '委员会ID不能为空', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (this.committees.has(committeeId)) {
+            return { success: false, error: `委员会已存在: ${committeeId}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const invalid = this.validateCommittee(committeeId, settings);
+        if (invalid) {
+            return invalid;
+        }
+        
+        const members = settings.members || [];
+        for (const { agentId, weight = 1 } of members) {
+            const invalidMember = this.validateMember(agentId, weight);
+            if (invalidMember) {
+                return invalidMember;
+            }
+        }
+        
+        const now = this.now();
+        const committee = {
+            id: committeeId,
+            name: settings.name || committeeId,
+            description: settings.description || '',
+            parentId: settings.parentId ?? null,
+            threshold: settings.threshold ?? null,
+            quorum: settings.quorum ?? null,
+            consensusRule: settings.consensusRule ?? null,
+            members: [],
+            createdBy: adminId,
+            createdAt: now
+        };
+        this.committees.set(committee);
+        for (const { agentId, weight = 1 } of members) {
+            this.committees.setMember(committeeId, agentId, weight, now);
+        }
+        
+        this.recordEvent('committee.created', { committee });
+        this.audit(adminId, 'committee.create', committeeId, { parentId: committee.parentId });
+        this.emit('committee.created', { committee: this.formatCommittee(committee) });
+        
+        return { success: true, message: `委员会 ${committee.name} 创建成功`, committee: this.formatCommittee(committee) };
+    }
+    
+    /**
+     * 修改委员会的名称、说明、上级、阈值、法定人数或共识规则，只影响之后创建的提案
+     */
+    updateCommittee(adminId, committeeId, changes = {}) {
+        const denied = this.authorize(adminId, 'committee.manage');
+        if (denied) {
+            return denied;
+        }
+        
+        const committee = this.committees.get(committeeId);
+        if (!committee) {
+            return { success: false, error: `委员会不存在: ${committeeId}`, code: ERROR_CODES.COMMITTEE_NOT_FOUND };
+        }
+        
+        const invalid = this.validateCommittee(committeeId, changes);
+        if (invalid) {
+            return invalid;
+        }
+        
+        const before = {};
+        for (const key of ['name', 'description', 'parentId', 'threshold', 'quorum', 'consensusRule']) {
+            if (changes[key] !== undefined) {
+                before[key] = committee[key];
+                committee[key] = changes[key];
+            }
+        }
+        
+        this.recordEvent('committee.updated', { committee });
+        this.audit(adminId, 'committee.update', committeeId, { before });
+        this.emit('committee.updated', { committee: this.formatCommittee(committee) });
+        
+        return { success: true, message: `委员会 ${committee.name} 已更新`, committee: this.formatCommittee(committee) };
+    }
+    
+    /**
+     * 添加委员会成员，已是成员时修改其在委员会中的权重
+     */
+    setCommitteeMember(adminId, committeeId, agentId, weight = 1) {
+        const denied = this.authorize(adminId, 'committee.manage');
+        if (denied) {
+            return denied;
+        }
+        
+        const committee = this.committees.get(committeeId);
+        if (!committee) {
+            return { success: false, error: `委员会不存在: ${committeeId}`, code: ERROR_CODES.COMMITTEE_NOT_FOUND };
+        }
+        
+        const invalid = this.validateMember(agentId, weight);
+        if (invalid) {
+            return invalid;
+        }
+        
+        const before = this.committees.member(committeeId, agentId)?.weight ?? null;
+        this.committees.setMember(committeeId, agentId, weight, this.now());
+        
+        this.recordEvent('committee.updated', { committee });
+        this.audit(adminId, 'committee.setMember', committeeId, { agentId, before, after: weight });
+        this.emit('committee.updated', { committee: this.formatCommittee(committee) });
+        
+        return {
+            success: true,
+            message: before === null
+                ? `${this.getAgentName(agentId)} 已加入委员会 ${committee.name}`
+                : `${this.getAgentName(agentId)} 在委员会 ${committee.name} 的权重已修改为 ${weight}`,
+            committee: this.formatCommittee(committee)
+        };
+    }
+    
+    /**
+     * 移除委员会成员，其在该委员会投票中提案上的选票一并撤销
+     */
+    removeCommitteeMember(adminId, committeeId, agentId) {
+        const denied = this.authorize(adminId, 'committee.manage');
+        if (denied) {
+            return denied;
+        }
+        
+        const committee = this.committees.get(committeeId);
+        if (!committee) {
+            return { success: false, error: `委员会不存在: ${committeeId}`, code: ERROR_CODES.COMMITTEE_NOT_FOUND };
+        }
+        
+        if (!this.committees.removeMember(committeeId, agentId)) {
+            return { success: false, error: `${agentId} 不是委员会 ${committee.name} 的成员`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const withdrawnVotes = [];
+        for (const proposal of this.proposals.values()) {
+            if (proposal.committeeId !== committeeId) continue;
+            if (proposal.status !== 'voting' && proposal.status !== 'revealing') continue;
+            
+            this.refundCredits(proposal, [agentId]);
+            const hadCommitment = proposal.commitments?.delete(agentId);
+            if (this.deleteBallot(proposal, agentId) || hadCommitment) {
+                this.votes.delete(`${proposal.id}_${agentId}`);
+                withdrawnVotes.push(proposal.id);
+            }
+        }
+        
+        this.recordEvent('committee.memberRemoved', { committeeId, agentId, withdrawnVotes });
+        this.audit(adminId, 'committee.removeMember', committeeId, { agentId, withdrawnVotes });
+        this.emit('committee.updated', { committee: this.formatCommittee(committee) });
+        
+        return {
+            success: true,
+            message: `${this.getAgentName(agentId)} 已离开委员会 ${committee.name}`,
+            withdrawnVotes,
+            committee: this.formatCommittee(committee)
+        };
+    }
+    
+    /**
+     * 校验委员会设置，不通过时返回错误结果
+     */
+    validateCommittee(committeeId, settings) {
+        const invalid = validateCommitteeSettings(settings);
+        if (invalid) {
+            return { success: false, error: invalid, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (settings.consensusRule != null && !this.consensusRules.has(settings.consensusRule)) {
+            return { success: false, error: `未知的共识规则: ${settings.consensusRule}`, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const parentId = settings.parentId ?? null;
+        if (parentId !== null) {
+            if (!this.committees.has(parentId)) {
+                return { success: false, error: `上级委员会不存在: ${parentId}`, code: ERROR_CODES.COMMITTEE_NOT_FOUND };
+            }
+            if (parentId === committeeId || this.committees.ancestors(parentId).includes(committeeId)) {
+                return { success: false, error: '委员会的上级关系不能形成循环', code: ERROR_CODES.INVALID_ARGUMENT };
+            }
+        }
+        
+        return null;
+    }
+    
+    validateMember(agentId, weight) {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: `Agent未注册: ${agentId}`, code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        if (typeof weight !== 'number' || !(weight > 0) || !Number.isFinite(weight)) {
+            return { success: false, error: '权重必须为正数', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        return null;
+    }
+    
+    /**
+     * 把委员会提案的决策上报到上级委员会（没有上级时上报到全体）重新表决
+     * 委员会成员或有 committee.manage 权限的Agent可以上报，每个提案只能上报一次
+     * signature: 注册了公钥的Agent对 { proposalId, reason } 的签名
+     */
+    escalateDecision(agentId, proposalId, reason = '', signature = null) {
+        if (!this.agents.has(agentId)) {
+            return { success: false, error: 'Agent未注册', code: ERROR_CODES.AGENT_NOT_REGISTERED };
+        }
+        
+        const proposal = this.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: ERROR_CODES.PROPOSAL_NOT_FOUND };
+        }
+        
+        if (!proposal.committeeId) {
+            return { success: false, error: '只有委员会提案可以上报', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        if (!['accepted', 'rejected', 'expired'].includes(proposal.status)) {
+            return { success: false, error: '只有已形成决策的提案可以上报', code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        if (proposal.escalatedTo) {
+            return { success: false, error: `提案已上报为 ${proposal.escalatedTo}`, code: ERROR_CODES.PROPOSAL_NOT_OPEN };
+        }
+        
+        const committee = this.committees.get(proposal.committeeId);
+        if (!this.committees.isMember(committee.id, agentId) && !this.can(agentId, 'committee.manage')) {
+            return { success: false, error: `不是委员会 ${committee.name} 的成员`, code: ERROR_CODES.PERMISSION_DENIED };
+        }
+        
+        const unsigned = this.checkSignature(agentId, 'proposal.escalate', { proposalId, reason }, signature);
+        if (unsigned) {
+            return unsigned;
+        }
+        
+        const ctx = { action: 'proposal.escalate', agentId, proposalId, reason, proposal: this.formatProposal(proposal) };
+        const rejected = this.runSignedHooks(ctx, signature, ['reason']);
+        if (rejected) {
+            return rejected;
+        }
+        ({ reason } = ctx);
+        
+        const created = this.createProposal(
+            agentId,
+            `${proposal.title}（上报）`,
+            proposal.description,
+            [...proposal.options],
+            proposal.type,
+            {
+                committee: committee.parentId,
+                tags: proposal.tags,
+                seats: proposal.seats,
+                rankedMethod: proposal.rankedMethod || undefined,
+                ballot: proposal.ballot,
+                anonymous: proposal.anonymous,
+                tieBreak: proposal.tieBreak,
+                duration: proposal.votingDuration
+            },
+            SYSTEM_SIGNATURE
+        );
+        if (!created.success) {
+            return created;
+        }
+        
+        const decision = [...this.consensusHistory].reverse().find(item => item.proposalId === proposalId);
+        const escalated = this.proposals.get(created.proposal.id);
+        escalated.escalatedFrom = {
+            proposalId,
+            committeeId: committee.id,
+            decisionId: decision?.id ?? null,
+            result: proposal.status,
+            reason,
+            escalatedBy: agentId,
+            escalatedAt: this.now()
+        };
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(escalated) });
+        
+        proposal.escalatedTo = escalated.id;
+        this.recordEvent('proposal.updated', { proposal: serializeProposal(proposal) });
+        
+        const target = committee.parentId ? this.committees.get(committee.parentId).name : '全体';
+        this.emit('proposal.escalated', {
+            proposalId,
+            escalatedTo: escalated.id,
+            from: committee.id,
+            to: committee.parentId,
+            reason
+        });
+        
+        return {
+            success: true,
+            message: `《${proposal.title}》已上报至 ${target}`,
+            proposal: this.formatProposal(escalated)
+        };
+    }
+    
+    /**
+     * 委员会详情
+     */
+    getCommittee(committeeId) {
+        const committee = this.committees.get(committeeId);
+        if (!committee) {
+            return { success: false, error: `委员会不存在: ${committeeId}`, code: ERROR_CODES.COMMITTEE_NOT_FOUND };
+        }
+        
+        return { success: true, committee: this.formatCommittee(committee) };
+    }
+    
+    listCommittees() {
+        return this.committees.list().map(committee => this.formatCommittee(committee));
+    }
+    
+    formatCommittee(committee) {
+        const scope = { committeeId: committee.id };
+        return {
+            ...committee,
+            members: committee.members.map(member => ({
+                ...member,
+                name: this.getAgentName(member.agentId),
+                effectiveWeight: this.getVoteWeight(member.agentId, scope)
+            })),
+            children: this.committees.list().filter(item => item.parentId === committee.id).map(item => item.id),
+            proposals: Array.from(this.proposals.values()).filter(proposal => proposal.committeeId === committee.id).length
+        };
+    }
+    
+    /**
+     * 审计记录
+     */
+    getAuditLog(limit = 50) {
+        return this.auditLog.slice(-limit).reverse();
+    }
+
+    /**
+     * 提案列表
+     * status: 单个状态、状态数组，或分组 open（草稿/讨论/投票/揭示）/ closed（已结束）
+     * committeeId: 只列出该委员会的提案
+     */
+    listProposals(status = null, committeeId = null) {
+        return this.queryProposals({ status, committee: committeeId, limit: null }).proposals;
+    }
+
+    /**
+     * 分页查询提案
+     * filter: { status, committee, creator, tag, type, sort = 'created', order = 'asc', limit = 50, offset = 0 }
+     * status 同 listProposals；sort: created 按创建顺序 / deadline 按截止时间（还没有截止时间的排在最后）
+     * limit 为 null 时不分页；状态、委员会和创建者条件走提案索引，只格式化当前页
+     * 返回 { success, proposals, total, limit, offset, nextOffset }，没有下一页时 nextOffset 为 null
+     */
+    queryProposals(filter = {}) {
+        const {
+            status = null,
+            committee = null,
+            creator = null,
+            tag = null,
+            type = null,
+            sort = 'created',
+            order = 'asc',
+            limit = DEFAULT_PAGE_SIZE,
+            offset = 0
+        } = filter;
+        
+        const invalid = this.pageError({ limit, offset, order })
+            || (PROPOSAL_SORTS.includes(sort) ? null : `未知的排序方式: ${sort}（可选 ${PROPOSAL_SORTS.join('/')}）`);
+        if (invalid) {
+            return { success: false, error: invalid, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const statuses = status ? PROPOSAL_STATUS_GROUPS[status] || [].concat(status) : null;
+        const proposals = this.proposalIndex.ids({ statuses, creator, committeeId: committee })
+            .map(proposalId => this.proposals.get(proposalId))
+            .filter(proposal => proposal
+                && (!tag || (proposal.tags || []).includes(tag))
+                && (!type || proposal.type === type));
+        
+        if (sort === 'deadline') {
+            proposals.sort((a, b) => (a.deadline ?? Infinity) - (b.deadline ?? Infinity) || idNumber(a.id) - idNumber(b.id));
+        }
+        if (order === 'desc') {
+            proposals.reverse();
+        }
+        
+        const { items, ...page } = this.paginate(proposals, limit, offset);
+        return { success: true, proposals: items.map(proposal => this.formatProposal(proposal)), ...page };
+    }
+
+    /**
+     * 决策历史
+     */
+    getDecisionHistory(limit = 10) {
+        return this.consensusHistory.slice(-limit).reverse();
+    }
+
+    /**
+     * 分页查询决策历史，默认从新到旧
+     * filter: { result, committee, proposalId, since, until, order = 'desc', limit = 50, offset = 0 }
+     * result: 决策结果 accepted/rejected/expired 或其数组；since / until: 决策时间范围（毫秒时间戳）
+     * 返回 { success, decisions, total, limit, offset, nextOffset }
+     */
+    queryDecisions(filter = {}) {
+        const {
+            result = null,
+            committee = null,
+            proposalId = null,
+            since = null,
+            until = null,
+            order = 'desc',
+            limit = DEFAULT_PAGE_SIZE,
+            offset = 0
+        } = filter;
+        
+        const invalid = this.pageError({ limit, offset, order });
+        if (invalid) {
+            return { success: false, error: invalid, code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const results = result ? [].concat(result) : null;
+        const decisions = this.consensusHistory.filter(decision => (!results || results.includes(decision.result))
+            && (!committee || this.proposalIndex.get(decision.proposalId)?.committeeId === committee)
+            && (!proposalId || decision.proposalId === proposalId)
+            && (since === null || decision.decidedAt >= since)
+            && (until === null || decision.decidedAt <= until));
+        
+        if (order === 'desc') {
+            decisions.reverse();
+        }
+        
+        const { items, ...page } = this.paginate(decisions, limit, offset);
+        return { success: true, decisions: items, ...page };
+    }
+
+    /**
+     * 分页参数校验，不通过时返回错误信息
+     */
+    pageError({ limit, offset, order }) {
+        if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+            return 'limit 必须是正整数';
+        }
+        if (!(Number.isInteger(offset) && offset >= 0)) {
+            return 'offset 必须是非负整数';
+        }
+        if (!SORT_ORDERS.includes(order)) {
+            return `未知的排序顺序: ${order}（可选 ${SORT_ORDERS.join('/')}）`;
+        }
+        return null;
+    }
+
+    /**
+     * 取出一页：limit 为 null 时取 offset 之后的全部
+     */
+    paginate(items, limit, offset) {
+        const end = limit === null ? items.length : offset + limit;
+        return {
+            items: items.slice(offset, end),
+            total: items.length,
+            limit,
+            offset,
+            nextOffset: end < items.length ? end : null
+        };
+    }
+
+    /**
+     * Agent排行榜
+     * committeeId: 只包含该委员会的成员，参与和一致统计只计该委员会的决策，权重为委员会权重
+     */
+    getLeaderboard(sortBy = 'reputation', committeeId = null) {
+        const committee = committeeId ? this.committees.get(committeeId) : null;
+        if (committeeId && !committee) {
+            return [];
+        }
+        
+        const scope = committee ? { committeeId } : null;
+        const records = committee ? this.committeeRecords(committeeId) : null;
+        const members = committee
+            ? committee.members.map(member => this.agents.get(member.agentId)).filter(Boolean)
+            : Array.from(this.agents.values());
+        const agents = members.map(agent => ({
+            ...agent,
+            ...(records ? { ...records.get(agent.id), weight: this.committees.member(committeeId, agent.id).weight } : {}),
+            reputation: this.getReputation(agent.id),
+            effectiveWeight: this.getVoteWeight(agent.id, scope)
+        }));
+        
+        switch (sortBy) {
+            case 'reputation':
+                agents.sort((a, b) => b.reputation - a.reputation);
+                break;
+            case 'participation':
+                agents.sort((a, b) => b.participatedDecisions - a.participatedDecisions);
+                break;
+            case 'agreement':
+                agents.sort((a, b) => {
+                    const aRatio = a.participatedDecisions > 0 ? a.agreedDecisions / a.participatedDecisions : 0;
+                    const bRatio = b.participatedDecisions > 0 ? b.agreedDecisions / b.participatedDecisions : 0;
+                    return bRatio - aRatio;
+                });
+                break;
+        }
+        
+        return agents.map((agent, index) => ({
+            rank: index + 1,
+            ...agent,
+            agreementRate: agent.participatedDecisions > 0 
+                ? (agent.agreedDecisions / agent.participatedDecisions * 100).toFixed(1) + '%'
+                : 'N/A'
+        }));
+    }
+
+    /**
+     * 委员会决策中每个成员的参与、一致和分歧次数
+     */
+    committeeRecords(committeeId) {
+        const records = new Map(this.committees.get(committeeId).members.map(member => [member.agentId, {
+            participatedDecisions: 0,
+            agreedDecisions: 0,
+            disagreedDecisions: 0
+        }]));
+        
+        for (const decision of this.consensusHistory) {
+            const proposal = this.proposals.get(decision.proposalId);
+            if (!proposal || proposal.committeeId !== committeeId) continue;
             
-            if (proposal.type === 'yesno') {
-                if (vote === 'yes' || vote === true) {
-                    results.counts.yes++;
-                    results.weightedCounts.yes += weight;
-                } else if (vote === 'no' || vote === false) {
-                    results.counts.no++;
-                    results.weightedCounts.no += weight;
+            const supporters = new Set(this.tallyProposal(proposal).supporters);
+            for (const agentId of decision.participants) {
+                const record = records.get(agentId);
+                if (!record) continue;
+                record.participatedDecisions++;
+                if (supporters.has(agentId)) {
+                    record.agreedDecisions++;
                 } else {
-                    results.counts.abstain++;
-                    results.weightedCounts.abstain += weight;
+                    record.disagreedDecisions++;
                 }
-            } else if (proposal.type === 'single' || proposal.type === 'multi') {
-                const voteIndex = Array.isArray(vote) ? vote[0] : vote;
-                results.counts[voteIndex] = (results.counts[voteIndex] || 0) + 1;
-                results.weightedCounts[voteIndex] = (results.weightedCounts[voteIndex] || 0) + weight;
+            }
+        }
+        
+        return records;
+    }
+
+    /**
+     * 共识统计（来自提案索引的计数，不扫描提案）
+     * committeeId: 只统计该委员会的提案和成员
+     */
+    getConsensusStats(committeeId = null) {
+        const committee = committeeId ? this.committees.get(committeeId) : null;
+        const counts = this.proposalIndex.statusCounts(committeeId);
+        const count = status => counts[status] || 0;
+        const totalProposals = Object.values(counts).reduce((sum, value) => sum + value, 0);
+        const accepted = count('accepted');
+        const rejected = count('rejected');
+        const drafts = count('draft');
+        const discussion = count('discussion');
+        const waiting = count('waiting');
+        const voting = count('voting');
+        const revealing = count('revealing');
+        const cancelled = count('cancelled');
+        const withdrawn = count('withdrawn');
+        
+        return {
+            totalProposals,
+            accepted,
+            rejected,
+            drafts,
+            discussion,
+            waiting,
+            voting,
+            revealing,
+            cancelled,
+            withdrawn,
+            acceptanceRate: totalProposals > 0 ? (accepted / totalProposals * 100).toFixed(1) + '%' : '0%',
+            totalAgents: committeeId ? (committee ? committee.members.length : 0) : this.agents.size,
+            totalDecisions: committeeId ? this.proposalIndex.decisionCount(committeeId) : this.decisions.size
+        };
+    }
+
+    /**
+     * 群体分析：一致度矩阵、投票集团、极化指数、Agent影响力，以及权重改变了结果的提案
+     * options: { since, until, committee, blocThreshold = 0.7, window = 5 }
+     * 反事实计票按决策时记录的投票权重（未投票的Agent按当前权重）；匿名提案不参与逐人分析
+     */
+    getAnalytics(options = {}) {
+        const { since = -Infinity, until = Infinity, committee = null, blocThreshold = 0.7, window = 5 } = options;
+        const history = this.consensusHistory
+            .filter(decision => decision.decidedAt >= since && decision.decidedAt <= until)
+            .map(decision => ({ decision, proposal: this.proposals.get(decision.proposalId) }))
+            .filter(item => item.proposal && (!committee || item.proposal.committeeId === committee));
+        const named = history.filter(({ proposal }) => !proposal.anonymous);
+
+        // 一致度矩阵与投票集团
+        const records = named.map(({ decision, proposal }) => ({
+            type: proposal.type,
+            ballots: (decision.results?.breakdown || []).filter(entry => entry.agentId)
+        }));
+        const voters = new Set(records.flatMap(record => record.ballots.map(ballot => ballot.agentId)));
+        const agentIds = [...new Set([...this.agents.keys(), ...voters])].filter(agentId => voters.has(agentId));
+        // 未筛选时与系统缓存的模型相同（匿名提案的明细不含 agentId），不必重新构建
+        const model = history.length === this.consensusHistory.length ? this.alignmentModel() : new AlignmentModel(records);
+        const agreement = agreementMatrix(model, agentIds);
+        const clustering = detectBlocs(agreement, blocThreshold);
+
+        // 极化
+        const polarization = polarizationTrend(history.map(({ decision, proposal }) => {
+            const { index, shares } = polarizationIndex(proposal.type, decision.results?.weightedCounts);
+            return {
+                proposalId: proposal.id,
+                title: proposal.title,
+                type: proposal.type,
+                result: decision.result,
+                decidedAt: decision.decidedAt,
+                polarization: index,
+                shares
+            };
+        }), window);
+        const indexes = polarization.map(item => item.polarization).filter(value => value !== null);
+
+        // 影响力与权重效应：反事实重新计票
+        const outcomeOf = status => ({
+            passed: Boolean(status.reached),
+            winners: status.reached ? (status.winners ?? (status.winner != null ? [status.winner] : [])) : []
+        });
+        const sameOutcome = (a, b) => a.passed === b.passed && JSON.stringify(a.winners) === JSON.stringify(b.winners);
+        const equalWeights = this.weightedView(() => 1);
+        const influence = new Map(agentIds.map(agentId => [agentId, { participated: 0, pivotalProposals: [] }]));
+        const changed = [];
+
+        for (const { decision, proposal } of history) {
+            const recorded = new Map((decision.results?.breakdown || [])
+                .filter(entry => entry.agentId)
+                .map(entry => [entry.agentId, entry.weight - (entry.delegatedWeight || 0)]));
+            const historical = this.weightedView((agentId, scope) => recorded.get(agentId) ?? this.getVoteWeight(agentId, scope));
+            const weighted = outcomeOf(historical.evaluateConsensus(proposal));
+            const equal = outcomeOf(equalWeights.evaluateConsensus(proposal));
+
+            if (!sameOutcome(weighted, equal)) {
+                changed.push({
+                    proposalId: proposal.id,
+                    title: proposal.title,
+                    decidedAt: decision.decidedAt,
+                    weighted,
+                    equal,
+                    explanation: weighted.passed !== equal.passed
+                        ? `按权重计票${weighted.passed ? '通过' : '未通过'}，一人一票则${equal.passed ? '通过' : '未通过'}`
+                        : `按权重计票胜出 ${JSON.stringify(weighted.winners)}，一人一票则胜出 ${JSON.stringify(equal.winners)}`
+                });
+            }
+
+            if (proposal.anonymous) continue;
+
+            // 去掉某个Agent的选票后结果改变，即该Agent是关键票
+            for (const agentId of proposal.votes.keys()) {
+                const stats = influence.get(agentId);
+                if (!stats) continue;
+                stats.participated++;
+
+                const votes = new Map(proposal.votes);
+                votes.delete(agentId);
+                if (!sameOutcome(weighted, outcomeOf(historical.evaluateConsensus({ ...proposal, votes })))) {
+                    stats.pivotalProposals.push(proposal.id);
+                }
+            }
+        }
+
+        return {
+            decisions: history.length,
+            agreement,
+            blocs: {
+                threshold: blocThreshold,
+                blocs: clustering.blocs.map((bloc, index) => ({ id: `bloc_${index + 1}`, ...bloc })),
+                independents: clustering.independents
+            },
+            polarization: {
+                average: indexes.length > 0 ? Number((indexes.reduce((sum, value) => sum + value, 0) / indexes.length).toFixed(4)) : null,
+                recent: polarization.length > 0 ? polarization[polarization.length - 1].rollingAverage : null,
+                window,
+                proposals: polarization
+            },
+            influence: Array.from(influence, ([agentId, stats]) => ({
+                agentId,
+                name: this.agents.get(agentId)?.name || 'Unknown',
+                participated: stats.participated,
+                pivotal: stats.pivotalProposals.length,
+                pivotalRate: stats.participated > 0 ? Number((stats.pivotalProposals.length / stats.participated).toFixed(4)) : 0,
+                pivotalProposals: stats.pivotalProposals
+            })).sort((a, b) => b.pivotalRate - a.pivotalRate || b.pivotal - a.pivotal),
+            weighting: { checked: history.length, changed }
+        };
+    }
+
+    /**
+     * 全部决策历史上的一致度模型，策略引擎和群体分析共用
+     * 新固化的决策增量加入；历史被替换（重置、恢复快照）时重建
+     */
+    alignmentModel() {
+        const history = this.consensusHistory;
+        if (!this.alignment || this.alignment.history !== history || this.alignment.count > history.length) {
+            this.alignment = { history, count: 0, model: new AlignmentModel() };
+        }
+        
+        for (; this.alignment.count < history.length; this.alignment.count++) {
+            const decision = history[this.alignment.count];
+            this.alignment.model.add({
+                type: this.proposals.get(decision.proposalId)?.type,
+                ballots: (decision.results?.breakdown || []).filter(entry => entry.agentId)
+            });
+        }
+        return this.alignment.model;
+    }
+
+    /**
+     * 以另一套投票权重计票的只读视图：原型继承当前实例，替换 getVoteWeight 和计票缓存
+     */
+    weightedView(weightOf) {
+        const view = Object.create(this);
+        view.getVoteWeight = weightOf;
+        // 计票和有资格权重的缓存按视图的权重计算，不能与系统共用
+        view.tallies = new WeakMap();
+        view.eligibilityCache = new Map();
+        return view;
+    }
+
+    /**
+     * 订阅生命周期事件，type 为 '*' 时订阅全部；返回取消订阅函数
+     * 事件: agent.registered / proposal.created / proposal.discussion / proposal.amended / proposal.voting /
+     *       proposal.withdrawn / proposal.round / vote.cast / comment.added / comment.reacted /
+     *       driver.invited / driver.abstained / committee.created / committee.updated / proposal.escalated /
+     *       consensus.reached / proposal.rejected / proposal.expired / proposal.reminder / proposal.cancelled /
+     *       action.triggered / action.succeeded / action.failed / action.rolledBack / action.rollbackFailed
+     */
+    on(type, handler, options = {}) {
+        return this.eventBus.on(type, handler, options);
+    }
+
+    once(type, handler, options = {}) {
+        return this.eventBus.once(type, handler, options);
+    }
+
+    off(type, handler) {
+        this.eventBus.off(type, handler);
+    }
+
+    /**
+     * 发布事件（回放期间不发布）
+     */
+    emit(type, payload) {
+        if (!this.replaying) {
+            this.eventBus.emit(type, payload);
+        }
+    }
+
+    /**
+     * 注册前置钩子，可以否决或修改操作；返回移除函数
+     * hook(ctx): 返回 false 或 { allow: false, reason } 表示否决，可直接修改 ctx 中的参数
+     */
+    addHook(action, hook) {
+        if (!HOOK_ACTIONS.includes(action)) {
+            throw new Error(`不支持钩子的操作: ${action}`);
+        }
+        
+        if (!this.hooks.has(action)) {
+            this.hooks.set(action, []);
+        }
+        this.hooks.get(action).push(hook);
+        
+        return () => {
+            this.hooks.set(action, this.hooks.get(action).filter(item => item !== hook));
+        };
+    }
+
+    /**
+     * 依次执行钩子，被否决时返回错误结果；钩子抛出异常也视为否决
+     */
+    runHooks(ctx) {
+        for (const hook of this.hooks.get(ctx.action) || []) {
+            let result;
+            try {
+                result = hook(ctx);
+            } catch (error) {
+                return { success: false, error: `钩子执行失败: ${error.message}`, code: ERROR_CODES.HOOK_REJECTED };
             }
             
-            results.breakdown.push(breakdownEntry);
+            if (result === false || (result && result.allow === false)) {
+                return {
+                    success: false,
+                    error: (result && result.reason) || '操作被钩子拒绝',
+                    code: ERROR_CODES.HOOK_REJECTED
+                };
+            }
         }
         
-        return results;
+        return null;
     }
 
     /**
-     * 计算共识比例
+     * 执行已签名操作的钩子：钩子不能修改签名覆盖的字段，否则记录的签名事后无法校验
      */
-    calculateConsensusRatio(proposal) {
-        let yesVotes = 0;
+    runSignedHooks(ctx, signature, fields) {
+        const signed = () => canonicalize(fields.map(field => ctx[field]));
+        const before = signature && signature !== SYSTEM_SIGNATURE ? signed() : null;
         
-        for (const [agentId, voteData] of proposal.votes) {
-            const vote = voteData.vote;
-            if (proposal.type === 'yesno' || proposal.type === 'single') {
-                if (vote === 'yes' || vote === true || vote === 0) {
-                    yesVotes++;
+        const rejected = this.runHooks(ctx);
+        if (rejected) {
+            return rejected;
+        }
+        
+        if (before !== null && signed() !== before) {
+            return { success: false, error: '钩子不能修改已签名的操作内容', code: ERROR_CODES.HOOK_REJECTED };
+        }
+        return null;
+    }
+
+    /**
+     * 写入事件日志（回放期间不重复写入），并更新派生索引
+     */
+    recordEvent(type, payload) {
+        this.indexEvent(type, payload);
+        if (this.eventStore && !this.replaying) {
+            this.eventStore.append(type, payload, this.now());
+        }
+    }
+
+    /**
+     * 按事件更新派生索引：名册版本、提案索引、已用签名和委员会决策计数
+     */
+    indexEvent(type, payload) {
+        if (ROSTER_EVENTS.includes(type)) {
+            this.rosterVersion++;
+        }
+        if (payload.proposal) {
+            this.proposalIndex.update(payload.proposal);
+            this.rememberSignature(payload.proposal.signature);
+        }
+        if (type === 'comment.added') {
+            this.rememberSignature(payload.comment.signature);
+        }
+        if (type === 'decision.finalized') {
+            this.proposalIndex.addDecision(payload.proposal.committeeId);
+        }
+    }
+
+    /**
+     * 记录已使用的签名，供 checkSignature 拒绝重放
+     */
+    rememberSignature(signature) {
+        if (typeof signature === 'string') {
+            this.usedSignatures.add(signature);
+        }
+    }
+
+    /**
+     * 应用单个事件到内存状态
+     */
+    applyEvent(event) {
+        const { type, payload } = event;
+        
+        switch (type) {
+            case 'agent.registered':
+            case 'agent.updated':
+                this.agents.set(payload.agent.id, { ...payload.agent });
+                break;
+                
+            case 'agent.credited': {
+                const agent = this.agents.get(payload.agentId);
+                if (agent) {
+                    agent.credits = payload.credits;
+                }
+                break;
+            }
+                
+            case 'agent.removed':
+                this.agents.delete(payload.agentId);
+                this.delegations.removeAgent(payload.agentId);
+                this.committees.removeAgent(payload.agentId);
+                for (const proposalId of payload.withdrawnVotes) {
+                    this.deleteBallot(this.proposals.get(proposalId), payload.agentId);
+                    this.proposals.get(proposalId)?.commitments?.delete(payload.agentId);
+                    this.votes.delete(`${proposalId}_${payload.agentId}`);
+                }
+                break;
+                
+            case 'proposal.created':
+            case 'proposal.updated': {
+                const proposal = deserializeProposal(payload.proposal);
+                this.proposals.set(proposal.id, proposal);
+                this.proposalIdCounter = Math.max(this.proposalIdCounter, idNumber(proposal.id) + 1);
+                break;
+            }
+                
+            case 'vote.committed': {
+                const { proposalId, agentId, ...entry } = payload;
+                this.proposals.get(proposalId)?.commitments.set(agentId, entry);
+                break;
+            }
+                
+            case 'vote.cast':
+            case 'vote.revealed': {
+                const { proposalId, agentId, ...voteData } = payload;
+                this.setBallot(this.proposals.get(proposalId), agentId, voteData);
+                this.votes.set(`${proposalId}_${agentId}`, { ...voteData });
+                break;
+            }
+                
+            case 'delegation.set':
+                this.delegations.set(payload.agentId, payload.delegation);
+                break;
+                
+            case 'delegation.revoked':
+                this.delegations.revoke(payload.agentId, payload.scope, payload.target);
+                break;
+                
+            case 'committee.created':
+            case 'committee.updated':
+                this.committees.set(JSON.parse(JSON.stringify(payload.committee)));
+                break;
+                
+            case 'committee.memberRemoved':
+                this.committees.removeMember(payload.committeeId, payload.agentId);
+                for (const proposalId of payload.withdrawnVotes) {
+                    this.deleteBallot(this.proposals.get(proposalId), payload.agentId);
+                    this.proposals.get(proposalId)?.commitments?.delete(payload.agentId);
+                    this.votes.delete(`${proposalId}_${payload.agentId}`);
+                }
+                break;
+                
+            case 'comment.added':
+                this.proposals.get(payload.proposalId)?.comments.push(payload.comment);
+                break;
+                
+            case 'comment.rewritten': {
+                const comments = this.proposals.get(payload.proposalId)?.comments || [];
+                const index = comments.findIndex(item => item.id === payload.comment.id);
+                if (index !== -1) {
+                    comments[index] = payload.comment;
+                }
+                break;
+            }
+                
+            case 'comment.reacted': {
+                const comment = this.proposals.get(payload.proposalId)?.comments.find(item => item.id === payload.commentId);
+                if (comment) {
+                    setReaction(comment, payload.agentId, payload.reaction);
                 }
+                break;
+            }
+                
+            case 'driver.abstained': {
+                const proposal = this.proposals.get(payload.proposalId);
+                if (proposal) {
+                    proposal.abstentions = [
+                        ...proposal.abstentions.filter(item => item.agentId !== payload.abstention.agentId),
+                        payload.abstention
+                    ];
+                }
+                break;
+            }
+                
+            case 'decision.finalized': {
+                const proposal = deserializeProposal(payload.proposal);
+                this.proposals.set(proposal.id, proposal);
+                this.decisions.set(payload.decision.id, payload.decision);
+                this.consensusHistory.push(payload.decision);
+                for (const agent of payload.agents) {
+                    this.agents.set(agent.id, { ...agent });
+                }
+                this.rosterVersion++; // Agent对象被替换，缓存的有资格Agent列表需要重建
+                this.reputationEngine.appendEntries(payload.reputationHistory);
+                if (payload.ledgerEntry) {
+                    this.ledger.entries.push(payload.ledgerEntry);
+                }
+                this.decisionIdCounter = Math.max(this.decisionIdCounter, idNumber(payload.decision.id) + 1);
+                break;
             }
+                
+            case 'action.updated':
+                this.executions.set(payload.execution.id, { ...payload.execution });
+                this.executionIdCounter = Math.max(this.executionIdCounter, idNumber(payload.execution.id) + 1);
+                break;
+                
+            case 'audit.recorded':
+                this.auditLog.push(payload.entry);
+                break;
         }
         
-        const totalVotes = proposal.votes.size;
-        return totalVotes > 0 ? (yesVotes / totalVotes) : 0;
+        this.indexEvent(type, payload);
     }
 
     /**
-     * 添加评论
+     * 回放事件日志重建状态（包括ID计数器）
      */
-    addComment(agentId, proposalId, comment) {
-        if (!this.agents.has(agentId)) {
-            return { success: false, error: 'Agent未注册' };
-        }
-        
-        if (!this.proposals.has(proposalId)) {
-            return { success: false, error: '提案不存在' };
+    replay(events) {
+        this.replaying = true;
+        try {
+            for (const event of events) {
+                this.applyEvent(event);
+            }
+        } finally {
+            this.replaying = false;
         }
         
-        const proposal = this.proposals.get(proposalId);
-        proposal.comments.push({
-            agentId,
-            agentName: this.getAgentName(agentId),
-            comment,
-            timestamp: Date.now()
-        });
-        
-        return { success: true, comment };
+        return { success: true, applied: events.length };
     }
 
     /**
-     * 提案列表
+     * 清空状态后从事件日志完整重建
      */
-    listProposals(status = null) {
-        const proposals = [];
-        
-        for (const [id, proposal] of this.proposals) {
-            if (!status || proposal.status === status) {
-                proposals.push(this.formatProposal(proposal));
-            }
+    rebuildFromLog() {
+        if (!this.eventStore) {
+            return { success: false, error: '未配置事件存储', code: ERROR_CODES.INVALID_ARGUMENT };
         }
         
-        return proposals;
+        this.resetState();
+        return this.replay(this.eventStore.readAll());
     }
 
     /**
-     * 决策历史
+     * 清空内存状态
      */
-    getDecisionHistory(limit = 10) {
-        return this.consensusHistory.slice(-limit).reverse();
+    resetState() {
+        this.agents = new Map();
+        this.proposals = new Map();
+        this.decisions = new Map();
+        this.votes = new Map();
+        this.consensusHistory = [];
+        this.auditLog = [];
+        this.reputationEngine.history = new Map();
+        this.ledger = new DecisionLedger();
+        this.delegations = new DelegationRegistry();
+        this.committees = new CommitteeRegistry();
+        this.executions = new Map();
+        this.proposalIndex = new ProposalIndex();
+        this.usedSignatures = new Set();
+        this.eligibilityCache.clear();
+        this.rosterVersion++;
+        this.proposalIdCounter = 1;
+        this.decisionIdCounter = 1;
+        this.executionIdCounter = 1;
     }
 
     /**
-     * Agent排行榜
+     * 导出可 JSON 序列化的完整状态
      */
-    getLeaderboard(sortBy = 'reputation') {
-        const agents = Array.from(this.agents.values());
-        
-        switch (sortBy) {
-            case 'reputation':
-                agents.sort((a, b) => b.reputation - a.reputation);
-                break;
-            case 'participation':
-                agents.sort((a, b) => b.participatedDecisions - a.participatedDecisions);
-                break;
-            case 'agreement':
-                agents.sort((a, b) => {
-                    const aRatio = a.participatedDecisions > 0 ? a.agreedDecisions / a.participatedDecisions : 0;
-                    const bRatio = b.participatedDecisions > 0 ? b.agreedDecisions / b.participatedDecisions : 0;
-                    return bRatio - aRatio;
-                });
-                break;
-        }
-        
-        return agents.map((agent, index) => ({
-            rank: index + 1,
-            ...agent,
-            agreementRate: agent.participatedDecisions > 0 
-                ? (agent.agreedDecisions / agent.participatedDecisions * 100).toFixed(1) + '%'
-                : 'N/A'
+    snapshot() {
+        return JSON.parse(JSON.stringify({
+            version: 1,
+            name: this.name,
+            takenAt: this.now(),
+            config: this.config,
+            counters: {
+                proposal: this.proposalIdCounter,
+                decision: this.decisionIdCounter,
+                execution: this.executionIdCounter
+            },
+            agents: Array.from(this.agents.values()),
+            proposals: Array.from(this.proposals.values(), serializeProposal),
+            decisions: this.consensusHistory,
+            votes: Array.from(this.votes),
+            auditLog: this.auditLog,
+            reputationHistory: Array.from(this.reputationEngine.history),
+            ledger: this.ledger.entries,
+            delegations: this.delegations.toJSON(),
+            committees: this.committees.toJSON(),
+            executions: Array.from(this.executions.values())
         }));
     }
 
     /**
-     * 共识统计
+     * 从 snapshot() 的结果恢复状态
      */
-    getConsensusStats() {
-        const totalProposals = this.proposals.size;
-        const accepted = Array.from(this.proposals.values()).filter(p => p.status === 'accepted').length;
-        const rejected = Array.from(this.proposals.values()).filter(p => p.status === 'rejected').length;
-        const voting = Array.from(this.proposals.values()).filter(p => p.status === 'voting').length;
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== 1) {
+            return { success: false, error: '不支持的快照格式', code: ERROR_CODES.INVALID_ARGUMENT };
+        }
+        
+        const data = JSON.parse(JSON.stringify(snapshot));
+        
+        this.resetState();
+        this.name = data.name;
+        this.config = { ...this.config, ...data.config };
+        this.agents = new Map(data.agents.map(agent => [agent.id, agent]));
+        this.proposals = new Map(data.proposals.map(proposal => [proposal.id, deserializeProposal(proposal)]));
+        this.decisions = new Map(data.decisions.map(decision => [decision.id, decision]));
+        this.consensusHistory = Array.from(this.decisions.values());
+        this.votes = new Map(data.votes);
+        this.auditLog = data.auditLog;
+        this.reputationEngine.history = new Map(data.reputationHistory);
+        this.ledger = new DecisionLedger(data.ledger || []);
+        this.delegations = new DelegationRegistry(data.delegations || []);
+        this.committees = new CommitteeRegistry(data.committees || []);
+        this.executions = new Map((data.executions || []).map(execution => [execution.id, execution]));
+        this.proposalIdCounter = data.counters.proposal;
+        this.decisionIdCounter = data.counters.decision;
+        this.executionIdCounter = data.counters.execution || 1;
+        this.proposalIndex.rebuild(this.proposals.values(), this.consensusHistory);
+        for (const proposal of this.proposals.values()) {
+            this.rememberSignature(proposal.signature);
+            proposal.comments.forEach(entry => this.rememberSignature(entry.signature));
+        }
         
         return {
-            totalProposals,
-            accepted,
-            rejected,
-            voting,
-            acceptanceRate: totalProposals > 0 ? (accepted / totalProposals * 100).toFixed(1) + '%' : '0%',
-            totalAgents: this.agents.size,
-            totalDecisions: this.decisions.size
+            success: true,
+            message: `已恢复快照: ${this.agents.size} 个Agent, ${this.proposals.size} 个提案`
         };
     }
 
@@ -476,13 +4446,47 @@ class ConsensusDecisionSystem {
             description: proposal.description,
             options: proposal.options,
             type: proposal.type,
+            tags: proposal.tags,
+            rankedMethod: proposal.rankedMethod || undefined,
+            budget: proposal.budget,
+            aggregation: proposal.aggregation,
             creator: this.getAgentName(proposal.creator),
+            committee: proposal.committeeId
+                ? { id: proposal.committeeId, name: this.committees.get(proposal.committeeId)?.name || proposal.committeeId }
+                : undefined,
+            escalatedFrom: proposal.escalatedFrom || undefined,
+            escalatedTo: proposal.escalatedTo || undefined,
+            dependsOn: proposal.dependsOn.length > 0
+                ? proposal.dependsOn.map(dependency => ({ ...dependency, state: this.dependencyState(dependency) }))
+                : undefined,
+            actions: proposal.actions.length > 0 ? proposal.actions : undefined,
+            cosponsors: proposal.cosponsors.map(agentId => this.getAgentName(agentId)),
             status: proposal.status,
+            version: proposal.version,
             createdAt: new Date(proposal.createdAt).toISOString(),
-            deadline: new Date(proposal.deadline).toISOString(),
+            discussionEndsAt: proposal.discussionStartedAt !== null
+                ? new Date(proposal.discussionStartedAt + proposal.minDiscussion).toISOString()
+                : undefined,
+            votingStartedAt: proposal.votingStartedAt ? new Date(proposal.votingStartedAt).toISOString() : undefined,
+            deadline: proposal.deadline ? new Date(proposal.deadline).toISOString() : null,
             voteCount: proposal.votes.size,
             comments: proposal.comments.length,
-            requiredConsensus: (proposal.requiredConsensus * 100) + '%'
+            consensusRule: proposal.consensusRule,
+            requiredConsensus: (proposal.requiredConsensus * 100) + '%',
+            ballot: proposal.ballot,
+            anonymous: proposal.anonymous,
+            commitments: proposal.commitments ? proposal.commitments.size : undefined,
+            revealDeadline: proposal.revealDeadline ? new Date(proposal.revealDeadline).toISOString() : undefined,
+            round: proposal.delphi ? proposal.round : undefined,
+            maxRounds: proposal.delphi ? proposal.delphi.maxRounds : undefined,
+            droppedOptions: proposal.delphi ? proposal.droppedOptions : undefined,
+            previousRound: proposal.delphi ? proposal.rounds[proposal.rounds.length - 1] : undefined,
+            abstentions: this.activeAbstentions(proposal).map(({ agentId, reason, attempts }) => ({
+                agentId,
+                agentName: this.getAgentName(agentId),
+                reason,
+                attempts
+            }))
         };
     }
 
@@ -515,160 +4519,709 @@ class AIConsensusStrategy {
         this.agentId = agentId;
     }
 
+    /**
+     * 从决策历史学习的一致度模型，由系统缓存并增量更新
+     */
+    alignment() {
+        return this.system.alignmentModel();
+    }
+
+    /**
+     * Agent加入后产生的决策数、参与数和参与率（没有决策时为 null）
+     */
+    participation(agent) {
+        const decisions = this.system.consensusHistory.filter(decision => decision.decidedAt >= agent.joinedAt);
+        const participated = decisions.filter(decision => decision.participants.includes(agent.id)).length;
+        return {
+            decisions: decisions.length,
+            participated,
+            rate: decisions.length > 0 ? participated / decisions.length : null
+        };
+    }
+
+    /**
+     * 所有有投票资格的Agent的画像：参与率、与最终结果的一致率、与其他Agent的一致度
+     */
+    profiles() {
+        const model = this.alignment();
+        const agents = Array.from(this.system.agents.values()).filter(agent => this.system.can(agent.id, 'vote'));
+        const ids = agents.map(agent => agent.id);
+
+        return new Map(agents.map(agent => {
+            const peers = model.ranking(agent.id, ids);
+            return [agent.id, {
+                ...this.participation(agent),
+                agreementRate: agent.participatedDecisions > 0 ? agent.agreedDecisions / agent.participatedDecisions : null,
+                independence: peers.length > 0 ? 1 - peers.reduce((sum, peer) => sum + peer.score, 0) / peers.length : null,
+                peers
+            }];
+        }));
+    }
+
     /**
      * 获取当前最佳提案建议
      */
     getProposalSuggestion() {
-        const votingProposals = this.system.listProposals('voting');
-        
-        if (votingProposals.length === 0) {
+        const awaiting = this.system.listProposals('voting').filter(proposal => this.awaitsVote(proposal.id));
+
+        if (awaiting.length === 0) {
             return {
                 suggestion: '暂无待投票的提案，可以创建一个新提案',
-                action: 'create_proposal'
+                action: 'create_proposal',
+                explanation: '没有你有资格投票且尚未投票的提案'
             };
         }
-        
+
         // 找到最接近截止的提案
-        const sortedByDeadline = votingProposals.sort((a, b) => 
+        const sortedByDeadline = awaiting.sort((a, b) =>
             new Date(a.deadline).getTime() - new Date(b.deadline).getTime()
         );
-        
+
         return {
-            suggestion: `有 ${votingProposals.length} 个待投票提案`,
+            suggestion: `有 ${awaiting.length} 个待投票提案`,
             proposals: sortedByDeadline,
             urgentProposal: sortedByDeadline[0],
-            action: 'vote'
+            action: 'vote',
+            explanation: `《${sortedByDeadline[0].title}》最先截止`
+        };
+    }
+
+    /**
+     * 当前Agent是否有资格且尚未在提案上投票（秘密投票看是否已提交承诺）
+     */
+    awaitsVote(proposalId) {
+        const proposal = this.system.proposals.get(proposalId);
+        if (!proposal || proposal.status !== 'voting' || !this.system.isEligible(proposal, this.agentId)) {
+            return false;
+        }
+        return proposal.ballot === 'secret'
+            ? !proposal.commitments.has(this.agentId)
+            : !proposal.votes.has(this.agentId);
+    }
+
+    /**
+     * 提案可以争取达成共识的结果：是/否提案为 yes，其余为未被淘汰的选项
+     */
+    targetsOf(proposal) {
+        if (proposal.type === 'yesno') {
+            return [{ key: 'yes', option: null, label: '赞成' }];
+        }
+        const dropped = proposal.droppedOptions || [];
+        return proposal.options
+            .map((label, index) => ({ key: String(index), option: index, label }))
+            .filter(target => !dropped.includes(target.option));
+    }
+
+    /**
+     * 投给某个结果的选票；排序提案把该结果排第一，其余按当前第一偏好权重排列
+     * 二次方投票给该结果投一票，预算分配把全部预算分给该结果
+     */
+    ballotFor(proposal, key, weights = {}) {
+        switch (proposal.type) {
+            case 'yesno':
+                return key;
+            case 'multi':
+                return [Number(key)];
+            case 'quadratic':
+            case 'budget':
+                return proposal.options.map((option, index) => (index === Number(key)
+                    ? (proposal.type === 'budget' ? proposal.budget : 1)
+                    : 0));
+            case 'ranked':
+                return [Number(key), ...this.targetsOf(proposal)
+                    .filter(target => target.key !== key)
+                    .sort((a, b) => (weights[b.key] || 0) - (weights[a.key] || 0) || a.option - b.option)
+                    .map(target => target.option)];
+            default:
+                return Number(key);
+        }
+    }
+
+    /**
+     * 假设部分Agent投出给定选票后的共识状态，不修改提案
+     */
+    whatIf(proposal, extraVotes) {
+        const votes = new Map(proposal.votes);
+        for (const [agentId, vote] of extraVotes) {
+            votes.set(agentId, { vote, timestamp: this.system.now() });
+        }
+        return this.system.evaluateConsensus({ ...proposal, votes });
+    }
+
+    /**
+     * 共识状态是否以该结果达成
+     */
+    reachedFor(status, target) {
+        if (!status.reached) return false;
+        if (target.option === null) return true;
+        const winners = status.winners ?? (status.winner !== undefined ? [status.winner] : []);
+        return winners.includes(target.option);
+    }
+
+    /**
+     * 按某个结果重新划分支持/反对/弃权，得到共识规则的计票上下文
+     */
+    targetContext(proposal, target, ballots, eligibleAgents, eligibleWeight) {
+        const ctx = {
+            proposal,
+            threshold: proposal.requiredConsensus,
+            supportWeight: 0,
+            opposeWeight: 0,
+            castWeight: 0,
+            eligibleWeight,
+            supporters: [],
+            opponents: [],
+            abstainers: [],
+            eligibleAgents
+        };
+
+        for (const ballot of ballots) {
+            ctx.castWeight += ballot.weight;
+            if (ballot.outcomes.includes(target.key)) {
+                ctx.supporters.push(ballot.agentId);
+                ctx.supportWeight += ballot.weight;
+            } else if (ballot.outcomes.length === 0 || ballot.outcomes.includes('abstain')) {
+                ctx.abstainers.push(ballot.agentId);
+            } else {
+                ctx.opponents.push(ballot.agentId);
+                ctx.opposeWeight += ballot.weight;
+            }
+        }
+
+        return ctx;
+    }
+
+    /**
+     * 分析提案：每个结果还需要多少支持、哪些未投票Agent能左右结果、按历史一致度预测的结果
+     */
+    analyze(proposal) {
+        const system = this.system;
+        const model = this.alignment();
+        const status = system.evaluateConsensus(proposal);
+        const eligibleAgents = system.getEligibleAgents(proposal);
+        const eligibleWeight = eligibleAgents.reduce((sum, agent) => sum + system.getVoteWeight(agent.id, proposal), 0);
+        const ballots = system.collectBallots(proposal).map(ballot => ({
+            ...ballot,
+            outcomes: system.voteOutcomes(proposal, ballot.vote)
+        }));
+        const { flows } = system.resolveDelegations(proposal);
+        const delegating = new Set(flows.map(flow => flow.from));
+        const targets = this.targetsOf(proposal);
+        const labelOf = key => targets.find(target => target.key === key)?.label ?? key;
+
+        // 各结果当前的加权支持（排序提案按第一偏好）
+        const weights = {};
+        for (const ballot of ballots) {
+            for (const outcome of ballot.outcomes) {
+                weights[outcome] = (weights[outcome] || 0) + ballot.weight;
+            }
+        }
+
+        // 尚未表态的Agent：没有投票、权重也没有委托给已投票的人；委托给其他未投票Agent的计入受托人
+        const undecided = [];
+        for (const agent of eligibleAgents) {
+            if (proposal.votes.has(agent.id) || delegating.has(agent.id)) continue;
+
+            const { chain, cycle } = system.delegations.follow(agent.id, proposal);
+            if (chain.length > 1 && !cycle) continue;
+
+            const asVoter = system.resolveDelegations({
+                ...proposal,
+                votes: new Map([...proposal.votes, [agent.id, { vote: null }]])
+            });
+            const lean = model.lean(agent.id, ballots);
+            const { rate } = this.participation(agent);
+
+            undecided.push({
+                agentId: agent.id,
+                name: agent.name,
+                weight: system.getVoteWeight(agent.id, proposal) + (asVoter.received.get(agent.id) || 0),
+                participation: rate,
+                lean: lean.outcome === null ? null : { key: lean.outcome, label: labelOf(lean.outcome) },
+                explanation: this.explainLean(agent, lean, labelOf, rate)
+            });
+        }
+        undecided.sort((a, b) => b.weight - a.weight);
+
+        const remainingWeight = undecided.reduce((sum, agent) => sum + agent.weight, 0);
+        const neededVoters = Math.max(0, system.quorumFor(proposal) - proposal.votes.size - flows.length);
+        const needed = SUPPORT_NEEDED[proposal.consensusRule];
+
+        const analysis = targets.map(target => {
+            const ctx = this.targetContext(proposal, target, ballots, eligibleAgents, eligibleWeight);
+            const requirement = needed ? needed(ctx) : null;
+            const ballot = this.ballotFor(proposal, target.key, weights);
+
+            // 单个Agent的选票就能让该结果通过
+            const pivotal = undecided
+                .filter(agent => this.reachedFor(this.whatIf(proposal, [[agent.agentId, ballot]]), target))
+                .map(agent => agent.agentId);
+
+            // 按有效权重从大到小，依次假设未投票Agent支持该结果，直到通过
+            const extra = [];
+            let reached = this.reachedFor(status, target);
+            for (const agent of undecided) {
+                if (reached) break;
+                extra.push([agent.agentId, ballot]);
+                reached = this.reachedFor(this.whatIf(proposal, extra), target);
+            }
+
+            const result = {
+                option: target.option,
+                label: target.label,
+                supportWeight: twoDecimals(ctx.supportWeight),
+                neededWeight: requirement && Number.isFinite(requirement.weight) ? twoDecimals(requirement.weight) : null,
+                strict: requirement ? requirement.strict : false,
+                blockedBy: requirement ? requirement.blockedBy : [],
+                reachable: reached,
+                path: reached ? extra.map(([agentId]) => agentId) : [],
+                pivotal
+            };
+            result.explanation = this.explainTarget(proposal, result, { requirement, remainingWeight, neededVoters, alreadyReached: this.reachedFor(status, target) });
+            return result;
+        });
+
+        // 有倾向且历史参与率不低于一半的未投票Agent按倾向投票
+        const predicted = undecided
+            .filter(agent => agent.lean && (agent.participation === null || agent.participation >= 0.5))
+            .map(agent => [agent.agentId, this.ballotFor(proposal, agent.lean.key, weights)]);
+        const predictedStatus = this.whatIf(proposal, predicted);
+        const predictedWinner = targets.find(target => this.reachedFor(predictedStatus, target)) || null;
+
+        return {
+            status,
+            ballots,
+            weights,
+            targets: analysis,
+            undecided,
+            remainingWeight: twoDecimals(remainingWeight),
+            neededVoters,
+            predicted,
+            prediction: {
+                reached: predictedStatus.reached,
+                option: predictedWinner ? predictedWinner.option : null,
+                label: predictedWinner ? predictedWinner.label : null,
+                supportRatio: twoDecimals(predictedStatus.supportRatio ?? 0),
+                predictedVoters: predicted.map(([agentId]) => agentId),
+                unknown: undecided.length - predicted.length,
+                explanation: this.explainPrediction(proposal, predictedStatus, predictedWinner, predicted, undecided)
+            }
         };
     }
 
+    explainLean(agent, lean, labelOf, rate) {
+        const participation = rate === null ? '没有历史参与记录' : `历史参与率 ${percent(rate)}`;
+        if (lean.basis.length === 0) {
+            return `${participation}，与已投票的Agent没有共同投票记录，无法判断倾向`;
+        }
+        const basis = lean.basis
+            .map(item => `与 ${this.system.getAgentName(item.agentId)} 的一致度 ${percent(item.score)}（${item.shared} 次共同投票）`)
+            .join('、');
+        return lean.outcome === null
+            ? `${participation}，${basis}，没有明显倾向`
+            : `${participation}，${basis}，倾向于 "${labelOf(lean.outcome)}"`;
+    }
+
+    explainTarget(proposal, target, { requirement, remainingWeight, neededVoters, alreadyReached }) {
+        const parts = [`"${target.label}" 当前支持权重 ${target.supportWeight}`];
+
+        if (alreadyReached) {
+            parts.push('已满足共识规则');
+            return parts.join('，');
+        }
+        if (neededVoters > 0) {
+            parts.push(`至少还需要 ${neededVoters} 个Agent参与投票`);
+        }
+
+        if (!requirement) {
+            parts.push(`自定义规则 ${proposal.consensusRule} 无法直接计算所需权重，以下按模拟结果`);
+        } else if (!Number.isFinite(requirement.weight)) {
+            parts.push(`${requirement.blockedBy.map(agentId => this.system.getAgentName(agentId)).join('、')} 改变选票之前无法按 ${proposal.consensusRule} 规则通过`);
+        } else {
+            parts.push(`按 ${proposal.consensusRule} 规则还需要${requirement.strict ? '超过' : ''} ${twoDecimals(requirement.weight)} 的支持权重（未投票权重共 ${twoDecimals(remainingWeight)}）`);
+        }
+
+        if (target.pivotal.length > 0) {
+            parts.push(`${target.pivotal.map(agentId => this.system.getAgentName(agentId)).join('、')} 任何一个支持即可通过`);
+        } else if (target.reachable) {
+            parts.push(`${target.path.map(agentId => this.system.getAgentName(agentId)).join('、')} 都支持时可以通过`);
+        } else {
+            parts.push('所有未投票Agent都支持也无法通过');
+        }
+
+        return parts.join('，');
+    }
+
+    explainPrediction(proposal, status, winner, predicted, undecided) {
+        if (undecided.length === 0) {
+            return status.reached ? '所有Agent都已表态，共识已达成' : `所有Agent都已表态：${status.reason}`;
+        }
+        if (proposal.ballot === 'secret' && proposal.status === 'voting') {
+            return '秘密投票提交阶段看不到已投选票，无法按历史一致度预测';
+        }
+        const basis = `按历史一致度预测 ${predicted.length}/${undecided.length} 个未投票Agent的选择`;
+        if (winner) {
+            return `${basis}，"${winner.label}" 可能达成共识（支持率 ${percent(status.supportRatio)}）`;
+        }
+        return `${basis}，可能无法达成共识：${status.reason}`;
+    }
+
     /**
      * 获取投票建议
+     * 返回每个结果还需要的支持权重、能左右结果的未投票Agent、预测结果，以及当前Agent应该支持哪个选项
      */
     getVoteSuggestion(proposalId) {
         const proposal = this.system.proposals.get(proposalId);
-        
+
         if (!proposal) {
             return { error: '提案不存在' };
         }
-        
-        // 统计当前投票
-        const stats = this.system.checkConsensus(proposal);
-        
-        // 如果已经达成共识，给出建议
-        if (stats.reached) {
+
+        // 先让到期的提案结束
+        this.system.checkConsensus(proposal);
+
+        if (proposal.status !== 'voting') {
             return {
-                suggestion: '共识已达成',
-                recommendation: '接受结果'
+                proposalId,
+                proposal: proposal.title,
+                status: proposal.status,
+                suggestion: proposal.status === 'accepted' ? '共识已达成' : `提案当前状态为 ${proposal.status}`,
+                recommendation: {
+                    vote: null,
+                    explanation: proposal.status === 'accepted' ? '提案已通过，接受结果' : '提案不在投票中，无需投票'
+                }
             };
         }
-        
-        // 计算需要多少票才能通过
-        const needed = Math.ceil(this.system.config.minAgents * proposal.requiredConsensus);
-        const currentYes = stats.yesVotes;
-        
+
+        const analysis = this.analyze(proposal);
+        const recommendation = this.recommend(proposal, analysis);
+        const leading = recommendation.option !== undefined
+            ? analysis.targets.find(target => target.option === recommendation.option)
+            : analysis.targets[0];
+
         return {
+            proposalId,
             proposal: proposal.title,
-            currentStatus: stats,
-            neededToPass: needed - currentYes,
-            suggestion: `当前 ${currentYes}/${needed} 票，需要再 ${needed - currentYes} 票达成共识`,
-            recommendation: currentYes >= needed ? '接受' : '继续争取'
+            rule: proposal.consensusRule,
+            threshold: proposal.requiredConsensus,
+            currentStatus: analysis.status,
+            neededToPass: leading ? leading.neededWeight : null,
+            neededVoters: analysis.neededVoters,
+            remainingWeight: analysis.remainingWeight,
+            targets: analysis.targets,
+            undecided: analysis.undecided,
+            prediction: analysis.prediction,
+            recommendation,
+            persuade: this.persuadable(leading, analysis),
+            suggestion: leading ? leading.explanation : '没有可以支持的选项'
+        };
+    }
+
+    /**
+     * 当前Agent应该支持的选项：优先能立即通过的，其次加上预测选票能通过的，再次支持率最高的
+     */
+    recommend(proposal, analysis) {
+        const system = this.system;
+
+        if (!system.can(this.agentId, 'vote')) {
+            return { vote: null, explanation: '你没有投票权限' };
+        }
+
+        const secret = proposal.ballot === 'secret';
+        const myVote = proposal.votes.get(this.agentId);
+        if (secret && proposal.commitments.has(this.agentId)) {
+            return { vote: null, explanation: '你已提交秘密投票承诺，揭示阶段揭示即可' };
+        }
+
+        const others = analysis.predicted.filter(([agentId]) => agentId !== this.agentId);
+        const lean = this.alignment().lean(this.agentId, analysis.ballots.filter(ballot => ballot.agentId !== this.agentId));
+        const candidates = this.targetsOf(proposal).map(target => {
+            const vote = this.ballotFor(proposal, target.key, analysis.weights);
+            const withPrediction = this.whatIf(proposal, [...others, [this.agentId, vote]]);
+            return {
+                target,
+                vote,
+                now: this.reachedFor(this.whatIf(proposal, [[this.agentId, vote]]), target),
+                predicted: this.reachedFor(withPrediction, target),
+                supportRatio: withPrediction.supportRatio ?? 0,
+                weight: analysis.weights[target.key] || 0
+            };
+        });
+
+        candidates.sort((a, b) => (b.now - a.now)
+            || (b.predicted - a.predicted)
+            || (b.supportRatio - a.supportRatio)
+            || (b.weight - a.weight)
+            || ((b.target.key === lean.outcome) - (a.target.key === lean.outcome)));
+        const best = candidates[0];
+        if (!best) {
+            return { vote: null, explanation: '没有可以支持的选项' };
+        }
+
+        const label = `"${best.target.label}"`;
+        const current = myVote && system.voteOutcomes(proposal, myVote.vote).includes(best.target.key);
+        let explanation;
+        if (current) {
+            explanation = `你已投给 ${label}，它是最有可能达成共识的选项，保持即可`;
+        } else if (best.now) {
+            explanation = `${myVote ? '改投' : '投给'} ${label} 即可立即达成共识`;
+        } else if (best.predicted) {
+            explanation = `按历史一致度预测其他Agent的选票，${myVote ? '改投' : '投给'} ${label} 后可以达成共识`;
+        } else if (analysis.neededVoters > (myVote ? 0 : 1)) {
+            explanation = `还需要其他 ${analysis.neededVoters - (myVote ? 0 : 1)} 个Agent参与投票才可能达成共识，${label} 目前支持权重最高`;
+        } else {
+            explanation = `暂时没有选项能达成共识，${label} 加上你的选票后支持率最高（${percent(best.supportRatio)}）`;
+        }
+        if (lean.outcome !== null && lean.outcome !== best.target.key) {
+            const preferred = candidates.find(candidate => candidate.target.key === lean.outcome);
+            explanation += `；按你的历史投票，你可能更倾向 "${preferred ? preferred.target.label : lean.outcome}"`;
+        }
+
+        return {
+            vote: best.vote,
+            option: best.target.option,
+            label: best.target.label,
+            immediate: best.now,
+            explanation
         };
     }
 
+    /**
+     * 推荐结果所需的未投票Agent中，与当前Agent历史一致度最高的（最可能被说服）
+     */
+    persuadable(target, analysis) {
+        if (!target) return [];
+        const needed = new Set(target.pivotal.length > 0 ? target.pivotal : target.path);
+
+        return this.alignment()
+            .ranking(this.agentId, analysis.undecided.map(agent => agent.agentId))
+            .filter(item => needed.has(item.agentId) && item.score > 0.5)
+            .slice(0, 3)
+            .map(item => ({
+                agentId: item.agentId,
+                name: this.system.getAgentName(item.agentId),
+                agreement: twoDecimals(item.score),
+                explanation: `你们 ${item.shared} 次共同投票中的一致度为 ${percent(item.score)}`
+            }));
+    }
+
     /**
      * 心理分析 - 决策风格
+     * 参与率和与最终结果的一致率都和群体比较，按所在百分位划分风格
      */
     getPsychAnalysis() {
         const agent = this.system.agents.get(this.agentId);
-        
+
         if (!agent) {
             return { error: 'Agent未注册' };
         }
-        
-        const participationRate = (agent.participatedDecisions / Math.max(1, this.system.decisions.size));
-        
+
+        const profiles = this.profiles();
+        const profile = profiles.get(this.agentId) || { ...this.participation(agent), agreementRate: null, independence: null, peers: [] };
+        const population = Array.from(profiles.values());
+        const rates = population.map(item => item.rate).filter(rate => rate !== null);
+        const agreements = population.map(item => item.agreementRate).filter(rate => rate !== null);
+        const medians = { participationRate: median(rates), agreementRate: median(agreements) };
+
         let style = 'balanced';
-        let description = '';
-        
-        if (agent.participatedDecisions === 0) {
-            style = 'newcomer';
-            description = '新加入的成员，正在了解系统运作';
-        } else if (participationRate > 0.8) {
-            style = 'active';
-            description = '积极参与决策，倾向于表达意见';
-        } else if (participationRate < 0.3) {
-            style = 'observer';
-            description = '倾向于观察，较少参与投票';
+        const facts = [];
+
+        if (profile.participated === 0) {
+            style = profile.decisions === 0 ? 'newcomer' : 'observer';
+            facts.push(profile.decisions === 0
+                ? '加入后还没有产生决策，正在了解系统运作'
+                : `加入后的 ${profile.decisions} 个决策都没有投票`);
+        } else {
+            const participationRank = percentile(profile.rate, rates);
+            const agreementRank = percentile(profile.agreementRate, agreements);
+
+            if (participationRank >= 2 / 3) {
+                style = 'active';
+            } else if (participationRank <= 1 / 3) {
+                style = 'observer';
+            }
+            if (agreementRank >= 2 / 3 && profile.agreementRate >= 0.5) {
+                style = 'consensus_seeker';
+            } else if (agreementRank <= 1 / 3 && profile.agreementRate < 0.5) {
+                style = 'devil_advocate';
+            }
+
+            facts.push(`参与了加入后 ${profile.decisions} 个决策中的 ${profile.participated} 个（${percent(profile.rate)}，群体中位数 ${percent(medians.participationRate)}）`);
+            facts.push(`与最终结果一致 ${percent(profile.agreementRate)}（群体中位数 ${percent(medians.agreementRate)}）`);
         }
-        
-        if (agent.agreedDecisions > agent.disagreedDecisions * 2) {
-            style = 'consensus_seeker';
-            description += ' 倾向于寻求共识';
-        } else if (agent.disagreedDecisions > agent.agreedDecisions) {
-            style = 'devil_advocate';
-            description += ' 经常提出不同意见';
+
+        const allies = profile.peers.filter(peer => peer.score > 0.5).slice(0, 3);
+        const rivals = profile.peers.filter(peer => peer.score < 0.5).reverse().slice(0, 3);
+        if (allies.length > 0) {
+            facts.push(`与 ${this.system.getAgentName(allies[0].agentId)} 的投票最一致（${percent(allies[0].score)}）`);
         }
-        
+        if (rivals.length > 0) {
+            facts.push(`与 ${this.system.getAgentName(rivals[0].agentId)} 分歧最大（一致度 ${percent(rivals[0].score)}）`);
+        }
+
+        const describePeer = peer => ({
+            agentId: peer.agentId,
+            name: this.system.getAgentName(peer.agentId),
+            agreement: twoDecimals(peer.score),
+            shared: peer.shared
+        });
+
         return {
             agent: agent.name,
             style,
-            description,
+            description: facts.join('；'),
+            metrics: {
+                participationRate: profile.rate === null ? null : twoDecimals(profile.rate),
+                agreementRate: profile.agreementRate === null ? null : twoDecimals(profile.agreementRate),
+                independence: profile.independence === null ? null : twoDecimals(profile.independence),
+                population: {
+                    participationRate: twoDecimals(medians.participationRate),
+                    agreementRate: twoDecimals(medians.agreementRate)
+                }
+            },
             stats: {
                 participated: agent.participatedDecisions,
                 agreed: agent.agreedDecisions,
                 disagreed: agent.disagreedDecisions,
-                reputation: agent.reputation
+                reputation: this.system.getReputation(this.agentId)
             },
-            recommendations: this.getRecommendations(agent)
+            allies: allies.map(describePeer),
+            rivals: rivals.map(describePeer),
+            recommendations: this.getRecommendations(agent, { profile, medians, rivals })
         };
     }
 
     /**
-     * 获取建议
+     * 获取建议，每条建议都附带依据 [{ recommendation, explanation }]
      */
-    getRecommendations(agent) {
+    getRecommendations(agent, { profile, medians, rivals } = {}) {
+        if (!profile) {
+            const analysis = this.getPsychAnalysis();
+            return analysis.recommendations || [];
+        }
+
         const recommendations = [];
-        
-        if (agent.participatedDecisions < 3) {
-            recommendations.push('多参与决策可以提升影响力');
+
+        // 能一票定局的提案
+        for (const proposal of this.system.proposals.values()) {
+            if (!this.awaitsVote(proposal.id) || proposal.ballot === 'secret') continue;
+            const decisive = this.targetsOf(proposal).find(target =>
+                this.reachedFor(this.whatIf(proposal, [[this.agentId, this.ballotFor(proposal, target.key)]]), target));
+            if (decisive) {
+                recommendations.push({
+                    recommendation: `优先对《${proposal.title}》投票`,
+                    explanation: `你投给 "${decisive.label}" 即可让提案达成共识`
+                });
+            }
         }
-        
-        if (agent.disagreedDecisions > agent.agreedDecisions) {
-            recommendations.push('尝试与其他Agent沟通，理解不同观点');
+
+        if (profile.rate !== null && (profile.rate < medians.participationRate || profile.participated === 0)) {
+            recommendations.push({
+                recommendation: '多参与决策可以提升影响力',
+                explanation: `你参与了 ${profile.decisions} 个决策中的 ${profile.participated} 个（${percent(profile.rate)}）`
+                    + (profile.rate < medians.participationRate ? `，低于群体中位数 ${percent(medians.participationRate)}` : '')
+            });
         }
-        
-        recommendations.push('权重较高的投票更有影响力');
-        
+
+        if (profile.agreementRate !== null && profile.agreementRate < medians.agreementRate) {
+            const rival = rivals[0];
+            recommendations.push({
+                recommendation: rival
+                    ? `投票前先了解 ${this.system.getAgentName(rival.agentId)} 等持不同意见的Agent的理由`
+                    : '投票前先查看各选项的论点汇总',
+                explanation: `你与最终结果的一致率 ${percent(profile.agreementRate)}，低于群体中位数 ${percent(medians.agreementRate)}`
+                    + (rival ? `；你们的投票一致度只有 ${percent(rival.score)}` : '')
+            });
+        }
+
+        const voters = this.system.getEligibleAgents({});
+        const totalWeight = voters.reduce((sum, voter) => sum + this.system.getVoteWeight(voter.id), 0);
+        const share = totalWeight > 0 ? this.system.getVoteWeight(agent.id) / totalWeight : 0;
+        if (voters.length > 1 && share > 1 / voters.length) {
+            recommendations.push({
+                recommendation: '你的投票影响力高于平均，表态前充分讨论',
+                explanation: `你的投票权重占全体有投票权Agent的 ${percent(share)}，平均为 ${percent(1 / voters.length)}`
+            });
+        }
+
+        if (recommendations.length === 0) {
+            recommendations.push({
+                recommendation: '保持当前的参与方式',
+                explanation: '参与率和与最终结果的一致率都不低于群体中位数'
+            });
+        }
+
         return recommendations;
     }
 
     /**
      * 获取下一步行动建议
+     * 优先揭示已提交的秘密投票，其次是能一票定局的提案，再按截止时间
      */
     getNextAction() {
-        const suggestion = this.getProposalSuggestion();
-        
-        if (suggestion.action === 'create_proposal') {
+        const now = this.system.now();
+
+        const unrevealed = Array.from(this.system.proposals.values()).find(proposal =>
+            proposal.status === 'revealing'
+            && proposal.commitments.has(this.agentId)
+            && !proposal.votes.has(this.agentId));
+        if (unrevealed) {
+            return {
+                action: 'reveal',
+                proposalId: unrevealed.id,
+                title: unrevealed.title,
+                description: unrevealed.description,
+                deadline: new Date(unrevealed.revealDeadline).toISOString(),
+                urgency: 'high',
+                explanation: '你已提交承诺但尚未揭示，未揭示的选票不计入计票'
+            };
+        }
+
+        const candidates = Array.from(this.system.proposals.values())
+            .filter(proposal => this.awaitsVote(proposal.id))
+            .map(proposal => {
+                const decisive = proposal.ballot === 'secret' ? undefined : this.targetsOf(proposal).find(target =>
+                    this.reachedFor(this.whatIf(proposal, [[this.agentId, this.ballotFor(proposal, target.key)]]), target));
+                return { proposal, decisive };
+            })
+            .sort((a, b) => Boolean(b.decisive) - Boolean(a.decisive) || a.proposal.deadline - b.proposal.deadline);
+
+        if (candidates.length === 0) {
             return {
                 action: 'create_proposal',
                 title: '创建新提案',
-                description: '提出一个需要集体决策的问题'
+                description: '提出一个需要集体决策的问题',
+                explanation: '没有你有资格投票且尚未投票的提案'
             };
         }
-        
-        // 有待投票的提案
-        const urgent = suggestion.urgentProposal;
-        
+
+        const { proposal, decisive } = candidates[0];
+        const closingSoon = proposal.deadline - now < (proposal.votingDuration || this.system.config.voteDeadline) / 4;
+
         return {
             action: 'vote',
-            proposalId: urgent.id,
-            title: urgent.title,
-            description: urgent.description,
-            deadline: urgent.deadline,
-            urgency: 'high'
+            proposalId: proposal.id,
+            title: proposal.title,
+            description: proposal.description,
+            deadline: new Date(proposal.deadline).toISOString(),
+            urgency: decisive || closingSoon ? 'high' : 'normal',
+            explanation: [
+                decisive ? `你投给 "${decisive.label}" 即可让提案达成共识` : null,
+                `距离截止还有 ${Math.max(0, Math.round((proposal.deadline - now) / 60000))} 分钟`,
+                candidates.length > 1 ? `另有 ${candidates.length - 1} 个提案等待你投票` : null
+            ].filter(Boolean).join('；')
         };
     }
 }
 
 // 导出
-module.exports = { ConsensusDecisionSystem, AIConsensusStrategy };
+module.exports = {
+    ConsensusDecisionSystem,
+    AIConsensusStrategy,
+    MemoryBackend,
+    JsonLinesFileBackend,
+    ManualClock,
+    createProviderDriver,
+    MockProvider,
+    PROPOSAL_STATUS_GROUPS
+};
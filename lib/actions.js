@@ -0,0 +1,216 @@
+/**
+ * ⚙️ 决策动作
+ * 提案通过 settings.actions 绑定动作，决策固化后按绑定顺序依次执行已注册的动作处理器
+ *
+ * 处理器: async (context) => result，或带 run(context) / rollback(context) 方法的对象
+ * context: { executionId, action, params, proposal, decision, attempt, previousError }，回滚时另有 result、reason
+ *
+ * 单次执行超时或出错时重试；某一步最终失败时，后续步骤跳过，已成功的步骤按相反顺序回滚
+ * 处理器只存在于当前进程，不随快照保存；执行记录随快照和事件日志保存
+ */
+
+const { withTimeout } = require('./drivers');
+
+const DEFAULT_OPTIONS = {
+    timeout: 30000, // 单次执行超时（毫秒）
+    retries: 2, // 失败后的重试次数
+    retryDelay: 0 // 重试间隔（毫秒）
+};
+
+// 执行状态: pending -> running -> succeeded / failed / skipped；succeeded -> rolledBack / rollbackFailed
+const EXECUTION_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'skipped', 'rolledBack', 'rollbackFailed'];
+
+// 可以绑定动作的决策结果
+const ACTION_TRIGGERS = ['accepted', 'rejected', 'expired'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const errorMessage = error => (error && error.message ? error.message : String(error));
+
+/**
+ * 处理器的返回值会写入执行记录，只保留可 JSON 序列化的部分
+ */
+function toJson(value) {
+    if (value === undefined) return null;
+    try {
+        return JSON.parse(JSON.stringify(value));
+    } catch (error) {
+        return String(value);
+    }
+}
+
+class ActionRunner {
+    constructor(system, options = {}) {
+        this.system = system;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.handlers = new Map(); // name -> { run, rollback, options }
+        this.pending = new Set(); // 进行中的执行或回滚
+    }
+
+    register(name, handler, options = {}) {
+        const run = typeof handler === 'function' ? handler : context => handler.run(context);
+        const rollback = typeof handler?.rollback === 'function' ? context => handler.rollback(context) : null;
+        this.handlers.set(name, { run, rollback, options: { ...this.options, ...options } });
+    }
+
+    unregister(name) {
+        return this.handlers.delete(name);
+    }
+
+    has(name) {
+        return this.handlers.has(name);
+    }
+
+    /**
+     * 依次执行同一个决策触发的动作
+     */
+    start(executionIds) {
+        return this.track(Promise.resolve().then(() => this.runSteps(executionIds)));
+    }
+
+    /**
+     * 按相反顺序回滚已成功的动作
+     */
+    rollback(executionIds, reason) {
+        return this.track(Promise.resolve().then(async () => {
+            await this.rollbackSteps(executionIds, reason);
+            this.system.resolveDependents(this.system.executions.get(executionIds[0]).proposalId);
+        }));
+    }
+
+    track(task) {
+        this.pending.add(task);
+        return task.finally(() => this.pending.delete(task));
+    }
+
+    async runSteps(executionIds) {
+        const succeeded = [];
+
+        for (const [index, executionId] of executionIds.entries()) {
+            const execution = await this.runStep(executionId);
+            if (execution.status === 'succeeded') {
+                succeeded.push(executionId);
+                continue;
+            }
+
+            for (const skipped of executionIds.slice(index + 1)) {
+                this.system.updateExecution(skipped, {
+                    status: 'skipped',
+                    error: `前一步 ${execution.action} 失败`,
+                    finishedAt: this.system.now()
+                });
+            }
+            await this.rollbackSteps(succeeded.reverse(), `${execution.action} 执行失败: ${execution.error}`);
+            break;
+        }
+
+        this.system.resolveDependents(this.system.executions.get(executionIds[0]).proposalId);
+        return executionIds.map(executionId => ({ ...this.system.executions.get(executionId) }));
+    }
+
+    /**
+     * 执行单个动作，超时或出错时重试；处理器未注册时直接失败
+     */
+    async runStep(executionId) {
+        const execution = this.system.executions.get(executionId);
+        const handler = this.handlers.get(execution.action);
+        if (!handler) {
+            return this.system.updateExecution(executionId, {
+                status: 'failed',
+                error: `未注册的动作: ${execution.action}`,
+                finishedAt: this.system.now()
+            }, 'action.failed');
+        }
+
+        this.system.updateExecution(executionId, { status: 'running', startedAt: this.system.now() });
+
+        const { options } = handler;
+        let previousError = null;
+        while (execution.attempts <= options.retries) {
+            this.system.updateExecution(executionId, { attempts: execution.attempts + 1 });
+            try {
+                const context = { ...this.system.actionContext(execution), attempt: execution.attempts, previousError };
+                const result = await withTimeout(Promise.resolve().then(() => handler.run(context)), options.timeout);
+                return this.system.updateExecution(executionId, {
+                    status: 'succeeded',
+                    result: toJson(result),
+                    error: null,
+                    finishedAt: this.system.now()
+                }, 'action.succeeded');
+            } catch (error) {
+                previousError = errorMessage(error);
+            }
+
+            if (execution.attempts <= options.retries && options.retryDelay > 0) {
+                await sleep(options.retryDelay);
+            }
+        }
+
+        return this.system.updateExecution(executionId, {
+            status: 'failed',
+            error: previousError,
+            finishedAt: this.system.now()
+        }, 'action.failed');
+    }
+
+    async rollbackSteps(executionIds, reason) {
+        for (const executionId of executionIds) {
+            await this.rollbackStep(executionId, reason);
+        }
+    }
+
+    /**
+     * 调用处理器的回滚钩子，失败时按同样的策略重试；没有回滚钩子的动作记为回滚失败
+     */
+    async rollbackStep(executionId, reason) {
+        const execution = this.system.executions.get(executionId);
+        const handler = this.handlers.get(execution.action);
+        const fail = error => this.system.updateExecution(executionId, {
+            status: 'rollbackFailed',
+            rollback: { reason, error, at: this.system.now() }
+        }, 'action.rollbackFailed');
+
+        if (!handler || !handler.rollback) {
+            return fail(handler ? `动作 ${execution.action} 没有回滚钩子` : `未注册的动作: ${execution.action}`);
+        }
+
+        const { options } = handler;
+        let previousError = null;
+        for (let attempt = 1; attempt <= options.retries + 1; attempt++) {
+            try {
+                const context = {
+                    ...this.system.actionContext(execution),
+                    result: execution.result,
+                    reason,
+                    attempt,
+                    previousError
+                };
+                await withTimeout(Promise.resolve().then(() => handler.rollback(context)), options.timeout);
+                return this.system.updateExecution(executionId, {
+                    status: 'rolledBack',
+                    rollback: { reason, error: null, at: this.system.now() }
+                }, 'action.rolledBack');
+            } catch (error) {
+                previousError = errorMessage(error);
+            }
+
+            if (attempt <= options.retries && options.retryDelay > 0) {
+                await sleep(options.retryDelay);
+            }
+        }
+
+        return fail(previousError);
+    }
+
+    /**
+     * 等待所有执行和回滚（包括执行过程中触发的）完成
+     */
+    async settle() {
+        do {
+            await Promise.allSettled([...this.pending]);
+            await this.system.eventBus.flush();
+        } while (this.pending.size > 0);
+    }
+}
+
+module.exports = { ActionRunner, ACTION_TRIGGERS, EXECUTION_STATUSES };
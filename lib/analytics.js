@@ -0,0 +1,165 @@
+/**
+ * 📈 群体分析
+ * 一致度矩阵、投票集团聚类、极化指数，以及分析结果的 CSV 导出
+ *
+ * 极化指数 = 2 × 第二大阵营的权重占比：全体一致时为 0，两个阵营势均力敌时为 1，
+ * 支持分散在多个选项上时介于两者之间
+ */
+
+const { csvLines } = require('./csv');
+
+/**
+ * 一致度矩阵：agents 两两之间相同选择的比例（没有共同投票时为 null），对角线为 1
+ * model 为 forecast.js 的 AlignmentModel
+ */
+function agreementMatrix(model, agentIds) {
+    const rates = agentIds.map(a => agentIds.map(b => {
+        if (a === b) return 1;
+        const { shared, agreed } = model.agreement(a, b);
+        return shared > 0 ? Number((agreed / shared).toFixed(4)) : null;
+    }));
+    const shared = agentIds.map(a => agentIds.map(b => (a === b ? null : model.agreement(a, b).shared)));
+    return { agents: agentIds, rates, shared };
+}
+
+/**
+ * 投票集团：平均连接层次聚类，合并平均一致度不低于 threshold 的集团
+ * 没有共同投票记录的两个Agent按 0.5 计，不偏向合并或分开
+ * 返回 { blocs: [{ members, cohesion }], independents }，集团按人数从多到少排列
+ */
+function detectBlocs(matrix, threshold = 0.7) {
+    const rate = (i, j) => matrix.rates[i][j] ?? 0.5;
+    let clusters = matrix.agents.map((agentId, index) => [index]);
+
+    const linkage = (a, b) => {
+        let sum = 0;
+        for (const i of a) {
+            for (const j of b) {
+                sum += rate(i, j);
+            }
+        }
+        return sum / (a.length * b.length);
+    };
+
+    for (;;) {
+        let best = null;
+        for (let x = 0; x < clusters.length; x++) {
+            for (let y = x + 1; y < clusters.length; y++) {
+                const score = linkage(clusters[x], clusters[y]);
+                if (score >= threshold && (best === null || score > best.score)) {
+                    best = { x, y, score };
+                }
+            }
+        }
+        if (best === null) break;
+
+        const merged = [...clusters[best.x], ...clusters[best.y]];
+        clusters = clusters.filter((cluster, index) => index !== best.x && index !== best.y);
+        clusters.push(merged);
+    }
+
+    const cohesion = cluster => {
+        let sum = 0;
+        let pairs = 0;
+        for (let i = 0; i < cluster.length; i++) {
+            for (let j = i + 1; j < cluster.length; j++) {
+                sum += rate(cluster[i], cluster[j]);
+                pairs++;
+            }
+        }
+        return Number((sum / pairs).toFixed(4));
+    };
+
+    const blocs = clusters
+        .filter(cluster => cluster.length > 1)
+        .map(cluster => ({
+            members: cluster.sort((a, b) => a - b).map(index => matrix.agents[index]),
+            cohesion: cohesion(cluster)
+        }))
+        .sort((a, b) => b.members.length - a.members.length || b.cohesion - a.cohesion);
+
+    return {
+        blocs,
+        independents: clusters.filter(cluster => cluster.length === 1).map(([index]) => matrix.agents[index])
+    };
+}
+
+/**
+ * 提案的极化指数和各结果的权重占比
+ * 是/否提案不计弃权；多选按认可权重归一化；排序按第一偏好
+ */
+function polarizationIndex(type, weightedCounts = {}) {
+    const entries = Object.entries(weightedCounts).filter(([key, weight]) => !(type === 'yesno' && key === 'abstain') && weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total === 0) {
+        return { index: null, shares: {} };
+    }
+
+    const shares = Object.fromEntries(entries.map(([key, weight]) => [key, Number((weight / total).toFixed(4))]));
+    const sorted = entries.map(([, weight]) => weight / total).sort((a, b) => b - a);
+    return { index: Number((2 * (sorted[1] || 0)).toFixed(4)), shares };
+}
+
+/**
+ * 按时间排列的极化序列加上最近 window 个提案的滑动平均
+ */
+function polarizationTrend(items, window = 5) {
+    const values = [];
+    return items.map(item => {
+        if (item.polarization !== null) {
+            values.push(item.polarization);
+        }
+        const recent = values.slice(-window);
+        return {
+            ...item,
+            rollingAverage: recent.length > 0
+                ? Number((recent.reduce((sum, value) => sum + value, 0) / recent.length).toFixed(4))
+                : null
+        };
+    });
+}
+
+const ANALYTICS_SECTIONS = ['agreement', 'blocs', 'polarization', 'influence', 'weighting'];
+
+/**
+ * 把 getAnalytics 的一个部分导出为 CSV
+ */
+function analyticsToCSV(analytics, section) {
+    switch (section) {
+        case 'agreement': {
+            const { agents, rates } = analytics.agreement;
+            return csvLines([['agentId', ...agents], ...agents.map((agentId, i) => [agentId, ...rates[i]])]);
+        }
+        case 'blocs':
+            return csvLines([
+                ['bloc', 'agentId', 'cohesion'],
+                ...analytics.blocs.blocs.flatMap(bloc => bloc.members.map(agentId => [bloc.id, agentId, bloc.cohesion])),
+                ...analytics.blocs.independents.map(agentId => ['', agentId, ''])
+            ]);
+        case 'polarization':
+            return csvLines([
+                ['proposalId', 'title', 'type', 'result', 'decidedAt', 'polarization', 'rollingAverage'],
+                ...analytics.polarization.proposals.map(item => [
+                    item.proposalId, item.title, item.type, item.result, item.decidedAt, item.polarization, item.rollingAverage
+                ])
+            ]);
+        case 'influence':
+            return csvLines([
+                ['agentId', 'name', 'participated', 'pivotal', 'pivotalRate', 'pivotalProposals'],
+                ...analytics.influence.map(item => [
+                    item.agentId, item.name, item.participated, item.pivotal, item.pivotalRate, item.pivotalProposals
+                ])
+            ]);
+        case 'weighting':
+            return csvLines([
+                ['proposalId', 'title', 'weightedPassed', 'weightedWinners', 'equalPassed', 'equalWinners'],
+                ...analytics.weighting.changed.map(item => [
+                    item.proposalId, item.title, item.weighted.passed, item.weighted.winners, item.equal.passed, item.equal.winners
+                ])
+            ]);
+        default:
+            throw new Error(`未知的分析部分: ${section}（可选 ${ANALYTICS_SECTIONS.join('/')}）`);
+    }
+}
+
+module.exports = { agreementMatrix, detectBlocs, polarizationIndex, polarizationTrend, analyticsToCSV, ANALYTICS_SECTIONS };
@@ -0,0 +1,89 @@
+/**
+ * 💬 结构化论证
+ * 评论可以回复其他评论形成讨论串，并带有立场（pro/con/neutral，可关联某个选项）；
+ * 其他Agent可以认可（endorse）或反驳（rebut）一条论点
+ *
+ * 论点强度 = 认可者的投票权重之和 - 反驳者的投票权重之和
+ */
+
+const STANCES = ['pro', 'con', 'neutral'];
+const REACTIONS = ['endorse', 'rebut'];
+
+/**
+ * 把扁平的评论列表组装成讨论串: [{ ...comment, replies: [...] }]
+ */
+function buildThread(comments) {
+    const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parentId ? nodes.get(node.parentId) : null;
+        if (parent) {
+            parent.replies.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    return roots;
+}
+
+/**
+ * 设置Agent对评论的反应，reaction 为 null 时取消
+ */
+function setReaction(comment, agentId, reaction) {
+    for (const kind of REACTIONS) {
+        comment.reactions[kind] = comment.reactions[kind].filter(id => id !== agentId);
+    }
+    if (reaction) {
+        comment.reactions[reaction].push(agentId);
+    }
+}
+
+function argumentStrength(comment, weightOf) {
+    const sum = agentIds => agentIds.reduce((total, agentId) => total + weightOf(agentId), 0);
+    return sum(comment.reactions.endorse) - sum(comment.reactions.rebut);
+}
+
+/**
+ * 按选项汇总最强的支持和反对论点
+ * targets: [{ option, label }]，option 为 null 表示针对整个提案
+ * 返回 [{ option, label, pro: [论点], con: [论点], neutral: 数量 }]
+ */
+function summarizeArguments(comments, { targets, weightOf, limit = 3 }) {
+    const replies = new Map();
+    for (const comment of comments) {
+        if (comment.parentId) {
+            replies.set(comment.parentId, (replies.get(comment.parentId) || 0) + 1);
+        }
+    }
+
+    const view = comment => ({
+        id: comment.id,
+        agentId: comment.agentId,
+        agentName: comment.agentName,
+        comment: comment.comment,
+        source: comment.source,
+        strength: argumentStrength(comment, weightOf),
+        endorsements: comment.reactions.endorse.length,
+        rebuttals: comment.reactions.rebut.length,
+        replies: replies.get(comment.id) || 0
+    });
+    const strongest = list => list
+        .map(view)
+        .sort((a, b) => b.strength - a.strength || b.endorsements - a.endorsements)
+        .slice(0, limit);
+
+    return targets.map(({ option, label }) => {
+        const related = comments.filter(comment => comment.option === option && comment.comment !== '');
+        return {
+            option,
+            label,
+            pro: strongest(related.filter(comment => comment.stance === 'pro')),
+            con: strongest(related.filter(comment => comment.stance === 'con')),
+            neutral: related.filter(comment => comment.stance === 'neutral').length
+        };
+    });
+}
+
+module.exports = { STANCES, REACTIONS, buildThread, setReaction, argumentStrength, summarizeArguments };
@@ -0,0 +1,41 @@
+/**
+ * 🙈 秘密投票（提交-揭示）
+ * 提交阶段只上交选票的哈希承诺，揭示阶段公开选票和盐值，由系统校验与承诺一致
+ *
+ * 承诺 = sha256(JSON.stringify([proposalId, agentId, vote, salt]))，
+ * 绑定提案和Agent，防止照抄他人的承诺
+ */
+
+const crypto = require('crypto');
+
+const BALLOT_MODES = ['open', 'secret'];
+
+/**
+ * 生成随机盐值
+ */
+function createSalt() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * 计算选票承诺（十六进制）
+ */
+function createCommitment(proposalId, agentId, vote, salt) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([proposalId, agentId, vote, salt]))
+        .digest('hex');
+}
+
+/**
+ * 校验揭示的选票与承诺一致（常量时间比较）
+ */
+function verifyCommitment(commitment, proposalId, agentId, vote, salt) {
+    if (typeof commitment !== 'string' || !/^[0-9a-f]{64}$/.test(commitment)) {
+        return false;
+    }
+
+    const expected = Buffer.from(createCommitment(proposalId, agentId, vote, salt), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(commitment, 'hex'));
+}
+
+module.exports = { BALLOT_MODES, createSalt, createCommitment, verifyCommitment };
@@ -0,0 +1,103 @@
+/**
+ * 💰 预算分配
+ * 每个Agent把提案的全部预算分配到各选项上，系统按投票权重聚合出最终分配
+ *
+ * mean: 加权平均，每个Agent按权重占比决定预算的去向
+ * median: 各选项取加权中位数再按比例缩放到总预算，单个Agent夸大分配的影响有限
+ */
+
+const BUDGET_AGGREGATIONS = ['mean', 'median'];
+
+// 分配金额比较时容忍浮点误差
+const EPSILON = 1e-6;
+
+/**
+ * 校验分配，返回错误信息，通过时返回 null
+ */
+function validateAllocation(amounts, optionCount, budget) {
+    if (!Array.isArray(amounts) || amounts.length !== optionCount) {
+        return `预算分配需要长度为 ${optionCount} 的金额数组`;
+    }
+    if (amounts.some(amount => typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+        return '分配金额必须是非负数';
+    }
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (Math.abs(total - budget) > EPSILON) {
+        return `分配总额必须等于预算 ${budget}（当前 ${Number(total.toFixed(6))}）`;
+    }
+    return null;
+}
+
+/**
+ * 加权中位数：按取值排序后累计权重首次达到一半的取值，恰好等于一半时取与下一个取值的平均
+ */
+function weightedMedian(entries) {
+    const sorted = [...entries].sort((a, b) => a.value - b.value);
+    const half = sorted.reduce((sum, entry) => sum + entry.weight, 0) / 2;
+    let cumulative = 0;
+    for (const [index, entry] of sorted.entries()) {
+        cumulative += entry.weight;
+        if (Math.abs(cumulative - half) < EPSILON && index + 1 < sorted.length) {
+            return (entry.value + sorted[index + 1].value) / 2;
+        }
+        if (cumulative > half) {
+            return entry.value;
+        }
+    }
+    return 0;
+}
+
+/**
+ * 按最大余数法取整到 decimals 位小数，保证总和等于 budget
+ */
+function roundToBudget(amounts, budget, decimals = 2) {
+    const scale = 10 ** decimals;
+    const scaled = amounts.map(amount => amount * scale);
+    const floors = scaled.map(Math.floor);
+    let remainder = Math.round(budget * scale) - floors.reduce((sum, value) => sum + value, 0);
+
+    const order = scaled
+        .map((value, index) => index)
+        .sort((a, b) => (scaled[b] - floors[b]) - (scaled[a] - floors[a]) || a - b);
+    for (const index of order) {
+        if (remainder <= 0) break;
+        floors[index]++;
+        remainder--;
+    }
+
+    return floors.map(value => value / scale);
+}
+
+/**
+ * 聚合加权分配
+ * ballots: [{ agentId, vote: [金额...], weight }]
+ * 返回 { method, budget, amounts, shares }，没有选票时 amounts 为 null
+ */
+function aggregateBudget(ballots, optionCount, budget, method = 'mean') {
+    const totalWeight = ballots.reduce((sum, ballot) => sum + ballot.weight, 0);
+    if (ballots.length === 0 || totalWeight <= 0) {
+        return { method, budget, amounts: null, shares: null };
+    }
+
+    const mean = Array.from({ length: optionCount }, (_, index) =>
+        ballots.reduce((sum, ballot) => sum + ballot.vote[index] * ballot.weight, 0) / totalWeight);
+
+    let raw = mean;
+    if (method === 'median') {
+        const medians = Array.from({ length: optionCount }, (_, index) =>
+            weightedMedian(ballots.map(ballot => ({ value: ballot.vote[index], weight: ballot.weight }))));
+        const total = medians.reduce((sum, value) => sum + value, 0);
+        // 中位数全为 0（分配高度分散）时退回加权平均
+        raw = total > 0 ? medians.map(value => value * budget / total) : mean;
+    }
+
+    const amounts = roundToBudget(raw, budget);
+    return {
+        method,
+        budget,
+        amounts,
+        shares: amounts.map(amount => Number((amount / budget).toFixed(4)))
+    };
+}
+
+module.exports = { BUDGET_AGGREGATIONS, validateAllocation, aggregateBudget, weightedMedian, roundToBudget };
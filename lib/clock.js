@@ -0,0 +1,83 @@
+/**
+ * ⏰ 可注入的时钟
+ * 系统时钟用于生产环境，手动时钟用于测试和模拟，可以确定性地推进时间
+ *
+ * 时钟接口: now() / setTimeout(fn, ms) / clearTimeout(handle)
+ */
+
+// Node 定时器的最大延迟
+const MAX_TIMER_DELAY = 2147483647;
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, Math.min(ms, MAX_TIMER_DELAY)),
+    clearTimeout: handle => clearTimeout(handle)
+};
+
+/**
+ * 手动时钟：只有调用 advance/set 时时间才会前进，并按顺序触发到期的定时器
+ */
+class ManualClock {
+    constructor(start = 0) {
+        this.current = start;
+        this.timers = new Map(); // id -> { at, fn }
+        this.nextTimerId = 1;
+    }
+
+    now() {
+        return this.current;
+    }
+
+    setTimeout(fn, ms = 0) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { at: this.current + Math.max(0, ms), fn });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * 推进时间，途中到期的定时器按到期顺序执行
+     */
+    advance(ms) {
+        return this.set(this.current + ms);
+    }
+
+    /**
+     * 把时间设到 target，返回触发的定时器数量
+     */
+    set(target) {
+        let fired = 0;
+
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.at <= target && (next === null || timer.at < next.at)) {
+                    nextId = id;
+                    next = timer;
+                }
+            }
+            if (next === null) break;
+
+            this.timers.delete(nextId);
+            this.current = Math.max(this.current, next.at);
+            next.fn();
+            fired++;
+        }
+
+        this.current = Math.max(this.current, target);
+        return fired;
+    }
+
+    /**
+     * 待触发的定时器数量
+     */
+    pending() {
+        return this.timers.size;
+    }
+}
+
+module.exports = { systemClock, ManualClock, MAX_TIMER_DELAY };
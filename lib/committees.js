@@ -0,0 +1,127 @@
+/**
+ * 🏛️ 委员会
+ * 一个系统内可以有多个委员会（工作区），各自有成员、成员权重、共识阈值、共识规则和法定人数；
+ * 归属委员会的提案只有成员可以投票，计票只以成员为分母
+ *
+ * 委员会可以有上级（parentId），决策可以上报到上级委员会重新表决，没有上级时上报到全体
+ */
+
+class CommitteeRegistry {
+    constructor(entries = []) {
+        // committeeId -> { id, name, description, parentId, threshold, quorum, consensusRule, members, createdBy, createdAt }
+        // members: [{ agentId, weight, joinedAt }]
+        this.committees = new Map(entries.map(committee => [committee.id, committee]));
+        this.memberIndex = new Map(); // committeeId -> { members, byAgent: Map(agentId -> member) }，按需建立
+    }
+
+    get(committeeId) {
+        return this.committees.get(committeeId) || null;
+    }
+
+    has(committeeId) {
+        return this.committees.has(committeeId);
+    }
+
+    list() {
+        return Array.from(this.committees.values());
+    }
+
+    set(committee) {
+        this.committees.set(committee.id, committee);
+        this.memberIndex.delete(committee.id);
+    }
+
+    /**
+     * 成员记录，按成员索引 O(1) 查找；成员列表被整体替换后索引自动重建
+     */
+    member(committeeId, agentId) {
+        const committee = this.get(committeeId);
+        if (!committee) {
+            return null;
+        }
+
+        let index = this.memberIndex.get(committeeId);
+        if (!index || index.members !== committee.members) {
+            index = { members: committee.members, byAgent: new Map(committee.members.map(member => [member.agentId, member])) };
+            this.memberIndex.set(committeeId, index);
+        }
+        return index.byAgent.get(agentId) || null;
+    }
+
+    isMember(committeeId, agentId) {
+        return this.member(committeeId, agentId) !== null;
+    }
+
+    /**
+     * 添加成员或修改成员权重
+     */
+    setMember(committeeId, agentId, weight, joinedAt) {
+        const committee = this.get(committeeId);
+        const existing = this.member(committeeId, agentId);
+        if (existing) {
+            existing.weight = weight;
+        } else {
+            committee.members.push({ agentId, weight, joinedAt });
+            this.memberIndex.delete(committeeId);
+        }
+    }
+
+    /**
+     * 移除成员，返回是否存在
+     */
+    removeMember(committeeId, agentId) {
+        const committee = this.get(committeeId);
+        const before = committee.members.length;
+        committee.members = committee.members.filter(member => member.agentId !== agentId);
+        return committee.members.length !== before;
+    }
+
+    /**
+     * Agent所在的委员会ID
+     */
+    committeesOf(agentId) {
+        return this.list().filter(committee => committee.members.some(member => member.agentId === agentId)).map(committee => committee.id);
+    }
+
+    /**
+     * 从所有委员会移除Agent
+     */
+    removeAgent(agentId) {
+        for (const committee of this.committees.values()) {
+            committee.members = committee.members.filter(member => member.agentId !== agentId);
+        }
+    }
+
+    /**
+     * 上级链（不含自身），从直接上级到最顶层
+     */
+    ancestors(committeeId) {
+        const chain = [];
+        let current = this.get(committeeId)?.parentId ?? null;
+        while (current !== null && !chain.includes(current)) {
+            chain.push(current);
+            current = this.get(current)?.parentId ?? null;
+        }
+        return chain;
+    }
+
+    toJSON() {
+        return this.list();
+    }
+}
+
+/**
+ * 校验委员会设置，返回错误信息，通过时返回 null
+ * threshold: 0~1 的共识阈值；quorum: 法定投票人数（正整数）或成员比例（0~1）
+ */
+function validateCommitteeSettings({ threshold = null, quorum = null }) {
+    if (threshold !== null && !(typeof threshold === 'number' && threshold > 0 && threshold <= 1)) {
+        return '共识阈值必须在 0 到 1 之间';
+    }
+    if (quorum !== null && !(typeof quorum === 'number' && quorum >= 0 && (quorum < 1 || Number.isInteger(quorum)))) {
+        return '法定人数必须是正整数或 0 到 1 之间的成员比例';
+    }
+    return null;
+}
+
+module.exports = { CommitteeRegistry, validateCommitteeSettings };
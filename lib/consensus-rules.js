@@ -0,0 +1,138 @@
+/**
+ * 🤝 共识规则
+ * 多数同意 / 绝对多数 / 一致通过 / 管理员否决
+ *
+ * 规则函数接收计票上下文，返回 { passed, reason }：
+ *   proposal       提案
+ *   threshold      提案要求的共识比例
+ *   supportWeight  支持当前结果的权重
+ *   opposeWeight   反对当前结果的权重
+ *   castWeight     已投票的总权重
+ *   eligibleWeight 全部有投票资格的Agent权重
+ *   supporters / opponents / abstainers  对应的Agent ID
+ *   eligibleAgents 有投票资格的Agent列表（只读）
+ */
+
+const percent = ratio => (ratio * 100).toFixed(1) + '%';
+
+/**
+ * 多数同意：支持权重超过已投票权重的一半
+ */
+function majority(ctx) {
+    const ratio = ctx.castWeight > 0 ? ctx.supportWeight / ctx.castWeight : 0;
+    return ratio > 0.5
+        ? { passed: true, reason: `已投票权重中 ${percent(ratio)} 支持，超过半数` }
+        : { passed: false, reason: `已投票权重中仅 ${percent(ratio)} 支持，未超过半数` };
+}
+
+/**
+ * 绝对多数：支持权重达到全部有资格Agent权重的阈值
+ */
+function supermajority(ctx) {
+    const ratio = ctx.eligibleWeight > 0 ? ctx.supportWeight / ctx.eligibleWeight : 0;
+    return ratio >= ctx.threshold
+        ? { passed: true, reason: `全体权重中 ${percent(ratio)} 支持，达到 ${percent(ctx.threshold)} 阈值` }
+        : { passed: false, reason: `全体权重中 ${percent(ratio)} 支持，未达到 ${percent(ctx.threshold)} 阈值` };
+}
+
+/**
+ * 一致通过：所有有资格的Agent都已投票且全部支持
+ */
+function unanimity(ctx) {
+    const voters = new Set([...ctx.supporters, ...ctx.opponents, ...ctx.abstainers]);
+    const missing = ctx.eligibleAgents.filter(agent => !voters.has(agent.id));
+
+    if (ctx.opponents.length > 0 || ctx.abstainers.length > 0) {
+        return { passed: false, reason: `${ctx.opponents.length + ctx.abstainers.length} 个Agent未支持` };
+    }
+    if (missing.length > 0) {
+        return { passed: false, reason: `还有 ${missing.length} 个Agent未投票` };
+    }
+    return { passed: true, reason: '全体Agent一致支持' };
+}
+
+/**
+ * 管理员否决：任何管理员反对即否决，否则按多数同意
+ */
+function veto(ctx) {
+    const vetoes = ctx.eligibleAgents.filter(agent => agent.role === 'admin' && ctx.opponents.includes(agent.id));
+    if (vetoes.length > 0) {
+        return {
+            passed: false,
+            reason: `被管理员否决: ${vetoes.map(agent => agent.name).join(', ')}`,
+            vetoedBy: vetoes.map(agent => agent.id)
+        };
+    }
+
+    const result = majority(ctx);
+    return { passed: result.passed, reason: `无管理员否决，${result.reason}` };
+}
+
+const BUILTIN_RULES = { majority, supermajority, unanimity, veto };
+
+/**
+ * 内置规则下，当前结果还需要多少新增支持权重才能通过（新增支持来自尚未投票的Agent）
+ * 返回 { weight, strict, blockedBy }：strict 表示需要严格超过 weight；
+ * weight 为 Infinity 时只靠新增支持无法通过，blockedBy 为需要改票的Agent
+ */
+const SUPPORT_NEEDED = {
+    majority(ctx) {
+        // (S + x) / (C + x) > 1/2  <=>  x > C - 2S
+        const gap = ctx.castWeight - 2 * ctx.supportWeight;
+        return gap >= 0 ? { weight: gap, strict: true, blockedBy: [] } : { weight: 0, strict: false, blockedBy: [] };
+    },
+
+    supermajority(ctx) {
+        const gap = ctx.threshold * ctx.eligibleWeight - ctx.supportWeight;
+        return { weight: gap > 1e-9 ? gap : 0, strict: false, blockedBy: [] };
+    },
+
+    unanimity(ctx) {
+        const blockedBy = [...ctx.opponents, ...ctx.abstainers];
+        if (blockedBy.length > 0) {
+            return { weight: Infinity, strict: false, blockedBy };
+        }
+        return { weight: ctx.eligibleWeight - ctx.supportWeight, strict: false, blockedBy: [] };
+    },
+
+    veto(ctx) {
+        const vetoes = ctx.eligibleAgents
+            .filter(agent => agent.role === 'admin' && ctx.opponents.includes(agent.id))
+            .map(agent => agent.id);
+        return vetoes.length > 0 ? { weight: Infinity, strict: false, blockedBy: vetoes } : SUPPORT_NEEDED.majority(ctx);
+    }
+};
+
+/**
+ * 内置规则下，已通过的结果能否不被尚未投票的Agent推翻；不能推翻时才提前结束投票
+ * 多数同意和管理员否决以已投票权重为基数，未投票的权重全部反对、或尚未投票的管理员否决都可能改变结果；
+ * 绝对多数以全体权重为基数，一致通过要求全体已投票，通过后不会被新选票推翻。自定义规则不在此列，通过即结束
+ */
+const SETTLED = {
+    majority(ctx) {
+        // 未投票的权重全部反对时仍超过半数：2S > max(C, E)
+        return 2 * ctx.supportWeight > Math.max(ctx.castWeight, ctx.eligibleWeight);
+    },
+
+    veto(ctx) {
+        const voters = new Set([...ctx.supporters, ...ctx.opponents, ...ctx.abstainers]);
+        const pendingAdmins = ctx.eligibleAgents.filter(agent => agent.role === 'admin' && !voters.has(agent.id));
+        return pendingAdmins.length === 0 && SETTLED.majority(ctx);
+    }
+};
+
+/**
+ * 统一规则函数的返回值
+ */
+function normalizeRuleResult(result) {
+    if (typeof result === 'boolean') {
+        return { passed: result, reason: result ? '自定义规则通过' : '自定义规则未通过' };
+    }
+    return {
+        ...result,
+        passed: Boolean(result && result.passed),
+        reason: (result && result.reason) || ''
+    };
+}
+
+module.exports = { BUILTIN_RULES, SUPPORT_NEEDED, SETTLED, normalizeRuleResult };
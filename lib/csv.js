@@ -0,0 +1,17 @@
+/**
+ * 📄 CSV 导出
+ * 群体分析和模拟报告共用；null / undefined 为空单元格，数组用空格连接，含逗号、引号或换行的单元格加引号
+ */
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 行数组转 CSV 文本，以换行结尾
+ */
+const csvLines = rows => rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+
+module.exports = { csvCell, csvLines };
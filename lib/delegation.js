@@ -0,0 +1,131 @@
+/**
+ * 🔀 流动民主：投票委托
+ * Agent可以把投票全局委托、按提案委托或按标签委托给其他Agent，委托可以传递
+ *
+ * 对某个提案生效的委托优先级：按提案 > 按标签 > 全局
+ */
+
+/**
+ * { proposalId } / { tag } / {} -> { scope, target }
+ */
+function scopeOf(options = {}) {
+    if (options.proposalId) {
+        return { scope: 'proposal', target: options.proposalId };
+    }
+    if (options.tag) {
+        return { scope: 'tag', target: options.tag };
+    }
+    return { scope: 'global', target: null };
+}
+
+class DelegationRegistry {
+    constructor(entries = []) {
+        this.delegations = new Map(entries); // agentId -> [{ delegate, scope, target, createdAt }]
+    }
+
+    /**
+     * 设置委托，同一范围的旧委托被替换
+     */
+    set(agentId, delegation) {
+        const list = this.list(agentId).filter(item => !sameScope(item, delegation));
+        list.push(delegation);
+        this.delegations.set(agentId, list);
+    }
+
+    /**
+     * 撤销某个范围的委托，返回是否存在
+     */
+    revoke(agentId, scope, target) {
+        const list = this.list(agentId);
+        const remaining = list.filter(item => !sameScope(item, { scope, target }));
+        if (remaining.length === list.length) {
+            return false;
+        }
+
+        if (remaining.length > 0) {
+            this.delegations.set(agentId, remaining);
+        } else {
+            this.delegations.delete(agentId);
+        }
+        return true;
+    }
+
+    list(agentId) {
+        return [...(this.delegations.get(agentId) || [])];
+    }
+
+    /**
+     * 设置了委托的Agent ID
+     */
+    delegators() {
+        return this.delegations.keys();
+    }
+
+    /**
+     * 对提案生效的委托（proposal 只需要 id 和 tags）
+     */
+    resolve(agentId, proposal) {
+        const list = this.delegations.get(agentId);
+        if (!list) return null;
+
+        const tags = proposal.tags || [];
+        return list.find(item => item.scope === 'proposal' && item.target === proposal.id)
+            || list.find(item => item.scope === 'tag' && tags.includes(item.target))
+            || list.find(item => item.scope === 'global')
+            || null;
+    }
+
+    /**
+     * 从 agentId 出发沿委托链前进，直到 isTerminal(agentId) 为真、没有委托或出现循环
+     * 返回 { chain, terminal, cycle }
+     */
+    follow(agentId, proposal, isTerminal = () => false) {
+        const chain = [agentId];
+        const seen = new Set(chain);
+        let current = agentId;
+
+        for (;;) {
+            const delegation = this.resolve(current, proposal);
+            if (!delegation) {
+                return { chain, terminal: null, cycle: false };
+            }
+
+            const next = delegation.delegate;
+            chain.push(next);
+            if (seen.has(next)) {
+                return { chain, terminal: null, cycle: true };
+            }
+            if (isTerminal(next)) {
+                return { chain, terminal: next, cycle: false };
+            }
+
+            seen.add(next);
+            current = next;
+        }
+    }
+
+    /**
+     * 移除Agent的委托以及委托给它的记录
+     */
+    removeAgent(agentId) {
+        this.delegations.delete(agentId);
+        for (const [delegator, list] of this.delegations) {
+            const remaining = list.filter(item => item.delegate !== agentId);
+            if (remaining.length > 0) {
+                this.delegations.set(delegator, remaining);
+            } else {
+                this.delegations.delete(delegator);
+            }
+        }
+    }
+
+    toJSON() {
+        return Array.from(this.delegations);
+    }
+}
+
+function sameScope(a, b) {
+    return a.scope === b.scope && (a.target ?? null) === (b.target ?? null);
+}
+
+module.exports = { DelegationRegistry, scopeOf };
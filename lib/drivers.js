@@ -0,0 +1,355 @@
+/**
+ * 🤖 Agent驱动
+ * 为已注册的Agent挂接决策函数，提案开始投票时系统邀请这些Agent自动投票
+ *
+ * 驱动: async (context) => { vote, justification }，或带 decide(context) 方法的对象
+ * context: { agentId, agentName, credits, proposal, comments, arguments, tally, consensusStatus, now, attempt, previousError }
+ * credits 只在二次方投票提案上提供，为Agent剩余的投票点数
+ *
+ * 单次作答超时或出错时重试，最终失败的记为弃权并附带原因；超时按真实时间计算，与系统时钟无关
+ */
+
+const DEFAULT_OPTIONS = {
+    timeout: 10000, // 单次作答超时（毫秒）
+    retries: 2, // 失败后的重试次数
+    retryDelay: 0 // 重试间隔（毫秒）
+};
+
+// 换一次回答可能成功的错误；其余错误（提案已结束、无权限等）直接放弃
+const RETRYABLE_CODES = ['INVALID_VOTE', 'INVALID_ARGUMENT'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 超时则拒绝
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`作答超时（${ms}ms）`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class DriverManager {
+    constructor(system, options = {}) {
+        this.system = system;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.drivers = new Map(); // agentId -> { decide, options }
+        this.invited = new Set(); // 'proposalId:round:agentId'，同一轮只邀请一次
+        this.sealed = new Map(); // 'proposalId:round:agentId' -> { vote, salt }，秘密投票待揭示的选票
+        this.pending = new Set(); // 进行中的邀请
+        this.unsubscribe = null;
+    }
+
+    attach(agentId, driver, options = {}) {
+        const decide = typeof driver === 'function' ? driver : context => driver.decide(context);
+        this.drivers.set(agentId, { decide, options: { ...this.options, ...options } });
+        this.listen();
+    }
+
+    detach(agentId) {
+        return this.drivers.delete(agentId);
+    }
+
+    has(agentId) {
+        return this.drivers.has(agentId);
+    }
+
+    /**
+     * 订阅提案开始投票和进入揭示阶段的事件
+     */
+    listen() {
+        if (this.unsubscribe) return;
+
+        const invite = ({ payload }) => (payload.proposal.status === 'voting' ? this.invite(payload.proposal.id) : null);
+        const offs = ['proposal.created', 'proposal.voting', 'proposal.round']
+            .map(type => this.system.on(type, invite, { async: true }));
+        offs.push(this.system.on('proposal.revealing', ({ payload }) => this.reveal(payload.proposal.id), { async: true }));
+
+        this.unsubscribe = () => offs.forEach(off => off());
+    }
+
+    /**
+     * 邀请已挂接、有投票资格且尚未投票的Agent，返回各Agent的结果
+     * [{ agentId, status: 'voted' | 'abstained' | 'skipped', attempts, vote?, justification?, reason? }]
+     */
+    invite(proposalId) {
+        const proposal = this.system.proposals.get(proposalId);
+        if (!proposal || proposal.status !== 'voting') {
+            return Promise.resolve([]);
+        }
+
+        const round = proposal.round || 1;
+        const agentIds = Array.from(this.drivers.keys()).filter(agentId => {
+            const key = `${proposalId}:${round}:${agentId}`;
+            if (this.invited.has(key) || !this.system.isEligible(proposal, agentId) || this.hasVoted(proposal, agentId)) {
+                return false;
+            }
+            this.invited.add(key);
+            return true;
+        });
+
+        if (agentIds.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        this.system.emit('driver.invited', { proposalId, round, agentIds });
+
+        const task = Promise.all(agentIds.map(agentId => this.run(proposalId, agentId)));
+        this.pending.add(task);
+        return task.finally(() => this.pending.delete(task));
+    }
+
+    hasVoted(proposal, agentId) {
+        return proposal.votes.has(agentId) || Boolean(proposal.commitments && proposal.commitments.has(agentId));
+    }
+
+    /**
+     * 调用驱动并投票，超时、出错或选票无效时重试
+     */
+    async run(proposalId, agentId) {
+        const { decide, options } = this.drivers.get(agentId);
+        let previousError = null;
+        let attempts = 0;
+
+        while (attempts <= options.retries) {
+            const proposal = this.system.proposals.get(proposalId);
+            if (!proposal || proposal.status !== 'voting') {
+                previousError = previousError || '提案在Agent作答前结束了投票';
+                break;
+            }
+            if (this.hasVoted(proposal, agentId)) {
+                return { agentId, status: 'skipped', attempts, reason: 'Agent已自行投票' };
+            }
+
+            attempts++;
+            try {
+                const context = { ...this.system.driverContext(proposal, agentId), attempt: attempts, previousError };
+                const answer = await withTimeout(Promise.resolve().then(() => decide(context)), options.timeout);
+                const result = this.system.castDriverVote(proposalId, agentId, answer, options);
+
+                if (result.success) {
+                    if (result.sealed) {
+                        this.sealed.set(`${proposalId}:${proposal.round || 1}:${agentId}`, result.sealed);
+                    }
+                    return { agentId, status: 'voted', attempts, vote: answer.vote, justification: answer.justification || '' };
+                }
+
+                previousError = result.error;
+                if (!RETRYABLE_CODES.includes(result.code)) break;
+            } catch (error) {
+                previousError = error && error.message ? error.message : String(error);
+            }
+
+            if (attempts <= options.retries && options.retryDelay > 0) {
+                await sleep(options.retryDelay);
+            }
+        }
+
+        this.system.recordAbstention(proposalId, agentId, previousError, attempts);
+        return { agentId, status: 'abstained', attempts, reason: previousError };
+    }
+
+    /**
+     * 揭示阶段：揭示驱动代为提交的秘密投票
+     */
+    reveal(proposalId) {
+        const proposal = this.system.proposals.get(proposalId);
+        if (!proposal || proposal.status !== 'revealing') return;
+
+        const prefix = `${proposalId}:${proposal.round || 1}:`;
+        for (const [key, { vote, salt }] of this.sealed) {
+            if (!key.startsWith(prefix)) continue;
+
+            this.sealed.delete(key);
+            const agentId = key.slice(prefix.length);
+            const result = this.system.revealVote(agentId, proposalId, vote, salt);
+            if (!result.success) {
+                this.system.recordAbstention(proposalId, agentId, `揭示失败: ${result.error}`, 1);
+            }
+            if (proposal.status !== 'revealing') break;
+        }
+    }
+
+    /**
+     * 等待所有邀请（包括由事件触发的）完成
+     */
+    async settle() {
+        do {
+            await this.system.eventBus.flush();
+            await Promise.allSettled([...this.pending]);
+        } while (this.pending.size > 0 || this.system.eventBus.pending.size > 0);
+    }
+}
+
+/**
+ * 从文本中取出 JSON 对象：优先使用 ```json 代码块，否则取第一个 { 到最后一个 } 之间的内容
+ */
+function extractJson(text) {
+    const fenced = /```json\s*([\s\S]*?)```/.exec(text);
+    if (fenced) {
+        text = fenced[1];
+    }
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new Error('回复中没有 JSON 对象');
+    }
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`回复中的 JSON 无法解析: ${error.message}`);
+    }
+}
+
+const VOTE_FORMATS = {
+    single: '选项索引（整数）',
+    multi: '选项索引数组',
+    ranked: '按偏好从高到低排列的选项索引数组',
+    yesno: '"yes" 或 "no"',
+    quadratic: '各选项票数组成的整数数组（负数表示反对），花费的投票点数为票数的平方和',
+    budget: '各选项分配金额组成的数组，总额等于预算'
+};
+
+/**
+ * 默认提示词：说明、可读的提案内容，以及附在末尾的 JSON 上下文
+ */
+function buildMessages(context) {
+    const { proposal } = context;
+    const data = {
+        agent: { id: context.agentId, name: context.agentName, credits: context.credits },
+        proposal: {
+            id: proposal.id,
+            title: proposal.title,
+            description: proposal.description,
+            type: proposal.type,
+            options: proposal.options,
+            droppedOptions: proposal.droppedOptions || [],
+            budget: proposal.budget,
+            consensusRule: proposal.consensusRule,
+            requiredConsensus: proposal.requiredConsensus
+        },
+        tally: context.tally ? context.tally.weightedCounts : null,
+        comments: flattenThread(context.comments).slice(-20),
+        previousError: context.previousError
+    };
+
+    const lines = [
+        `提案: ${proposal.title}`,
+        proposal.description ? `说明: ${proposal.description}` : null,
+        proposal.type === 'yesno' ? null : `选项: ${proposal.options.map((option, index) => `${index}. ${option}`).join('；')}`,
+        proposal.type === 'quadratic' ? `可用投票点数: ${context.credits}` : null,
+        proposal.type === 'budget' ? `总预算: ${proposal.budget}` : null,
+        context.tally ? `当前加权票数: ${JSON.stringify(context.tally.weightedCounts)}` : '当前计票不公开',
+        context.previousError ? `上一次回答无效: ${context.previousError}` : null,
+        '',
+        '```json',
+        JSON.stringify(data),
+        '```'
+    ];
+
+    return [
+        {
+            role: 'system',
+            content: `你是 ${context.agentName}（${context.agentId}），正在参与多Agent共识决策。阅读提案、讨论和当前计票后投票，`
+                + `只回复一个 JSON 对象: {"vote": <${VOTE_FORMATS[proposal.type]}>, "justification": "<理由>"}`
+        },
+        { role: 'user', content: lines.filter(line => line !== null).join('\n') }
+    ];
+}
+
+function flattenThread(nodes = []) {
+    return nodes.flatMap(({ replies, ...comment }) => [
+        { agentName: comment.agentName, stance: comment.stance, option: comment.option, comment: comment.comment },
+        ...flattenThread(replies)
+    ]);
+}
+
+/**
+ * 把 LLM 风格的 provider 包装成驱动
+ * provider.complete({ model, temperature, messages }) -> Promise<string | { text }>
+ * options.buildMessages(context) 可以替换默认提示词
+ */
+function createProviderDriver(provider, options = {}) {
+    const { model = null, temperature = 0 } = options;
+    const build = options.buildMessages || buildMessages;
+
+    return {
+        provider,
+        async decide(context) {
+            const reply = await provider.complete({ model, temperature, messages: build(context) });
+            const answer = extractJson(typeof reply === 'string' ? reply : String(reply && reply.text));
+            if (answer.vote === undefined) {
+                throw new Error('回复缺少 vote 字段');
+            }
+            return { vote: answer.vote, justification: typeof answer.justification === 'string' ? answer.justification : '' };
+        }
+    };
+}
+
+/**
+ * 本地模拟 provider，不访问网络，用于测试和演示
+ * options.preferences: { agentId: 选票 }，按预设偏好投票
+ * options.script: 依次使用的回复（字符串 / Error / { delay, text } / { delay, error }），用完后按默认策略
+ * options.latency: 默认回复的延迟（毫秒）
+ * 默认策略：跟随当前加权票数最多的选项，还没有票时选第一个；是/否提案投 yes
+ */
+class MockProvider {
+    constructor(options = {}) {
+        this.preferences = options.preferences || {};
+        this.script = [...(options.script || [])];
+        this.latency = options.latency || 0;
+        this.calls = [];
+    }
+
+    async complete(request) {
+        this.calls.push(request);
+        const scripted = this.script.shift();
+        const delay = scripted && scripted.delay !== undefined ? scripted.delay : this.latency;
+        if (delay > 0) {
+            await sleep(delay);
+        }
+
+        if (scripted instanceof Error) throw scripted;
+        if (scripted && scripted.error) throw new Error(scripted.error);
+        if (typeof scripted === 'string') return scripted;
+        if (scripted && scripted.text !== undefined) return scripted.text;
+
+        const { agent, proposal, tally } = extractJson(request.messages[request.messages.length - 1].content);
+        return JSON.stringify(this.choose(agent, proposal, tally));
+    }
+
+    choose(agent, proposal, tally) {
+        if (this.preferences[agent.id] !== undefined) {
+            return { vote: this.preferences[agent.id], justification: '按预设偏好投票' };
+        }
+        if (proposal.type === 'yesno') {
+            return { vote: 'yes', justification: '没有反对理由，支持提案' };
+        }
+
+        const available = proposal.options
+            .map((option, index) => index)
+            .filter(index => !proposal.droppedOptions.includes(index));
+        const weightOf = index => (tally && tally[index]) || 0;
+        const leader = [...available].sort((a, b) => weightOf(b) - weightOf(a) || a - b)[0];
+        const justification = weightOf(leader) > 0
+            ? `跟随当前领先的选项 "${proposal.options[leader]}"`
+            : `还没有人投票，选择第一个选项 "${proposal.options[leader]}"`;
+
+        switch (proposal.type) {
+            case 'multi':
+                return { vote: [leader], justification };
+            case 'ranked':
+                return { vote: [leader, ...available.filter(index => index !== leader)], justification };
+            case 'quadratic':
+                return { vote: proposal.options.map((option, index) => (index === leader ? 1 : 0)), justification };
+            case 'budget':
+                return { vote: proposal.options.map((option, index) => (index === leader ? proposal.budget : 0)), justification };
+            default:
+                return { vote: leader, justification };
+        }
+    }
+}
+
+module.exports = { DriverManager, createProviderDriver, MockProvider, buildMessages, extractJson, withTimeout };
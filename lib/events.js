@@ -0,0 +1,143 @@
+/**
+ * 📣 事件总线
+ * 订阅者出错不会影响发布方：同步异常和异步拒绝都会被捕获并转发给 'error' 订阅者
+ *
+ * 事件格式: { type, payload, at }，payload 为深拷贝并冻结的数据
+ */
+
+const MAX_ERRORS = 100;
+
+/**
+ * 深度冻结，防止订阅者修改共享的事件数据
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        for (const key of Object.keys(value)) {
+            deepFreeze(value[key]);
+        }
+    }
+    return value;
+}
+
+class EventBus {
+    constructor(options = {}) {
+        this.now = options.now || (() => Date.now());
+        this.listeners = new Map(); // type -> [{ handler, once, async }]
+        this.errors = []; // 最近的订阅者错误
+        this.pending = new Set(); // 尚未完成的异步订阅者
+    }
+
+    /**
+     * 订阅事件，type 为 '*' 时订阅全部事件；返回取消订阅函数
+     * options.async: 在微任务中调用，不阻塞发布方
+     */
+    on(type, handler, options = {}) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push({ handler, once: Boolean(options.once), async: Boolean(options.async) });
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler, options = {}) {
+        return this.on(type, handler, { ...options, once: true });
+    }
+
+    off(type, handler) {
+        for (const listener of this.listeners.get(type) || []) {
+            if (listener.handler === handler) {
+                this.removeListener(type, listener);
+            }
+        }
+    }
+
+    removeListener(type, listener) {
+        const remaining = (this.listeners.get(type) || []).filter(item => item !== listener);
+        if (remaining.length > 0) {
+            this.listeners.set(type, remaining);
+        } else {
+            this.listeners.delete(type);
+        }
+    }
+
+    /**
+     * 发布事件
+     */
+    emit(type, payload = {}) {
+        const event = deepFreeze({
+            type,
+            payload: JSON.parse(JSON.stringify(payload)),
+            at: this.now()
+        });
+
+        const targets = type === '*' ? ['*'] : [type, '*'];
+        for (const target of targets) {
+            for (const listener of [...(this.listeners.get(target) || [])]) {
+                if (listener.once) {
+                    this.removeListener(target, listener);
+                }
+                this.invoke(listener, event);
+            }
+        }
+
+        return event;
+    }
+
+    invoke(listener, event) {
+        const run = () => listener.handler(event);
+
+        if (listener.async) {
+            this.track(Promise.resolve().then(run), event);
+            return;
+        }
+
+        try {
+            const result = run();
+            if (result && typeof result.then === 'function') {
+                this.track(result, event);
+            }
+        } catch (error) {
+            this.reportError(error, event);
+        }
+    }
+
+    track(promise, event) {
+        const tracked = Promise.resolve(promise)
+            .catch(error => this.reportError(error, event))
+            .finally(() => this.pending.delete(tracked));
+        this.pending.add(tracked);
+    }
+
+    /**
+     * 记录订阅者错误并通知 'error' 订阅者（error 订阅者自身出错时不再转发）
+     */
+    reportError(error, event) {
+        const entry = { type: event.type, message: error && error.message ? error.message : String(error), at: this.now() };
+        this.errors.push(entry);
+        if (this.errors.length > MAX_ERRORS) {
+            this.errors.shift();
+        }
+
+        if (event.type === 'error') return;
+
+        for (const listener of this.listeners.get('error') || []) {
+            try {
+                listener.handler({ type: 'error', payload: { ...entry, event }, at: entry.at });
+            } catch (ignored) {
+                // error 订阅者的异常直接丢弃，避免循环
+            }
+        }
+    }
+
+    /**
+     * 等待所有异步订阅者完成
+     */
+    async flush() {
+        while (this.pending.size > 0) {
+            await Promise.allSettled([...this.pending]);
+        }
+    }
+}
+
+module.exports = { EventBus };
@@ -0,0 +1,127 @@
+/**
+ * 🔮 投票预测
+ * 从历史决策的逐票明细中学习Agent两两之间的投票一致度，推断未投票Agent可能的选择
+ *
+ * 一致度 = (相同选择 + 1) / (共同投票 + 2)，没有共同记录时为 0.5，不偏向任何一方
+ * 匿名提案的明细不含投票人，不参与学习
+ */
+
+/**
+ * 两张选票的相似度（0~1）：多选按交集/并集，排序按第一偏好，
+ * 二次方投票和预算分配按各自比例的重合程度（1 - 总变差距离），其余按是否相同
+ */
+function voteSimilarity(type, a, b) {
+    if ((type === 'quadratic' || type === 'budget') && Array.isArray(a) && Array.isArray(b)) {
+        const normalize = amounts => {
+            const total = amounts.reduce((sum, amount) => sum + Math.abs(amount), 0);
+            return amounts.map(amount => (total > 0 ? amount / total : 0));
+        };
+        const [x, y] = [normalize(a), normalize(b)];
+        return 1 - x.reduce((sum, value, index) => sum + Math.abs(value - (y[index] || 0)), 0) / 2;
+    }
+    if (type === 'multi' && Array.isArray(a) && Array.isArray(b)) {
+        const union = new Set([...a, ...b]);
+        const shared = a.filter(item => b.includes(item)).length;
+        return union.size > 0 ? shared / union.size : 1;
+    }
+    if (type === 'ranked' && Array.isArray(a) && Array.isArray(b)) {
+        return a[0] === b[0] ? 1 : 0;
+    }
+    return JSON.stringify(a) === JSON.stringify(b) ? 1 : 0;
+}
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+class AlignmentModel {
+    /**
+     * records: [{ type, ballots: [{ agentId, vote }] }]
+     */
+    constructor(records = []) {
+        this.pairs = new Map(); // 'a|b' -> { shared, agreed }
+        for (const record of records) {
+            this.add(record);
+        }
+    }
+
+    add({ type, ballots }) {
+        for (let i = 0; i < ballots.length; i++) {
+            for (let j = i + 1; j < ballots.length; j++) {
+                const key = pairKey(ballots[i].agentId, ballots[j].agentId);
+                const pair = this.pairs.get(key) || { shared: 0, agreed: 0 };
+                pair.shared++;
+                pair.agreed += voteSimilarity(type, ballots[i].vote, ballots[j].vote);
+                this.pairs.set(key, pair);
+            }
+        }
+    }
+
+    /**
+     * 两个Agent的一致度 { score, shared, agreed }
+     */
+    agreement(a, b) {
+        const { shared, agreed } = this.pairs.get(pairKey(a, b)) || { shared: 0, agreed: 0 };
+        return { score: (agreed + 1) / (shared + 2), shared, agreed };
+    }
+
+    /**
+     * 按一致度排序的其他Agent（只包含有共同投票记录的）
+     */
+    ranking(agentId, candidates) {
+        return candidates
+            .filter(other => other !== agentId)
+            .map(other => ({ agentId: other, ...this.agreement(agentId, other) }))
+            .filter(item => item.shared > 0)
+            .sort((a, b) => b.score - a.score || b.shared - a.shared);
+    }
+
+    /**
+     * 推断Agent在当前提案上的倾向
+     * ballots: 已投的票 [{ agentId, outcomes: [结果键] }]
+     * 每个已投票Agent按 (一致度 - 0.5) 拉近或推远它所选的结果，得分最高且为正的结果即倾向
+     * 返回 { outcome, scores, basis: [{ agentId, score, shared }] }，没有依据时 outcome 为 null
+     */
+    lean(agentId, ballots) {
+        const scores = {};
+        const basis = [];
+
+        for (const ballot of ballots) {
+            if (ballot.agentId === agentId) continue;
+
+            const { score, shared } = this.agreement(agentId, ballot.agentId);
+            if (shared === 0) continue;
+
+            basis.push({ agentId: ballot.agentId, score, shared });
+            for (const outcome of ballot.outcomes) {
+                scores[outcome] = (scores[outcome] || 0) + (score - 0.5);
+            }
+        }
+
+        const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        basis.sort((a, b) => Math.abs(b.score - 0.5) - Math.abs(a.score - 0.5));
+
+        return {
+            outcome: best && best[1] > 0 ? best[0] : null,
+            scores,
+            basis: basis.slice(0, 3)
+        };
+    }
+}
+
+/**
+ * value 在 values 中的百分位（0~1，并列取中间）
+ */
+function percentile(value, values) {
+    if (values.length <= 1) return 0.5;
+    const below = values.filter(item => item < value).length;
+    const equal = values.filter(item => item === value).length;
+    return (below + (equal - 1) / 2) / (values.length - 1);
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = { AlignmentModel, voteSimilarity, percentile, median };
@@ -0,0 +1,91 @@
+/**
+ * 🔗 决策账本
+ * 每个固化的决策追加一条哈希链记录，修改任何历史决策或记录都会让链断开
+ *
+ * 记录格式: { index, decisionId, at, decisionHash, prevHash, hash }
+ * hash = sha256(canonicalize({ index, decisionId, at, decisionHash, prevHash }))
+ */
+
+const crypto = require('crypto');
+const { canonicalize } = require('./signing');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+function hashDecision(decision) {
+    return sha256(canonicalize(decision));
+}
+
+function hashEntry({ index, decisionId, at, decisionHash, prevHash }) {
+    return sha256(canonicalize({ index, decisionId, at, decisionHash, prevHash }));
+}
+
+class DecisionLedger {
+    constructor(entries = []) {
+        this.entries = entries;
+    }
+
+    get head() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1].hash : GENESIS_HASH;
+    }
+
+    /**
+     * 追加决策，返回新记录
+     */
+    append(decision, at) {
+        const entry = {
+            index: this.entries.length,
+            decisionId: decision.id,
+            at,
+            decisionHash: hashDecision(decision),
+            prevHash: this.head
+        };
+        entry.hash = hashEntry(entry);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * 校验哈希链，并与当前的决策记录逐条比对
+     * decisions: 按固化顺序排列的决策（consensusHistory）
+     * 返回 { valid, length, firstInvalid: { index, decisionId, reason } | null }
+     */
+    verify(decisions) {
+        let prevHash = GENESIS_HASH;
+        const invalid = (entry, index, reason) => ({
+            valid: false,
+            length: this.entries.length,
+            firstInvalid: { index, decisionId: entry ? entry.decisionId : decisions[index]?.id ?? null, reason }
+        });
+
+        for (let i = 0; i < this.entries.length; i++) {
+            const entry = this.entries[i];
+
+            if (entry.index !== i || entry.prevHash !== prevHash) {
+                return invalid(entry, i, '链接断开：记录被删除、插入或重排');
+            }
+            if (entry.hash !== hashEntry(entry)) {
+                return invalid(entry, i, '账本记录被修改');
+            }
+
+            const decision = decisions[i];
+            if (!decision || decision.id !== entry.decisionId) {
+                return invalid(entry, i, '决策记录缺失或顺序不一致');
+            }
+            if (hashDecision(decision) !== entry.decisionHash) {
+                return invalid(entry, i, '决策内容被修改');
+            }
+
+            prevHash = entry.hash;
+        }
+
+        if (decisions.length > this.entries.length) {
+            return invalid(null, this.entries.length, '存在未记入账本的决策');
+        }
+
+        return { valid: true, length: this.entries.length, firstInvalid: null };
+    }
+}
+
+module.exports = { DecisionLedger, GENESIS_HASH, hashDecision };
@@ -0,0 +1,62 @@
+/**
+ * 🔐 角色与权限
+ * admin / member / observer 三种角色及各自允许的操作，以及统一的错误码
+ */
+
+const ERROR_CODES = {
+    AGENT_NOT_REGISTERED: 'AGENT_NOT_REGISTERED',
+    PROPOSAL_NOT_FOUND: 'PROPOSAL_NOT_FOUND',
+    PROPOSAL_NOT_OPEN: 'PROPOSAL_NOT_OPEN',
+    DEADLINE_PASSED: 'DEADLINE_PASSED',
+    INVALID_VOTE: 'INVALID_VOTE',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    PERMISSION_DENIED: 'PERMISSION_DENIED',
+    HOOK_REJECTED: 'HOOK_REJECTED',
+    COMMITMENT_MISMATCH: 'COMMITMENT_MISMATCH',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+    DELEGATION_CYCLE: 'DELEGATION_CYCLE',
+    DISCUSSION_NOT_OVER: 'DISCUSSION_NOT_OVER',
+    INSUFFICIENT_COSPONSORS: 'INSUFFICIENT_COSPONSORS',
+    COMMITTEE_NOT_FOUND: 'COMMITTEE_NOT_FOUND',
+    DEPENDENCY_PENDING: 'DEPENDENCY_PENDING',
+    INSUFFICIENT_CREDITS: 'INSUFFICIENT_CREDITS'
+};
+
+const ROLES = ['admin', 'member', 'observer'];
+
+// 操作名 -> 说明
+const ACTIONS = {
+    'proposal.create': '创建提案',
+    'proposal.sponsor': '联署提案',
+    'vote': '投票',
+    'comment': '发表评论',
+    'delegate': '委托投票',
+    'proposal.close': '提前结束提案',
+    'proposal.extend': '延长截止时间',
+    'proposal.cancel': '取消提案',
+    'agent.setWeight': '修改Agent权重',
+    'agent.setRole': '修改Agent角色',
+    'agent.remove': '移除Agent',
+    'agent.grantCredits': '发放投票点数',
+    'committee.manage': '管理委员会',
+    'action.rollback': '回滚决策动作'
+};
+
+const DEFAULT_PERMISSIONS = {
+    admin: Object.keys(ACTIONS),
+    member: ['proposal.create', 'proposal.sponsor', 'vote', 'comment', 'delegate'],
+    observer: ['comment']
+};
+
+/**
+ * 合并自定义权限表，未覆盖的角色沿用默认值
+ */
+function buildPermissionTable(overrides = {}) {
+    const table = new Map();
+    for (const role of ROLES) {
+        table.set(role, new Set(overrides[role] || DEFAULT_PERMISSIONS[role]));
+    }
+    return table;
+}
+
+module.exports = { ERROR_CODES, ROLES, ACTIONS, DEFAULT_PERMISSIONS, buildPermissionTable };
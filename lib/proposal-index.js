@@ -0,0 +1,230 @@
+/**
+ * 🗂️ 提案索引
+ * 按状态、创建者、委员会索引提案ID，按下一个到期时间（提醒或截止）维护最小堆，
+ * 列表查询、统计和截止时间调度不必扫描全部提案
+ *
+ * 索引是提案事件的投影：每次记录带 proposal 的事件（创建、更新、决策固化）时调用 update()
+ */
+
+const { idNumber } = require('./storage');
+const { dueTime } = require('./scheduler');
+
+// 无效的堆条目超过有效条目的倍数时重建堆
+const COMPACT_RATIO = 2;
+
+class ProposalIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.entries = new Map(); // proposalId -> { status, creator, committeeId, deadline }
+        this.byStatus = new Map(); // status -> Set(proposalId)
+        this.byCreator = new Map(); // agentId -> Set(proposalId)
+        this.byCommittee = new Map(); // committeeId -> Set(proposalId)
+        this.dueAt = new Map(); // proposalId -> 下一个到期时间
+        this.heap = []; // [time, proposalId]，time 与 dueAt 不一致的条目已失效
+        this.decisionCounts = new Map(); // committeeId -> 决策数
+    }
+
+    /**
+     * 按提案当前字段更新索引（提案对象或 serializeProposal 的结果都可以）
+     */
+    update(proposal) {
+        const previous = this.entries.get(proposal.id);
+        const entry = {
+            number: idNumber(proposal.id),
+            status: proposal.status,
+            creator: proposal.creator,
+            committeeId: proposal.committeeId ?? null,
+            deadline: proposal.deadline ?? null
+        };
+
+        if (previous?.status !== entry.status) {
+            if (previous) remove(this.byStatus, previous.status, proposal.id);
+            add(this.byStatus, entry.status, proposal.id);
+        }
+        if (!previous) {
+            add(this.byCreator, entry.creator, proposal.id);
+            if (entry.committeeId) add(this.byCommittee, entry.committeeId, proposal.id);
+        }
+        this.entries.set(proposal.id, entry);
+
+        const time = dueTime(proposal);
+        if (time === null) {
+            this.dueAt.delete(proposal.id);
+        } else if (this.dueAt.get(proposal.id) !== time) {
+            this.dueAt.set(proposal.id, time);
+            this.push([time, proposal.id]);
+        }
+    }
+
+    get(proposalId) {
+        return this.entries.get(proposalId) || null;
+    }
+
+    /**
+     * 满足条件的提案ID，按创建顺序排列
+     * statuses: 状态数组；creator / committeeId: 创建者、委员会
+     * 从最小的索引集合出发，再用其余条件过滤
+     */
+    ids({ statuses = null, creator = null, committeeId = null } = {}) {
+        const candidates = [];
+        if (statuses) {
+            candidates.push(statuses.flatMap(status => Array.from(this.byStatus.get(status) || [])));
+        }
+        if (creator) {
+            candidates.push(Array.from(this.byCreator.get(creator) || []));
+        }
+        if (committeeId) {
+            candidates.push(Array.from(this.byCommittee.get(committeeId) || []));
+        }
+
+        const base = candidates.length > 0
+            ? candidates.reduce((smallest, list) => (list.length < smallest.length ? list : smallest))
+            : Array.from(this.entries.keys());
+
+        return base
+            .filter(id => {
+                const entry = this.entries.get(id);
+                return (!statuses || statuses.includes(entry.status))
+                    && (!creator || entry.creator === creator)
+                    && (!committeeId || entry.committeeId === committeeId);
+            })
+            .sort((a, b) => this.entries.get(a).number - this.entries.get(b).number);
+    }
+
+    /**
+     * 各状态的提案数；committeeId 只统计该委员会的提案
+     */
+    statusCounts(committeeId = null) {
+        const counts = {};
+        if (committeeId) {
+            for (const id of this.byCommittee.get(committeeId) || []) {
+                const { status } = this.entries.get(id);
+                counts[status] = (counts[status] || 0) + 1;
+            }
+        } else {
+            for (const [status, ids] of this.byStatus) {
+                counts[status] = ids.size;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * 记录一个决策（委员会提案的决策单独计数）
+     */
+    addDecision(committeeId) {
+        const key = committeeId ?? null;
+        this.decisionCounts.set(key, (this.decisionCounts.get(key) || 0) + 1);
+    }
+
+    decisionCount(committeeId) {
+        return this.decisionCounts.get(committeeId) || 0;
+    }
+
+    /**
+     * 最近的到期时间，没有则为 null
+     */
+    nextDue() {
+        this.discardStale();
+        return this.heap.length > 0 ? this.heap[0][0] : null;
+    }
+
+    /**
+     * 取出到期时间不晚于 now 的提案ID（按创建顺序）；处理后提案的事件会重新写入到期时间
+     */
+    takeDue(now) {
+        const due = [];
+        for (;;) {
+            this.discardStale();
+            if (this.heap.length === 0 || this.heap[0][0] > now) break;
+
+            const [, id] = this.pop();
+            this.dueAt.delete(id);
+            due.push(id);
+        }
+        return due.sort((a, b) => idNumber(a) - idNumber(b));
+    }
+
+    /**
+     * 从全部提案和决策重建索引（恢复快照后）
+     */
+    rebuild(proposals, decisions = []) {
+        this.clear();
+        for (const proposal of proposals) {
+            this.update(proposal);
+        }
+        for (const decision of decisions) {
+            this.addDecision(this.get(decision.proposalId)?.committeeId);
+        }
+    }
+
+    discardStale() {
+        while (this.heap.length > 0 && this.dueAt.get(this.heap[0][1]) !== this.heap[0][0]) {
+            this.pop();
+        }
+    }
+
+    push(item) {
+        if (this.heap.length > COMPACT_RATIO * this.dueAt.size + 64) {
+            this.heap = Array.from(this.dueAt, ([id, time]) => [time, id]).sort(compare);
+            return;
+        }
+
+        const heap = this.heap;
+        heap.push(item);
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (compare(heap[parent], heap[index]) <= 0) break;
+            [heap[parent], heap[index]] = [heap[index], heap[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < heap.length && compare(heap[left], heap[smallest]) < 0) smallest = left;
+                if (right < heap.length && compare(heap[right], heap[smallest]) < 0) smallest = right;
+                if (smallest === index) break;
+                [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+function compare(a, b) {
+    return a[0] - b[0] || idNumber(a[1]) - idNumber(b[1]);
+}
+
+function add(map, key, id) {
+    if (!map.has(key)) {
+        map.set(key, new Set());
+    }
+    map.get(key).add(id);
+}
+
+function remove(map, key, id) {
+    const ids = map.get(key);
+    if (ids) {
+        ids.delete(id);
+        if (ids.size === 0) {
+            map.delete(key);
+        }
+    }
+}
+
+module.exports = { ProposalIndex };
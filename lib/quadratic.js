@@ -0,0 +1,53 @@
+/**
+ * 🔢 二次方投票
+ * 选票是每个选项的票数数组（负数表示反对），花费的投票点数为各选项票数的平方和
+ * 投票点数按Agent跨提案累计，改票时先退还原选票的花费
+ */
+
+/**
+ * 选票花费的投票点数
+ */
+function quadraticCost(votes) {
+    return votes.reduce((sum, count) => sum + count * count, 0);
+}
+
+/**
+ * 校验选票格式，返回错误信息，通过时返回 null
+ */
+function validateQuadraticBallot(votes, optionCount) {
+    if (!Array.isArray(votes) || votes.length !== optionCount) {
+        return `二次方投票需要长度为 ${optionCount} 的票数数组`;
+    }
+    if (votes.some(count => !Number.isInteger(count))) {
+        return '票数必须是整数';
+    }
+    if (votes.every(count => count === 0)) {
+        return '至少需要给一个选项投票';
+    }
+    return null;
+}
+
+/**
+ * 汇总选票: votes 为各选项净票数，weightedVotes 为按投票权重加权的净票数，
+ * credits 为各选项花费的点数，voters 为投了正票的人数
+ * ballots: [{ agentId, vote: [票数...], weight }]
+ */
+function tallyQuadratic(ballots, optionCount) {
+    const votes = new Array(optionCount).fill(0);
+    const weightedVotes = new Array(optionCount).fill(0);
+    const credits = new Array(optionCount).fill(0);
+    const voters = new Array(optionCount).fill(0);
+
+    for (const ballot of ballots) {
+        ballot.vote.forEach((count, index) => {
+            votes[index] += count;
+            weightedVotes[index] += count * ballot.weight;
+            credits[index] += count * count;
+            if (count > 0) voters[index]++;
+        });
+    }
+
+    return { votes, weightedVotes, credits, voters };
+}
+
+module.exports = { quadraticCost, validateQuadraticBallot, tallyQuadratic };
@@ -0,0 +1,49 @@
+/**
+ * 🎲 可复现的伪随机数
+ * 相同种子总是得到相同序列，用于平票抽签等需要可审计的场景
+ */
+
+/**
+ * 把任意种子（数字或字符串）转成32位整数 (FNV-1a)
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number') {
+        return seed >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * mulberry32 生成器，返回 [0, 1) 区间的随机数
+ */
+function createRng(seed) {
+    let state = hashSeed(seed);
+
+    return function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 用给定生成器打乱数组（返回新数组）
+ */
+function shuffle(items, rng) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+module.exports = { hashSeed, createRng, shuffle };
@@ -0,0 +1,238 @@
+/**
+ * 🗳️ 排序投票计票算法
+ * 即时决选 (IRV)、波达计数 (Borda)、舒尔茨 (Schulze/Condorcet)
+ *
+ * 所有算法的输入都是加权选票: [{ agentId, ranking: [选项索引...], weight }]
+ * ranking 允许只排前几位，未排入的选项视为排在最后
+ */
+
+const RANKED_METHODS = ['irv', 'borda', 'schulze'];
+
+/**
+ * 选票中 a 是否优先于 b
+ */
+function prefers(ranking, a, b) {
+    const posA = ranking.indexOf(a);
+    const posB = ranking.indexOf(b);
+    if (posA === -1) return false;
+    return posB === -1 || posA < posB;
+}
+
+/**
+ * 两两对决矩阵: matrix[i][j] = 认为 i 优于 j 的权重
+ */
+function pairwiseMatrix(ballots, optionCount) {
+    const matrix = Array.from({ length: optionCount }, () => new Array(optionCount).fill(0));
+
+    for (const ballot of ballots) {
+        for (let i = 0; i < optionCount; i++) {
+            for (let j = 0; j < optionCount; j++) {
+                if (i !== j && prefers(ballot.ranking, i, j)) {
+                    matrix[i][j] += ballot.weight;
+                }
+            }
+        }
+    }
+
+    return matrix;
+}
+
+/**
+ * 获胜者相对于某个对手的支持者及其权重
+ */
+function headToHead(ballots, winner, rival) {
+    const supporters = ballots.filter(b => rival === null || prefers(b.ranking, winner, rival));
+    return {
+        supporters: supporters.map(b => b.agentId),
+        support: supporters.reduce((sum, b) => sum + b.weight, 0)
+    };
+}
+
+/**
+ * 即时决选：每轮淘汰得票最少的选项，直到有选项获得过半有效票
+ */
+function instantRunoff(ballots, optionCount) {
+    const continuing = new Set(Array.from({ length: optionCount }, (_, i) => i));
+    const rounds = [];
+
+    while (continuing.size > 0) {
+        const tallies = {};
+        const supporters = {};
+        for (const option of continuing) {
+            tallies[option] = 0;
+            supporters[option] = [];
+        }
+
+        let exhausted = 0;
+        for (const ballot of ballots) {
+            const top = ballot.ranking.find(option => continuing.has(option));
+            if (top === undefined) {
+                exhausted += ballot.weight;
+            } else {
+                tallies[top] += ballot.weight;
+                supporters[top].push(ballot.agentId);
+            }
+        }
+
+        const round = { round: rounds.length + 1, tallies, exhausted, eliminated: null };
+        rounds.push(round);
+
+        const active = Object.values(tallies).reduce((sum, w) => sum + w, 0);
+        if (active === 0) {
+            return { method: 'irv', winners: [], winner: null, support: 0, supporters: [], rounds };
+        }
+
+        const best = Math.max(...Object.values(tallies));
+        const leaders = [...continuing].filter(option => tallies[option] === best);
+
+        if (best * 2 > active || leaders.length === continuing.size) {
+            const winner = leaders.length === 1 ? leaders[0] : null;
+            return {
+                method: 'irv',
+                winners: leaders,
+                winner,
+                support: best,
+                supporters: winner === null ? [] : supporters[winner],
+                rounds
+            };
+        }
+
+        // 淘汰得票最少的选项；平票时回看前几轮，仍平票则淘汰索引最大的
+        const worst = Math.min(...Object.values(tallies));
+        let candidates = [...continuing].filter(option => tallies[option] === worst);
+        for (let r = rounds.length - 2; r >= 0 && candidates.length > 1; r--) {
+            const earlier = rounds[r].tallies;
+            const min = Math.min(...candidates.map(option => earlier[option]));
+            candidates = candidates.filter(option => earlier[option] === min);
+        }
+        const eliminated = Math.max(...candidates);
+
+        round.eliminated = eliminated;
+        continuing.delete(eliminated);
+    }
+
+    return { method: 'irv', winners: [], winner: null, support: 0, supporters: [], rounds };
+}
+
+/**
+ * 波达计数：第 k 位得 n-1-k 分，未排入的选项得 0 分
+ */
+function bordaCount(ballots, optionCount) {
+    const scores = {};
+    for (let i = 0; i < optionCount; i++) {
+        scores[i] = 0;
+    }
+
+    for (const ballot of ballots) {
+        ballot.ranking.forEach((option, position) => {
+            scores[option] += (optionCount - 1 - position) * ballot.weight;
+        });
+    }
+
+    const ordered = Object.keys(scores).map(Number).sort((a, b) => scores[b] - scores[a] || a - b);
+    const best = ballots.length > 0 ? scores[ordered[0]] : 0;
+    const winners = best > 0 ? ordered.filter(option => scores[option] === best) : [];
+    const winner = winners.length === 1 ? winners[0] : null;
+
+    // 支持度：相对于得分第二的选项，更偏好获胜者的权重
+    const runnerUp = winner === null ? null : (ordered.length > 1 ? ordered[1] : null);
+    const backing = winner === null ? { supporters: [], support: 0 } : headToHead(ballots, winner, runnerUp);
+
+    return {
+        method: 'borda',
+        winners,
+        winner,
+        support: backing.support,
+        supporters: backing.supporters,
+        runnerUp,
+        scores
+    };
+}
+
+/**
+ * 舒尔茨方法：两两对决矩阵 + 最强路径
+ */
+function schulze(ballots, optionCount) {
+    const matrix = pairwiseMatrix(ballots, optionCount);
+    const paths = Array.from({ length: optionCount }, () => new Array(optionCount).fill(0));
+
+    for (let i = 0; i < optionCount; i++) {
+        for (let j = 0; j < optionCount; j++) {
+            if (i !== j && matrix[i][j] > matrix[j][i]) {
+                paths[i][j] = matrix[i][j];
+            }
+        }
+    }
+
+    for (let k = 0; k < optionCount; k++) {
+        for (let i = 0; i < optionCount; i++) {
+            if (i === k) continue;
+            for (let j = 0; j < optionCount; j++) {
+                if (j === i || j === k) continue;
+                paths[i][j] = Math.max(paths[i][j], Math.min(paths[i][k], paths[k][j]));
+            }
+        }
+    }
+
+    const winners = [];
+    if (ballots.length > 0) {
+        for (let i = 0; i < optionCount; i++) {
+            let beatsAll = true;
+            for (let j = 0; j < optionCount; j++) {
+                if (i !== j && paths[i][j] < paths[j][i]) {
+                    beatsAll = false;
+                    break;
+                }
+            }
+            if (beatsAll) winners.push(i);
+        }
+    }
+    const winner = winners.length === 1 ? winners[0] : null;
+
+    // 支持度：与最接近的对手两两对决时，更偏好获胜者的权重
+    let closestRival = null;
+    if (winner !== null) {
+        for (let j = 0; j < optionCount; j++) {
+            if (j !== winner && (closestRival === null || matrix[winner][j] < matrix[winner][closestRival])) {
+                closestRival = j;
+            }
+        }
+    }
+    const backing = winner === null ? { supporters: [], support: 0 } : headToHead(ballots, winner, closestRival);
+
+    return {
+        method: 'schulze',
+        winners,
+        winner,
+        support: backing.support,
+        supporters: backing.supporters,
+        closestRival,
+        matrix,
+        paths
+    };
+}
+
+/**
+ * 按指定方法计票
+ */
+function tallyRanked(ballots, optionCount, method = 'irv') {
+    switch (method) {
+        case 'irv':
+            return instantRunoff(ballots, optionCount);
+        case 'borda':
+            return bordaCount(ballots, optionCount);
+        case 'schulze':
+            return schulze(ballots, optionCount);
+        default:
+            throw new Error(`未知的排序计票方法: ${method}`);
+    }
+}
+
+module.exports = {
+    RANKED_METHODS,
+    instantRunoff,
+    bordaCount,
+    schulze,
+    pairwiseMatrix,
+    tallyRanked
+};
@@ -0,0 +1,201 @@
+/**
+ * ⭐ 声誉引擎
+ * 根据参与度、与最终结果的一致性、投票及时性和提案通过情况调整声誉，
+ * 声誉随时间向基准值衰减，并可按声誉折算有效投票权重
+ */
+
+const DEFAULT_OPTIONS = {
+    baseline: 100, // 初始声誉，也是衰减的目标值
+    min: 0,
+    max: 1000,
+    participation: 1, // 每参与一次决策
+    alignment: 2, // 与最终结果一致
+    misalignment: -1, // 与最终结果相反
+    onTime: 2, // 及时投票奖励，按投票时剩余时间比例折算
+    proposalAccepted: 5, // 创建的提案被通过
+    proposalRejected: -1, // 创建的提案被否决
+    unrevealed: -3, // 秘密投票提交了承诺却没有揭示
+    decayHalfLife: null, // 声誉偏离基准值的半衰期（毫秒），null 表示不衰减
+    weightFromReputation: false, // 是否按声誉折算有效投票权重
+    weightFloor: 0.1, // 有效权重下限
+    weightCap: 3 // 有效权重上限
+};
+
+class ReputationEngine {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.history = new Map(); // agentId -> [{ at, delta, reason, reputation }]
+    }
+
+    /**
+     * 截断到允许范围
+     */
+    clamp(value) {
+        return Math.min(this.options.max, Math.max(this.options.min, value));
+    }
+
+    /**
+     * 计入衰减后的当前声誉（不修改Agent）
+     */
+    current(agent, now) {
+        const { decayHalfLife, baseline } = this.options;
+        const since = agent.reputationUpdatedAt ?? agent.joinedAt;
+
+        if (!decayHalfLife || now <= since) {
+            return agent.reputation;
+        }
+
+        const factor = Math.pow(0.5, (now - since) / decayHalfLife);
+        return baseline + (agent.reputation - baseline) * factor;
+    }
+
+    /**
+     * 调整声誉并记录历史
+     */
+    adjust(agent, delta, reason, now, details = {}) {
+        const before = agent.reputation;
+        agent.reputation = this.clamp(before + delta);
+        agent.reputationUpdatedAt = now;
+
+        const entry = {
+            at: now,
+            delta: agent.reputation - before,
+            reason,
+            reputation: agent.reputation,
+            ...details
+        };
+
+        if (!this.history.has(agent.id)) {
+            this.history.set(agent.id, []);
+        }
+        this.history.get(agent.id).push(entry);
+
+        return entry;
+    }
+
+    /**
+     * 把到目前为止的衰减固化到Agent上
+     */
+    applyDecay(agent, now) {
+        const decayed = this.current(agent, now);
+        if (decayed !== agent.reputation) {
+            this.adjust(agent, decayed - agent.reputation, 'decay', now);
+        } else {
+            agent.reputationUpdatedAt = now;
+        }
+    }
+
+    /**
+     * 决策固化后更新相关Agent的声誉，返回每个Agent的变化量
+     * tally 为 ConsensusDecisionSystem.tallyProposal 的结果
+     */
+    applyDecision(agents, proposal, decision, tally, now) {
+        const opts = this.options;
+        const changes = {};
+        const accepted = decision.result === 'accepted';
+        const aligned = new Set(accepted ? tally.supporters : tally.opponents);
+        const misaligned = new Set(accepted ? tally.opponents : tally.supporters);
+        const window = Math.max(1, proposal.deadline - proposal.createdAt);
+
+        const record = (agent, delta, reason) => {
+            if (delta === 0) return;
+            const entry = this.adjust(agent, delta, reason, now, { decisionId: decision.id, proposalId: proposal.id });
+            changes[agent.id] = (changes[agent.id] || 0) + entry.delta;
+        };
+
+        const unrevealed = decision.unrevealed || [];
+        const touched = new Set([...proposal.votes.keys(), proposal.creator, ...unrevealed]);
+        for (const agentId of touched) {
+            const agent = agents.get(agentId);
+            if (agent) {
+                this.applyDecay(agent, now);
+            }
+        }
+
+        for (const [agentId, voteData] of proposal.votes) {
+            const agent = agents.get(agentId);
+            if (!agent) continue;
+
+            record(agent, opts.participation, 'participation');
+
+            if (aligned.has(agentId)) {
+                record(agent, opts.alignment, 'aligned_with_outcome');
+            } else if (misaligned.has(agentId)) {
+                record(agent, opts.misalignment, 'misaligned_with_outcome');
+            }
+
+            const remaining = Math.max(0, proposal.deadline - voteData.timestamp) / window;
+            record(agent, opts.onTime * Math.min(1, remaining), 'on_time_vote');
+        }
+
+        for (const agentId of unrevealed) {
+            const agent = agents.get(agentId);
+            if (agent) {
+                record(agent, opts.unrevealed, 'unrevealed_commitment');
+            }
+        }
+
+        const creator = agents.get(proposal.creator);
+        if (creator) {
+            if (accepted) {
+                record(creator, opts.proposalAccepted, 'proposal_accepted');
+            } else {
+                record(creator, opts.proposalRejected, 'proposal_rejected');
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * 有效投票权重：开启 weightFromReputation 时按 声誉/基准值 折算，并限制在上下限之间
+     */
+    effectiveWeight(agent, now) {
+        const weight = agent.weight || 1.0;
+        if (!this.options.weightFromReputation) {
+            return weight;
+        }
+
+        const scaled = weight * this.current(agent, now) / this.options.baseline;
+        return Math.min(this.options.weightCap, Math.max(this.options.weightFloor, scaled));
+    }
+
+    /**
+     * Agent的声誉变化历史
+     */
+    getHistory(agentId) {
+        return [...(this.history.get(agentId) || [])];
+    }
+
+    /**
+     * 记录当前各Agent历史长度，配合 entriesSince 取出新增记录
+     */
+    mark() {
+        return new Map(Array.from(this.history, ([agentId, entries]) => [agentId, entries.length]));
+    }
+
+    entriesSince(mark) {
+        const added = {};
+        for (const [agentId, entries] of this.history) {
+            const from = mark.get(agentId) || 0;
+            if (entries.length > from) {
+                added[agentId] = entries.slice(from);
+            }
+        }
+        return added;
+    }
+
+    /**
+     * 追加历史记录（用于从事件日志或快照恢复）
+     */
+    appendEntries(entriesByAgent) {
+        for (const [agentId, entries] of Object.entries(entriesByAgent)) {
+            if (!this.history.has(agentId)) {
+                this.history.set(agentId, []);
+            }
+            this.history.get(agentId).push(...entries);
+        }
+    }
+}
+
+module.exports = { ReputationEngine, DEFAULT_OPTIONS };
@@ -0,0 +1,182 @@
+/**
+ * 📅 截止时间调度器
+ * 主动在截止时间结束投票并固化决策，在截止前发送提醒；
+ * 秘密投票提案在提交阶段截止时进入揭示阶段，揭示阶段截止时固化决策；
+ * 多轮审议提案未达成共识时开启下一轮，重新计时
+ */
+
+class DeadlineScheduler {
+    constructor(system, options = {}) {
+        this.system = system;
+        this.clock = system.clock;
+        this.onReminder = options.onReminder || null; // (proposal, msLeft) => void
+        this.onClose = options.onClose || null; // (proposal, decision) => void
+        this.retryDelay = options.retryDelay ?? 1000; // 处理出错后重试前等待的毫秒数
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * 处理所有已到期的提醒和截止，返回本次处理结果
+     * 只处理提案索引中已到期的提案，按创建顺序；
+     * 单个提案出错（回调、钩子抛错）时记入 failed 并通过事件总线报告，不影响其他提案
+     */
+    tick() {
+        const now = this.clock.now();
+        const result = {
+            reminded: [],
+            closed: [],
+            revealing: [],
+            rounds: [], // 多轮审议开启了下一轮的提案
+            failed: [] // [{ proposalId, error }]
+        };
+
+        const due = this.system.proposalIndex.takeDue(now)
+            .map(proposalId => this.system.proposals.get(proposalId))
+            .filter(Boolean);
+
+        for (const proposal of due) {
+            try {
+                this.process(proposal, now, result);
+            } catch (error) {
+                result.failed.push({ proposalId: proposal.id, error: error.message });
+                this.reportError(error, proposal.id);
+            } finally {
+                // 处理后没有变化的提案（如出错中断了处理）重新写入到期时间，下次再处理
+                this.system.proposalIndex.update(proposal);
+            }
+        }
+
+        return result;
+    }
+
+    process(proposal, now, { reminded, closed, revealing, rounds }) {
+        // 秘密投票揭示阶段到期
+        if (proposal.status === 'revealing') {
+            if (now > proposal.revealDeadline) {
+                const decision = this.system.closeRevealPhase(proposal);
+                if (proposal.status === 'voting') {
+                    rounds.push(proposal.id);
+                } else {
+                    this.close(proposal, decision, closed);
+                }
+            }
+            return;
+        }
+
+        if (proposal.status !== 'voting') return;
+
+        if (now > proposal.deadline) {
+            const decision = this.system.closeExpiredProposal(proposal);
+            // 秘密投票提案截止后进入揭示阶段，尚未结束
+            if (proposal.status === 'revealing') {
+                revealing.push(proposal.id);
+            } else if (proposal.status === 'voting') {
+                rounds.push(proposal.id);
+            } else {
+                this.close(proposal, decision, closed);
+            }
+            return;
+        }
+
+        for (const reminder of proposal.reminders) {
+            if (reminder.sentAt === null && now >= proposal.deadline - reminder.before) {
+                this.system.markReminderSent(proposal, reminder);
+                reminded.push({ proposalId: proposal.id, before: reminder.before });
+                if (this.onReminder) {
+                    this.onReminder(proposal, proposal.deadline - now);
+                }
+            }
+        }
+    }
+
+    /**
+     * 通过事件总线报告调度出错，'error' 订阅者会收到 { type: 'scheduler', message, event }
+     */
+    reportError(error, proposalId = null) {
+        this.system.eventBus.reportError(error, { type: 'scheduler', payload: { proposalId }, at: this.clock.now() });
+    }
+
+    close(proposal, decision, closed) {
+        closed.push(proposal.id);
+        if (this.onClose) {
+            this.onClose(proposal, decision);
+        }
+    }
+
+    /**
+     * 下一个需要处理的时间点（提醒或截止），没有则为 null
+     */
+    nextDue() {
+        return this.system.proposalIndex.nextDue();
+    }
+
+    /**
+     * 按最近的到期时间重新设置定时器，至少等待 minDelay 毫秒
+     * 本次处理出错时推迟 retryDelay 再重试，避免出错的提案反复立即触发
+     */
+    schedule(minDelay = 0) {
+        if (!this.running) return;
+
+        if (this.timer !== null) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const due = this.nextDue();
+        if (due === null) return;
+
+        const delay = Math.max(minDelay, due - this.clock.now());
+        this.timer = this.clock.setTimeout(() => {
+            this.timer = null;
+            let failed = true;
+            try {
+                failed = this.tick().failed.length > 0;
+            } catch (error) {
+                this.reportError(error);
+            } finally {
+                this.schedule(failed ? this.retryDelay : 0);
+            }
+        }, delay);
+    }
+
+    start() {
+        this.running = true;
+        const { failed } = this.tick();
+        this.schedule(failed.length > 0 ? this.retryDelay : 0);
+        return this;
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer !== null) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        return this;
+    }
+}
+
+/**
+ * 提案下一个需要处理的时间点（提醒或截止），不在投票或揭示阶段时为 null
+ * 截止时间之后的第一毫秒才算过期
+ */
+function dueTime(proposal) {
+    if (proposal.status === 'revealing') {
+        return proposal.revealDeadline + 1;
+    }
+
+    if (proposal.status !== 'voting') {
+        return null;
+    }
+
+    let next = proposal.deadline + 1;
+    for (const reminder of proposal.reminders) {
+        if (reminder.sentAt === null && proposal.deadline - reminder.before < next) {
+            next = proposal.deadline - reminder.before;
+        }
+    }
+    return next;
+}
+
+module.exports = { DeadlineScheduler, dueTime };
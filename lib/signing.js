@@ -0,0 +1,102 @@
+/**
+ * ✍️ 操作签名
+ * Agent注册 Ed25519 公钥后，投票、创建提案和评论都需要对规范化的操作内容签名
+ *
+ * 签名内容 = canonicalize({ action, agentId, ...字段 })，签名为 base64
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 规范化JSON：对象键排序、忽略 undefined，相同内容总是得到相同字符串
+ */
+function canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value) ?? 'null';
+    }
+
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+    }
+
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * 需要签名的操作内容
+ */
+function signingPayload(action, agentId, fields) {
+    return canonicalize({ action, agentId, ...fields });
+}
+
+/**
+ * 投票和秘密投票承诺的签名字段：包含审议轮次和提案版本，签过的选票不能重放到其他轮次或版本
+ * proposal 可以是系统内部的提案或 formatProposal 的结果
+ */
+function voteFields(proposal, vote, comment) {
+    return { proposalId: proposal.id, vote, comment, round: proposal.round || 1, version: proposal.version };
+}
+
+function commitFields(proposal, commitment) {
+    return { proposalId: proposal.id, commitment, round: proposal.round || 1, version: proposal.version };
+}
+
+/**
+ * 校验并规范化公钥，返回 SPKI PEM；不是 Ed25519 公钥时抛出异常
+ */
+function normalizePublicKey(publicKey) {
+    const key = crypto.createPublicKey(publicKey);
+    if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`需要 Ed25519 公钥，收到 ${key.asymmetricKeyType}`);
+    }
+    return key.export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * 用私钥对操作签名（供Agent端使用）
+ */
+function signAction(privateKey, action, agentId, fields) {
+    return crypto.sign(null, Buffer.from(signingPayload(action, agentId, fields)), privateKey).toString('base64');
+}
+
+/**
+ * 校验操作签名
+ */
+function verifyAction(publicKey, signature, action, agentId, fields) {
+    if (typeof signature !== 'string' || signature === '') {
+        return false;
+    }
+
+    try {
+        return crypto.verify(
+            null,
+            Buffer.from(signingPayload(action, agentId, fields)),
+            publicKey,
+            Buffer.from(signature, 'base64')
+        );
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 生成 Ed25519 密钥对（PEM）
+ */
+function generateKeyPair() {
+    return crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+}
+
+module.exports = {
+    canonicalize,
+    signingPayload,
+    voteFields,
+    commitFields,
+    normalizePublicKey,
+    signAction,
+    verifyAction,
+    generateKeyPair
+};
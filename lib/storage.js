@@ -0,0 +1,141 @@
+/**
+ * 💾 事件存储
+ * 只追加的事件日志 + 可插拔后端（内存 / JSON Lines 文件）
+ *
+ * 事件格式: { seq, type, at, payload }
+ */
+
+const fs = require('fs');
+
+/**
+ * 内存后端，进程退出即丢失，适合测试和临时工作区
+ */
+class MemoryBackend {
+    constructor() {
+        this.events = [];
+    }
+
+    append(event) {
+        this.events.push(event);
+    }
+
+    readAll() {
+        return this.events.map(event => JSON.parse(JSON.stringify(event)));
+    }
+
+    clear() {
+        this.events = [];
+    }
+}
+
+/**
+ * JSON Lines 文件后端，每行一个事件
+ */
+class JsonLinesFileBackend {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    append(event) {
+        fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n');
+    }
+
+    readAll() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`事件日志第 ${index + 1} 行无法解析: ${error.message}`);
+                }
+            });
+    }
+
+    clear() {
+        fs.writeFileSync(this.filePath, '');
+    }
+}
+
+/**
+ * 事件日志，为事件编号并写入后端
+ */
+class EventStore {
+    constructor(backend = new MemoryBackend()) {
+        this.backend = backend;
+        const existing = backend.readAll();
+        this.sequence = existing.length > 0 ? existing[existing.length - 1].seq : 0;
+    }
+
+    append(type, payload, at = Date.now()) {
+        // 深拷贝，避免之后对内存对象的修改影响已记录的事件
+        const event = JSON.parse(JSON.stringify({ seq: ++this.sequence, type, at, payload }));
+        this.backend.append(event);
+        return event;
+    }
+
+    readAll() {
+        return this.backend.readAll();
+    }
+}
+
+/**
+ * 提案中的 Map 转成可 JSON 序列化的结构
+ */
+function serializeProposal(proposal) {
+    return {
+        ...proposal,
+        votes: Array.from(proposal.votes),
+        ...(proposal.commitments ? { commitments: Array.from(proposal.commitments) } : {})
+    };
+}
+
+function deserializeProposal(data) {
+    return {
+        ...data,
+        // 早期版本的提案没有生命周期、讨论串、弃权、委员会、动作和前置提案字段
+        version: data.version ?? 1,
+        versions: data.versions ?? [],
+        cosponsors: data.cosponsors ?? [],
+        discussionStartedAt: data.discussionStartedAt ?? null,
+        votingStartedAt: data.votingStartedAt ?? null,
+        comments: (data.comments || []).map((comment, index) => ({
+            ...comment,
+            id: comment.id ?? `comment_${index + 1}`,
+            parentId: comment.parentId ?? null,
+            stance: comment.stance ?? 'neutral',
+            option: comment.option ?? null,
+            source: comment.source ?? 'comment',
+            reactions: comment.reactions ?? { endorse: [], rebut: [] }
+        })),
+        abstentions: data.abstentions ?? [],
+        committeeId: data.committeeId ?? null,
+        quorum: data.quorum ?? null,
+        actions: data.actions ?? [],
+        dependsOn: data.dependsOn ?? [],
+        votes: new Map(data.votes),
+        ...(data.commitments ? { commitments: new Map(data.commitments) } : {})
+    };
+}
+
+/**
+ * 从 prefix_N 形式的ID中取出编号
+ */
+function idNumber(id) {
+    const match = /_(\d+)$/.exec(id);
+    return match ? Number(match[1]) : 0;
+}
+
+module.exports = {
+    MemoryBackend,
+    JsonLinesFileBackend,
+    EventStore,
+    serializeProposal,
+    deserializeProposal,
+    idNumber
+};
@@ -0,0 +1,96 @@
+/**
+ * 🧮 增量计票
+ * 每张选票拆成若干 [结果键, 数量] 贡献，按键累加票数和加权票数；
+ * 投票、改票、撤票只更新这张选票涉及的键，计票时不必重新扫描全部选票
+ *
+ * 结果键的含义由调用方决定（见 ConsensusDecisionSystem.ballotContributions）：
+ *   yesno      0 yes / 1 no / 2 abstain
+ *   single/multi  选项索引，单选的空选票记在最后一个键
+ *   quadratic  每 n 个键一组：各选项净票数、投正票的选票、花费的投票点数
+ * 排序投票和预算分配的结果依赖全部选票的整体结构，不做增量计票
+ */
+
+const INCREMENTAL_TYPES = ['yesno', 'single', 'multi', 'quadratic'];
+
+// 加权票数保留9位小数，增量累加和重新计票的浮点误差不同，取整后结果一致
+const roundWeight = value => Math.round(value * 1e9) / 1e9;
+
+class IncrementalTally {
+    constructor(keyCount) {
+        this.counts = new Array(keyCount).fill(0); // 各键的票数（数量之和）
+        this.weights = new Array(keyCount).fill(0); // 各键的加权票数
+        this.touches = new Array(keyCount).fill(0); // 涉及各键的选票数，归零时清除累积误差
+        this.castWeight = 0; // 全部选票的权重
+        this.ballots = new Map(); // agentId -> { contributions, weight }
+    }
+
+    get size() {
+        return this.ballots.size;
+    }
+
+    /**
+     * 记入选票，同一Agent的旧选票先撤出
+     */
+    set(agentId, contributions, weight) {
+        this.delete(agentId);
+        this.apply(contributions, weight, 1);
+        this.ballots.set(agentId, { contributions, weight });
+    }
+
+    /**
+     * 撤出选票，返回是否存在
+     */
+    delete(agentId) {
+        const ballot = this.ballots.get(agentId);
+        if (!ballot) {
+            return false;
+        }
+
+        this.apply(ballot.contributions, ballot.weight, -1);
+        this.ballots.delete(agentId);
+        if (this.ballots.size === 0) {
+            this.castWeight = 0;
+        }
+        return true;
+    }
+
+    apply(contributions, weight, sign) {
+        this.castWeight += sign * weight;
+        for (const [key, amount] of contributions) {
+            if (amount === 0) continue;
+
+            this.touches[key] += sign;
+            if (this.touches[key] === 0) {
+                this.counts[key] = 0;
+                this.weights[key] = 0;
+            } else {
+                this.counts[key] += sign * amount;
+                this.weights[key] += sign * amount * weight;
+            }
+        }
+    }
+
+    /**
+     * 当前合计；extra 为沿委托链流入的权重 [{ contributions, weight }]，只计入加权票数
+     */
+    totals(extra = []) {
+        const weights = [...this.weights];
+        let castWeight = this.castWeight;
+
+        for (const { contributions, weight } of extra) {
+            castWeight += weight;
+            for (const [key, amount] of contributions) {
+                weights[key] += amount * weight;
+            }
+        }
+
+        return {
+            counts: [...this.counts],
+            weights: weights.map(roundWeight),
+            castWeight: roundWeight(castWeight),
+            voters: this.ballots.size
+        };
+    }
+}
+
+module.exports = { IncrementalTally, INCREMENTAL_TYPES, roundWeight };
@@ -0,0 +1,717 @@
+/**
+ * 🌐 共识决策系统 HTTP/JSON API
+ * 只依赖 Node 内置 http 模块，Agent 通过 API Key 认证，
+ * /events 以 Server-Sent Events 推送实时提案动态，/ 提供浏览器仪表盘
+ *
+ * 启动: PORT=3000 node server.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ConsensusDecisionSystem, AIConsensusStrategy } = require('./index.js');
+const { analyticsToCSV, ANALYTICS_SECTIONS } = require('./lib/analytics');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_PAGE_SIZE = 500;
+const HEARTBEAT_MS = 15000;
+const DASHBOARD_FILE = path.join(__dirname, 'index.html');
+
+// 系统错误码 -> HTTP 状态码
+const STATUS_BY_CODE = {
+    AGENT_NOT_REGISTERED: 404,
+    PROPOSAL_NOT_FOUND: 404,
+    PROPOSAL_NOT_OPEN: 409,
+    DEADLINE_PASSED: 409,
+    INVALID_VOTE: 422,
+    INVALID_ARGUMENT: 400,
+    PERMISSION_DENIED: 403,
+    HOOK_REJECTED: 422,
+    COMMITMENT_MISMATCH: 422,
+    INVALID_SIGNATURE: 401,
+    DELEGATION_CYCLE: 409,
+    DISCUSSION_NOT_OVER: 409,
+    INSUFFICIENT_COSPONSORS: 409,
+    COMMITTEE_NOT_FOUND: 404,
+    DEPENDENCY_PENDING: 409,
+    INSUFFICIENT_CREDITS: 422,
+    UNAUTHENTICATED: 401,
+    INVALID_JSON: 400,
+    VALIDATION_FAILED: 400,
+    PAYLOAD_TOO_LARGE: 413,
+    NOT_FOUND: 404,
+    INTERNAL_ERROR: 500
+};
+
+// 推送到 /events 的事件类型
+const STREAM_EVENTS = [
+    'proposal.created',
+    'proposal.discussion',
+    'proposal.cosponsored',
+    'proposal.amended',
+    'proposal.voting',
+    'proposal.withdrawn',
+    'proposal.round',
+    'vote.cast',
+    'vote.committed',
+    'vote.revealed',
+    'proposal.revealing',
+    'comment.added',
+    'comment.reacted',
+    'driver.invited',
+    'driver.abstained',
+    'proposal.escalated',
+    'action.triggered',
+    'action.succeeded',
+    'action.failed',
+    'action.rolledBack',
+    'action.rollbackFailed',
+    'consensus.reached',
+    'proposal.rejected',
+    'proposal.expired',
+    'proposal.reminder',
+    'proposal.cancelled',
+    'delegation.set',
+    'delegation.revoked'
+];
+
+class HttpError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * 分析接口的查询参数: since / until（毫秒时间戳）、blocThreshold、window
+ */
+function analyticsOptions(query) {
+    return numericOptions(query, ['since', 'until', 'blocThreshold', 'window']);
+}
+
+/**
+ * 分页查询参数: limit（最多 MAX_PAGE_SIZE）/ offset / order
+ */
+function pageOptions(query) {
+    const options = numericOptions(query, ['limit', 'offset']);
+    if (options.limit > MAX_PAGE_SIZE) {
+        throw new HttpError('INVALID_ARGUMENT', `limit 不能超过 ${MAX_PAGE_SIZE}`);
+    }
+    if (query.has('order')) {
+        options.order = query.get('order');
+    }
+    return options;
+}
+
+/**
+ * 取出数字类型的查询参数，不是数字时报错
+ */
+function numericOptions(query, names) {
+    const options = {};
+    for (const name of names) {
+        if (!query.has(name)) continue;
+        const value = Number(query.get(name));
+        if (!Number.isFinite(value)) {
+            throw new HttpError('INVALID_ARGUMENT', `${name} 必须是数字`);
+        }
+        options[name] = value;
+    }
+    return options;
+}
+
+/**
+ * 按简单的字段描述校验请求体: { field: { type, required, enum } }
+ */
+function validateBody(body, schema) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError('VALIDATION_FAILED', '请求体必须是JSON对象');
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = body[field];
+        if (value === undefined || value === null) {
+            if (rule.required) errors.push(`${field} 为必填项`);
+            continue;
+        }
+
+        const types = [].concat(rule.type);
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (!types.includes('any') && !types.includes(actual)) {
+            errors.push(`${field} 应为 ${types.join('/')}`);
+        } else if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${field} 应为 ${rule.enum.join('/')} 之一`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new HttpError('VALIDATION_FAILED', errors.join('; '), { errors });
+    }
+    return body;
+}
+
+/**
+ * 解码路径参数，编码不合法时为请求错误
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError('INVALID_ARGUMENT', `路径参数编码无效: ${value}`);
+    }
+}
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+class ConsensusHttpServer {
+    /**
+     * options.apiKeys: 预置的 { agentId: apiKey }
+     * options.registrationKey: 设置后注册Agent需要 X-Registration-Key 请求头
+     */
+    constructor(system = new ConsensusDecisionSystem(), options = {}) {
+        this.system = system;
+        this.options = options;
+        this.apiKeys = new Map(); // sha256(apiKey) -> agentId
+        this.streams = new Set();
+        this.routes = this.buildRoutes();
+
+        for (const [agentId, key] of Object.entries(options.apiKeys || {})) {
+            this.apiKeys.set(hashKey(key), agentId);
+        }
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * 为Agent签发新的 API Key（只保存哈希）
+     */
+    issueApiKey(agentId) {
+        const key = crypto.randomBytes(24).toString('hex');
+        this.apiKeys.set(hashKey(key), agentId);
+        return key;
+    }
+
+    revokeApiKeys(agentId) {
+        for (const [hash, owner] of this.apiKeys) {
+            if (owner === agentId) {
+                this.apiKeys.delete(hash);
+            }
+        }
+    }
+
+    listen(port = 3000, host = '127.0.0.1') {
+        return new Promise(resolve => {
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        for (const stream of this.streams) {
+            stream.end();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * 路由表: [method, pattern, handler, { auth }]
+     */
+    buildRoutes() {
+        const system = this.system;
+
+        return [
+            ['GET', /^\/$/, ({ res }) => this.serveDashboard(res), { raw: true }],
+            ['POST', /^\/agents$/, ({ req, body, agentId }) => this.registerAgent(req, body, agentId), { auth: 'optional', created: true }],
+            ['GET', /^\/agents$/, () => ({
+                success: true,
+                agents: Array.from(system.agents.values(), agent => ({
+                    id: agent.id,
+                    name: agent.name,
+                    role: agent.role,
+                    weight: agent.weight,
+                    effectiveWeight: system.getVoteWeight(agent.id),
+                    reputation: system.getReputation(agent.id),
+                    credits: system.getCredits(agent.id),
+                    publicKey: agent.publicKey || null
+                }))
+            })],
+            ['GET', /^\/agents\/me$/, ({ agentId }) => ({
+                success: true,
+                agent: { ...system.agents.get(agentId), effectiveWeight: system.getVoteWeight(agentId) }
+            }), { auth: 'required' }],
+            ['POST', /^\/agents\/([^/]+)\/credits$/, ({ params, body, agentId }) => {
+                validateBody(body, { amount: { type: 'number', required: true } });
+                return system.grantCredits(agentId, params[0], body.amount);
+            }, { auth: 'required' }],
+            ['GET', /^\/proposals$/, ({ query }) => system.queryProposals({
+                ...pageOptions(query),
+                status: query.get('status'),
+                committee: this.committeeFilter(query),
+                creator: query.get('creator'),
+                tag: query.get('tag'),
+                type: query.get('type'),
+                sort: query.get('sort') ?? undefined
+            })],
+            ['POST', /^\/proposals$/, ({ body, agentId }) => {
+                validateBody(body, {
+                    title: { type: 'string', required: true },
+                    description: { type: 'string' },
+                    options: { type: 'array' },
+                    type: { type: 'string', enum: ['single', 'multi', 'ranked', 'yesno', 'quadratic', 'budget'] },
+                    settings: { type: 'object' },
+                    signature: { type: 'string' }
+                });
+                return system.createProposal(
+                    agentId, body.title, body.description || '', body.options || [], body.type || 'single', body.settings || {},
+                    body.signature
+                );
+            }, { auth: 'required', created: true }],
+            ['GET', /^\/proposals\/([^/]+)$/, ({ params }) => this.withProposal(params[0], proposal => ({
+                success: true,
+                proposal: system.formatProposal(proposal),
+                consensusStatus: system.evaluateConsensus(proposal),
+                results: system.countVotes(proposal),
+                versions: proposal.versions,
+                comments: proposal.comments,
+                arguments: system.getArgumentSummary(proposal.id).arguments
+            }))],
+            ['GET', /^\/proposals\/([^/]+)\/trend$/, ({ params }) => system.getConsensusTrend(params[0])],
+            ['GET', /^\/proposals\/([^/]+)\/actions$/, ({ params }) => system.getActionExecutions(params[0])],
+            ['POST', /^\/proposals\/([^/]+)\/actions\/rollback$/, ({ params, body, agentId }) => {
+                validateBody(body, { reason: { type: 'string' } });
+                return system.rollbackActions(agentId, params[0], body.reason || '');
+            }, { auth: 'required' }],
+            ['POST', /^\/proposals\/([^/]+)\/submit$/, ({ params, agentId }) => system.submitProposal(agentId, params[0]), { auth: 'required' }],
+            ['POST', /^\/proposals\/([^/]+)\/cosponsors$/, ({ params, agentId }) => system.cosponsorProposal(agentId, params[0]), { auth: 'required', created: true }],
+            ['POST', /^\/proposals\/([^/]+)\/amendments$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    options: { type: 'array' },
+                    reason: { type: 'string' }
+                });
+                const { reason = '', ...changes } = body;
+                return system.amendProposal(agentId, params[0], changes, reason);
+            }, { auth: 'required', created: true }],
+            ['POST', /^\/proposals\/([^/]+)\/open$/, ({ params, agentId }) => system.openVoting(agentId, params[0]), { auth: 'required' }],
+            ['POST', /^\/proposals\/([^/]+)\/withdraw$/, ({ params, body, agentId }) => {
+                validateBody(body, { reason: { type: 'string' } });
+                return system.withdrawProposal(agentId, params[0], body.reason || '');
+            }, { auth: 'required' }],
+            ['POST', /^\/proposals\/([^/]+)\/escalate$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    reason: { type: 'string' },
+                    signature: { type: 'string' }
+                });
+                return system.escalateDecision(agentId, params[0], body.reason || '', body.signature);
+            }, { auth: 'required', created: true }],
+            ['POST', /^\/proposals\/([^/]+)\/cancel$/, ({ params, body, agentId }) => {
+                validateBody(body, { reason: { type: 'string' } });
+                return system.cancelProposal(agentId, params[0], body.reason || '');
+            }, { auth: 'required' }],
+            ['POST', /^\/proposals\/([^/]+)\/votes$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    vote: { type: 'any', required: true },
+                    comment: { type: 'string' },
+                    signature: { type: 'string' }
+                });
+                return system.vote(agentId, params[0], body.vote, body.comment || '', body.signature);
+            }, { auth: 'required', created: true }],
+            ['POST', /^\/proposals\/([^/]+)\/commitments$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    commitment: { type: 'string', required: true },
+                    signature: { type: 'string' }
+                });
+                return system.commitVote(agentId, params[0], body.commitment, body.signature);
+            }, { auth: 'required', created: true }],
+            ['POST', /^\/proposals\/([^/]+)\/reveals$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    vote: { type: 'any', required: true },
+                    salt: { type: 'string', required: true }
+                });
+                return system.revealVote(agentId, params[0], body.vote, body.salt);
+            }, { auth: 'required', created: true }],
+            ['GET', /^\/proposals\/([^/]+)\/comments$/, ({ params }) => system.getCommentThread(params[0])],
+            ['POST', /^\/proposals\/([^/]+)\/comments$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    comment: { type: 'string', required: true },
+                    parentId: { type: 'string' },
+                    stance: { type: 'string', enum: ['pro', 'con', 'neutral'] },
+                    option: { type: ['number', 'string'] },
+                    nonce: { type: 'string' },
+                    signature: { type: 'string' }
+                });
+                return system.addComment(agentId, params[0], body.comment, body.signature, {
+                    parentId: body.parentId ?? undefined,
+                    stance: body.stance ?? undefined,
+                    option: body.option ?? undefined,
+                    nonce: body.nonce ?? undefined
+                });
+            }, { auth: 'required', created: true }],
+            ['POST', /^\/proposals\/([^/]+)\/comments\/([^/]+)\/reactions$/, ({ params, body, agentId }) => {
+                validateBody(body, { reaction: { type: 'string', enum: ['endorse', 'rebut'] } });
+                return system.reactToComment(agentId, params[0], params[1], body.reaction ?? null);
+            }, { auth: 'required' }],
+            ['GET', /^\/proposals\/([^/]+)\/arguments$/, ({ params, query }) =>
+                system.getArgumentSummary(params[0], Number(query.get('limit')) || 3)],
+            ['GET', /^\/proposals\/([^/]+)\/consensus$/, ({ params }) => this.withProposal(params[0], proposal => ({
+                success: true,
+                consensusStatus: system.checkConsensus(proposal)
+            }))],
+            ['GET', /^\/delegations$/, ({ query, agentId }) => ({
+                success: true,
+                ...system.getDelegations(query.get('agentId') || agentId, query.get('proposalId'))
+            }), { auth: 'required' }],
+            ['POST', /^\/delegations$/, ({ body, agentId }) => {
+                validateBody(body, {
+                    delegate: { type: 'string', required: true },
+                    proposalId: { type: 'string' },
+                    tag: { type: 'string' }
+                });
+                return system.delegateVote(agentId, body.delegate, { proposalId: body.proposalId, tag: body.tag });
+            }, { auth: 'required', created: true }],
+            ['POST', /^\/delegations\/revoke$/, ({ body, agentId }) => {
+                validateBody(body, {
+                    proposalId: { type: 'string' },
+                    tag: { type: 'string' }
+                });
+                return system.revokeDelegation(agentId, { proposalId: body.proposalId, tag: body.tag });
+            }, { auth: 'required' }],
+            ['GET', /^\/committees$/, () => ({ success: true, committees: system.listCommittees() })],
+            ['POST', /^\/committees$/, ({ body, agentId }) => {
+                validateBody(body, {
+                    committeeId: { type: 'string', required: true },
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    parentId: { type: 'string' },
+                    threshold: { type: 'number' },
+                    quorum: { type: 'number' },
+                    consensusRule: { type: 'string' },
+                    members: { type: 'array' }
+                });
+                const { committeeId, ...settings } = body;
+                return system.createCommittee(agentId, committeeId, settings);
+            }, { auth: 'required', created: true }],
+            ['GET', /^\/committees\/([^/]+)$/, ({ params }) => {
+                const result = system.getCommittee(params[0]);
+                return result.success ? { ...result, stats: system.getConsensusStats(params[0]) } : result;
+            }],
+            ['POST', /^\/committees\/([^/]+)\/settings$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    parentId: { type: 'string' },
+                    threshold: { type: 'number' },
+                    quorum: { type: 'number' },
+                    consensusRule: { type: 'string' }
+                });
+                return system.updateCommittee(agentId, params[0], body);
+            }, { auth: 'required' }],
+            ['POST', /^\/committees\/([^/]+)\/members$/, ({ params, body, agentId }) => {
+                validateBody(body, {
+                    agentId: { type: 'string', required: true },
+                    weight: { type: 'number' }
+                });
+                return system.setCommitteeMember(agentId, params[0], body.agentId, body.weight ?? 1);
+            }, { auth: 'required' }],
+            ['POST', /^\/committees\/([^/]+)\/members\/remove$/, ({ params, body, agentId }) => {
+                validateBody(body, { agentId: { type: 'string', required: true } });
+                return system.removeCommitteeMember(agentId, params[0], body.agentId);
+            }, { auth: 'required' }],
+            ['GET', /^\/leaderboard$/, ({ query }) => ({
+                success: true,
+                leaderboard: system.getLeaderboard(query.get('sortBy') || 'reputation', this.committeeFilter(query))
+            })],
+            ['GET', /^\/ledger\/verify$/, () => ({ success: true, ledger: system.verifyLedger() })],
+            ['GET', /^\/stats$/, ({ query }) => ({ success: true, stats: system.getConsensusStats(this.committeeFilter(query)) })],
+            ['GET', /^\/analytics$/, ({ query }) => ({
+                success: true,
+                analytics: system.getAnalytics({ ...analyticsOptions(query), committee: this.committeeFilter(query) })
+            })],
+            ['GET', /^\/analytics\/([^/]+)$/, ({ res, params, query }) => {
+                const [section] = params;
+                if (!ANALYTICS_SECTIONS.includes(section)) {
+                    throw new HttpError('INVALID_ARGUMENT', `未知的分析部分: ${section}（可选 ${ANALYTICS_SECTIONS.join('/')}）`);
+                }
+                const analytics = system.getAnalytics({ ...analyticsOptions(query), committee: this.committeeFilter(query) });
+                if (query.get('format') === 'csv') {
+                    this.sendCsv(res, `${section}.csv`, analyticsToCSV(analytics, section));
+                } else {
+                    this.sendJson(res, 200, { success: true, decisions: analytics.decisions, [section]: analytics[section] });
+                }
+            }, { raw: true }],
+            ['GET', /^\/history$/, ({ query }) => system.queryDecisions({
+                limit: 10,
+                ...pageOptions(query),
+                ...numericOptions(query, ['since', 'until']),
+                result: query.get('result'),
+                committee: this.committeeFilter(query),
+                proposalId: query.get('proposalId')
+            })],
+            ['GET', /^\/strategy\/next$/, ({ agentId }) => ({
+                success: true,
+                nextAction: new AIConsensusStrategy(system, agentId).getNextAction()
+            }), { auth: 'required' }],
+            ['GET', /^\/strategy\/psych$/, ({ agentId }) => ({
+                success: true,
+                analysis: new AIConsensusStrategy(system, agentId).getPsychAnalysis()
+            }), { auth: 'required' }],
+            ['GET', /^\/strategy\/proposals\/([^/]+)$/, ({ params, agentId }) => this.withProposal(params[0], () => ({
+                success: true,
+                suggestion: new AIConsensusStrategy(system, agentId).getVoteSuggestion(params[0])
+            })), { auth: 'required' }],
+            ['GET', /^\/events$/, ({ req, res, query }) => this.openStream(req, res, query), { raw: true }]
+        ];
+    }
+
+    /**
+     * 注册Agent并签发 API Key
+     * 设置了 registrationKey 时需要对应请求头；否则开放注册，但只有管理员（或首个Agent）可以注册管理员或指定权重
+     */
+    registerAgent(req, body, requesterId) {
+        validateBody(body, {
+            agentId: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            role: { type: 'string' },
+            weight: { type: 'number' },
+            publicKey: { type: 'string' }
+        });
+
+        const role = body.role || 'member';
+        const { registrationKey } = this.options;
+
+        if (registrationKey && req.headers['x-registration-key'] !== registrationKey) {
+            throw new HttpError('UNAUTHENTICATED', '注册需要有效的 X-Registration-Key');
+        }
+
+        if (!registrationKey && role === 'admin' && this.system.agents.size > 0
+            && this.system.agents.get(requesterId)?.role !== 'admin') {
+            throw new HttpError('PERMISSION_DENIED', '只有管理员可以注册管理员');
+        }
+
+        if (!registrationKey && body.weight != null && this.system.agents.size > 0
+            && this.system.agents.get(requesterId)?.role !== 'admin') {
+            throw new HttpError('PERMISSION_DENIED', '只有管理员可以指定投票权重');
+        }
+
+        if (this.system.agents.has(body.agentId)) {
+            return { success: false, error: 'Agent已存在', code: 'INVALID_ARGUMENT' };
+        }
+
+        const result = this.system.registerAgent(body.agentId, body.name, role, body.weight ?? 1.0, body.publicKey || null);
+        if (!result.success) {
+            return result;
+        }
+
+        return { ...result, apiKey: this.issueApiKey(body.agentId) };
+    }
+
+    /**
+     * 返回 index.html 仪表盘
+     */
+    serveDashboard(res) {
+        const html = fs.readFileSync(DASHBOARD_FILE);
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': html.length
+        });
+        res.end(html);
+    }
+
+    /**
+     * ?committee= 过滤参数，委员会不存在时返回 404
+     */
+    committeeFilter(query) {
+        const committeeId = query.get('committee');
+        if (committeeId && !this.system.committees.has(committeeId)) {
+            throw new HttpError('COMMITTEE_NOT_FOUND', `委员会不存在: ${committeeId}`);
+        }
+        return committeeId || null;
+    }
+
+    withProposal(proposalId, fn) {
+        const proposal = this.system.proposals.get(proposalId);
+        if (!proposal) {
+            return { success: false, error: '提案不存在', code: 'PROPOSAL_NOT_FOUND' };
+        }
+        return fn(proposal);
+    }
+
+    /**
+     * SSE 推送提案动态，?proposalId= 只推送单个提案
+     */
+    openStream(req, res, query) {
+        const proposalId = query.get('proposalId');
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        const send = event => {
+            if (!STREAM_EVENTS.includes(event.type)) return;
+
+            const payload = event.payload;
+            const eventProposalId = payload.proposalId || (payload.proposal && payload.proposal.id);
+            if (proposalId && eventProposalId !== proposalId) return;
+
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...payload, at: event.at })}\n\n`);
+        };
+
+        const unsubscribe = this.system.on('*', send);
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+        heartbeat.unref();
+        this.streams.add(res);
+
+        const cleanup = () => {
+            unsubscribe();
+            clearInterval(heartbeat);
+            this.streams.delete(res);
+        };
+        req.on('close', cleanup);
+        res.on('close', cleanup);
+    }
+
+    /**
+     * 从 Authorization: Bearer <apiKey> 解析Agent
+     */
+    authenticate(req) {
+        const header = req.headers.authorization || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        if (!match) {
+            return null;
+        }
+
+        const agentId = this.apiKeys.get(hashKey(match[1].trim()));
+        if (!agentId || !this.system.agents.has(agentId)) {
+            throw new HttpError('UNAUTHENTICATED', 'API Key 无效');
+        }
+        return agentId;
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new HttpError('PAYLOAD_TOO_LARGE', '请求体过大'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (text.trim() === '') {
+                    resolve({});
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(text));
+                } catch (error) {
+                    reject(new HttpError('INVALID_JSON', `请求体不是合法的JSON: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendCsv(res, filename, csv) {
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Content-Length': Buffer.byteLength(csv)
+        });
+        res.end(csv);
+    }
+
+    sendJson(res, status, data) {
+        const body = JSON.stringify(data);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    /**
+     * 把系统的 { success, error, code } 结果映射为 HTTP 状态码
+     */
+    statusFor(result, route) {
+        if (result && result.success === false) {
+            return STATUS_BY_CODE[result.code] || 400;
+        }
+        return route.created ? 201 : 200;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            const candidates = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+            if (candidates.length === 0) {
+                throw new HttpError('NOT_FOUND', `未知路径: ${url.pathname}`);
+            }
+
+            const match = candidates.find(([method]) => method === req.method);
+            if (!match) {
+                res.setHeader('Allow', candidates.map(([method]) => method).join(', '));
+                this.sendJson(res, 405, { success: false, error: '不支持的请求方法', code: 'METHOD_NOT_ALLOWED' });
+                return;
+            }
+
+            const [method, pattern, handler, route = {}] = match;
+            const agentId = this.authenticate(req);
+            if (route.auth === 'required' && !agentId) {
+                throw new HttpError('UNAUTHENTICATED', '需要 Authorization: Bearer <apiKey>');
+            }
+
+            const body = method === 'POST' ? await this.readBody(req) : {};
+            const context = {
+                req,
+                res,
+                body,
+                agentId,
+                query: url.searchParams,
+                params: pattern.exec(url.pathname).slice(1).map(decodeParam)
+            };
+
+            const result = await handler(context);
+            if (route.raw) {
+                return;
+            }
+            this.sendJson(res, this.statusFor(result, route), result);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                this.sendJson(res, STATUS_BY_CODE[error.code] || 400, {
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    ...error.details
+                });
+            } else {
+                this.sendJson(res, 500, { success: false, error: '服务器内部错误', code: 'INTERNAL_ERROR' });
+            }
+        }
+    }
+}
+
+module.exports = { ConsensusHttpServer, STATUS_BY_CODE };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 3000;
+    const host = process.env.HOST || '127.0.0.1';
+    const system = new ConsensusDecisionSystem();
+    system.startScheduler();
+
+    const api = new ConsensusHttpServer(system, { registrationKey: process.env.REGISTRATION_KEY });
+    api.listen(port, host).then(address => {
+        console.log(`🎯 共识决策API已启动: http://${address.address}:${address.port}`);
+    });
+}
@@ -0,0 +1,442 @@
+/**
+ * 🧪 共识模拟
+ * 用合成Agent、可复现的随机数和手动时钟批量运行提案，
+ * 在调整 consensusThreshold、minAgents 或Agent权重之前评估它们的影响
+ *
+ * 偏好模型：一维空间模型，每个Agent有一个理想点，每个选项有一个位置，
+ * 效用 = -|理想点 - 选项位置| + 噪声；相同种子总是得到相同的报告
+ */
+
+const { ConsensusDecisionSystem, ManualClock } = require('./index.js');
+const { createRng } = require('./lib/random');
+const { csvLines } = require('./lib/csv');
+
+const DEFAULT_SPEC = {
+    seed: 1,
+    proposals: 1000,
+    agents: [{ name: 'agent', count: 7 }],
+    config: {}, // ConsensusDecisionSystem 配置：consensusThreshold、minAgents、consensusRule 等
+    proposal: { type: 'single', options: 3, duration: 300000, settings: {} },
+    sweep: {} // 参数 -> 取值列表，见 applyParameter
+};
+
+const GROUP_DEFAULTS = {
+    count: 1,
+    weight: 1,
+    role: 'member',
+    behavior: 'honest',
+    turnout: null, // 参与概率，默认按行为
+    ideal: null, // 理想点中心，null 表示在 [0, 1] 上均匀分布
+    spread: 0.25, // 理想点围绕中心的分布半径
+    noise: 0.1, // 每个提案上的效用噪声幅度
+    latency: 1 // 在投票时长的前多少比例内投票
+};
+
+const DEFAULT_TURNOUT = { honest: 1, contrarian: 1, absent: 0.2, strategic: 1 };
+
+const SIMULATED_TYPES = ['single', 'multi', 'ranked', 'yesno'];
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+/**
+ * 行为：根据效用和当前计票决定选票
+ * ctx: { type, utilities, ranking（按效用从高到低的选项）, leaders（按当前加权票数从高到低）, counts }
+ */
+const BEHAVIORS = {
+    // 如实投给最偏好的选项
+    honest: ctx => sincereVote(ctx),
+
+    // 反对当前领先的选项；是/否提案投与当前多数相反的票
+    contrarian: ctx => {
+        if (ctx.type === 'yesno') {
+            const yes = ctx.counts.yes || 0;
+            const no = ctx.counts.no || 0;
+            return yes > no ? 'no' : yes < no ? 'yes' : 'no';
+        }
+        const leader = ctx.leaders[0];
+        if (leader === undefined) return sincereVote(ctx);
+        const others = ctx.ranking.filter(index => index !== leader);
+        if (ctx.type === 'ranked') return [...others, leader];
+        if (ctx.type === 'multi') return others.slice(0, Math.max(1, Math.floor(others.length / 2)));
+        return others[0];
+    },
+
+    // 大多数时候缺席（默认参与率 0.2），参与时如实投票
+    absent: ctx => sincereVote(ctx),
+
+    // 只在当前领先的两个选项中选更偏好的，避免浪费选票；还没有票时如实投票
+    strategic: ctx => {
+        if (ctx.type === 'yesno' || ctx.leaders.length === 0) return sincereVote(ctx);
+        const viable = ctx.leaders.slice(0, 2);
+        const pick = ctx.ranking.find(index => viable.includes(index));
+        if (ctx.type === 'ranked') return [pick, ...ctx.ranking.filter(index => index !== pick)];
+        if (ctx.type === 'multi') return [pick];
+        return pick;
+    }
+};
+
+/**
+ * 如实投票：单选投最偏好的，多选认可效用高于平均的，排序按效用排列，是/否比较两者效用
+ */
+function sincereVote({ type, utilities, ranking }) {
+    switch (type) {
+        case 'yesno':
+            return utilities.yes >= utilities.no ? 'yes' : 'no';
+        case 'multi': {
+            const mean = ranking.reduce((sum, index) => sum + utilities[index], 0) / ranking.length;
+            return ranking.filter(index => utilities[index] >= mean);
+        }
+        case 'ranked':
+            return [...ranking];
+        default:
+            return ranking[0];
+    }
+}
+
+/**
+ * 合并默认值，返回完整的模拟规格
+ */
+function normalizeSpec(spec = {}) {
+    const agents = typeof spec.agents === 'number' ? [{ name: 'agent', count: spec.agents }] : (spec.agents || DEFAULT_SPEC.agents);
+    const normalized = {
+        ...DEFAULT_SPEC,
+        ...spec,
+        agents: agents.map((group, index) => ({ ...GROUP_DEFAULTS, name: `group${index + 1}`, ...group })),
+        config: { ...DEFAULT_SPEC.config, ...spec.config },
+        proposal: { ...DEFAULT_SPEC.proposal, ...spec.proposal },
+        sweep: { ...spec.sweep }
+    };
+
+    for (const group of normalized.agents) {
+        if (!BEHAVIORS[group.behavior]) {
+            throw new Error(`未知的行为: ${group.behavior}（可选 ${Object.keys(BEHAVIORS).join('/')}）`);
+        }
+        if (group.turnout === null) {
+            group.turnout = DEFAULT_TURNOUT[group.behavior];
+        }
+    }
+    // 合成Agent的行为模型只生成单选/多选/排序/是否选票
+    if (!SIMULATED_TYPES.includes(normalized.proposal.type)) {
+        throw new Error(`模拟不支持的提案类型: ${normalized.proposal.type}（可选 ${SIMULATED_TYPES.join('/')}）`);
+    }
+    if (normalized.proposal.type !== 'yesno' && normalized.proposal.options < 2) {
+        throw new Error('提案至少需要2个选项');
+    }
+
+    return normalized;
+}
+
+/**
+ * 调整一个参数，返回新规格
+ * weight:<分组> / turnout:<分组> / behavior:<分组> 修改分组，duration / options / type 修改提案，其余作为系统配置
+ */
+function applyParameter(spec, parameter, value) {
+    const [kind, groupName] = parameter.split(':');
+
+    if (groupName !== undefined) {
+        if (!['weight', 'turnout', 'behavior'].includes(kind)) {
+            throw new Error(`未知的分组参数: ${parameter}`);
+        }
+        if (!spec.agents.some(group => group.name === groupName)) {
+            throw new Error(`未知的Agent分组: ${groupName}`);
+        }
+        return normalizeSpec({
+            ...spec,
+            agents: spec.agents.map(group => (group.name === groupName
+                ? { ...group, [kind]: value, ...(kind === 'behavior' ? { turnout: null } : {}) }
+                : group))
+        });
+    }
+
+    if (['duration', 'options', 'type'].includes(parameter)) {
+        return normalizeSpec({ ...spec, proposal: { ...spec.proposal, [parameter]: value } });
+    }
+
+    return normalizeSpec({ ...spec, config: { ...spec.config, [parameter]: value } });
+}
+
+/**
+ * 按规格创建合成Agent
+ */
+function createAgents(spec, rng) {
+    const agents = [];
+    for (const group of spec.agents) {
+        for (let i = 0; i < group.count; i++) {
+            const center = group.ideal === null ? rng() : group.ideal;
+            agents.push({
+                id: `${group.name}_${i + 1}`,
+                group: group.name,
+                role: group.role,
+                weight: group.weight,
+                behavior: group.behavior,
+                turnout: group.turnout,
+                noise: group.noise,
+                latency: group.latency,
+                ideal: group.ideal === null ? center : clamp01(center + (rng() * 2 - 1) * group.spread)
+            });
+        }
+    }
+    return agents;
+}
+
+/**
+ * 运行一个场景，返回每个提案的结果
+ */
+function runScenario(spec) {
+    const rng = createRng(spec.seed);
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ ...spec.config, clock });
+    const agents = createAgents(spec, rng);
+
+    for (const agent of agents) {
+        const result = system.registerAgent(agent.id, agent.id, agent.role, agent.weight);
+        if (!result.success) {
+            throw new Error(`无法注册Agent ${agent.id}: ${result.error}`);
+        }
+    }
+
+    const creators = agents.filter(agent => system.can(agent.id, 'proposal.create'));
+    if (creators.length === 0) {
+        throw new Error('没有可以创建提案的Agent');
+    }
+    const voters = agents.filter(agent => system.can(agent.id, 'vote'));
+
+    const { type, duration } = spec.proposal;
+    const optionCount = type === 'yesno' ? 0 : spec.proposal.options;
+    const outcomes = [];
+
+    for (let n = 0; n < spec.proposals; n++) {
+        // 选项位置和每个Agent在本提案上的效用
+        const positions = type === 'yesno'
+            ? { yes: rng(), no: rng() }
+            : Array.from({ length: optionCount }, () => rng());
+        const keys = type === 'yesno' ? ['yes', 'no'] : positions.map((position, index) => index);
+        const preferences = new Map(voters.map(agent => {
+            const utilities = {};
+            for (const key of keys) {
+                utilities[key] = -Math.abs(agent.ideal - positions[key]) + (rng() * 2 - 1) * agent.noise;
+            }
+            const ranking = type === 'yesno' ? [] : [...keys].sort((a, b) => utilities[b] - utilities[a] || a - b);
+            return [agent.id, { utilities, ranking }];
+        }));
+
+        const created = system.createProposal(
+            creators[n % creators.length].id,
+            `模拟提案 ${n + 1}`,
+            '',
+            type === 'yesno' ? [] : keys.map(index => `选项${index + 1}`),
+            type,
+            { ...spec.proposal.settings, duration, ballot: 'open' }
+        );
+        if (!created.success) {
+            throw new Error(`无法创建提案: ${created.error}`);
+        }
+        const proposal = system.proposals.get(created.proposal.id);
+
+        let turnout = 0;
+        // 多轮审议的提案每一轮都重新投票
+        for (let guard = 0; proposal.status === 'voting' && guard < 100; guard++) {
+            const start = clock.now();
+            const round = proposal.round;
+            const ballots = voters
+                .filter(agent => rng() < agent.turnout)
+                .map(agent => ({ agent, at: rng() * duration * agent.latency }))
+                .sort((a, b) => a.at - b.at);
+
+            for (const { agent, at } of ballots) {
+                if (proposal.status !== 'voting' || proposal.round !== round) break;
+                clock.set(start + at);
+
+                const { weightedCounts } = system.countVotes(proposal);
+                const leaders = Object.keys(weightedCounts)
+                    .filter(key => weightedCounts[key] > 0 && key !== 'abstain')
+                    .sort((a, b) => weightedCounts[b] - weightedCounts[a])
+                    .map(key => (type === 'yesno' ? key : Number(key)));
+                const { utilities, ranking } = preferences.get(agent.id);
+                const available = ranking.filter(index => !(proposal.droppedOptions || []).includes(index));
+                const vote = BEHAVIORS[agent.behavior]({
+                    type,
+                    utilities,
+                    ranking: available,
+                    leaders: leaders.filter(key => type === 'yesno' || available.includes(key)),
+                    counts: weightedCounts
+                });
+
+                if (system.vote(agent.id, proposal.id, vote).success) {
+                    turnout++;
+                }
+            }
+
+            if (proposal.status === 'voting' && proposal.round === round) {
+                clock.set(proposal.deadline + 1);
+                system.checkConsensus(proposal);
+            }
+        }
+
+        outcomes.push(describeOutcome(system, proposal, voters, preferences, turnout));
+    }
+
+    return { agents, outcomes };
+}
+
+/**
+ * 一个提案的结果：状态、达成共识用时，以及真实偏好被否决的权重占比
+ */
+function describeOutcome(system, proposal, voters, preferences, turnout) {
+    const decision = [...system.consensusHistory].reverse().find(item => item.proposalId === proposal.id) || null;
+    const outcome = {
+        status: proposal.status,
+        turnout,
+        rounds: proposal.round || 1,
+        timeToConsensus: null,
+        early: false,
+        overruledShare: null,
+        sincereWinnerLost: null
+    };
+
+    if (proposal.status !== 'accepted' || !decision) {
+        return outcome;
+    }
+
+    outcome.timeToConsensus = decision.decidedAt - proposal.votingStartedAt;
+    outcome.early = decision.decidedAt <= proposal.deadline;
+
+    // 获胜的结果与每个Agent真实的首选比较（包括没有投票的Agent）
+    const winners = proposal.type === 'yesno' ? ['yes'] : (decision.winners || []);
+    const favourite = agent => {
+        const { utilities, ranking } = preferences.get(agent.id);
+        return proposal.type === 'yesno' ? (utilities.yes >= utilities.no ? 'yes' : 'no') : ranking[0];
+    };
+
+    let totalWeight = 0;
+    let overruledWeight = 0;
+    const support = new Map();
+    for (const agent of voters) {
+        const weight = system.getVoteWeight(agent.id);
+        const top = favourite(agent);
+        totalWeight += weight;
+        support.set(top, (support.get(top) || 0) + weight);
+        if (!winners.includes(top)) {
+            overruledWeight += weight;
+        }
+    }
+
+    const [sincereWinner] = [...support.entries()].sort((a, b) => b[1] - a[1]);
+    outcome.overruledShare = totalWeight > 0 ? overruledWeight / totalWeight : 0;
+    outcome.sincereWinnerLost = sincereWinner ? !winners.includes(sincereWinner[0]) : false;
+
+    return outcome;
+}
+
+function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const ratio = (count, total) => (total > 0 ? Number((count / total).toFixed(4)) : null);
+const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * 汇总指标
+ */
+function summarize(outcomes, agentCount) {
+    const count = status => outcomes.filter(outcome => outcome.status === status).length;
+    const accepted = outcomes.filter(outcome => outcome.status === 'accepted');
+    const times = accepted.map(outcome => outcome.timeToConsensus).sort((a, b) => a - b);
+    const round = value => (value === null ? null : Math.round(value));
+
+    return {
+        proposals: outcomes.length,
+        accepted: accepted.length,
+        rejected: count('rejected'),
+        expired: count('expired'),
+        acceptanceRate: ratio(accepted.length, outcomes.length),
+        rejectionRate: ratio(count('rejected'), outcomes.length),
+        expiryRate: ratio(count('expired'), outcomes.length),
+        timeToConsensus: {
+            mean: round(mean(times)),
+            median: round(quantile(times, 0.5)),
+            p90: round(quantile(times, 0.9))
+        },
+        earlyConsensusRate: ratio(accepted.filter(outcome => outcome.early).length, accepted.length),
+        averageRounds: Number((mean(outcomes.map(outcome => outcome.rounds)) || 0).toFixed(2)),
+        turnout: ratio(outcomes.reduce((sum, outcome) => sum + outcome.turnout, 0), outcomes.length * agentCount),
+        // 通过的提案中，有Agent的真实首选落选的比例，以及落选一方的平均权重占比
+        overruledRate: ratio(accepted.filter(outcome => outcome.overruledShare > 0).length, accepted.length),
+        overruledShare: accepted.length > 0
+            ? Number(mean(accepted.map(outcome => outcome.overruledShare)).toFixed(4))
+            : null,
+        // 通过的结果不是按真实偏好加权的多数首选
+        sincereWinnerLost: ratio(accepted.filter(outcome => outcome.sincereWinnerLost).length, accepted.length)
+    };
+}
+
+/**
+ * 运行模拟：基准场景，以及 sweep 中每个参数单独变化时的敏感性
+ * 所有场景使用相同的种子，差异只来自参数本身
+ */
+function runSimulation(options = {}) {
+    const spec = normalizeSpec(options);
+    const base = runScenario(spec);
+    const agentCount = base.agents.filter(agent => agent.role !== 'observer').length;
+
+    const sensitivity = {};
+    for (const [parameter, values] of Object.entries(spec.sweep)) {
+        const rows = values.map(value => {
+            const variant = applyParameter(spec, parameter, value);
+            const { agents, outcomes } = runScenario(variant);
+            return { value, ...summarize(outcomes, agents.filter(agent => agent.role !== 'observer').length) };
+        });
+        const rates = rows.map(row => row.acceptanceRate ?? 0);
+        sensitivity[parameter] = {
+            rows,
+            acceptanceRange: Number((Math.max(...rates) - Math.min(...rates)).toFixed(4))
+        };
+    }
+
+    return {
+        seed: spec.seed,
+        proposals: spec.proposals,
+        agents: spec.agents.map(({ name, count, weight, role, behavior, turnout }) => ({ name, count, weight, role, behavior, turnout })),
+        config: spec.config,
+        proposal: spec.proposal,
+        baseline: summarize(base.outcomes, agentCount),
+        sensitivity
+    };
+}
+
+const CSV_COLUMNS = [
+    ['acceptanceRate', row => row.acceptanceRate],
+    ['rejectionRate', row => row.rejectionRate],
+    ['expiryRate', row => row.expiryRate],
+    ['meanTimeToConsensus', row => row.timeToConsensus.mean],
+    ['medianTimeToConsensus', row => row.timeToConsensus.median],
+    ['p90TimeToConsensus', row => row.timeToConsensus.p90],
+    ['earlyConsensusRate', row => row.earlyConsensusRate],
+    ['averageRounds', row => row.averageRounds],
+    ['turnout', row => row.turnout],
+    ['overruledRate', row => row.overruledRate],
+    ['overruledShare', row => row.overruledShare],
+    ['sincereWinnerLost', row => row.sincereWinnerLost]
+];
+
+/**
+ * 报告转 CSV：第一行为基准场景，之后每个参数取值一行
+ */
+function toCSV(report) {
+    const rows = [['parameter', 'value', 'proposals', ...CSV_COLUMNS.map(([name]) => name)]];
+    const row = (parameter, value, summary) => [parameter, value, summary.proposals, ...CSV_COLUMNS.map(([, get]) => get(summary))];
+
+    rows.push(row('baseline', '', report.baseline));
+    for (const [parameter, { rows: values }] of Object.entries(report.sensitivity)) {
+        for (const summary of values) {
+            rows.push(row(parameter, summary.value, summary));
+        }
+    }
+    return csvLines(rows);
+}
+
+module.exports = { runSimulation, runScenario, summarize, toCSV, normalizeSpec, applyParameter, BEHAVIORS };
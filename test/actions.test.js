@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    system.registerAgent('root', 'Root', 'admin');
+    for (const agentId of ['a', 'b', 'c']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    const decide = (id, vote) => {
+        for (const agentId of ['root', 'a', 'b', 'c']) {
+            system.vote(agentId, id, vote);
+        }
+    };
+    const statuses = id => system.getActionExecutions(id).executions.map(execution => [execution.action, execution.status]);
+    return { system, clock, decide, statuses };
+}
+
+test('决策按结果和胜出选项触发绑定的动作', async () => {
+    const { system, decide, statuses } = setup();
+    const contexts = [];
+    system.registerAction('deploy', async context => {
+        contexts.push(context);
+        return { releaseId: `r-${context.params.env}` };
+    });
+    system.registerAction('notify', async () => 'sent');
+    const id = system.createProposal('a', '发布', '', ['灰度', '全量'], 'single', {
+        actions: [
+            { action: 'deploy', option: 1, params: { env: 'prod' } },
+            { action: 'notify', option: 0 },
+            { action: 'notify', on: 'rejected' }
+        ]
+    }).proposal.id;
+
+    decide(id, 1);
+    await system.settleActions();
+    assert.deepStrictEqual(statuses(id), [['deploy', 'succeeded']]);
+    const [execution] = system.getActionExecutions(id).executions;
+    assert.deepStrictEqual(execution.result, { releaseId: 'r-prod' });
+    assert.strictEqual(execution.attempts, 1);
+    assert.strictEqual(contexts[0].decision.proposalId, id);
+    assert.strictEqual(contexts[0].attempt, 1);
+});
+
+test('出错时重试，重试用尽后跳过后续步骤并按相反顺序回滚', async () => {
+    const { system, decide, statuses } = setup();
+    const log = [];
+    const step = name => ({
+        run: async () => { log.push(`run ${name}`); return name; },
+        rollback: async ({ result, reason }) => { log.push(`rollback ${result}: ${reason}`); }
+    });
+    system.registerAction('first', step('first'));
+    system.registerAction('second', step('second'));
+    system.registerAction('audit', async () => 'ok');
+    system.registerAction('broken', async ({ attempt, previousError }) => {
+        log.push(`broken ${attempt} ${previousError}`);
+        throw new Error('磁盘已满');
+    }, { retries: 1 });
+    system.registerAction('last', step('last'));
+    const id = system.createProposal('a', '迁移', '', [], 'yesno', {
+        actions: ['first', 'second', 'audit', 'broken', 'last'].map(action => ({ action }))
+    }).proposal.id;
+
+    decide(id, 'yes');
+    await system.settleActions();
+    assert.deepStrictEqual(statuses(id), [
+        ['first', 'rolledBack'],
+        ['second', 'rolledBack'],
+        ['audit', 'rollbackFailed'],
+        ['broken', 'failed'],
+        ['last', 'skipped']
+    ]);
+    assert.deepStrictEqual(log, [
+        'run first',
+        'run second',
+        'broken 1 null',
+        'broken 2 磁盘已满',
+        'rollback second: broken 执行失败: 磁盘已满',
+        'rollback first: broken 执行失败: 磁盘已满'
+    ]);
+    const executions = system.getActionExecutions(id).executions;
+    assert.strictEqual(executions[2].rollback.error, '动作 audit 没有回滚钩子');
+    assert.strictEqual(executions[3].attempts, 2);
+});
+
+test('未注册的动作直接失败，绑定无效时拒绝创建提案', async () => {
+    const { system, decide, statuses } = setup();
+    const id = system.createProposal('a', '发布', '', [], 'yesno', { actions: [{ action: 'missing' }] }).proposal.id;
+    decide(id, 'yes');
+    await system.settleActions();
+    assert.deepStrictEqual(statuses(id), [['missing', 'failed']]);
+
+    for (const actions of [{}, [{ action: '' }], [{ action: 'x', on: 'later' }], [{ action: 'x', option: 0 }], [{ action: 'x', params: [] }]]) {
+        assert.strictEqual(system.createProposal('a', '发布', '', [], 'yesno', { actions }).code, 'INVALID_ARGUMENT');
+    }
+    assert.strictEqual(system.registerAction('', async () => {}).code, 'INVALID_ARGUMENT');
+});
+
+test('管理员回滚已成功的动作，依赖它的提案随之取消', async () => {
+    const { system, decide, statuses } = setup();
+    system.registerAction('deploy', { run: async () => 'r1', rollback: async () => {} });
+    const id = system.createProposal('a', '发布', '', [], 'yesno', { actions: [{ action: 'deploy' }] }).proposal.id;
+    const follow = system.createProposal('a', '后续', '', [], 'yesno', { dependsOn: [id], draft: true }).proposal.id;
+
+    assert.strictEqual(system.rollbackActions('root', id).code, 'INVALID_ARGUMENT');
+    decide(id, 'yes');
+    await system.settleActions();
+
+    assert.strictEqual(system.rollbackActions('a', id).code, 'PERMISSION_DENIED');
+    assert.deepStrictEqual(system.rollbackActions('root', id, '发布出错').executions, ['exec_1']);
+    await system.settleActions();
+    assert.deepStrictEqual(statuses(id), [['deploy', 'rolledBack']]);
+    assert.strictEqual(system.getActionExecutions(id).executions[0].rollback.reason, '发布出错');
+    assert.strictEqual(system.proposals.get(follow).status, 'cancelled');
+    assert.strictEqual(system.getAuditLog()[0].action, 'action.rollback');
+});
+
+test('前置提案通过且动作成功后开始投票，截止时间从此时计算', async () => {
+    const { system, clock, decide } = setup();
+    system.registerAction('deploy', async () => 'ok');
+    const first = system.createProposal('a', '第一步', '', ['A', 'B'], 'single', { actions: [{ action: 'deploy' }] }).proposal.id;
+    const second = system.createProposal('a', '第二步', '', [], 'yesno', { dependsOn: [first], duration: 1000 }).proposal.id;
+    const draft = system.createProposal('a', '草稿', '', [], 'yesno', { dependsOn: [first], discussion: true }).proposal.id;
+    const proposal = system.proposals.get(second);
+    assert.strictEqual(proposal.status, 'waiting');
+    assert.strictEqual(system.vote('b', second, 'yes').code, 'PROPOSAL_NOT_OPEN');
+    assert.strictEqual(system.openVoting('a', draft).code, 'DEPENDENCY_PENDING');
+
+    clock.advance(500);
+    decide(first, 0);
+    assert.strictEqual(proposal.status, 'waiting');
+    await system.settleActions();
+    assert.strictEqual(proposal.status, 'voting');
+    assert.strictEqual(proposal.deadline, 1500);
+    assert.ok(system.openVoting('a', draft).success);
+});
+
+test('前置提案未通过或要求的选项落选时，依赖链上的提案自动取消', async () => {
+    const { system, decide } = setup();
+    const first = system.createProposal('a', '第一步', '', ['A', 'B'], 'single').proposal.id;
+    const needsB = system.createProposal('a', '要求 B', '', [], 'yesno', { dependsOn: [{ proposalId: first, option: 1 }] }).proposal.id;
+    const chained = system.createProposal('a', '再下一步', '', [], 'yesno', { dependsOn: [needsB] }).proposal.id;
+    const needsA = system.createProposal('a', '要求 A', '', [], 'yesno', { dependsOn: [{ proposalId: first, option: 0 }] }).proposal.id;
+
+    decide(first, 0);
+    await system.settleActions();
+    assert.strictEqual(system.proposals.get(needsB).status, 'cancelled');
+    assert.strictEqual(system.proposals.get(needsB).cancelReason, `前置提案 ${first} 未通过`);
+    assert.strictEqual(system.proposals.get(chained).status, 'cancelled');
+    assert.strictEqual(system.proposals.get(needsA).status, 'voting');
+
+    assert.strictEqual(system.createProposal('a', 'x', '', [], 'yesno', { dependsOn: [needsB] }).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.createProposal('a', 'x', '', [], 'yesno', { dependsOn: ['prop_404'] }).code, 'PROPOSAL_NOT_FOUND');
+    assert.strictEqual(system.createProposal('a', 'x', '', [], 'yesno', { dependsOn: [first, first] }).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.createProposal('a', 'x', '', [], 'yesno', { dependsOn: [{ proposalId: first, option: 5 }] }).code, 'INVALID_ARGUMENT');
+});
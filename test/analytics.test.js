@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { ConsensusHttpServer } = require('../server.js');
+const { detectBlocs, polarizationIndex, polarizationTrend, analyticsToCSV } = require('../lib/analytics');
+
+function setup(config = {}) {
+    const system = new ConsensusDecisionSystem({ clock: new ManualClock(0), minAgents: 2, ...config });
+    system.registerAgent('alpha', 'Alpha', 'admin');
+    for (const agentId of ['beta', 'gamma', 'delta']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    return system;
+}
+
+for (const incrementalTally of [true, false]) {
+    test(`反事实计票不影响系统的计票缓存（incrementalTally: ${incrementalTally}）`, () => {
+        const system = setup({ incrementalTally });
+        const first = system.createProposal('alpha', '第一个', '', [], 'yesno').proposal.id;
+        for (const agentId of ['delta', 'alpha', 'beta']) {
+            system.vote(agentId, first, 'yes');
+        }
+        assert.strictEqual(system.proposals.get(first).status, 'accepted');
+
+        assert.ok(system.setAgentWeight('alpha', 'delta', 10).success);
+        system.getAnalytics();
+
+        const second = system.createProposal('alpha', '第二个', '', [], 'yesno').proposal.id;
+        for (const agentId of ['alpha', 'beta', 'gamma']) {
+            system.vote(agentId, second, 'yes');
+        }
+        const proposal = system.proposals.get(second);
+        assert.strictEqual(system.eligibleWeight(proposal), 13);
+        assert.strictEqual(proposal.status, 'voting');
+    });
+
+    test(`一人一票的反事实计票不复用按权重的计票（incrementalTally: ${incrementalTally}）`, () => {
+        const system = setup({ incrementalTally, consensusRule: 'majority' });
+        system.setAgentWeight('alpha', 'alpha', 5);
+        const id = system.createProposal('alpha', '权重决定', '', [], 'yesno').proposal.id;
+        system.vote('alpha', id, 'yes');
+        for (const agentId of ['beta', 'gamma', 'delta']) {
+            system.vote(agentId, id, 'no');
+        }
+        assert.strictEqual(system.proposals.get(id).status, 'accepted');
+
+        const { weighting } = system.getAnalytics();
+        assert.deepStrictEqual(weighting.changed.map(item => item.proposalId), [id]);
+    });
+}
+
+test('一致度模型随新决策增量更新，与重新构建的结果一致', () => {
+    const { AlignmentModel } = require('../lib/forecast');
+    const { AIConsensusStrategy } = require('../index.js');
+    const system = setup();
+    const rebuilt = () => new AlignmentModel(system.consensusHistory.map(decision => ({
+        type: system.proposals.get(decision.proposalId).type,
+        ballots: decision.results.breakdown.filter(entry => entry.agentId)
+    })));
+    const decide = votes => {
+        const id = system.createProposal('alpha', '提案', '', [], 'yesno').proposal.id;
+        for (const [agentId, vote] of Object.entries(votes)) {
+            system.vote(agentId, id, vote);
+        }
+    };
+
+    decide({ alpha: 'yes', beta: 'yes', gamma: 'yes' });
+    const model = new AIConsensusStrategy(system, 'alpha').alignment();
+    assert.deepStrictEqual(model.pairs, rebuilt().pairs);
+
+    decide({ beta: 'no', gamma: 'no', delta: 'no', alpha: 'yes' });
+    assert.strictEqual(new AIConsensusStrategy(system, 'beta').alignment(), model);
+    assert.deepStrictEqual(model.pairs, rebuilt().pairs);
+
+    const restored = new ConsensusDecisionSystem();
+    restored.restore(JSON.parse(JSON.stringify(system.snapshot())));
+    assert.deepStrictEqual(restored.alignmentModel().pairs, model.pairs);
+    assert.deepStrictEqual(system.getAnalytics().agreement, restored.getAnalytics().agreement);
+});
+
+/**
+ * alpha、beta 总是投赞成，gamma、delta 总是投反对，按多数规则到期否决
+ */
+function splitHistory(count = 3) {
+    const clock = new ManualClock(0);
+    const system = setup({ clock, consensusRule: 'majority' });
+    for (let i = 0; i < count; i++) {
+        const id = system.createProposal('alpha', `提案 ${i}`, '', [], 'yesno', { duration: 1000 }).proposal.id;
+        for (const [agentId, vote] of [['alpha', 'yes'], ['beta', 'yes'], ['gamma', 'no'], ['delta', 'no']]) {
+            system.vote(agentId, id, vote);
+        }
+        clock.advance(1001);
+        system.checkConsensus(system.proposals.get(id));
+    }
+    return system;
+}
+
+test('极化指数按第二大阵营的权重占比计算', () => {
+    assert.deepStrictEqual(polarizationIndex('yesno', { yes: 3, no: 1, abstain: 5 }), { index: 0.5, shares: { yes: 0.75, no: 0.25 } });
+    assert.strictEqual(polarizationIndex('single', { 0: 4, 1: 0 }).index, 0);
+    assert.strictEqual(polarizationIndex('single', { 0: 1, 1: 1, 2: 2 }).index, 0.5);
+    assert.deepStrictEqual(polarizationIndex('yesno', { abstain: 2 }), { index: null, shares: {} });
+
+    const trend = polarizationTrend([{ polarization: 1 }, { polarization: null }, { polarization: 0 }, { polarization: 0.5 }], 2);
+    assert.deepStrictEqual(trend.map(item => item.rollingAverage), [1, 1, 0.5, 0.25]);
+});
+
+test('投票集团按平均一致度聚类', () => {
+    const matrix = {
+        agents: ['a', 'b', 'c', 'd', 'e'],
+        rates: [
+            [1, 0.9, 0.1, 0.2, null],
+            [0.9, 1, 0.2, 0.1, null],
+            [0.1, 0.2, 1, 0.8, null],
+            [0.2, 0.1, 0.8, 1, null],
+            [null, null, null, null, 1]
+        ]
+    };
+    assert.deepStrictEqual(detectBlocs(matrix, 0.7), {
+        blocs: [{ members: ['a', 'b'], cohesion: 0.9 }, { members: ['c', 'd'], cohesion: 0.8 }],
+        independents: ['e']
+    });
+    assert.deepStrictEqual(detectBlocs(matrix, 0.85).blocs.map(bloc => bloc.members), [['a', 'b']]);
+});
+
+test('决策历史上的一致度、集团、极化和关键票', () => {
+    const analytics = splitHistory().getAnalytics();
+    assert.strictEqual(analytics.decisions, 3);
+    assert.deepStrictEqual(analytics.agreement.agents, ['alpha', 'beta', 'gamma', 'delta']);
+    assert.deepStrictEqual(analytics.agreement.rates, [[1, 1, 0, 0], [1, 1, 0, 0], [0, 0, 1, 1], [0, 0, 1, 1]]);
+    assert.deepStrictEqual(analytics.blocs.blocs.map(bloc => bloc.members), [['alpha', 'beta'], ['gamma', 'delta']]);
+    assert.strictEqual(analytics.polarization.average, 1);
+
+    // 去掉任何一张反对票，赞成就过半，反对者是关键票
+    const pivotal = Object.fromEntries(analytics.influence.map(item => [item.agentId, item.pivotal]));
+    assert.deepStrictEqual(pivotal, { gamma: 3, delta: 3, alpha: 0, beta: 0 });
+    assert.deepStrictEqual(analytics.weighting, { checked: 3, changed: [] });
+
+    const since = splitHistory().getAnalytics({ since: 2000 });
+    assert.deepStrictEqual(since.polarization.proposals.map(item => item.proposalId), ['prop_2', 'prop_3']);
+});
+
+test('分析结果可以通过API获取并导出 CSV', async () => {
+    const system = splitHistory();
+    const server = new ConsensusHttpServer(system);
+    const { port } = await server.listen(0, '127.0.0.1');
+    try {
+        const json = await fetch(`http://127.0.0.1:${port}/analytics/blocs`).then(response => response.json());
+        assert.deepStrictEqual(json.blocs.blocs.map(bloc => bloc.id), ['bloc_1', 'bloc_2']);
+
+        const response = await fetch(`http://127.0.0.1:${port}/analytics/agreement?format=csv`);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+        const lines = (await response.text()).trim().split('\n');
+        assert.strictEqual(lines[0], 'agentId,alpha,beta,gamma,delta');
+        assert.strictEqual(lines[1], 'alpha,1,1,0,0');
+
+        const unknown = await fetch(`http://127.0.0.1:${port}/analytics/nope`);
+        assert.strictEqual(unknown.status, 400);
+    } finally {
+        await server.close();
+    }
+    assert.throws(() => analyticsToCSV(system.getAnalytics(), 'nope'), /未知的分析部分/);
+});
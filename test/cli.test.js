@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { run, parseArgs, EXIT_CODES } = require('../cli.js');
+
+/**
+ * 在临时工作区中运行命令，返回退出码和输出
+ */
+function workspace() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consensus-cli-'));
+    const file = path.join(dir, 'workspace.json');
+    const cli = (...argv) => {
+        let stdout = '';
+        let stderr = '';
+        const code = run(argv, {
+            stdout: { write: text => { stdout += text; } },
+            stderr: { write: text => { stderr += text; } },
+            env: { CONSENSUS_WORKSPACE: file }
+        });
+        return { code, stdout, stderr, json: () => JSON.parse(stdout) };
+    };
+    return { dir, file, cli, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('解析参数：重复的选项收集为数组，布尔选项不取值', () => {
+    assert.deepStrictEqual(
+        parseArgs(['proposal', 'create', '--option', 'A', '--option=B', '--draft', '--as', 'alpha']),
+        { positional: ['proposal', 'create'], flags: { option: ['A', 'B'], draft: true, as: 'alpha' } }
+    );
+    assert.throws(() => parseArgs(['vote', '--as']), /--as 缺少参数值/);
+});
+
+test('命令读写工作区文件，状态在多次调用之间保留', () => {
+    const { file, cli, cleanup } = workspace();
+    try {
+        assert.strictEqual(cli('agent', 'register', 'alpha', 'Alpha', '--role', 'admin').code, EXIT_CODES.OK);
+        assert.strictEqual(cli('agent', 'register', 'beta', 'Beta', '--weight', '2').code, EXIT_CODES.OK);
+
+        const created = cli('proposal', 'create', '--as', 'alpha', '--title', '框架', '--option', 'React', '--option', 'Vue', '--json');
+        assert.strictEqual(created.code, EXIT_CODES.OK);
+        const proposalId = created.json().proposal.id;
+
+        assert.strictEqual(cli('vote', '--as', 'alpha', proposalId, '0', '--comment', '生态更好').code, EXIT_CODES.OK);
+        assert.strictEqual(cli('vote', '--as', 'beta', proposalId, 'Vue').code, EXIT_CODES.OK);
+
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepStrictEqual(saved.agents.map(agent => [agent.id, agent.weight]), [['alpha', 1], ['beta', 2]]);
+
+        const status = cli('status', proposalId, '--json').json();
+        assert.strictEqual(status.proposal.voteCount, 2);
+        assert.match(cli('status').stdout, /框架/);
+        assert.strictEqual(cli('ledger', 'verify').code, EXIT_CODES.OK);
+    } finally {
+        cleanup();
+    }
+});
+
+test('错误码映射为退出码', () => {
+    const { file, cli, cleanup } = workspace();
+    try {
+        assert.strictEqual(cli().code, EXIT_CODES.USAGE);
+        assert.strictEqual(cli('--help').code, EXIT_CODES.OK);
+        assert.strictEqual(cli('teleport').code, EXIT_CODES.USAGE);
+
+        cli('agent', 'register', 'alpha', 'Alpha', '--role', 'admin');
+        cli('agent', 'register', 'gamma', 'Gamma', '--role', 'observer');
+        const proposalId = cli('proposal', 'create', '--as', 'alpha', '--title', '上线', '--type', 'yesno', '--json').json().proposal.id;
+
+        assert.strictEqual(cli('vote', '--as', 'alpha', 'prop_404', 'yes').code, EXIT_CODES.NOT_FOUND);
+        assert.strictEqual(cli('vote', '--as', 'gamma', proposalId, 'yes').code, EXIT_CODES.PERMISSION_DENIED);
+        const invalid = cli('vote', '--as', 'alpha', proposalId, 'maybe');
+        assert.strictEqual(invalid.code, EXIT_CODES.INVALID_INPUT);
+        assert.match(invalid.stderr, /INVALID_VOTE/);
+
+        fs.writeFileSync(file, '{ 损坏');
+        assert.strictEqual(cli('status').code, EXIT_CODES.WORKSPACE);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { MemoryBackend } = require('../lib/storage');
+
+function setup(config = {}) {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2, ...config });
+    for (const agentId of ['a', 'b', 'c', 'd']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    const id = system.createProposal('a', '框架', '', ['React', 'Vue'], 'single', { consensusRule: 'unanimity' }).proposal.id;
+    return { system, clock, id, proposal: system.proposals.get(id) };
+}
+
+test('评论可以回复并标明立场和针对的选项', () => {
+    const { system, id } = setup();
+    const { commentId } = system.addComment('a', id, 'Vue 上手更快', null, { stance: 'pro', option: 1 });
+    assert.ok(system.addComment('b', id, '生态不如 React', null, { parentId: commentId, stance: 'con', option: 'Vue' }).success);
+
+    const { thread } = system.getCommentThread(id);
+    assert.strictEqual(thread.length, 1);
+    assert.strictEqual(thread[0].stance, 'pro');
+    assert.deepStrictEqual(thread[0].replies.map(reply => [reply.comment, reply.stance, reply.option]), [['生态不如 React', 'con', 1]]);
+
+    assert.strictEqual(system.addComment('b', id, '?', null, { parentId: 'comment_9' }).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.addComment('b', id, '?', null, { stance: 'maybe' }).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.addComment('b', id, '?', null, { option: 5 }).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.addComment('b', 'prop_404', '?').code, 'PROPOSAL_NOT_FOUND');
+});
+
+test('论点强度为认可者与反驳者的权重之差', () => {
+    const { system, id } = setup();
+    system.registerAgent('e', 'e', 'member', 2);
+    const { commentId } = system.addComment('a', id, 'Vue 上手更快', null, { stance: 'pro', option: 1 });
+
+    assert.strictEqual(system.reactToComment('a', id, commentId, 'endorse').code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.reactToComment('e', id, commentId, 'endorse').strength, 2);
+    assert.strictEqual(system.reactToComment('d', id, commentId, 'rebut').strength, 1);
+    // 再次表态替换之前的表态，null 取消
+    assert.deepStrictEqual(system.reactToComment('d', id, commentId, 'endorse').reactions, { endorse: 2, rebut: 0 });
+    assert.deepStrictEqual(system.reactToComment('e', id, commentId, null).reactions, { endorse: 1, rebut: 0 });
+
+    const summary = system.getArgumentSummary(id, 3);
+    assert.strictEqual(summary.totalArguments, 1);
+    assert.deepStrictEqual(summary.arguments.map(item => [item.label, item.pro.length, item.con.length]), [
+        ['React', 0, 0],
+        ['Vue', 1, 0],
+        ['整体', 0, 0]
+    ]);
+    assert.strictEqual(summary.arguments[1].pro[0].strength, 1);
+});
+
+test('带理由的投票生成评论，改票时改写而不是追加', () => {
+    const { system, id, proposal } = setup();
+    system.vote('b', id, 0, 'React 生态好');
+    const { commentId } = proposal.votes.get('b');
+    assert.deepStrictEqual(proposal.comments.map(item => [item.id, item.source, item.stance, item.option]), [
+        [commentId, 'vote', 'pro', 0]
+    ]);
+    system.addComment('c', id, '同意', null, { parentId: commentId });
+    system.reactToComment('d', id, commentId, 'endorse');
+
+    system.vote('b', id, 1, 'Vue 更简单');
+    system.vote('b', id, 0, '还是 React');
+    assert.strictEqual(proposal.votes.get('b').commentId, commentId);
+    const ballots = proposal.comments.filter(item => item.source === 'vote');
+    assert.deepStrictEqual(ballots.map(item => [item.id, item.comment, item.option]), [[commentId, '还是 React', 0]]);
+    assert.deepStrictEqual(ballots[0].reactions, { endorse: [], rebut: [] });
+    assert.strictEqual(system.getCommentThread(id).thread[0].replies.length, 1);
+});
+
+test('改写的投票理由在事件回放后保持一致', () => {
+    const { system, proposal } = setup({ storage: new MemoryBackend() });
+    system.vote('b', proposal.id, 0, '是');
+    system.vote('b', proposal.id, 1, '否');
+    const before = JSON.stringify(proposal.comments);
+
+    assert.ok(system.rebuildFromLog().success);
+    assert.strictEqual(JSON.stringify(system.proposals.get(proposal.id).comments), before);
+});
+
+test('匿名提案的投票理由不进入讨论串', () => {
+    const { system } = setup();
+    const id = system.createProposal('a', '匿名', '', [], 'yesno', { anonymous: true, consensusRule: 'unanimity' }).proposal.id;
+    system.vote('b', id, 'yes', '理由');
+    assert.strictEqual(system.proposals.get(id).comments.length, 0);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    system.registerAgent('admin', 'Admin', 'admin');
+    for (const agentId of ['alice', 'bob', 'carol', 'dave']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    system.createCommittee('admin', 'eng', { members: [{ agentId: 'alice' }, { agentId: 'bob' }, { agentId: 'carol' }], quorum: 3 });
+    system.createCommittee('admin', 'infra', {
+        parentId: 'eng',
+        threshold: 0.5,
+        quorum: 0.5,
+        consensusRule: 'majority',
+        members: [{ agentId: 'alice' }, { agentId: 'bob', weight: 3 }]
+    });
+    const create = (agentId, committee, settings = {}) =>
+        system.createProposal(agentId, '扩容', '', [], 'yesno', { committee, duration: 1000, ...settings });
+    const expire = proposal => {
+        clock.advance(1001);
+        system.checkConsensus(proposal);
+    };
+    return { system, clock, create, expire };
+}
+
+test('只有委员会成员可以创建和投票，权重按委员会计算', () => {
+    const { system, create } = setup();
+    assert.strictEqual(create('dave', 'infra').code, 'PERMISSION_DENIED');
+    assert.strictEqual(create('alice', 'nope').code, 'COMMITTEE_NOT_FOUND');
+    assert.ok(create('admin', 'infra').success);
+
+    const proposal = system.proposals.get(create('alice', 'infra').proposal.id);
+    assert.strictEqual(proposal.committeeId, 'infra');
+    assert.strictEqual(system.eligibleWeight(proposal), 4);
+    assert.strictEqual(system.vote('carol', proposal.id, 'yes').code, 'PERMISSION_DENIED');
+    assert.ok(system.vote('bob', proposal.id, 'yes').success);
+    assert.strictEqual(system.countVotes(proposal).weightedCounts.yes, 3);
+});
+
+test('委员会的阈值、共识规则和法定人数作为提案默认值', () => {
+    const { system, create, expire } = setup();
+    const infra = system.proposals.get(create('alice', 'infra').proposal.id);
+    assert.strictEqual(infra.requiredConsensus, 0.5);
+    assert.strictEqual(infra.consensusRule, 'majority');
+    assert.strictEqual(system.quorumFor(infra), 1);
+
+    const custom = system.proposals.get(create('alice', 'infra', { consensusRule: 'unanimity' }).proposal.id);
+    assert.strictEqual(custom.consensusRule, 'unanimity');
+
+    // eng 的法定人数为 3 人，两人投票时过期
+    const eng = system.proposals.get(create('alice', 'eng').proposal.id);
+    system.vote('alice', eng.id, 'yes');
+    system.vote('bob', eng.id, 'yes');
+    expire(eng);
+    assert.strictEqual(eng.status, 'expired');
+
+    assert.strictEqual(system.getConsensusStats('eng').totalProposals, 1);
+    assert.strictEqual(system.getConsensusStats('eng').totalAgents, 3);
+    assert.strictEqual(system.getConsensusStats().totalProposals, 3);
+});
+
+test('委员会决策上报到上级委员会，顶层委员会上报到全体', () => {
+    const { system, create, expire } = setup();
+    const proposal = system.proposals.get(create('alice', 'infra').proposal.id);
+    assert.strictEqual(system.escalateDecision('bob', proposal.id).code, 'PROPOSAL_NOT_OPEN');
+    system.vote('bob', proposal.id, 'no');
+    expire(proposal);
+    assert.strictEqual(proposal.status, 'rejected');
+
+    assert.strictEqual(system.escalateDecision('carol', proposal.id).code, 'PERMISSION_DENIED');
+    const escalated = system.escalateDecision('bob', proposal.id, '影响其他团队');
+    assert.ok(escalated.success);
+    const parent = system.proposals.get(escalated.proposal.id);
+    assert.strictEqual(parent.committeeId, 'eng');
+    assert.deepStrictEqual(parent.escalatedFrom, {
+        proposalId: proposal.id,
+        committeeId: 'infra',
+        decisionId: 'decision_1',
+        result: 'rejected',
+        reason: '影响其他团队',
+        escalatedBy: 'bob',
+        escalatedAt: 1001
+    });
+    assert.strictEqual(system.escalateDecision('bob', proposal.id).code, 'PROPOSAL_NOT_OPEN');
+
+    for (const agentId of ['alice', 'bob', 'carol']) {
+        system.vote(agentId, parent.id, 'yes');
+    }
+    assert.strictEqual(parent.status, 'accepted');
+    const top = system.proposals.get(system.escalateDecision('carol', parent.id).proposal.id);
+    assert.strictEqual(top.committeeId, null);
+    assert.strictEqual(system.escalateDecision('alice', top.id).code, 'INVALID_ARGUMENT');
+});
+
+test('委员会设置和成员权重校验', () => {
+    const { system } = setup();
+    for (const weight of [Infinity, NaN, 0, -1, '2']) {
+        assert.strictEqual(system.createCommittee('admin', 'ops', { members: [{ agentId: 'dave', weight }] }).code, 'INVALID_ARGUMENT');
+        assert.strictEqual(system.setCommitteeMember('admin', 'eng', 'dave', weight).code, 'INVALID_ARGUMENT');
+    }
+    assert.strictEqual(system.setCommitteeMember('admin', 'eng', 'nobody').code, 'AGENT_NOT_REGISTERED');
+    assert.strictEqual(system.createCommittee('alice', 'ops').code, 'PERMISSION_DENIED');
+    assert.strictEqual(system.createCommittee('admin', 'eng').code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.createCommittee('admin', 'ops', { parentId: 'nope' }).code, 'COMMITTEE_NOT_FOUND');
+    assert.strictEqual(system.updateCommittee('admin', 'eng', { parentId: 'infra' }).code, 'INVALID_ARGUMENT');
+
+    assert.ok(system.setCommitteeMember('admin', 'eng', 'dave', 2).success);
+    assert.deepStrictEqual(system.getCommittee('eng').committee.children, ['infra']);
+});
+
+test('移除委员会成员时撤销其在投票中提案上的选票', () => {
+    const { system, create } = setup();
+    const proposal = system.proposals.get(create('alice', 'eng', { consensusRule: 'unanimity' }).proposal.id);
+    system.vote('carol', proposal.id, 'yes');
+
+    const result = system.removeCommitteeMember('admin', 'eng', 'carol');
+    assert.deepStrictEqual(result.withdrawnVotes, [proposal.id]);
+    assert.strictEqual(proposal.votes.has('carol'), false);
+    assert.strictEqual(system.vote('carol', proposal.id, 'yes').code, 'PERMISSION_DENIED');
+    assert.strictEqual(system.removeCommitteeMember('admin', 'eng', 'carol').code, 'INVALID_ARGUMENT');
+});
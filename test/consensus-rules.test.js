@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup(rule) {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2, consensusRule: rule });
+    system.registerAgent('admin', 'Admin', 'admin');
+    for (let i = 1; i <= 6; i++) {
+        system.registerAgent(`agent_${i}`, `Agent ${i}`, 'member');
+    }
+    const proposalId = system.createProposal('admin', '上线', '', [], 'yesno', { duration: 60000 }).proposal.id;
+    return { system, clock, proposal: system.proposals.get(proposalId) };
+}
+
+test('管理员否决：管理员投票前不会提前通过', () => {
+    const { system, clock, proposal } = setup('veto');
+    for (let i = 1; i <= 6; i++) {
+        system.vote(`agent_${i}`, proposal.id, 'yes');
+        assert.strictEqual(proposal.status, 'voting');
+    }
+
+    const status = system.checkConsensus(proposal);
+    assert.strictEqual(status.reached, true);
+    assert.strictEqual(status.provisional, true);
+
+    assert.ok(system.vote('admin', proposal.id, 'no').success);
+    assert.strictEqual(proposal.status, 'voting');
+    clock.advance(60001);
+    system.checkConsensus(proposal);
+    assert.strictEqual(proposal.status, 'rejected');
+    assert.deepStrictEqual(system.evaluateConsensus(proposal).vetoedBy, ['admin']);
+});
+
+test('管理员否决：管理员支持且多数无法推翻时提前通过', () => {
+    const { system, proposal } = setup('veto');
+    system.vote('admin', proposal.id, 'yes');
+    for (let i = 1; i <= 3; i++) {
+        system.vote(`agent_${i}`, proposal.id, 'yes');
+    }
+    assert.strictEqual(proposal.status, 'accepted');
+});
+
+test('多数同意：未投票的权重还能推翻时等到截止', () => {
+    const { system, clock, proposal } = setup('majority');
+    system.vote('agent_1', proposal.id, 'yes');
+    system.vote('agent_2', proposal.id, 'yes');
+    assert.strictEqual(proposal.status, 'voting');
+
+    for (let i = 3; i <= 6; i++) {
+        system.vote(`agent_${i}`, proposal.id, 'no');
+    }
+    assert.strictEqual(proposal.status, 'voting');
+    clock.advance(60001);
+    system.checkConsensus(proposal);
+    assert.strictEqual(proposal.status, 'rejected');
+});
+
+test('多数同意：超过全体权重的一半后提前通过', () => {
+    const { system, proposal } = setup('majority');
+    for (let i = 1; i <= 3; i++) {
+        system.vote(`agent_${i}`, proposal.id, 'yes');
+    }
+    assert.strictEqual(proposal.status, 'voting');
+    system.vote('agent_4', proposal.id, 'yes');
+    assert.strictEqual(proposal.status, 'accepted');
+});
+
+test('绝对多数：支持权重达到全体权重的阈值才通过', () => {
+    const { system } = setup('supermajority');
+    const proposal = system.proposals.get(
+        system.createProposal('admin', '扩容', '', [], 'yesno', { threshold: 0.5, duration: 60000 }).proposal.id
+    );
+    for (let i = 1; i <= 3; i++) {
+        system.vote(`agent_${i}`, proposal.id, 'yes');
+    }
+    // 3/7 支持，未达到全体权重的 50%
+    assert.strictEqual(system.evaluateConsensus(proposal).reached, false);
+    assert.strictEqual(proposal.status, 'voting');
+
+    system.vote('agent_4', proposal.id, 'yes');
+    assert.strictEqual(proposal.status, 'accepted');
+    const decision = system.consensusHistory.at(-1);
+    assert.strictEqual(decision.rule.name, 'supermajority');
+    assert.match(decision.rule.reason, /达到 50\.0% 阈值/);
+});
+
+test('一致通过：有人反对或未投票都不通过', () => {
+    const { system, proposal } = setup('unanimity');
+    system.vote('admin', proposal.id, 'yes');
+    for (let i = 1; i <= 5; i++) {
+        system.vote(`agent_${i}`, proposal.id, 'yes');
+    }
+    assert.match(system.evaluateConsensus(proposal).reason, /还有 1 个Agent未投票/);
+
+    system.vote('agent_6', proposal.id, 'no');
+    assert.strictEqual(proposal.status, 'voting');
+    assert.match(system.evaluateConsensus(proposal).reason, /1 个Agent未支持/);
+
+    system.vote('agent_6', proposal.id, 'yes');
+    assert.strictEqual(proposal.status, 'accepted');
+});
+
+test('自定义共识规则：可返回布尔值或结果对象，未注册的规则被拒绝', () => {
+    const { system } = setup('majority');
+    assert.strictEqual(system.registerConsensusRule('broken', 'yes').code, 'INVALID_ARGUMENT');
+    assert.strictEqual(
+        system.createProposal('admin', '未知规则', '', [], 'yesno', { consensusRule: 'quorum-half' }).code,
+        'INVALID_ARGUMENT'
+    );
+
+    assert.ok(system.registerConsensusRule('two-yes', ctx => ctx.supporters.length >= 2).success);
+    assert.ok(system.registerConsensusRule('quorum-half', ctx => ({
+        passed: ctx.castWeight * 2 >= ctx.eligibleWeight && ctx.supportWeight > ctx.opposeWeight,
+        reason: '半数参与且支持多于反对'
+    })).success);
+
+    const twoYes = system.createProposal('admin', '两票', '', [], 'yesno', { consensusRule: 'two-yes' }).proposal;
+    system.vote('agent_1', twoYes.id, 'yes');
+    system.vote('agent_2', twoYes.id, 'yes');
+    assert.strictEqual(system.proposals.get(twoYes.id).status, 'accepted');
+    assert.strictEqual(system.consensusHistory.at(-1).rule.reason, '自定义规则通过');
+
+    const quorum = system.proposals.get(
+        system.createProposal('admin', '半数', '', [], 'yesno', { consensusRule: 'quorum-half' }).proposal.id
+    );
+    system.vote('agent_1', quorum.id, 'yes');
+    system.vote('agent_2', quorum.id, 'no');
+    system.vote('agent_3', quorum.id, 'yes');
+    assert.deepStrictEqual(
+        { reached: system.evaluateConsensus(quorum).reached, reason: system.evaluateConsensus(quorum).reason },
+        { reached: false, reason: '半数参与且支持多于反对' }
+    );
+    system.vote('agent_4', quorum.id, 'yes');
+    assert.strictEqual(quorum.status, 'accepted');
+});
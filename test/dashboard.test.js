@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ConsensusHttpServer } = require('../server.js');
+const { ConsensusDecisionSystem } = require('../index.js');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+
+/**
+ * 仪表盘脚本里 api(...) 调用的 [方法, 路径]，路径参数替换为占位值
+ */
+function dashboardCalls() {
+    const lifecycle = [...html.matchAll(/button\('(\w+)'/g)].map(match => match[1]);
+    const calls = [];
+    for (const match of html.matchAll(/api\(\s*(`[^`]*`|'[^']*')/g)) {
+        const method = /^\s*,\s*\{\s*method:\s*'(\w+)'/.exec(html.slice(match.index + match[0].length))?.[1] || 'GET';
+        const pathname = match[1].slice(1, -1).split('?')[0];
+        const variants = pathname.includes('${action}') ? lifecycle.map(action => pathname.replace('${action}', action)) : [pathname];
+        for (const variant of variants) {
+            calls.push([method, variant.replace(/\$\{[^}]*\}/g, 'x')]);
+        }
+    }
+    return calls;
+}
+
+test('仪表盘页面由服务器在根路径提供', async () => {
+    const server = new ConsensusHttpServer(new ConsensusDecisionSystem());
+    const { port } = await server.listen(0, '127.0.0.1');
+    try {
+        const response = await fetch(`http://127.0.0.1:${port}/`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('content-type'), 'text/html; charset=utf-8');
+        assert.strictEqual(await response.text(), html);
+    } finally {
+        await server.close();
+    }
+});
+
+test('仪表盘调用的接口都有对应的路由', () => {
+    const server = new ConsensusHttpServer(new ConsensusDecisionSystem());
+    const calls = dashboardCalls();
+    assert.ok(calls.length >= 15, `只找到 ${calls.length} 个调用`);
+    assert.ok(calls.some(([method, pathname]) => method === 'POST' && pathname === '/proposals/x/open'));
+
+    for (const [method, pathname] of calls) {
+        const route = server.routes.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(pathname));
+        assert.ok(route, `没有路由处理 ${method} ${pathname}`);
+    }
+    assert.match(html, /new EventSource\(`\$\{API_BASE\}\/events`\)/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    for (const agentId of ['a', 'b', 'c', 'd', 'e']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    const create = (settings = {}) =>
+        system.createProposal('e', '上线', '', [], 'yesno', { consensusRule: 'majority', ...settings }).proposal.id;
+    return { system, clock, create };
+}
+
+test('委托沿链传递到第一个亲自投票的Agent', () => {
+    const { system, create } = setup();
+    assert.deepStrictEqual(system.delegateVote('a', 'b').chain, ['a', 'b']);
+    assert.deepStrictEqual(system.delegateVote('b', 'c').chain, ['b', 'c']);
+    const id = create();
+
+    assert.ok(system.vote('c', id, 'yes').success);
+    const results = system.countVotes(system.proposals.get(id));
+    assert.deepStrictEqual(results.weightedCounts, { yes: 3, no: 0, abstain: 0 });
+    assert.deepStrictEqual(results.breakdown.map(({ agentId, weight, delegatedWeight }) => ({ agentId, weight, delegatedWeight })), [
+        { agentId: 'c', weight: 3, delegatedWeight: 2 }
+    ]);
+    assert.deepStrictEqual(results.delegation.flows.map(flow => flow.chain), [['a', 'b', 'c'], ['b', 'c']]);
+    assert.deepStrictEqual(system.getDelegations('a', id).effective, { chain: ['a', 'b', 'c'], votedBy: 'c', cycle: false });
+});
+
+test('亲自投票优先于委托，链在亲自投票的Agent处停下', () => {
+    const { system, create } = setup();
+    system.delegateVote('a', 'b');
+    system.delegateVote('b', 'c');
+    const id = create();
+
+    system.vote('b', id, 'no');
+    system.vote('c', id, 'yes');
+    const results = system.countVotes(system.proposals.get(id));
+    assert.deepStrictEqual(results.weightedCounts, { yes: 1, no: 2, abstain: 0 });
+    assert.deepStrictEqual(results.delegation.byOutcome.no.chains, [{ chain: ['a', 'b'], weight: 1 }]);
+});
+
+test('形成循环的委托被拒绝', () => {
+    const { system } = setup();
+    system.delegateVote('a', 'b');
+    system.delegateVote('b', 'c');
+
+    const result = system.delegateVote('c', 'a');
+    assert.strictEqual(result.code, 'DELEGATION_CYCLE');
+    assert.match(result.error, /c → a → b → c/);
+    assert.deepStrictEqual(system.getDelegations('c').delegations, []);
+
+    assert.strictEqual(system.delegateVote('a', 'a').code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.delegateVote('a', 'nobody').code, 'AGENT_NOT_REGISTERED');
+});
+
+test('按提案委托优先于按标签委托，按标签委托优先于全局委托', () => {
+    const { system, create } = setup();
+    const tagged = create({ tags: ['infra'] });
+    const other = create();
+    system.delegateVote('d', 'a');
+    system.delegateVote('d', 'b', { tag: 'infra' });
+
+    assert.deepStrictEqual(system.getDelegations('d', tagged).effective.chain, ['d', 'b']);
+    assert.deepStrictEqual(system.getDelegations('d', other).effective.chain, ['d', 'a']);
+
+    system.delegateVote('d', 'c', { proposalId: tagged });
+    assert.deepStrictEqual(system.getDelegations('d', tagged).effective.chain, ['d', 'c']);
+    assert.strictEqual(system.getDelegations('d').delegations.length, 3);
+
+    // 同一范围的旧委托被替换
+    system.delegateVote('d', 'e', { tag: 'infra' });
+    assert.deepStrictEqual(system.getDelegations('d').delegations.map(item => item.delegate), ['a', 'c', 'e']);
+    assert.strictEqual(system.delegateVote('d', 'a', { proposalId: 'prop_404' }).code, 'PROPOSAL_NOT_FOUND');
+});
+
+test('撤销委托后权重不再流向受托人', () => {
+    const { system, create } = setup();
+    system.delegateVote('a', 'c');
+    system.delegateVote('a', 'b', { tag: 'infra' });
+    const id = create();
+    system.vote('c', id, 'yes');
+    assert.strictEqual(system.countVotes(system.proposals.get(id)).weightedCounts.yes, 2);
+
+    assert.ok(system.revokeDelegation('a').success);
+    assert.strictEqual(system.countVotes(system.proposals.get(id)).weightedCounts.yes, 1);
+    assert.deepStrictEqual(system.getDelegations('a').delegations.map(item => item.scope), ['tag']);
+
+    assert.strictEqual(system.revokeDelegation('a').code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.revokeDelegation('nobody').code, 'AGENT_NOT_REGISTERED');
+});
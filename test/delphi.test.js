@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    for (const agentId of ['a', 'b', 'c', 'd', 'e']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    const create = delphi => {
+        const id = system.createProposal('a', '路线', '', ['A', 'B', 'C', 'D'], 'single', { duration: 1000, delphi }).proposal.id;
+        return system.proposals.get(id);
+    };
+    const round = (proposal, votes) => {
+        for (const [agentId, vote] of Object.entries(votes)) {
+            system.vote(agentId, proposal.id, vote);
+        }
+        clock.advance(1001);
+        return system.checkConsensus(proposal);
+    };
+    return { system, clock, create, round };
+}
+
+test('未达成共识时开启下一轮，淘汰低支持率选项并清空选票', () => {
+    const { system, create, round } = setup();
+    const proposal = create({ maxRounds: 3, dropBelow: 0.25 });
+    system.addComment('c', proposal.id, '先看看');
+
+    const status = round(proposal, { a: 0, b: 0, c: 1, d: 1, e: 3 });
+    assert.strictEqual(status.reached, false);
+    assert.strictEqual(proposal.status, 'voting');
+    assert.strictEqual(proposal.round, 2);
+    assert.strictEqual(proposal.votes.size, 0);
+    assert.strictEqual(proposal.deadline, 2001);
+    assert.deepStrictEqual(proposal.droppedOptions, [2, 3]);
+    assert.strictEqual(proposal.comments[0].round, 1);
+
+    const previous = system.formatProposal(proposal).previousRound;
+    assert.deepStrictEqual(previous.counts, { 0: 2, 1: 2, 2: 0, 3: 1 });
+    assert.strictEqual(previous.supportRatio, 0.4);
+    assert.strictEqual(system.vote('e', proposal.id, 3).code, 'INVALID_VOTE');
+});
+
+test('趋势记录每轮支持率的变化，决策保存各轮结果', () => {
+    const { system, create, round } = setup();
+    const proposal = create({ maxRounds: 3, dropBelow: 0.25 });
+    round(proposal, { a: 0, b: 0, c: 1, d: 1, e: 3 });
+    for (const agentId of ['a', 'b', 'c']) {
+        system.vote(agentId, proposal.id, 0);
+    }
+    assert.strictEqual(proposal.status, 'accepted');
+
+    const { trend, maxRounds } = system.getConsensusTrend(proposal.id);
+    assert.strictEqual(maxRounds, 3);
+    assert.deepStrictEqual(trend.map(({ round, votes, supportRatio, change, reached, droppedOptions }) => ({
+        round, votes, supportRatio, change, reached, droppedOptions
+    })), [
+        { round: 1, votes: 5, supportRatio: 0.4, change: null, reached: false, droppedOptions: [2, 3] },
+        { round: 2, votes: 3, supportRatio: 0.6, change: 0.2, reached: true, droppedOptions: [] }
+    ]);
+    assert.strictEqual(system.consensusHistory[0].rounds.length, 2);
+});
+
+test('达到轮数上限后否决，淘汰后至少保留两个选项', () => {
+    const { create, round } = setup();
+    const proposal = create(true);
+    const votes = { a: 0, b: 1, c: 2, d: 3 };
+
+    round(proposal, votes);
+    round(proposal, votes);
+    assert.strictEqual(proposal.round, 3);
+    assert.deepStrictEqual(proposal.droppedOptions, []);
+    round(proposal, votes);
+    assert.strictEqual(proposal.status, 'rejected');
+    assert.strictEqual(proposal.rounds.length, 2);
+
+    const dropping = create({ maxRounds: 2, dropBelow: 0.5 });
+    round(dropping, votes);
+    assert.deepStrictEqual(dropping.droppedOptions, [0, 1]);
+});
+
+test('支持率离阈值太远时不再开启下一轮', () => {
+    const { create, round } = setup();
+    const proposal = create({ margin: 0.1 });
+    round(proposal, { a: 0, b: 1, c: 2, d: 3 });
+    assert.strictEqual(proposal.status, 'rejected');
+    assert.strictEqual(proposal.round, 1);
+});
+
+test('多轮审议设置无效时拒绝创建', () => {
+    const { system } = setup();
+    for (const delphi of [{ maxRounds: 1 }, { maxRounds: 2.5 }, { dropBelow: 1 }, { margin: -0.1 }, { roundDuration: 0 }]) {
+        const result = system.createProposal('a', '路线', '', ['A', 'B'], 'single', { delphi });
+        assert.strictEqual(result.code, 'INVALID_ARGUMENT', JSON.stringify(delphi));
+    }
+    assert.strictEqual(system.createProposal('a', '分配', '', ['A', 'B'], 'quadratic', { delphi: true }).code, 'INVALID_ARGUMENT');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { createProviderDriver, MockProvider, extractJson } = require('../lib/drivers');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    for (const agentId of ['a', 'b', 'c']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    return { system, clock };
+}
+
+test('从回复文本中取出 JSON 对象', () => {
+    assert.deepStrictEqual(extractJson('好的 {"vote": 1} 就这样'), { vote: 1 });
+    assert.deepStrictEqual(extractJson('示例 {"x": 0}\n```json\n{"vote": "yes"}\n```'), { vote: 'yes' });
+    assert.throws(() => extractJson('没有'), /没有 JSON 对象/);
+    assert.throws(() => extractJson('{vote: 1}'), /无法解析/);
+});
+
+test('提案开始投票时邀请驱动，投票理由进入讨论串', async () => {
+    const { system } = setup();
+    const contexts = [];
+    system.attachDriver('b', async context => {
+        contexts.push(context);
+        return { vote: 1, justification: '更简单' };
+    });
+    system.attachDriver('c', createProviderDriver(new MockProvider({ preferences: { c: 0 } })));
+
+    const id = system.createProposal('a', '框架', '', ['React', 'Vue'], 'single', { consensusRule: 'unanimity' }).proposal.id;
+    await system.settleDrivers();
+
+    const proposal = system.proposals.get(id);
+    assert.strictEqual(proposal.votes.get('b').vote, 1);
+    assert.strictEqual(proposal.votes.get('b').comment, '更简单');
+    assert.strictEqual(proposal.comments[0].source, 'vote');
+    assert.strictEqual(contexts[0].attempt, 1);
+    assert.strictEqual(contexts[0].proposal.id, id);
+    assert.strictEqual(proposal.votes.get('c').vote, 0);
+    // 同一轮只邀请一次
+    assert.deepStrictEqual(await system.inviteDrivers(id), []);
+});
+
+test('MockProvider 默认跟随当前领先的选项', async () => {
+    const provider = new MockProvider();
+    const { decide } = createProviderDriver(provider);
+    const context = tally => ({
+        agentId: 'c',
+        agentName: 'c',
+        proposal: { id: 'prop_1', title: '框架', type: 'single', options: ['React', 'Vue', 'Svelte'], droppedOptions: [] },
+        tally,
+        comments: []
+    });
+
+    assert.strictEqual((await decide(context(null))).vote, 0);
+    assert.strictEqual((await decide(context({ weightedCounts: { 0: 1, 1: 2, 2: 0 } }))).vote, 1);
+    assert.strictEqual(provider.calls.length, 2);
+});
+
+test('出错或选票无效时重试，上下文说明上一次失败的原因', async () => {
+    const { system } = setup();
+    const provider = new MockProvider({ script: [new Error('网络错误'), '{"vote": 9}', '{"vote": "no"}'] });
+    system.attachDriver('b', createProviderDriver(provider), { retries: 2 });
+    const id = system.createProposal('a', '上线', '', [], 'yesno', { consensusRule: 'unanimity' }).proposal.id;
+
+    await system.settleDrivers();
+    assert.strictEqual(system.proposals.get(id).votes.get('b').vote, 'no');
+    assert.strictEqual(provider.calls.length, 3);
+    assert.match(provider.calls[1].messages[1].content, /上一次回答无效: 网络错误/);
+    assert.match(provider.calls[2].messages[1].content, /上一次回答无效: /);
+});
+
+test('超时且重试用尽时记为弃权，之后自行投票不再算弃权', async () => {
+    const { system } = setup();
+    system.attachDriver('b', () => new Promise(() => {}), { timeout: 20, retries: 1 });
+    const id = system.createProposal('a', '上线', '', [], 'yesno', { consensusRule: 'unanimity' }).proposal.id;
+    const proposal = system.proposals.get(id);
+
+    await system.settleDrivers();
+    const [result] = proposal.abstentions;
+    assert.deepStrictEqual(result, { agentId: 'b', reason: '作答超时（20ms）', attempts: 2, at: 0 });
+    assert.strictEqual(system.countVotes(proposal).breakdown.length, 0);
+
+    system.vote('b', id, 'yes');
+    assert.deepStrictEqual(system.activeAbstentions(proposal), []);
+});
+
+test('提案已结束等错误不再重试', async () => {
+    const { system } = setup();
+    let calls = 0;
+    system.attachDriver('b', async ({ proposal }) => {
+        calls++;
+        system.withdrawProposal('a', proposal.id);
+        return { vote: 'yes' };
+    }, { retries: 3 });
+    const id = system.createProposal('a', '上线', '', [], 'yesno').proposal.id;
+
+    await system.settleDrivers();
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(system.proposals.get(id).abstentions[0].attempts, 1);
+});
+
+test('秘密投票由系统代为提交承诺并自动揭示', async () => {
+    const { system } = setup();
+    for (const agentId of ['a', 'b', 'c']) {
+        system.attachDriver(agentId, async () => ({ vote: 'yes' }));
+    }
+    const id = system.createProposal('a', '预算', '', [], 'yesno', { ballot: 'secret', duration: 1000 }).proposal.id;
+
+    await system.settleDrivers();
+    const proposal = system.proposals.get(id);
+    assert.strictEqual(proposal.status, 'accepted');
+    assert.strictEqual(proposal.votes.size, 3);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { EventBus } = require('../lib/events');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    system.registerAgent('alpha', 'Alpha', 'admin');
+    system.registerAgent('beta', 'Beta', 'member');
+    return { system, clock };
+}
+
+test('状态变化发布事件，订阅者拿到冻结的副本', () => {
+    const { system } = setup();
+    const events = [];
+    const off = system.on('*', event => events.push(event));
+    const reached = [];
+    system.once('consensus.reached', event => reached.push(event.payload.decision.result));
+
+    const { proposal } = system.createProposal('alpha', '上线', '', [], 'yesno');
+    system.vote('alpha', proposal.id, 'yes');
+    system.vote('beta', proposal.id, 'yes');
+    off();
+    system.createProposal('alpha', '取消订阅后', '', [], 'yesno');
+
+    assert.deepStrictEqual(events.map(event => event.type), ['proposal.created', 'vote.cast', 'vote.cast', 'consensus.reached']);
+    assert.deepStrictEqual(reached, ['accepted']);
+
+    const created = events[0];
+    assert.ok(Object.isFrozen(created.payload.proposal));
+    assert.throws(() => Object.defineProperty(created.payload.proposal, 'title', { value: '改掉' }), TypeError);
+    assert.notStrictEqual(created.payload.proposal, system.proposals.get(proposal.id));
+});
+
+test('订阅者出错转发给 error 订阅者，不影响发布方', async () => {
+    const bus = new EventBus({ now: () => 42 });
+    const errors = [];
+    bus.on('error', event => errors.push([event.payload.type, event.payload.message]));
+    bus.on('error', () => {
+        throw new Error('error 订阅者自身出错');
+    });
+    bus.on('ping', () => {
+        throw new Error('同步出错');
+    });
+    bus.on('ping', async () => {
+        throw new Error('异步出错');
+    });
+    const delivered = [];
+    bus.on('ping', event => delivered.push(event.at), { async: true });
+
+    assert.strictEqual(bus.emit('ping', { n: 1 }).type, 'ping');
+    assert.deepStrictEqual(delivered, []);
+    await bus.flush();
+
+    assert.deepStrictEqual(delivered, [42]);
+    assert.deepStrictEqual(errors, [['ping', '同步出错'], ['ping', '异步出错']]);
+    assert.strictEqual(bus.errors.length, 2);
+});
+
+test('前置钩子可以否决或修改操作参数', () => {
+    const { system } = setup();
+    assert.throws(() => system.addHook('delete', () => {}), /不支持钩子的操作/);
+
+    const removeReason = system.addHook('vote', ctx => {
+        if (ctx.comment === '') {
+            return { allow: false, reason: '投票必须附带理由' };
+        }
+    });
+    system.addHook('proposal.create', ctx => {
+        ctx.title = ctx.title.trim();
+    });
+    system.addHook('agent.register', ctx => ctx.role !== 'admin');
+    system.addHook('comment', () => {
+        throw new Error('评论服务不可用');
+    });
+
+    const { proposal } = system.createProposal('alpha', '  上线  ', '', [], 'yesno');
+    assert.strictEqual(proposal.title, '上线');
+
+    const rejected = system.vote('beta', proposal.id, 'yes');
+    assert.deepStrictEqual([rejected.code, rejected.error], ['HOOK_REJECTED', '投票必须附带理由']);
+    assert.ok(system.vote('beta', proposal.id, 'yes', '同意').success);
+    removeReason();
+    assert.ok(system.vote('alpha', proposal.id, 'yes').success);
+
+    assert.strictEqual(system.registerAgent('root', 'Root', 'admin').code, 'HOOK_REJECTED');
+    assert.ok(system.registerAgent('gamma', 'Gamma', 'member').success);
+    assert.match(system.addComment('gamma', proposal.id, '好').error, /钩子执行失败: 评论服务不可用/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup(config = {}) {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2, ...config });
+    system.registerAgent('admin', 'Admin', 'admin');
+    system.registerAgent('alice', 'Alice', 'member');
+    system.registerAgent('bob', 'Bob', 'member');
+    system.registerAgent('carol', 'Carol', 'member');
+    return { system, clock };
+}
+
+test('草稿经讨论进入投票，需要讨论满时长并达到联署人数', () => {
+    const { system, clock } = setup({ minCosponsors: 1 });
+    const id = system.createProposal('alice', '路线', '', ['A', 'B'], 'single', { draft: true, minDiscussion: 1000 }).proposal.id;
+    const proposal = system.proposals.get(id);
+    assert.strictEqual(proposal.status, 'draft');
+    assert.strictEqual(system.vote('bob', id, 0).code, 'PROPOSAL_NOT_OPEN');
+
+    assert.strictEqual(system.submitProposal('bob', id).code, 'PERMISSION_DENIED');
+    assert.ok(system.submitProposal('alice', id).success);
+    assert.strictEqual(proposal.status, 'discussion');
+    assert.strictEqual(system.submitProposal('alice', id).code, 'PROPOSAL_NOT_OPEN');
+
+    assert.strictEqual(system.openVoting('alice', id).code, 'DISCUSSION_NOT_OVER');
+    clock.advance(1000);
+    assert.strictEqual(system.openVoting('alice', id).code, 'INSUFFICIENT_COSPONSORS');
+
+    assert.ok(system.cosponsorProposal('bob', id).success);
+    assert.strictEqual(system.cosponsorProposal('bob', id).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.openVoting('bob', id).code, 'PERMISSION_DENIED');
+    assert.ok(system.openVoting('alice', id).success);
+    assert.strictEqual(proposal.status, 'voting');
+    assert.strictEqual(system.cosponsorProposal('carol', id).code, 'PROPOSAL_NOT_OPEN');
+    assert.ok(system.vote('bob', id, 0).success);
+});
+
+test('创建者和联署人修订提案产生新版本，选票记录投票时的版本', () => {
+    const { system } = setup();
+    const id = system.createProposal('alice', '路线', '初稿', ['A', 'B'], 'single', { discussion: true }).proposal.id;
+    const proposal = system.proposals.get(id);
+
+    assert.strictEqual(system.amendProposal('bob', id, { title: '新路线' }).code, 'PERMISSION_DENIED');
+    system.cosponsorProposal('bob', id);
+    const amended = system.amendProposal('bob', id, { options: ['A', 'B', 'C'] }, '加一个选项');
+    assert.ok(amended.success);
+    assert.strictEqual(amended.proposal.version, 2);
+    assert.deepStrictEqual(proposal.options, ['A', 'B', 'C']);
+    assert.deepStrictEqual(proposal.versions.at(-1), {
+        version: 2,
+        title: '路线',
+        description: '初稿',
+        options: ['A', 'B', 'C'],
+        amendedBy: 'bob',
+        amendedAt: 0,
+        reason: '加一个选项'
+    });
+
+    assert.strictEqual(system.amendProposal('alice', id, { options: ['A', 'B', 'C'] }).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.amendProposal('alice', id, { title: '' }).code, 'INVALID_ARGUMENT');
+
+    system.openVoting('alice', id);
+    assert.strictEqual(system.amendProposal('alice', id, { title: '太晚了' }).code, 'PROPOSAL_NOT_OPEN');
+    system.vote('carol', id, 2);
+    assert.strictEqual(proposal.votes.get('carol').version, 2);
+});
+
+test('修订后的选项必须满足创建时的要求', () => {
+    const { system } = setup();
+    const quadratic = system.createProposal('alice', '分配', '', ['A', 'B'], 'quadratic', { discussion: true }).proposal.id;
+    const result = system.amendProposal('alice', quadratic, { options: ['A'] });
+    assert.strictEqual(result.code, 'INVALID_ARGUMENT');
+    assert.deepStrictEqual(system.proposals.get(quadratic).options, ['A', 'B']);
+
+    const multi = system.createProposal('alice', '评选', '', ['A', 'B', 'C'], 'multi', { discussion: true, seats: 2 }).proposal.id;
+    assert.strictEqual(system.amendProposal('alice', multi, { options: ['A'] }).code, 'INVALID_ARGUMENT');
+    assert.ok(system.amendProposal('alice', multi, { options: ['A', 'C'] }).success);
+});
+
+test('修订不能删掉已绑定动作的选项', () => {
+    const { system } = setup();
+    const id = system.createProposal('alice', '部署', '', ['x', 'y'], 'single', {
+        discussion: true,
+        actions: [{ action: 'deploy', option: 1 }]
+    }).proposal.id;
+
+    const result = system.amendProposal('alice', id, { options: ['x'] });
+    assert.strictEqual(result.code, 'INVALID_ARGUMENT');
+    assert.match(result.error, /deploy/);
+    assert.strictEqual(system.proposals.get(id).version, 1);
+    assert.ok(system.amendProposal('alice', id, { options: ['x', 'y', 'z'] }).success);
+});
+
+test('创建者撤回提案，投票开始后只能在无人投票前撤回', () => {
+    const { system } = setup();
+    const draft = system.createProposal('alice', '草稿', '', [], 'yesno', { draft: true }).proposal.id;
+    assert.strictEqual(system.withdrawProposal('bob', draft).code, 'PERMISSION_DENIED');
+    assert.ok(system.withdrawProposal('alice', draft, '不需要了').success);
+    assert.strictEqual(system.proposals.get(draft).status, 'withdrawn');
+    assert.strictEqual(system.proposals.get(draft).withdrawReason, '不需要了');
+    assert.strictEqual(system.withdrawProposal('alice', draft).code, 'PROPOSAL_NOT_OPEN');
+
+    const voting = system.createProposal('alice', '投票中', '', [], 'yesno', { consensusRule: 'unanimity' }).proposal.id;
+    system.vote('bob', voting, 'yes');
+    assert.strictEqual(system.withdrawProposal('alice', voting).code, 'PROPOSAL_NOT_OPEN');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup(weights = {}) {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    for (const agentId of ['alice', 'bob', 'carol', 'dave']) {
+        system.registerAgent(agentId, agentId, 'member', weights[agentId] || 1);
+    }
+    const create = (type, settings = {}) => system.proposals.get(
+        system.createProposal('alice', '选型', '', ['A', 'B', 'C'], type, { duration: 1000, ...settings }).proposal.id
+    );
+    return { system, clock, create };
+}
+
+test('单选：按加权票数决出获胜选项，可以用选项文本投票', () => {
+    const { system, create } = setup({ carol: 3 });
+    const proposal = create('single');
+    system.vote('alice', proposal.id, 0);
+    system.vote('bob', proposal.id, 'A');
+    system.vote('carol', proposal.id, 'B');
+
+    const tally = system.tallyProposal(proposal);
+    assert.deepStrictEqual(tally.options.weights, [2, 3, 0]);
+    assert.deepStrictEqual(tally.options.counts, [2, 1, 0]);
+    assert.strictEqual(tally.winner, 1);
+    assert.deepStrictEqual(tally.supporters, ['carol']);
+    assert.deepStrictEqual(tally.opponents, ['alice', 'bob']);
+    assert.strictEqual(system.vote('dave', proposal.id, 'D').success, false);
+});
+
+test('多选：按 seats 取前几名', () => {
+    const { system, clock, create } = setup();
+    assert.strictEqual(system.createProposal('alice', '选型', '', ['A', 'B'], 'multi', { seats: 3 }).code, 'INVALID_ARGUMENT');
+
+    const proposal = create('multi', { seats: 2 });
+    system.vote('alice', proposal.id, [0, 1]);
+    system.vote('bob', proposal.id, [1, 2]);
+    system.vote('carol', proposal.id, [1]);
+    system.vote('dave', proposal.id, [0]);
+
+    clock.advance(1001);
+    system.checkConsensus(proposal);
+    const decision = system.consensusHistory.at(-1);
+    assert.deepStrictEqual(decision.winners, [1, 0]);
+    assert.deepStrictEqual(decision.winningOptions, ['B', 'A']);
+    assert.strictEqual(decision.tie, null);
+});
+
+test('平票：创建者的选票或裁决决定胜者', () => {
+    const { system, create } = setup();
+    const proposal = create('single', { tieBreak: 'creator' });
+    system.vote('bob', proposal.id, 0);
+    system.vote('carol', proposal.id, 1);
+
+    const pending = system.tallyProposal(proposal);
+    assert.strictEqual(pending.winner, null);
+    assert.deepStrictEqual(pending.tie.tied, [0, 1]);
+    assert.strictEqual(pending.tie.resolved, false);
+
+    assert.strictEqual(system.resolveTie('bob', proposal.id, 0).code, 'PERMISSION_DENIED');
+    assert.strictEqual(system.resolveTie('alice', proposal.id, 9).code, 'INVALID_VOTE');
+    assert.ok(system.resolveTie('alice', proposal.id, 'B').success);
+    assert.deepStrictEqual(system.tallyProposal(proposal).tie.picked, [1]);
+    assert.strictEqual(system.tallyProposal(proposal).winner, 1);
+
+    // 创建者投票时以其选票为准
+    const voted = create('single', { tieBreak: 'creator' });
+    system.vote('alice', voted.id, 2);
+    system.vote('bob', voted.id, 0);
+    assert.strictEqual(system.tallyProposal(voted).tie.resolvedBy, 'creator');
+    assert.strictEqual(system.tallyProposal(voted).winner, 2);
+});
+
+test('平票：随机抽签按种子可复现', () => {
+    const picks = new Set();
+    for (const seed of ['s1', 's2', 's3', 's4', 's5', 's6']) {
+        const results = [0, 1].map(() => {
+            const { system, create } = setup();
+            const proposal = create('single', { tieBreak: 'random', tieBreakSeed: seed });
+            system.vote('bob', proposal.id, 0);
+            system.vote('carol', proposal.id, 1);
+            return system.tallyProposal(proposal).tie;
+        });
+        assert.deepStrictEqual(results[0], results[1]);
+        assert.strictEqual(results[0].seed, seed);
+        picks.add(results[0].picked[0]);
+    }
+    assert.deepStrictEqual([...picks].sort(), [0, 1]);
+});
+
+test('平票：截止后在平票选项间发起决选', () => {
+    const { system, clock, create } = setup();
+    const proposal = create('single', { tieBreak: 'runoff' });
+    system.vote('alice', proposal.id, 0);
+    system.vote('bob', proposal.id, 0);
+    system.vote('carol', proposal.id, 2);
+    system.vote('dave', proposal.id, 2);
+
+    clock.advance(1001);
+    system.checkConsensus(proposal);
+    const decision = system.consensusHistory.at(-1);
+    assert.deepStrictEqual(decision.winners, []);
+    assert.deepStrictEqual(decision.tie.tied, [0, 2]);
+
+    const runoff = system.proposals.get(decision.tie.runoffProposalId);
+    assert.deepStrictEqual(runoff.options, ['A', 'C']);
+    assert.deepStrictEqual(runoff.runoffOptions, [0, 2]);
+    assert.strictEqual(runoff.runoffOf, proposal.id);
+    assert.strictEqual(runoff.tieBreak, 'random');
+});
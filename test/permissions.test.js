@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup(config = {}) {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2, ...config });
+    system.registerAgent('root', 'Root', 'admin');
+    system.registerAgent('beta', 'Beta', 'member');
+    system.registerAgent('gamma', 'Gamma', 'observer');
+    return { system, clock };
+}
+
+test('成员和观察者只能执行各自角色允许的操作', () => {
+    const { system } = setup();
+    const denied = system.createProposal('gamma', '观察者提案', '', [], 'yesno');
+    assert.deepStrictEqual(
+        { code: denied.code, action: denied.action, role: denied.role },
+        { code: 'PERMISSION_DENIED', action: 'proposal.create', role: 'observer' }
+    );
+
+    const { proposal } = system.createProposal('beta', '上线', '', [], 'yesno');
+    assert.strictEqual(system.vote('gamma', proposal.id, 'yes').code, 'PERMISSION_DENIED');
+    assert.ok(system.addComment('gamma', proposal.id, '观察者可以评论').success);
+    assert.strictEqual(system.closeProposal('beta', proposal.id).code, 'PERMISSION_DENIED');
+    assert.strictEqual(system.setAgentWeight('beta', 'beta', 5).code, 'PERMISSION_DENIED');
+    assert.strictEqual(system.vote('nobody', proposal.id, 'yes').code, 'AGENT_NOT_REGISTERED');
+
+    // 观察者不计入有资格的Agent
+    assert.deepStrictEqual(system.getEligibleAgents(system.proposals.get(proposal.id)).map(agent => agent.id), ['root', 'beta']);
+});
+
+test('config.permissions 覆盖角色的权限列表', () => {
+    const { system } = setup({ permissions: { observer: ['comment', 'vote'] } });
+    const { proposal } = system.createProposal('beta', '上线', '', [], 'yesno');
+    assert.ok(system.vote('gamma', proposal.id, 'yes').success);
+    assert.strictEqual(system.can('beta', 'vote'), true);
+    assert.strictEqual(system.can('beta', 'agent.remove'), false);
+});
+
+test('管理操作生效并写入审计记录', () => {
+    const { system, clock } = setup();
+    const { proposal } = system.createProposal('beta', '上线', '', [], 'yesno', { duration: 1000 });
+
+    assert.ok(system.extendDeadline('root', proposal.id, 500).success);
+    assert.strictEqual(system.proposals.get(proposal.id).deadline, 1500);
+    assert.ok(system.setAgentRole('root', 'gamma', 'member').success);
+    assert.strictEqual(system.setAgentRole('root', 'gamma', 'owner').code, 'INVALID_ARGUMENT');
+    assert.ok(system.setAgentWeight('root', 'beta', 2).success);
+    assert.ok(system.vote('gamma', proposal.id, 'no').success);
+
+    assert.ok(system.removeAgent('root', 'gamma').success);
+    assert.strictEqual(system.removeAgent('root', 'root').code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.proposals.get(proposal.id).votes.has('gamma'), false);
+
+    clock.advance(100);
+    const cancelled = system.cancelProposal('root', proposal.id, '重复提案');
+    assert.ok(cancelled.success);
+    assert.strictEqual(system.proposals.get(proposal.id).status, 'cancelled');
+    assert.strictEqual(system.consensusHistory.length, 0);
+
+    assert.deepStrictEqual(
+        system.getAuditLog().map(entry => [entry.action, entry.target, entry.before, entry.after]),
+        [
+            ['proposal.cancel', proposal.id, undefined, undefined],
+            ['agent.remove', 'gamma', undefined, undefined],
+            ['agent.setWeight', 'beta', 1, 2],
+            ['agent.setRole', 'gamma', 'observer', 'member'],
+            ['proposal.extend', proposal.id, 1000, 1500]
+        ]
+    );
+    assert.deepStrictEqual(system.getAuditLog()[1].withdrawnVotes, [proposal.id]);
+});
+
+test('修改权重只接受有限的正数', () => {
+    const { system } = setup();
+    for (const weight of [0, -1, Infinity, NaN, '2']) {
+        assert.strictEqual(system.setAgentWeight('root', 'beta', weight).code, 'INVALID_ARGUMENT', String(weight));
+    }
+    assert.strictEqual(system.agents.get('beta').weight, 1);
+    assert.strictEqual(system.registerAgent('delta', 'Delta', 'member', Infinity).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.setAgentWeight('root', 'nobody', 2).code, 'AGENT_NOT_REGISTERED');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProposalIndex } = require('../lib/proposal-index');
+const { dueTime } = require('../lib/scheduler');
+const { createRng } = require('../lib/random');
+
+function proposal(number, fields = {}) {
+    return {
+        id: `prop_${number}`,
+        status: 'voting',
+        creator: 'alpha',
+        committeeId: null,
+        deadline: 1000,
+        reminders: [],
+        ...fields
+    };
+}
+
+test('nextDue 返回最近的提醒或截止时间', () => {
+    const index = new ProposalIndex();
+    assert.strictEqual(index.nextDue(), null);
+
+    index.update(proposal(1, { deadline: 5000 }));
+    index.update(proposal(2, { deadline: 3000, reminders: [{ before: 1000, sentAt: null }] }));
+    index.update(proposal(3, { status: 'revealing', revealDeadline: 4000 }));
+    assert.strictEqual(index.nextDue(), 2000);
+
+    index.update(proposal(2, { deadline: 3000, reminders: [{ before: 1000, sentAt: 2000 }] }));
+    assert.strictEqual(index.nextDue(), 3001);
+
+    index.update(proposal(2, { status: 'accepted', deadline: 3000 }));
+    assert.strictEqual(index.nextDue(), 4001);
+});
+
+test('takeDue 按创建顺序取出到期的提案，每个提案只取一次', () => {
+    const index = new ProposalIndex();
+    index.update(proposal(3, { deadline: 100 }));
+    index.update(proposal(1, { deadline: 300 }));
+    index.update(proposal(2, { deadline: 100 }));
+    index.update(proposal(4, { deadline: 900 }));
+
+    assert.deepStrictEqual(index.takeDue(100), []);
+    assert.deepStrictEqual(index.takeDue(301), ['prop_1', 'prop_2', 'prop_3']);
+    assert.deepStrictEqual(index.takeDue(301), []);
+    assert.strictEqual(index.nextDue(), 901);
+
+    // 取出后重新写入（如处理出错）可以再次取出
+    index.update(proposal(2, { deadline: 100 }));
+    assert.deepStrictEqual(index.takeDue(301), ['prop_2']);
+});
+
+test('反复改期后堆与全量扫描一致', () => {
+    const rng = createRng('heap');
+    const index = new ProposalIndex();
+    const proposals = new Map();
+    const expected = now => Array.from(proposals.values())
+        .filter(item => dueTime(item) !== null && dueTime(item) <= now)
+        .map(item => item.id);
+    const earliest = () => Array.from(proposals.values())
+        .map(dueTime)
+        .filter(time => time !== null)
+        .reduce((min, time) => (min === null || time < min ? time : min), null);
+
+    let now = 0;
+    for (let step = 0; step < 2000; step++) {
+        const number = 1 + Math.floor(rng() * 50);
+        const item = proposal(number, {
+            status: rng() < 0.2 ? 'accepted' : 'voting',
+            deadline: now + Math.floor(rng() * 1000)
+        });
+        proposals.set(item.id, item);
+        index.update(item);
+        assert.strictEqual(index.nextDue(), earliest());
+
+        if (step % 50 === 49) {
+            now += 300;
+            const due = index.takeDue(now);
+            assert.deepStrictEqual(due, expected(now).sort((a, b) => Number(a.slice(5)) - Number(b.slice(5))));
+            for (const id of due) {
+                proposals.delete(id);
+            }
+        }
+    }
+    assert.ok(index.heap.length <= 2 * index.dueAt.size + 64);
+});
+
+test('按状态、创建者和委员会查询', () => {
+    const index = new ProposalIndex();
+    index.update(proposal(1, { creator: 'alpha', committeeId: 'infra' }));
+    index.update(proposal(2, { creator: 'beta', status: 'accepted' }));
+    index.update(proposal(10, { creator: 'alpha', status: 'accepted', committeeId: 'infra' }));
+
+    assert.deepStrictEqual(index.ids({ creator: 'alpha' }), ['prop_1', 'prop_10']);
+    assert.deepStrictEqual(index.ids({ statuses: ['accepted'] }), ['prop_2', 'prop_10']);
+    assert.deepStrictEqual(index.ids({ statuses: ['accepted'], committeeId: 'infra' }), ['prop_10']);
+    assert.deepStrictEqual(index.statusCounts('infra'), { voting: 1, accepted: 1 });
+});
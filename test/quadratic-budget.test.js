@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { aggregateBudget, weightedMedian, roundToBudget } = require('../lib/budget');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2, voiceCredits: 20 });
+    system.registerAgent('root', 'Root', 'admin');
+    for (const agentId of ['a', 'b', 'c']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    const lastDecision = () => Array.from(system.decisions.values()).at(-1);
+    return { system, clock, lastDecision };
+}
+
+test('二次方投票花费票数的平方和，改票先退还原选票的花费', () => {
+    const { system } = setup();
+    const id = system.createProposal('a', '重点', '', ['性能', '安全', '文档'], 'quadratic').proposal.id;
+
+    assert.ok(system.vote('a', id, [3, 0, -1]).success);
+    assert.strictEqual(system.getCredits('a'), 10);
+    assert.ok(system.vote('a', id, [2, 2, 0]).success);
+    assert.strictEqual(system.getCredits('a'), 12);
+
+    const result = system.vote('a', id, [4, 2, 1]);
+    assert.strictEqual(result.code, 'INSUFFICIENT_CREDITS');
+    assert.strictEqual(result.error, '投票点数不足: 需要 21，可用 20');
+    assert.strictEqual(system.getCredits('a'), 12);
+
+    for (const vote of [[1, 2], [0.5, 0, 0], [0, 0, 0], 'yes']) {
+        assert.strictEqual(system.vote('a', id, vote).code, 'INVALID_VOTE');
+    }
+
+    // 投票点数跨提案累计
+    const other = system.createProposal('a', '另一项', '', ['甲', '乙'], 'quadratic').proposal.id;
+    assert.strictEqual(system.vote('a', other, [4, 0]).code, 'INSUFFICIENT_CREDITS');
+    assert.ok(system.vote('a', other, [3, -1]).success);
+    assert.strictEqual(system.getCredits('a'), 2);
+});
+
+test('二次方投票按加权净票数决出获胜选项，投了正票的算支持', () => {
+    const { system, lastDecision } = setup();
+    const id = system.createProposal('a', '重点', '', ['性能', '安全', '文档'], 'quadratic').proposal.id;
+    system.vote('a', id, [2, 2, 0]);
+    system.vote('b', id, [0, 3, 0]);
+    system.vote('c', id, [1, 0, 0]);
+    system.vote('root', id, [0, 1, 0]);
+
+    assert.strictEqual(system.proposals.get(id).status, 'accepted');
+    const decision = lastDecision();
+    assert.deepStrictEqual(decision.winners, [1]);
+    assert.deepStrictEqual(decision.results.quadratic, { votes: [3, 6, 0], credits: [5, 14, 0] });
+    assert.strictEqual(decision.consensusRatio, 0.75);
+    assert.strictEqual(decision.results.breakdown.find(entry => entry.agentId === 'b').cost, 9);
+    // 提案通过后点数不退还
+    assert.strictEqual(system.getCredits('b'), 11);
+});
+
+test('取消提案退还点数，管理员可以发放和收回点数', () => {
+    const { system } = setup();
+    const id = system.createProposal('a', '重点', '', ['性能', '安全'], 'quadratic', { consensusRule: 'unanimity' }).proposal.id;
+    system.vote('b', id, [3, 1]);
+    assert.strictEqual(system.getCredits('b'), 10);
+    assert.ok(system.cancelProposal('root', id, '重复提案').success);
+    assert.strictEqual(system.getCredits('b'), 20);
+
+    assert.strictEqual(system.grantCredits('a', 'b', 5).code, 'PERMISSION_DENIED');
+    assert.strictEqual(system.grantCredits('root', 'b', 0).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.grantCredits('root', 'b', -21).code, 'INSUFFICIENT_CREDITS');
+    assert.ok(system.grantCredits('root', 'b', 30).success);
+    assert.strictEqual(system.getCredits('b'), 50);
+});
+
+test('二次方投票和预算分配的创建校验', () => {
+    const { system } = setup();
+    for (const type of ['quadratic', 'budget']) {
+        const settings = type === 'budget' ? { budget: 100 } : {};
+        assert.strictEqual(system.createProposal('a', 'x', '', ['甲'], type, settings).code, 'INVALID_ARGUMENT');
+        assert.strictEqual(system.createProposal('a', 'x', '', ['甲', '乙'], type, { ...settings, ballot: 'secret' }).code, 'INVALID_ARGUMENT');
+        assert.strictEqual(system.createProposal('a', 'x', '', ['甲', '乙'], type, { ...settings, delphi: true }).code, 'INVALID_ARGUMENT');
+    }
+    for (const budget of [undefined, 0, -1, Infinity, '100']) {
+        assert.strictEqual(system.createProposal('a', 'x', '', ['甲', '乙'], 'budget', { budget }).code, 'INVALID_ARGUMENT');
+    }
+    assert.strictEqual(system.createProposal('a', 'x', '', ['甲', '乙'], 'budget', { budget: 100, aggregation: 'mode' }).code, 'INVALID_ARGUMENT');
+});
+
+test('预算分配的总额必须等于预算，按加权平均或中位数聚合', () => {
+    const { system, lastDecision } = setup();
+    const expected = {
+        mean: { amounts: [23.33, 30, 46.67], winners: [2, 1, 0] },
+        median: { amounts: [28.57, 42.86, 28.57], winners: [1, 0, 2] }
+    };
+    for (const aggregation of ['mean', 'median']) {
+        const id = system.createProposal('a', '预算', '', ['基础设施', '新功能', '测试'], 'budget', { budget: 100, aggregation }).proposal.id;
+        assert.strictEqual(system.vote('a', id, [50, 30, 30]).error, '分配总额必须等于预算 100（当前 110）');
+        assert.strictEqual(system.vote('a', id, [120, -20, 0]).code, 'INVALID_VOTE');
+        system.vote('a', id, [50, 30, 20]);
+        system.vote('b', id, [20, 60, 20]);
+        system.vote('c', id, [0, 0, 100]);
+
+        assert.strictEqual(system.proposals.get(id).status, 'accepted');
+        const decision = lastDecision();
+        assert.strictEqual(decision.allocation.method, aggregation);
+        assert.deepStrictEqual(decision.allocation.amounts, expected[aggregation].amounts);
+        assert.deepStrictEqual(decision.winners, expected[aggregation].winners);
+    }
+});
+
+test('加权中位数、取整和中位数全为 0 时退回加权平均', () => {
+    assert.strictEqual(weightedMedian([{ value: 10, weight: 1 }, { value: 30, weight: 1 }]), 20);
+    assert.strictEqual(weightedMedian([{ value: 10, weight: 1 }, { value: 30, weight: 3 }]), 30);
+    assert.deepStrictEqual(roundToBudget([100 / 3, 100 / 3, 100 / 3], 100), [33.34, 33.33, 33.33]);
+
+    const ballots = [
+        { agentId: 'a', vote: [100, 0, 0], weight: 1 },
+        { agentId: 'b', vote: [0, 100, 0], weight: 1 },
+        { agentId: 'c', vote: [0, 0, 100], weight: 1 }
+    ];
+    assert.deepStrictEqual(aggregateBudget(ballots, 3, 100, 'median').amounts, aggregateBudget(ballots, 3, 100, 'mean').amounts);
+    assert.strictEqual(aggregateBudget([], 3, 100).amounts, null);
+});
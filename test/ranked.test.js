@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { instantRunoff, bordaCount, schulze, tallyRanked } = require('../lib/ranked');
+
+// 田纳西州首府选举：孟菲斯 0、纳什维尔 1、查塔努加 2、诺克斯维尔 3
+const TENNESSEE = [
+    { agentId: 'memphis', ranking: [0, 1, 2, 3], weight: 42 },
+    { agentId: 'nashville', ranking: [1, 2, 3, 0], weight: 26 },
+    { agentId: 'chattanooga', ranking: [2, 3, 1, 0], weight: 15 },
+    { agentId: 'knoxville', ranking: [3, 2, 1, 0], weight: 17 }
+];
+
+test('即时决选：逐轮淘汰最少票选项并转移选票', () => {
+    const result = instantRunoff(TENNESSEE, 4);
+    assert.strictEqual(result.winner, 3);
+    assert.strictEqual(result.support, 58);
+    assert.deepStrictEqual(result.rounds.map(round => round.eliminated), [2, 1, null]);
+    assert.deepStrictEqual(result.rounds[1].tallies, { 0: 42, 1: 26, 3: 32 });
+    assert.deepStrictEqual(result.supporters, ['nashville', 'chattanooga', 'knoxville']);
+});
+
+test('波达计数：按名次加权计分', () => {
+    const result = bordaCount(TENNESSEE, 4);
+    assert.strictEqual(result.winner, 1);
+    assert.deepStrictEqual(result.scores, { 0: 126, 1: 194, 2: 173, 3: 107 });
+    assert.strictEqual(result.runnerUp, 2);
+    // 相对于查塔努加更偏好纳什维尔的只有孟菲斯和纳什维尔的选民
+    assert.strictEqual(result.support, 68);
+});
+
+test('舒尔茨：选出孔多塞胜者，并支持多轮循环偏好', () => {
+    assert.strictEqual(schulze(TENNESSEE, 4).winner, 1);
+
+    // 维基百科示例：45 名选民、5 个候选人，存在循环偏好，胜者为 E
+    const ballot = (weight, order) => ({ agentId: order, ranking: [...order].map(c => 'ABCDE'.indexOf(c)), weight });
+    const ballots = [
+        ballot(5, 'ACBED'), ballot(5, 'ADECB'), ballot(8, 'BEDAC'), ballot(3, 'CABED'),
+        ballot(7, 'CAEBD'), ballot(2, 'CBADE'), ballot(7, 'DCEBA'), ballot(8, 'EBADC')
+    ];
+    const result = schulze(ballots, 5);
+    assert.strictEqual(result.winner, 4);
+    assert.strictEqual(result.matrix[0][1], 20);
+    assert.strictEqual(result.paths[4][0], 25);
+});
+
+test('排序计票：只排前几位、平票和空选票', () => {
+    const partial = [
+        { agentId: 'a', ranking: [0], weight: 1 },
+        { agentId: 'b', ranking: [1], weight: 1 }
+    ];
+    for (const method of ['irv', 'borda', 'schulze']) {
+        const result = tallyRanked(partial, 3, method);
+        assert.strictEqual(result.winner, null, method);
+        assert.deepStrictEqual(result.winners, [0, 1], method);
+        assert.deepStrictEqual(tallyRanked([], 3, method).winners, [], method);
+    }
+    assert.throws(() => tallyRanked(partial, 3, 'coombs'), /未知的排序计票方法/);
+});
+
+test('排序提案按Agent权重和所选方法计票', () => {
+    const system = new ConsensusDecisionSystem({ clock: new ManualClock(0), minAgents: 2 });
+    system.registerAgent('admin', 'Admin', 'admin');
+    for (const { agentId, weight } of TENNESSEE) {
+        system.registerAgent(agentId, agentId, 'member', weight);
+    }
+    const options = ['孟菲斯', '纳什维尔', '查塔努加', '诺克斯维尔'];
+
+    assert.strictEqual(
+        system.createProposal('admin', '首府', '', options, 'ranked', { rankedMethod: 'coombs' }).code,
+        'INVALID_ARGUMENT'
+    );
+
+    for (const method of ['irv', 'borda', 'schulze']) {
+        const proposal = system.createProposal('admin', `首府（${method}）`, '', options, 'ranked', { rankedMethod: method }).proposal;
+        // 波达计数在第三张选票后已无法改变结果，会提前通过
+        for (const { agentId, ranking } of TENNESSEE) {
+            system.vote(agentId, proposal.id, ranking);
+        }
+        const results = system.countVotes(system.proposals.get(proposal.id));
+        assert.strictEqual(results.ranked.method, method);
+        assert.strictEqual(results.ranked.winner, method === 'irv' ? 3 : 1);
+        assert.strictEqual(results.counts[0], 1);
+        assert.strictEqual(results.weightedCounts[0], 42);
+    }
+});
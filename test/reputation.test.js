@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { ReputationEngine } = require('../lib/reputation');
+
+test('决策固化后按参与、一致性、及时性和提案结果调整声誉', () => {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    for (const agentId of ['alice', 'bob', 'carol']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    const { proposal } = system.createProposal('alice', '上线', '', [], 'yesno', { duration: 1000 });
+    system.vote('alice', proposal.id, 'yes');
+    system.vote('carol', proposal.id, 'no');
+    clock.advance(500);
+    system.vote('bob', proposal.id, 'yes');
+
+    const decision = system.consensusHistory.at(-1);
+    assert.strictEqual(decision.result, 'accepted');
+    // 创建者：参与 1 + 一致 2 + 及时 2 + 提案通过 5；bob 在投票期过半时投票，及时奖励减半
+    assert.deepStrictEqual(decision.reputationChanges, { alice: 10, carol: 2, bob: 4 });
+    assert.strictEqual(system.getReputation('alice'), 110);
+    assert.strictEqual(system.agents.get('bob').reputation, 104);
+
+    const history = system.getReputationHistory('carol');
+    assert.deepStrictEqual(history.history.map(entry => [entry.reason, entry.delta]), [
+        ['participation', 1],
+        ['misaligned_with_outcome', -1],
+        ['on_time_vote', 2]
+    ]);
+    assert.strictEqual(history.history[0].decisionId, decision.id);
+    assert.strictEqual(system.getReputationHistory('nobody').code, 'AGENT_NOT_REGISTERED');
+});
+
+test('声誉向基准值衰减，并在下次调整时固化', () => {
+    const engine = new ReputationEngine({ decayHalfLife: 1000 });
+    const agent = { id: 'a', reputation: 140, reputationUpdatedAt: 0 };
+
+    assert.strictEqual(engine.current(agent, 1000), 120);
+    assert.strictEqual(engine.current(agent, 2000), 110);
+    assert.strictEqual(agent.reputation, 140);
+
+    engine.applyDecay(agent, 1000);
+    assert.strictEqual(agent.reputation, 120);
+    assert.deepStrictEqual(engine.getHistory('a').map(entry => [entry.reason, entry.delta]), [['decay', -20]]);
+
+    engine.adjust(agent, 2000, 'bonus', 1000);
+    assert.strictEqual(agent.reputation, 1000);
+});
+
+test('按声誉折算有效投票权重并限制上下限', () => {
+    const engine = new ReputationEngine({ weightFromReputation: true, weightFloor: 0.5, weightCap: 2 });
+    const weight = reputation => engine.effectiveWeight({ weight: 1.5, reputation, joinedAt: 0 }, 0);
+
+    assert.strictEqual(weight(100), 1.5);
+    assert.strictEqual(weight(120), 1.8);
+    assert.strictEqual(weight(400), 2);
+    assert.strictEqual(weight(10), 0.5);
+    assert.strictEqual(new ReputationEngine().effectiveWeight({ weight: 1.5, reputation: 400 }, 0), 1.5);
+
+    const system = new ConsensusDecisionSystem({ minAgents: 2, reputation: { weightFromReputation: true } });
+    system.registerAgent('alice', 'alice', 'member');
+    system.agents.get('alice').reputation = 150;
+    assert.strictEqual(system.getVoteWeight('alice'), 1.5);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    system.registerAgent('alpha', 'Alpha', 'admin');
+    system.registerAgent('beta', 'Beta', 'member');
+    system.registerAgent('gamma', 'Gamma', 'member');
+    const create = (title, duration, settings = {}) =>
+        system.proposals.get(system.createProposal('alpha', title, '', [], 'yesno', { duration, ...settings }).proposal.id);
+    return { system, clock, create };
+}
+
+test('回调出错不会中断调度，错误转发给 error 订阅者', () => {
+    const { system, clock, create } = setup();
+    const first = create('第一个', 1000);
+    const second = create('第二个', 1000);
+    const third = create('第三个', 5000, { reminders: [1000] });
+
+    const errors = [];
+    system.on('error', event => errors.push(event.payload));
+    const closed = [];
+    let failures = 1;
+    system.startScheduler({
+        onClose: proposal => {
+            if (proposal.id === first.id && failures-- > 0) {
+                throw new Error('回调失败');
+            }
+            closed.push(proposal.id);
+        }
+    });
+
+    clock.advance(1001);
+    assert.strictEqual(first.status, 'expired');
+    assert.strictEqual(second.status, 'expired');
+    assert.deepStrictEqual(closed, [second.id]);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].type, 'scheduler');
+    assert.strictEqual(errors[0].message, '回调失败');
+
+    clock.advance(4000);
+    assert.strictEqual(third.status, 'expired');
+    assert.strictEqual(third.reminders[0].sentAt, 4000);
+    system.stopScheduler();
+});
+
+test('处理出错的提案稍后重试，不丢失到期时间', () => {
+    const { system, clock, create } = setup();
+    const proposal = create('钩子出错', 1000);
+    let failing = true;
+    const original = system.closeExpiredProposal.bind(system);
+    system.closeExpiredProposal = (...args) => {
+        if (failing) throw new Error('暂时失败');
+        return original(...args);
+    };
+
+    const errors = [];
+    system.on('error', event => errors.push(event.payload.message));
+    system.startScheduler({ retryDelay: 500 });
+
+    clock.advance(1001);
+    assert.strictEqual(proposal.status, 'voting');
+    assert.strictEqual(system.proposalIndex.nextDue(), 1001);
+    assert.deepStrictEqual(errors, ['暂时失败']);
+
+    clock.advance(100);
+    assert.deepStrictEqual(errors, ['暂时失败']);
+
+    failing = false;
+    clock.advance(400);
+    assert.strictEqual(proposal.status, 'expired');
+    assert.strictEqual(system.proposalIndex.nextDue(), null);
+    system.stopScheduler();
+});
+
+test('手动时钟按到期顺序触发定时器', () => {
+    const clock = new ManualClock(100);
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 50);
+    const cancelled = clock.setTimeout(() => fired.push(['x', clock.now()]), 20);
+    clock.setTimeout(() => {
+        fired.push(['a', clock.now()]);
+        clock.setTimeout(() => fired.push(['c', clock.now()]), 5);
+    }, 10);
+    clock.clearTimeout(cancelled);
+
+    assert.strictEqual(clock.advance(100), 3);
+    assert.deepStrictEqual(fired, [['a', 110], ['c', 115], ['b', 150]]);
+    assert.strictEqual(clock.now(), 200);
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test('截止前发送提醒，截止时按投票情况结束提案', () => {
+    const { system, clock, create } = setup();
+    const reminders = [];
+    const closed = [];
+    system.startScheduler({
+        onReminder: (proposal, msLeft) => reminders.push([proposal.title, msLeft, clock.now()]),
+        onClose: (proposal, decision) => closed.push([proposal.title, proposal.status, decision.id])
+    });
+
+    const quiet = create('无人投票', 1000, { reminders: [300] });
+    const split = create('意见分歧', 2000);
+    system.vote('beta', split.id, 'yes');
+    system.vote('gamma', split.id, 'no');
+
+    clock.advance(700);
+    assert.deepStrictEqual(reminders, [['无人投票', 300, 700]]);
+    assert.strictEqual(quiet.status, 'voting');
+
+    clock.advance(2000);
+    assert.strictEqual(quiet.status, 'expired');
+    assert.strictEqual(split.status, 'rejected');
+    assert.deepStrictEqual(closed.map(([title, status]) => [title, status]), [['无人投票', 'expired'], ['意见分歧', 'rejected']]);
+    assert.strictEqual(system.consensusHistory.at(-1).id, closed[1][2]);
+
+    system.stopScheduler();
+    const late = create('停止后', 100);
+    clock.advance(1000);
+    assert.strictEqual(late.status, 'voting');
+    assert.strictEqual(clock.pending(), 0);
+});
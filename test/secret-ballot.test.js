@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { createCommitment, createSalt } = require('../lib/ballot');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    system.registerAgent('alpha', 'Alpha', 'admin');
+    system.registerAgent('beta', 'Beta', 'member');
+    system.registerAgent('gamma', 'Gamma', 'member', 1.5);
+    const secret = (settings = {}) => system.proposals.get(system.createProposal('alpha', '预算', '', [], 'yesno', {
+        ballot: 'secret',
+        duration: 1000,
+        revealWindow: 500,
+        ...settings
+    }).proposal.id);
+    const commit = (agentId, proposal, vote) => {
+        const salt = createSalt();
+        const result = system.commitVote(agentId, proposal.id, createCommitment(proposal.id, agentId, vote, salt));
+        return { result, salt };
+    };
+    return { system, clock, secret, commit };
+}
+
+test('提交阶段只接受承诺，全部提交后进入揭示阶段并在全部揭示后固化', () => {
+    const { system, secret, commit } = setup();
+    const proposal = secret();
+    assert.strictEqual(system.vote('beta', proposal.id, 'yes').code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.commitVote('beta', proposal.id, 'not-a-hash').code, 'INVALID_VOTE');
+
+    const salts = {};
+    for (const [agentId, vote] of [['alpha', 'yes'], ['beta', 'yes'], ['gamma', 'no']]) {
+        assert.strictEqual(system.revealVote(agentId, proposal.id, vote, 'x').code, 'PROPOSAL_NOT_OPEN');
+        const { result, salt } = commit(agentId, proposal, vote);
+        assert.ok(result.success);
+        salts[agentId] = salt;
+    }
+    assert.strictEqual(proposal.status, 'revealing');
+    assert.deepStrictEqual(system.countVotes(proposal).breakdown, []);
+
+    assert.strictEqual(system.revealVote('beta', proposal.id, 'no', salts.beta).code, 'COMMITMENT_MISMATCH');
+    assert.ok(system.revealVote('beta', proposal.id, 'yes', salts.beta).success);
+    assert.strictEqual(system.revealVote('beta', proposal.id, 'yes', salts.beta).code, 'INVALID_VOTE');
+    assert.ok(system.revealVote('alpha', proposal.id, 'yes', salts.alpha).success);
+    assert.strictEqual(proposal.status, 'revealing');
+    assert.ok(system.revealVote('gamma', proposal.id, 'no', salts.gamma).success);
+
+    assert.strictEqual(proposal.status, 'rejected');
+    assert.deepStrictEqual(system.consensusHistory.at(-1).unrevealed, []);
+});
+
+test('揭示阶段截止后未揭示的承诺作废并扣声誉', () => {
+    const { system, clock, secret, commit } = setup();
+    system.startScheduler();
+    const proposal = secret({ consensusRule: 'majority' });
+    const alpha = commit('alpha', proposal, 'yes');
+    const beta = commit('beta', proposal, 'yes');
+    commit('gamma', proposal, 'no');
+
+    system.revealVote('alpha', proposal.id, 'yes', alpha.salt);
+    system.revealVote('beta', proposal.id, 'yes', beta.salt);
+    clock.advance(501);
+
+    assert.strictEqual(proposal.status, 'accepted');
+    const decision = system.consensusHistory.at(-1);
+    assert.deepStrictEqual(decision.unrevealed, ['gamma']);
+    assert.strictEqual(decision.reputationChanges.gamma, -3);
+    system.stopScheduler();
+});
+
+test('匿名提案的计票明细按选票合并，不暴露单张选票的权重', () => {
+    const { system } = setup();
+    system.registerAgent('delta', 'Delta', 'member');
+    const { proposal } = system.createProposal('alpha', '匿名', '', [], 'yesno', { anonymous: true });
+    const events = [];
+    system.on('vote.cast', event => events.push(event.payload));
+
+    system.vote('beta', proposal.id, 'yes', '理由不会进入讨论串');
+    system.vote('gamma', proposal.id, 'no');
+    system.vote('delta', proposal.id, 'yes');
+
+    const results = system.countVotes(system.proposals.get(proposal.id));
+    assert.deepStrictEqual(results.breakdown, [
+        { vote: 'no', weight: 1.5, count: 1 },
+        { vote: 'yes', weight: 2, count: 2 }
+    ]);
+    assert.ok(events.every(payload => !('agentId' in payload) && !('vote' in payload)));
+    assert.strictEqual(system.proposals.get(proposal.id).comments.length, 0);
+});
+
+test('揭示时钩子不能修改已承诺的选票', () => {
+    const { system, secret, commit } = setup();
+    const proposal = secret();
+    const alpha = commit('alpha', proposal, 'yes');
+    commit('beta', proposal, 'yes');
+    commit('gamma', proposal, 'yes');
+
+    const remove = system.addHook('vote', ctx => {
+        ctx.vote = 'no';
+    });
+    const rejected = system.revealVote('alpha', proposal.id, 'yes', alpha.salt);
+    assert.strictEqual(rejected.code, 'HOOK_REJECTED');
+    assert.strictEqual(proposal.votes.has('alpha'), false);
+
+    remove();
+    assert.ok(system.revealVote('alpha', proposal.id, 'yes', alpha.salt).success);
+    assert.strictEqual(proposal.votes.get('alpha').vote, 'yes');
+});
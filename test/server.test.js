@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusHttpServer } = require('../server.js');
+const { ConsensusDecisionSystem } = require('../index.js');
+
+async function start(options = {}) {
+    const system = new ConsensusDecisionSystem();
+    const server = new ConsensusHttpServer(system, options);
+    const { port } = await server.listen(0, '127.0.0.1');
+    const request = async (method, path, body, apiKey, headers = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    return { system, server, request, port };
+}
+
+test('开放注册时只有管理员可以指定投票权重', async () => {
+    const { system, server, request } = await start();
+    try {
+        const admin = await request('POST', '/agents', { agentId: 'alpha', name: 'Alpha', role: 'admin' });
+        assert.strictEqual(admin.status, 201);
+
+        const anonymous = await request('POST', '/agents', { agentId: 'mallory', name: 'Mallory', weight: 1e9 });
+        assert.strictEqual(anonymous.status, 403);
+        assert.strictEqual(system.agents.has('mallory'), false);
+
+        const member = await request('POST', '/agents', { agentId: 'beta', name: 'Beta' });
+        assert.strictEqual(member.status, 201);
+        assert.strictEqual(system.agents.get('beta').weight, 1);
+
+        const byMember = await request('POST', '/agents', { agentId: 'gamma', name: 'Gamma', weight: 3 }, member.body.apiKey);
+        assert.strictEqual(byMember.status, 403);
+
+        const byAdmin = await request('POST', '/agents', { agentId: 'gamma', name: 'Gamma', weight: 3 }, admin.body.apiKey);
+        assert.strictEqual(byAdmin.status, 201);
+        assert.strictEqual(system.agents.get('gamma').weight, 3);
+    } finally {
+        await server.close();
+    }
+});
+
+test('注册时的权重必须为正数', async () => {
+    const { system, server, request } = await start({ registrationKey: 'secret' });
+    try {
+        for (const weight of [-5, 0]) {
+            const response = await request('POST', '/agents', { agentId: 'mallory', name: 'Mallory', weight }, null, { 'X-Registration-Key': 'secret' });
+            assert.strictEqual(response.status, 400);
+        }
+        assert.strictEqual(system.agents.has('mallory'), false);
+        assert.strictEqual(system.registerAgent('eve', 'Eve', 'member', Infinity).success, false);
+    } finally {
+        await server.close();
+    }
+});
+
+test('路径参数编码无效时返回 400', async () => {
+    const { server, request } = await start();
+    try {
+        const response = await request('GET', '/proposals/%E0%A4%A');
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.code, 'INVALID_ARGUMENT');
+        assert.strictEqual((await request('GET', '/proposals/%E4%B8%AD')).status, 404);
+    } finally {
+        await server.close();
+    }
+});
+
+test('认证后创建提案、投票并查看结果', async () => {
+    const { server, request } = await start();
+    try {
+        const alpha = (await request('POST', '/agents', { agentId: 'alpha', name: 'Alpha', role: 'admin' })).body.apiKey;
+        const beta = (await request('POST', '/agents', { agentId: 'beta', name: 'Beta' })).body.apiKey;
+
+        assert.strictEqual((await request('POST', '/proposals', { title: '上线' })).status, 401);
+        assert.strictEqual((await request('POST', '/proposals', { title: '上线' }, 'wrong')).status, 401);
+        assert.strictEqual((await request('GET', '/agents/me', null, beta)).body.agent.id, 'beta');
+
+        const created = await request('POST', '/proposals', { title: '上线', type: 'yesno' }, alpha);
+        assert.strictEqual(created.status, 201);
+        const id = created.body.proposal.id;
+
+        assert.strictEqual((await request('POST', `/proposals/${id}/votes`, { vote: 'yes', comment: '同意' }, alpha)).status, 201);
+        assert.strictEqual((await request('POST', `/proposals/${id}/votes`, { vote: 'maybe' }, beta)).status, 422);
+        await request('POST', `/proposals/${id}/votes`, { vote: 'yes' }, beta);
+        assert.strictEqual((await request('POST', `/proposals/${id}/votes`, { vote: 'no' }, beta)).status, 409);
+
+        const detail = await request('GET', `/proposals/${id}`);
+        assert.strictEqual(detail.body.proposal.status, 'accepted');
+        assert.deepStrictEqual(detail.body.results.counts, { yes: 2, no: 0, abstain: 0 });
+        assert.strictEqual((await request('GET', '/history')).body.decisions[0].proposalId, id);
+        assert.strictEqual((await request('GET', '/ledger/verify')).body.ledger.valid, true);
+    } finally {
+        await server.close();
+    }
+});
+
+test('请求错误映射为对应的HTTP状态码', async () => {
+    const { server, request, port } = await start();
+    try {
+        const alpha = (await request('POST', '/agents', { agentId: 'alpha', name: 'Alpha', role: 'admin' })).body.apiKey;
+        const gamma = (await request('POST', '/agents', { agentId: 'gamma', name: 'Gamma', role: 'observer' })).body.apiKey;
+
+        assert.strictEqual((await request('GET', '/proposals/prop_404')).status, 404);
+        assert.strictEqual((await request('GET', '/nowhere')).status, 404);
+        assert.strictEqual((await request('POST', '/proposals', { title: '观察者' }, gamma)).status, 403);
+        assert.strictEqual((await request('POST', '/proposals', { title: 42 }, alpha)).status, 400);
+
+        const invalidJson = await fetch(`http://127.0.0.1:${port}/proposals`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${alpha}` },
+            body: '{ 不是 JSON'
+        });
+        assert.strictEqual(invalidJson.status, 400);
+        assert.strictEqual((await invalidJson.json()).code, 'INVALID_JSON');
+    } finally {
+        await server.close();
+    }
+});
+
+test('SSE 推送指定提案的动态', async () => {
+    const { system, server, port } = await start();
+    try {
+        system.registerAgent('alpha', 'Alpha', 'admin');
+        system.registerAgent('beta', 'Beta', 'member');
+        const watched = system.createProposal('alpha', '关注', '', [], 'yesno').proposal.id;
+        const other = system.createProposal('alpha', '其他', '', [], 'yesno').proposal.id;
+
+        const controller = new AbortController();
+        const response = await fetch(`http://127.0.0.1:${port}/events?proposalId=${watched}`, {
+            signal: controller.signal
+        });
+        assert.strictEqual(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = decoder.decode((await reader.read()).value);
+
+        system.vote('beta', other, 'yes');
+        system.vote('beta', watched, 'no');
+        while (!text.includes('event: vote.cast')) {
+            text += decoder.decode((await reader.read()).value);
+        }
+        controller.abort();
+
+        const data = JSON.parse(text.split('event: vote.cast\ndata: ')[1].split('\n')[0]);
+        assert.strictEqual(data.proposalId ?? data.proposal.id, watched);
+    } finally {
+        await server.close();
+    }
+});
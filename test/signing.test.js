@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { generateKeyPair, signAction, voteFields } = require('../lib/signing');
+const { MemoryBackend } = require('../lib/storage');
+
+function setup(config = {}) {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2, ...config });
+    const { publicKey, privateKey } = generateKeyPair();
+    system.registerAgent('alpha', 'Alpha', 'admin');
+    system.registerAgent('beta', 'Beta', 'member', 1, publicKey);
+    system.registerAgent('gamma', 'Gamma', 'member');
+    const sign = (proposal, vote, comment = '') =>
+        signAction(privateKey, 'vote', 'beta', voteFields(system.formatProposal(proposal), vote, comment));
+    return { system, clock, sign, privateKey };
+}
+
+/**
+ * 由 alpha 和 gamma 投票并到期固化几个决策，交替通过和否决
+ */
+function decide(system, clock, count) {
+    for (let i = 0; i < count; i++) {
+        const id = system.createProposal('alpha', `提案 ${i}`, '', [], 'yesno', { duration: 1000 }).proposal.id;
+        for (const agentId of ['alpha', 'gamma']) {
+            system.vote(agentId, id, i % 2 === 0 ? 'yes' : 'no');
+        }
+        clock.advance(1001);
+        system.checkConsensus(system.proposals.get(id));
+    }
+}
+
+test('签名的选票不能重放到下一轮审议', () => {
+    const { system, clock, sign } = setup();
+    const id = system.createProposal('alpha', '路线', '', ['A', 'B'], 'single', {
+        duration: 1000,
+        delphi: { maxRounds: 3 }
+    }).proposal.id;
+    const proposal = system.proposals.get(id);
+
+    const signature = sign(proposal, 0);
+    assert.ok(system.vote('beta', id, 0, '', signature).success);
+    system.vote('gamma', id, 1);
+    assert.deepStrictEqual(system.verifyVoteSignature(id, 'beta'), { success: true, signed: true, valid: true });
+
+    clock.advance(1001);
+    system.checkConsensus(proposal);
+    assert.strictEqual(proposal.round, 2);
+
+    const replayed = system.vote('beta', id, 0, '', signature);
+    assert.strictEqual(replayed.code, 'INVALID_SIGNATURE');
+    assert.ok(system.vote('beta', id, 0, '', sign(proposal, 0)).success);
+});
+
+test('钩子不能修改已签名的选票', () => {
+    const { system, sign } = setup();
+    const id = system.createProposal('alpha', '上线', '', [], 'yesno').proposal.id;
+    const proposal = system.proposals.get(id);
+    system.addHook('vote', ctx => {
+        ctx.comment = `${ctx.comment}（已审核）`;
+    });
+
+    const rejected = system.vote('beta', id, 'yes', '同意', sign(proposal, 'yes', '同意'));
+    assert.strictEqual(rejected.code, 'HOOK_REJECTED');
+    assert.strictEqual(proposal.votes.has('beta'), false);
+
+    assert.ok(system.vote('gamma', id, 'yes', '同意').success);
+    assert.strictEqual(proposal.votes.get('gamma').comment, '同意（已审核）');
+});
+
+test('提案签名不能重放，换 nonce 后可以再次创建', () => {
+    const { system, privateKey } = setup();
+    const fields = { title: '上线', description: '', options: [], type: 'yesno', settings: { nonce: 'n1' } };
+    const signature = signAction(privateKey, 'proposal.create', 'beta', fields);
+    const create = sig => system.createProposal('beta', fields.title, fields.description, fields.options, fields.type, fields.settings, sig);
+
+    assert.ok(create(signature).success);
+    const replayed = create(signature);
+    assert.strictEqual(replayed.code, 'INVALID_SIGNATURE');
+    assert.strictEqual(system.proposals.size, 1);
+
+    fields.settings = { nonce: 'n2' };
+    assert.ok(create(signAction(privateKey, 'proposal.create', 'beta', fields)).success);
+    assert.strictEqual(system.proposals.size, 2);
+});
+
+test('评论签名不能重放，快照恢复和事件回放后仍然拒绝', () => {
+    const { system, privateKey } = setup({ storage: new MemoryBackend() });
+    const id = system.createProposal('alpha', '上线', '', [], 'yesno').proposal.id;
+    const sign = nonce => signAction(privateKey, 'comment', 'beta', { proposalId: id, comment: '同意', nonce });
+    const comment = (target, nonce, signature) => target.addComment('beta', id, '同意', signature, { nonce });
+
+    const signature = sign('n1');
+    const added = comment(system, 'n1', signature);
+    assert.ok(added.success);
+    assert.strictEqual(system.proposals.get(id).comments[0].nonce, 'n1');
+    assert.strictEqual(comment(system, 'n1', signature).code, 'INVALID_SIGNATURE');
+    assert.ok(comment(system, 'n2', sign('n2')).success);
+
+    const restored = new ConsensusDecisionSystem({ minAgents: 2 });
+    restored.restore(system.snapshot());
+    assert.strictEqual(comment(restored, 'n1', signature).code, 'INVALID_SIGNATURE');
+
+    assert.ok(system.rebuildFromLog().success);
+    assert.strictEqual(comment(system, 'n2', sign('n2')).code, 'INVALID_SIGNATURE');
+    assert.strictEqual(system.proposals.get(id).comments.length, 2);
+});
+
+test('账本审计发现决策内容被篡改', () => {
+    const { system, clock } = setup();
+    decide(system, clock, 2);
+    assert.strictEqual(system.ledger.entries.length, 2);
+    assert.strictEqual(system.verifyLedger().valid, true);
+
+    const decision = system.consensusHistory[0];
+    decision.result = decision.result === 'accepted' ? 'rejected' : 'accepted';
+
+    const report = system.verifyLedger();
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.firstInvalid, { index: 0, decisionId: decision.id, reason: '决策内容被修改' });
+});
+
+test('账本审计发现记录被篡改', () => {
+    const { system, clock } = setup();
+    decide(system, clock, 2);
+    const entry = system.ledger.entries[1];
+    entry.at++;
+
+    const report = system.verifyLedger();
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.firstInvalid, { index: 1, decisionId: entry.decisionId, reason: '账本记录被修改' });
+});
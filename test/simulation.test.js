@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runSimulation, toCSV, normalizeSpec, applyParameter } = require('../simulation.js');
+
+const SPEC = {
+    seed: 7,
+    proposals: 40,
+    agents: [
+        { name: 'core', count: 5, ideal: 0.3 },
+        { name: 'lurkers', count: 3, behavior: 'absent' }
+    ],
+    sweep: { consensusThreshold: [0.5, 0.9], 'turnout:lurkers': [0, 1] }
+};
+
+test('相同种子得到相同的报告', () => {
+    const report = runSimulation(SPEC);
+    assert.deepStrictEqual(runSimulation(SPEC), report);
+    assert.notDeepStrictEqual(runSimulation({ ...SPEC, seed: 8 }).baseline, report.baseline);
+
+    const { baseline } = report;
+    assert.strictEqual(baseline.proposals, 40);
+    assert.strictEqual(baseline.accepted + baseline.rejected + baseline.expired, 40);
+    assert.strictEqual(baseline.acceptanceRate, baseline.accepted / 40);
+    assert.ok(baseline.timeToConsensus.median <= baseline.timeToConsensus.p90);
+});
+
+test('敏感性分析每次只改变一个参数', () => {
+    const { baseline, sensitivity } = runSimulation(SPEC);
+    const threshold = sensitivity.consensusThreshold;
+    assert.deepStrictEqual(threshold.rows.map(row => row.value), [0.5, 0.9]);
+    assert.ok(threshold.rows[0].acceptanceRate >= threshold.rows[1].acceptanceRate);
+    assert.strictEqual(threshold.acceptanceRange, Number((threshold.rows[0].acceptanceRate - threshold.rows[1].acceptanceRate).toFixed(4)));
+
+    // 潜水者不参与时只有核心成员投票
+    const [silent, active] = sensitivity['turnout:lurkers'].rows;
+    assert.strictEqual(silent.turnout, 5 / 8);
+    assert.ok(active.turnout > baseline.turnout);
+});
+
+test('报告转 CSV：基准一行，每个参数取值一行', () => {
+    const lines = toCSV(runSimulation(SPEC)).trim().split('\n');
+    assert.strictEqual(lines.length, 6);
+    assert.match(lines[0], /^parameter,value,proposals,acceptanceRate,/);
+    assert.match(lines[1], /^baseline,,40,/);
+    assert.deepStrictEqual(lines.slice(2).map(line => line.split(',').slice(0, 2).join(',')), [
+        'consensusThreshold,0.5',
+        'consensusThreshold,0.9',
+        'turnout:lurkers,0',
+        'turnout:lurkers,1'
+    ]);
+});
+
+test('规格校验和参数调整', () => {
+    assert.throws(() => normalizeSpec({ agents: [{ behavior: 'lazy' }] }), /未知的行为/);
+    assert.throws(() => normalizeSpec({ proposal: { type: 'quadratic' } }), /不支持的提案类型/);
+    assert.throws(() => normalizeSpec({ proposal: { options: 1 } }), /至少需要2个选项/);
+
+    const spec = normalizeSpec(SPEC);
+    assert.strictEqual(spec.agents[1].turnout, 0.2);
+    assert.strictEqual(applyParameter(spec, 'behavior:lurkers', 'honest').agents[1].turnout, 1);
+    assert.strictEqual(applyParameter(spec, 'weight:core', 2).agents[0].weight, 2);
+    assert.strictEqual(applyParameter(spec, 'options', 4).proposal.options, 4);
+    assert.strictEqual(applyParameter(spec, 'minAgents', 3).config.minAgents, 3);
+    assert.throws(() => applyParameter(spec, 'weight:nobody', 2), /未知的Agent分组/);
+    assert.throws(() => applyParameter(spec, 'ideal:core', 0.5), /未知的分组参数/);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { MemoryBackend, JsonLinesFileBackend } = require('../lib/storage');
+
+/**
+ * 构造一个有决策、委托、委员会和审计记录的系统
+ */
+function buildSystem() {
+    const clock = new ManualClock(1000);
+    const storage = new MemoryBackend();
+    const system = new ConsensusDecisionSystem({ clock, storage, minAgents: 2 });
+
+    system.registerAgent('admin', 'Admin', 'admin');
+    for (const agentId of ['alice', 'bob', 'carol', 'dave']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    system.createCommittee('admin', 'infra', { members: [{ agentId: 'alice' }, { agentId: 'bob', weight: 2 }] });
+    system.delegateVote('dave', 'carol');
+    system.setAgentWeight('admin', 'carol', 1.5);
+
+    for (let i = 0; i < 4; i++) {
+        const { proposal } = system.createProposal('alice', `提案 ${i}`, '', [], 'yesno', { duration: 1000 });
+        for (const agentId of ['admin', 'alice', 'bob', 'carol']) {
+            system.vote(agentId, proposal.id, i % 2 === 0 ? 'yes' : 'no');
+        }
+    }
+    system.createProposal('alice', '委员会提案', '', ['A', 'B'], 'single', { committee: 'infra' });
+    system.createProposal('bob', '进行中', '', [], 'yesno');
+    clock.advance(500);
+
+    return { system, clock, storage };
+}
+
+test('快照恢复后状态不变', () => {
+    const { system, clock } = buildSystem();
+    assert.ok(system.consensusHistory.length > 0);
+
+    const restored = new ConsensusDecisionSystem({ clock });
+    assert.ok(restored.restore(system.snapshot()).success);
+
+    assert.deepStrictEqual(restored.snapshot(), system.snapshot());
+    assert.deepStrictEqual(restored.getConsensusStats(), system.getConsensusStats());
+    assert.strictEqual(restored.verifyLedger().valid, true);
+});
+
+test('回放事件日志重建相同状态', () => {
+    const { system, clock, storage } = buildSystem();
+
+    const replayed = new ConsensusDecisionSystem({ clock, storage });
+    assert.deepStrictEqual(replayed.snapshot(), system.snapshot());
+    assert.strictEqual(replayed.verifyLedger().valid, true);
+
+    assert.ok(system.rebuildFromLog().success);
+    assert.deepStrictEqual(system.snapshot(), replayed.snapshot());
+
+    // 重建后继续运行，ID 计数器与索引都应延续
+    const { proposal } = replayed.createProposal('carol', '回放后', '', [], 'yesno');
+    assert.strictEqual(proposal.id, `prop_${system.proposals.size + 1}`);
+    assert.deepStrictEqual(replayed.queryProposals({ creator: 'carol' }).proposals.map(item => item.id), [proposal.id]);
+});
+
+test('JSON Lines 文件后端：重启后从文件回放', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consensus-'));
+    try {
+        const file = path.join(dir, 'events.jsonl');
+        const clock = new ManualClock(0);
+        const system = new ConsensusDecisionSystem({ clock, storage: new JsonLinesFileBackend(file), minAgents: 2 });
+        system.registerAgent('alice', 'alice', 'member');
+        system.registerAgent('bob', 'bob', 'member');
+        const { proposal } = system.createProposal('alice', '上线', '', [], 'yesno');
+        system.vote('alice', proposal.id, 'yes');
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(lines.map(event => [event.seq, event.type]), [
+            [1, 'agent.registered'],
+            [2, 'agent.registered'],
+            [3, 'proposal.created'],
+            [4, 'vote.cast']
+        ]);
+
+        const reopened = new ConsensusDecisionSystem({ clock, storage: new JsonLinesFileBackend(file), minAgents: 2 });
+        assert.deepStrictEqual(reopened.snapshot(), system.snapshot());
+        // 重新打开后事件编号接着已有日志继续
+        reopened.vote('bob', proposal.id, 'yes');
+        assert.strictEqual(reopened.eventStore.readAll()[4].seq, 5);
+
+        fs.appendFileSync(file, '{ 不是 JSON\n');
+        assert.throws(() => new JsonLinesFileBackend(file).readAll(), /第 \d+ 行无法解析/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('恢复拒绝不支持的快照，未配置存储时不能重建', () => {
+    const system = new ConsensusDecisionSystem();
+    assert.strictEqual(system.restore({ version: 2 }).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.restore(null).code, 'INVALID_ARGUMENT');
+    assert.strictEqual(system.rebuildFromLog().code, 'INVALID_ARGUMENT');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, AIConsensusStrategy, ManualClock } = require('../index.js');
+const { createCommitment, createSalt } = require('../lib/ballot');
+
+function setup() {
+    const clock = new ManualClock(0);
+    const system = new ConsensusDecisionSystem({ clock, minAgents: 2 });
+    for (const agentId of ['a', 'b', 'c']) {
+        system.registerAgent(agentId, agentId, 'member');
+    }
+    return { system, clock, ai: new AIConsensusStrategy(system, 'c') };
+}
+
+test('没有待投票的提案时建议创建提案', () => {
+    const { ai } = setup();
+    assert.strictEqual(ai.getNextAction().action, 'create_proposal');
+});
+
+test('能一票定局的提案优先，截止时间为 ISO 字符串', () => {
+    const { system, ai } = setup();
+    system.createProposal('a', '先截止', '', [], 'yesno', { duration: 60000 });
+    const decisive = system.createProposal('a', '一票定局', '', [], 'yesno', { duration: 600000, consensusRule: 'majority' }).proposal.id;
+    system.vote('a', decisive, 'yes');
+
+    const next = ai.getNextAction();
+    assert.strictEqual(next.action, 'vote');
+    assert.strictEqual(next.proposalId, decisive);
+    assert.strictEqual(next.deadline, '1970-01-01T00:10:00.000Z');
+    assert.strictEqual(next.deadline, system.formatProposal(system.proposals.get(decisive)).deadline);
+    assert.strictEqual(next.urgency, 'high');
+    assert.match(next.explanation, /即可让提案达成共识.*另有 1 个提案等待你投票/);
+});
+
+test('没有能定局的提案时按截止时间排序', () => {
+    const { system, ai } = setup();
+    system.createProposal('a', '晚', '', [], 'yesno', { duration: 600000 });
+    const early = system.createProposal('a', '早', '', [], 'yesno', { duration: 300000 }).proposal.id;
+
+    const next = ai.getNextAction();
+    assert.strictEqual(next.proposalId, early);
+    assert.strictEqual(next.deadline, '1970-01-01T00:05:00.000Z');
+    assert.strictEqual(next.urgency, 'normal');
+});
+
+test('已提交承诺未揭示时优先建议揭示', () => {
+    const { system, ai } = setup();
+    system.createProposal('a', '公开', '', [], 'yesno');
+    const id = system.createProposal('a', '秘密', '', [], 'yesno', { ballot: 'secret', duration: 1000, revealWindow: 500 }).proposal.id;
+    for (const agentId of ['a', 'b', 'c']) {
+        system.commitVote(agentId, id, createCommitment(id, agentId, 'yes', createSalt()));
+    }
+    const proposal = system.proposals.get(id);
+    assert.strictEqual(proposal.status, 'revealing');
+
+    const next = ai.getNextAction();
+    assert.strictEqual(next.action, 'reveal');
+    assert.strictEqual(next.proposalId, id);
+    assert.strictEqual(next.deadline, new Date(proposal.revealDeadline).toISOString());
+    assert.strictEqual(next.deadline, system.formatProposal(proposal).revealDeadline);
+});
+
+test('投票建议给出达成各结果所需的支持', () => {
+    const { system, ai } = setup();
+    const id = system.createProposal('a', '上线', '', [], 'yesno', { consensusRule: 'majority' }).proposal.id;
+    system.vote('a', id, 'yes');
+
+    const suggestion = ai.getVoteSuggestion(id);
+    assert.strictEqual(suggestion.proposalId, id);
+    assert.strictEqual(suggestion.rule, 'majority');
+    const yes = suggestion.targets.find(target => target.label === '赞成');
+    assert.strictEqual(yes.supportWeight, 1);
+    assert.deepStrictEqual(yes.pivotal, ['b', 'c']);
+    assert.deepStrictEqual(ai.getVoteSuggestion('prop_404'), { error: '提案不存在' });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConsensusDecisionSystem, ManualClock } = require('../index.js');
+const { createRng } = require('../lib/random');
+
+const TYPES = ['yesno', 'single', 'multi', 'quadratic', 'ranked', 'budget'];
+const TALLY_FIELDS = [
+    'winner', 'winners', 'tie', 'options', 'quadratic',
+    'supportWeight', 'opposeWeight', 'abstainWeight', 'castWeight',
+    'supportCount', 'opposeCount', 'abstainCount', 'supporters', 'opponents', 'abstainers'
+];
+
+function randomBallot(proposal, rng) {
+    const n = proposal.options.length;
+    switch (proposal.type) {
+        case 'yesno':
+            return ['yes', 'no', true][Math.floor(rng() * 3)];
+        case 'single':
+            return Math.floor(rng() * n);
+        case 'multi':
+            return [0, 1, 2].filter(() => rng() < 0.5);
+        case 'quadratic': {
+            const votes = Array.from({ length: n }, () => Math.floor(rng() * 5) - 2);
+            if (votes.every(value => value === 0)) votes[0] = 1;
+            return votes;
+        }
+        case 'ranked':
+            return [2, 0, 1];
+        default: {
+            const first = Math.floor(rng() * 100);
+            return [first, 100 - first, 0];
+        }
+    }
+}
+
+/**
+ * 增量计票与重新计票、两种模式下的共识评估必须一致
+ */
+function assertEquivalent(system, proposal) {
+    system.config.incrementalTally = true;
+    const incremental = system.tallyProposal(proposal);
+    const recounted = system.recountProposal(proposal);
+    for (const field of TALLY_FIELDS) {
+        assert.deepStrictEqual(incremental[field], recounted[field], `${proposal.id}（${proposal.type}）的 ${field} 不一致`);
+    }
+
+    const status = system.evaluateConsensus(proposal);
+    system.config.incrementalTally = false;
+    try {
+        assert.deepStrictEqual(status, system.evaluateConsensus(proposal), `${proposal.id} 的共识评估不一致`);
+    } finally {
+        system.config.incrementalTally = true;
+    }
+}
+
+for (const seed of ['tally-1', 'tally-2', 'tally-3']) {
+    test(`增量计票与重新计票一致（种子 ${seed}）`, () => {
+        const rng = createRng(seed);
+        const pick = list => list[Math.floor(rng() * list.length)];
+        const clock = new ManualClock(0);
+        const system = new ConsensusDecisionSystem({ clock, minAgents: 2, voiceCredits: 1000 });
+
+        system.registerAgent('admin', 'Admin', 'admin');
+        const agents = Array.from({ length: 24 }, (_, i) => `agent_${i}`);
+        agents.forEach((agentId, i) => system.registerAgent(agentId, agentId, 'member', [1, 1.2, 0.1, 2.5][i % 4]));
+        system.createCommittee('admin', 'infra', {
+            members: agents.slice(0, 10).map((agentId, i) => ({ agentId, weight: 1 + (i % 3) * 0.3 }))
+        });
+        for (let i = 0; i < 6; i++) {
+            system.delegateVote(agents[16 + i], agents[i]);
+        }
+        system.delegateVote(agents[3], agents[22], { tag: 'x' }); // 按标签委托，形成委托链
+
+        const proposals = [];
+        for (let step = 0; step < 800; step++) {
+            const roll = rng();
+            if (roll < 0.08 || proposals.length < 3) {
+                const type = pick(TYPES);
+                const settings = { duration: 60000, tags: [pick(['x', 'y'])] };
+                if (rng() < 0.3) settings.committee = 'infra';
+                if (type === 'budget') settings.budget = 100;
+                if (rng() < 0.5) settings.consensusRule = pick(['majority', 'unanimity', 'veto']);
+                const creator = settings.committee ? pick(system.committees.get('infra').members).agentId : pick(agents);
+                const created = system.createProposal(creator, `提案 ${step}`, '', ['A', 'B', 'C'], type, settings);
+                assert.ok(created.success, created.error);
+                proposals.push(system.proposals.get(created.proposal.id));
+            } else if (roll < 0.85) {
+                const proposal = pick(proposals);
+                system.vote(pick(agents), proposal.id, randomBallot(proposal, rng));
+                if (proposal.status === 'voting') {
+                    assertEquivalent(system, proposal);
+                }
+            } else if (roll < 0.89) {
+                system.setAgentWeight('admin', pick(agents), pick([1, 0.7, 3]));
+            } else if (roll < 0.92) {
+                system.setCommitteeMember('admin', 'infra', pick(agents), pick([1, 2]));
+            } else if (roll < 0.94) {
+                system.removeCommitteeMember('admin', 'infra', pick(agents));
+            } else if (roll < 0.97) {
+                system.delegateVote(pick(agents), pick(agents), rng() < 0.5 ? {} : { tag: 'x' });
+            } else {
+                system.revokeDelegation(pick(agents));
+            }
+        }
+
+        for (const proposal of proposals) {
+            assertEquivalent(system, proposal);
+        }
+    });
+}